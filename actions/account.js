@@ -4,6 +4,15 @@ import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
 // Import to refresh frontend pages after changes
 import { revalidatePath } from "next/cache";
+import { addBalanceChanges, getBalanceChanges } from "@/lib/balance";
+import { PAGE_SIZE, parseTransactionQuery } from "@/lib/transaction-query";
+import { endOfDay, min as earliest, parseISO, startOfDay } from "date-fns";
+import { getUserCategories } from "@/lib/categories";
+import { expandCategoryIds } from "@/lib/category-tree";
+import { getAccountSnapshot, getTransactionSnapshot } from "@/lib/audit";
+import { recordAudit } from "@/lib/audit-log";
+import { getBalanceSnapshots } from "@/lib/balance-snapshots";
+import { getChartDays, getChartStartDate } from "@/lib/account-chart";
 
 // ✅ Decimal is used for balance because:
 // Money needs accuracy (no rounding errors).
@@ -23,13 +32,24 @@ const serializeDecimal = (obj) => {
   if (obj.amount) {
     serialized.amount = obj.amount.toNumber();  // amount = Money involved in a single transaction (spend or receive).
   }
+  if (obj.destinationAmount) {
+    serialized.destinationAmount = obj.destinationAmount.toNumber(); // Only for transfers between different currencies
+  }
+  if (obj.recurringAmount) {
+    serialized.recurringAmount = obj.recurringAmount.toNumber(); // New amount for future occurrences of a series
+  }
+  if (obj.splits) {
+    serialized.splits = obj.splits.map(serializeDecimal); // Category lines of a split transaction
+  }
   return serialized;
 };
 
 // ===============================
-// GET a specific Account + its Transactions
+// GET a specific Account (+ how many transactions it has)
 // ===============================
-export async function getAccountWithTransactions(accountId) {
+// The table loads its rows page by page with getAccountTransactions (below),
+// and the chart its daily totals with getAccountChartData - no transactions are loaded here.
+export async function getAccount(accountId) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
@@ -45,26 +65,191 @@ export async function getAccountWithTransactions(accountId) {
       userId: user.id,      // Make sure this account belongs to this user
     },
     include: {
-      transactions: {
-        orderBy: { date: "desc" },  // Include all transactions ordered by latest date
-      },
       _count: {
-        select: { transactions: true }, // Also include number of transactions
+        // Also include number of transactions (+ transfers from other accounts INTO this one)
+        select: {
+          transactions: { where: { deletedAt: null } },
+          incomingTransfers: { where: { deletedAt: null } },
+        },
       },
     },
   });
 
   if (!account) return null;
 
+  const { _count, ...rest } = account;
+
   return {
-    ...serializeDecimal(account),
-    transactions: account.transactions.map(serializeDecimal),
+    ...serializeDecimal(rest),
+    _count: { transactions: _count.transactions + _count.incomingTransfers },
   };
 }
 
 // ===============================
-// BULK DELETE multiple Transactions
+// GET one page of an Account's Transactions (search, filters, sorting, cursor paging)
 // ===============================
+// query = URL search params of the account page,
+//   e.g. { search: "coffee", type: "EXPENSE", from: "2025-03-01", min: "500", categories: "food,travel", tags: "wedding", sort: "amount", after: "<id>" }
+// Cursor paging: "after" = last transaction of the previous page, "before" = first transaction of the next page.
+// ✅ Returns { transactions, totalCount, nextCursor, prevCursor } (cursors are null on the last / first page)
+// paginate = false → every matching transaction (used for export)
+export async function getAccountTransactions(accountId, query = {}, paginate = true) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const {
+    search,
+    type,
+    recurring,
+    from,
+    to,
+    min,
+    max,
+    categories,
+    tags,
+    sort,
+    order,
+    after,
+    before,
+    reconcile,
+  } = parseTransactionQuery(query);
+
+  // Reconcile mode: only what can be on the statement - up to its end date, not reconciled before
+  const reconciliation = reconcile
+    ? await db.reconciliation.findFirst({
+        where: { accountId, userId: user.id, status: "IN_PROGRESS" },
+      })
+    : null;
+
+  // A parent category also finds its sub-categories ("food" → groceries, dining, coffee)
+  const categoryIds =
+    categories.length > 0
+      ? expandCategoryIds(await getUserCategories(user.id), categories)
+      : [];
+
+  // Last day shown: the "to" filter, and never after the statement's end date when reconciling
+  const lastDays = [
+    to && endOfDay(parseISO(to)),
+    reconciliation && endOfDay(reconciliation.statementDate),
+  ].filter(Boolean);
+
+  const where = {
+    userId: user.id,
+    deletedAt: null, // Deleted transactions are only shown in the trash
+    // Transactions of this account + transfers from other accounts INTO this one
+    OR: [{ accountId }, { destinationAccountId: accountId }],
+    ...(search && { description: { contains: search, mode: "insensitive" } }),
+    ...(type && { type }),
+    ...(recurring && { isRecurring: recurring === "recurring" }),
+    // Date range - whole days, "to" includes the last day until midnight
+    ...((from || lastDays.length > 0) && {
+      date: {
+        ...(from && { gte: startOfDay(parseISO(from)) }),
+        ...(lastDays.length > 0 && { lte: earliest(lastDays) }),
+      },
+    }),
+    ...(reconciliation && {
+      reconciliations: { none: { accountId, status: "COMPLETED" } },
+    }),
+    // Amount range, e.g. "everything over 500"
+    ...((min || max) && {
+      amount: {
+        ...(min && { gte: Number(min) }),
+        ...(max && { lte: Number(max) }),
+      },
+    }),
+    // Any of the chosen tags
+    ...(tags.length > 0 && { tags: { hasSome: tags } }),
+    // Any of the chosen categories - as main category or as a line of a split transaction
+    // (inside AND because OR is already used for the account above)
+    ...(categoryIds.length > 0 && {
+      AND: [
+        {
+          OR: [
+            { category: { in: categoryIds } },
+            { splits: { some: { category: { in: categoryIds } } } },
+          ],
+        },
+      ],
+    }),
+  };
+
+  // id as second sort key → rows with the same date / amount always come in the same order,
+  // which the cursor needs to continue exactly where the last page stopped
+  const orderBy = [{ [sort]: order }, { id: order }];
+
+  const include = {
+    account: { select: { name: true, currency: true } }, // "Transfer from Current"
+    destinationAccount: { select: { name: true } },       // "Transfer to Savings"
+    splits: true, // Category lines if the transaction is split
+    // Reconciliation status of each row (ticked off / locked)
+    reconciliations: { select: { accountId: true, status: true } },
+  };
+
+  // Reconciliations → isCleared (ticked in this account's current session) / isReconciled (locked)
+  const serializeRow = ({ reconciliations, ...transaction }) => ({
+    ...serializeDecimal(transaction),
+    isCleared: reconciliations.some(
+      (r) => r.accountId === accountId && r.status === "IN_PROGRESS"
+    ),
+    isReconciled: reconciliations.some((r) => r.status === "COMPLETED"),
+  });
+
+  if (!paginate) {
+    const transactions = await db.transaction.findMany({ where, orderBy, include });
+    return {
+      transactions: transactions.map(serializeRow),
+      totalCount: transactions.length,
+      nextCursor: null,
+      prevCursor: null,
+    };
+  }
+
+  const cursorId = before ?? after;
+
+  const [rows, totalCount] = await Promise.all([
+    db.transaction.findMany({
+      where,
+      orderBy,
+      include,
+      ...(cursorId && { cursor: { id: cursorId }, skip: 1 }), // start right after / before the cursor row
+      // One extra row tells us if there is another page in that direction.
+      // Negative take = the rows before the cursor (still returned in the normal order).
+      take: before ? -(PAGE_SIZE + 1) : PAGE_SIZE + 1,
+    }),
+    db.transaction.count({ where }),
+  ]);
+
+  const hasMore = rows.length > PAGE_SIZE;
+  const page = before
+    ? rows.slice(hasMore ? 1 : 0) // extra row is at the start when going back
+    : rows.slice(0, PAGE_SIZE);
+
+  // Going back from a later page → there is always a next page
+  const hasNextPage = before ? true : hasMore;
+  const hasPrevPage = before ? hasMore : !!after;
+
+  return {
+    transactions: page.map(serializeRow),
+    totalCount,
+    nextCursor: hasNextPage && page.length > 0 ? page[page.length - 1].id : null,
+    prevCursor: hasPrevPage && page.length > 0 ? page[0].id : null,
+  };
+}
+
+// ===============================
+// BULK DELETE multiple Transactions (moves them to the trash)
+// ===============================
+// Deleted transactions are not removed: deletedAt is set and their balance change is reversed.
+// They can be restored from the trash (restoreTransactions) until they are purged
+// (by hand with purgeTransactions, or automatically after TRASH_RETENTION_DAYS).
+// ✅ { success: true, data: { ids: ["id1", "id2"] } } - the ids for the "Undo" button
 export async function bulkDeleteTransactions(transactionIds) {
   try {
     const { userId } = await auth();
@@ -82,9 +267,26 @@ export async function bulkDeleteTransactions(transactionIds) {
       where: {
         id: { in: transactionIds },
         userId: user.id,
+        deletedAt: null, // Already in the trash → its balance was already reversed
+      },
+      include: {
+        account: true, // Need the account type (credit card / loan balances move the other way)
+        destinationAccount: true, // A transfer also changed the receiving account
+        splits: true, // For the audit log snapshot
+        reconciliations: { where: { status: "COMPLETED" }, select: { id: true } },
       },
     });
 
+    // 🔒 Reconciled transactions are on a bank statement - they can't be deleted
+    const reconciledCount = transactions.filter((t) => t.reconciliations.length > 0).length;
+    if (reconciledCount > 0) {
+      throw new Error(
+        reconciledCount === 1
+          ? "A reconciled transaction can't be deleted"
+          : `${reconciledCount} of these transactions are reconciled and can't be deleted`
+      );
+    }
+
     // Step 2: Calculate how much to adjust balances per account
     // Group transactions by account to update balances
     // We are finding for each account, kitna paisa increase ya decrease karna hai — based on deleted transactions.
@@ -92,12 +294,17 @@ export async function bulkDeleteTransactions(transactionIds) {
     // to account ka balance bhi update karna padta hai.
     // (kyunki wo transactions pehle balance me shamil the.)
     const accountBalanceChanges = transactions.reduce((acc, transaction) => {
-      const change =
-        transaction.type === "EXPENSE"
-          ? transaction.amount              // Expense: add back the money
-          : -transaction.amount;            // Income: subtract the money
-      acc[transaction.accountId] = (acc[transaction.accountId] || 0) + change;
-      return acc;
+      // Reverse whatever the transaction did to the balance
+      // Expense: add back the money / Income: subtract the money (opposite for liabilities)
+      // Transfer: give the money back to the source account and take it out of the destination
+      return addBalanceChanges(
+        acc,
+        getBalanceChanges({
+          ...transaction,
+          amount: transaction.amount.toNumber(),
+        }),
+        -1
+      );
     }, {}); // acc (accumulator) is a collector inside reduce that helps you calculate
     // the final result across all transactions easily.
     // acc remembers and updates the answer while looping through the array.
@@ -112,15 +319,24 @@ export async function bulkDeleteTransactions(transactionIds) {
     // 👉 We want to collect and store results (balance changes per account) while looping through all transactions.
     // Without acc, you would have no place to save and update balances during the loop.
 
-    // Step 3: Delete transactions and update account balances in a transaction
+    const ids = transactions.map((transaction) => transaction.id);
+
+    // Step 3: Move transactions to the trash and update account balances in a transaction
     await db.$transaction(async (tx) => {
-      // Delete transactions
-      await tx.transaction.deleteMany({
+      // Soft delete - the rows stay so they can be restored
+      // deletedAt: null → a row deleted meanwhile (double click, second tab) isn't counted twice
+      const { count } = await tx.transaction.updateMany({
         where: {
-          id: { in: transactionIds },
+          id: { in: ids },
           userId: user.id,
+          deletedAt: null,
         },
+        data: { deletedAt: new Date() },
       });
+      // Fewer rows than we read → throwing rolls everything back (no balance change twice)
+      if (count !== ids.length) {
+        throw new Error("Some transactions were already deleted, please refresh");
+      }
 
       // Update account balances - after Deletion
       for (const [accountId, balanceChange] of Object.entries(
@@ -135,18 +351,252 @@ export async function bulkDeleteTransactions(transactionIds) {
           },
         });
       }
+
+      await recordAudit(
+        tx,
+        transactions.map((transaction) => ({
+          userId: user.id,
+          actorId: user.id,
+          entityType: "TRANSACTION",
+          entityId: transaction.id,
+          action: "DELETE",
+          source: "TABLE",
+          before: getTransactionSnapshot(transaction),
+        }))
+      );
     });
 
     // Step 4: Refresh pages to show updated data
     revalidatePath("/dashboard");
-    revalidatePath("/account/[id]");
+    revalidatePath("/account/[id]", "page");
 
-    return { success: true };
+    return { success: true, data: { ids } };
   } catch (error) {
-    return { success: false, error: error.message };
+    throw new Error(error.message);
+  }
+}
+
+// ===============================
+// RESTORE Transactions from the trash ("Undo" / trash page)
+// ===============================
+// Clears deletedAt and applies the balance change of each transaction again.
+// source = "TABLE" for the "Undo" button of the transactions table (for the audit log)
+export async function restoreTransactions(transactionIds, source = "TRASH") {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const transactions = await db.transaction.findMany({
+      where: {
+        id: { in: transactionIds },
+        userId: user.id,
+        deletedAt: { not: null }, // Only what is really in the trash
+      },
+      include: { account: true, destinationAccount: true, splits: true },
+    });
+
+    // The same balance changes as when the transactions were created
+    const accountBalanceChanges = transactions.reduce(
+      (acc, transaction) =>
+        addBalanceChanges(
+          acc,
+          getBalanceChanges({
+            ...transaction,
+            amount: transaction.amount.toNumber(),
+          })
+        ),
+      {}
+    );
+
+    await db.$transaction(async (tx) => {
+      // deletedAt: { not: null } → a row restored meanwhile (double "Undo") isn't counted twice
+      const { count } = await tx.transaction.updateMany({
+        where: {
+          id: { in: transactions.map((t) => t.id) },
+          userId: user.id,
+          deletedAt: { not: null },
+        },
+        data: { deletedAt: null },
+      });
+      // Fewer rows than we read → throwing rolls everything back (no balance change twice)
+      if (count !== transactions.length) {
+        throw new Error("Some transactions were already restored, please refresh");
+      }
+
+      for (const [accountId, balanceChange] of Object.entries(
+        accountBalanceChanges
+      )) {
+        await tx.account.update({
+          where: { id: accountId },
+          data: { balance: { increment: balanceChange } },
+        });
+      }
+
+      await recordAudit(
+        tx,
+        transactions.map((transaction) => ({
+          userId: user.id,
+          actorId: user.id,
+          entityType: "TRANSACTION",
+          entityId: transaction.id,
+          action: "RESTORE",
+          source: source === "TABLE" ? "TABLE" : "TRASH",
+          after: getTransactionSnapshot(transaction),
+        }))
+      );
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath("/account/[id]", "page");
+
+    return { success: true, data: { count: transactions.length } };
+  } catch (error) {
+    throw new Error(error.message);
   }
 }
 
+// ===============================
+// PURGE Transactions - remove them from the trash for good
+// ===============================
+// Only transactions that are already in the trash (their balances were reversed on delete).
+export async function purgeTransactions(transactionIds) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const transactions = await db.transaction.findMany({
+      where: {
+        id: { in: transactionIds },
+        userId: user.id,
+        deletedAt: { not: null },
+      },
+      include: { splits: true },
+    });
+
+    // The audit log keeps a last snapshot of every purged transaction
+    const { count } = await db.$transaction(async (tx) => {
+      const deleted = await tx.transaction.deleteMany({
+        where: { id: { in: transactions.map((t) => t.id) }, userId: user.id },
+      });
+
+      await recordAudit(
+        tx,
+        transactions.map((transaction) => ({
+          userId: user.id,
+          actorId: user.id,
+          entityType: "TRANSACTION",
+          entityId: transaction.id,
+          action: "PURGE",
+          source: "TRASH",
+          before: getTransactionSnapshot(transaction),
+        }))
+      );
+
+      return deleted;
+    });
+
+    revalidatePath("/account/[id]/trash", "page");
+
+    return { success: true, data: { count } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// ===============================
+// GET the trash of an account (deleted transactions, newest deletion first)
+// ===============================
+export async function getDeletedTransactions(accountId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const transactions = await db.transaction.findMany({
+    where: {
+      userId: user.id,
+      deletedAt: { not: null },
+      OR: [{ accountId }, { destinationAccountId: accountId }], // Incoming transfers too
+    },
+    orderBy: { deletedAt: "desc" },
+    include: {
+      account: { select: { name: true } },
+      destinationAccount: { select: { name: true } },
+    },
+  });
+
+  return transactions.map(serializeDecimal);
+}
+
+// ===============================
+// GET the chart of an account: income / expense per day + the balance line, for one range
+// ===============================
+// range = "7D" | "1M" | "3M" | "6M" | "ALL" (ACCOUNT_CHART_RANGES)
+// The sums are worked out by the database, so only one row per day reaches the browser.
+// ✅ { success: true, data: {
+//      days: [{ date: "2025-05-31", income: 0, expense: 42.5 }],     ← days with transactions
+//      balances: [{ date: "2025-05-30", balance: 120 }, ...] } }   ← every day of the range
+export async function getAccountChartData(accountId, range = "1M") {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const account = await db.account.findUnique({
+    where: { id: accountId, userId: user.id },
+  });
+
+  if (!account) throw new Error("Account not found");
+
+  const startDate = getChartStartDate(range);
+  const [totals, history] = await Promise.all([
+    db.transaction.groupBy({
+      by: ["date", "type"],
+      where: {
+        accountId: account.id,
+        deletedAt: null, // Not the ones in the trash
+        type: { in: ["INCOME", "EXPENSE"] },
+        date: { gte: startDate, lte: endOfDay(new Date()) },
+      },
+      _sum: { amount: true },
+    }),
+    getBalanceSnapshots([account], startDate),
+  ]);
+
+  return {
+    success: true,
+    data: {
+      days: getChartDays(
+        totals.map((total) => ({
+          ...total,
+          _sum: { amount: total._sum.amount?.toNumber() ?? 0 },
+        }))
+      ),
+      balances: history[account.id],
+    },
+  };
+}
+
 // ===============================
 // Update the Default Account - Make all others non-default
 // ===============================
@@ -163,28 +613,54 @@ export async function updateDefaultAccount(accountId) {
       throw new Error("User not found");
     }
 
-    // First, unset any existing default account
-    // // Step 1: Remove default status from any existing default accounts
-    await db.account.updateMany({
+    // The accounts whose default flag changes (for the audit log)
+    const changedAccounts = await db.account.findMany({
       where: {
         userId: user.id,
-        isDefault: true,
+        OR: [{ isDefault: true, id: { not: accountId } }, { id: accountId, isDefault: false }],
       },
-      data: { isDefault: false },
     });
 
-    // Then set the new default account
-    // // Step 2: Set the selected account - (using accountId passed in prams) as the new default
-    const account = await db.account.update({
-      where: {
-        id: accountId,
-        userId: user.id,
-      },
-      data: { isDefault: true },
+    const account = await db.$transaction(async (tx) => {
+      // First, unset any existing default account
+      // // Step 1: Remove default status from any existing default accounts
+      await tx.account.updateMany({
+        where: {
+          userId: user.id,
+          isDefault: true,
+        },
+        data: { isDefault: false },
+      });
+
+      // Then set the new default account
+      // // Step 2: Set the selected account - (using accountId passed in prams) as the new default
+      const updated = await tx.account.update({
+        where: {
+          id: accountId,
+          userId: user.id,
+        },
+        data: { isDefault: true },
+      });
+
+      await recordAudit(
+        tx,
+        changedAccounts.map((changed) => ({
+          userId: user.id,
+          actorId: user.id,
+          entityType: "ACCOUNT",
+          entityId: changed.id,
+          action: "UPDATE",
+          source: "FORM",
+          before: getAccountSnapshot(changed),
+          after: getAccountSnapshot({ ...changed, isDefault: changed.id === accountId }),
+        }))
+      );
+
+      return updated;
     });
 
     revalidatePath("/dashboard");
-    return { success: true, data: serializeTransaction(account) };
+    return { success: true, data: serializeDecimal(account) };
   } catch (error) {
     return { success: false, error: error.message };
   }
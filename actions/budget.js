@@ -3,8 +3,12 @@
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
+import { OVERALL_BUDGET, getBudgetSummary, getMonthlyExpenses } from "@/lib/budget";
+import { getUserCategories } from "@/lib/categories";
+import { getBudgetSnapshot } from "@/lib/audit";
+import { recordAudit } from "@/lib/audit-log";
 
-// 📦 First function: Fetch current budget and current month's expenses
+// 📦 First function: Fetch current budgets (overall + per category) and current month's expenses
 export async function getCurrentBudget(accountId) {
   try {
     // 🧑 Fetch the user from database using their Clerk User ID.
@@ -19,59 +23,50 @@ export async function getCurrentBudget(accountId) {
       throw new Error("User not found");
     }
 
-    // 💰 Fetch the first budget record for this user.
-    const budget = await db.budget.findFirst({
+    // 💰 Fetch all budget records for this user:
+    //    category = "" → overall monthly budget
+    //    category = "groceries" → budget for that category only
+    const budgets = await db.budget.findMany({
       where: {
         userId: user.id,
       },
+      orderBy: { createdAt: "asc" },
+    });
+
+    const account = await db.account.findUnique({
+      where: { id: accountId, userId: user.id },
+      select: { currency: true },
     });
 
     // Get current month's expenses
-    // 📅 Setup start and end dates for the current month.
-    const currentDate = new Date();
-    const startOfMonth = new Date(
-        currentDate.getFullYear(),  // ➡️ year like 2025
-        currentDate.getMonth(),     // ➡️ month like April (3 because 0-based)
-        1                           // ➡️ day = 1
-    );
-    const endOfMonth = new Date(
-      currentDate.getFullYear(),
-      currentDate.getMonth() + 1,       // ➡️ next month (so end of this month)
-      0                                 // ➡️ day = 0 means last day of previous month
+    // 💱 The budgets are in the user's base currency, the expenses are in the account's currency
+    // → getMonthlyExpenses converts the expenses so both numbers can be compared.
+    // ✅ { total: 850, byCategory: { groceries: 600, dining: 250 } } (split transactions counted per line)
+    const expenses = await getMonthlyExpenses({
+      userId: user.id,
+      accountId,
+      currency: account?.currency,
+      baseCurrency: user.baseCurrency,
+    });
+
+    // 👉 Budgets next to what was spent:
+    //    overall → saved overall budget, or the sum of the category budgets if none is saved
+    //    categories → one entry per category budget with its own "spent"
+    //                 (a parent category, e.g. Food, includes its sub-categories)
+    const { overall, categories } = getBudgetSummary(
+      budgets.map((budget) => ({ ...budget, amount: budget.amount.toNumber() })), // Decimal → normal number
+      expenses,
+      await getUserCategories(user.id)
     );
 
-    // aggregate means:
-    // "Do some math (sum, average, count, etc.) on many records at once."
-    const expenses = await db.transaction.aggregate({
-      where: {
-        userId: user.id,                // 🎯 Belongs to this user
-        type: "EXPENSE",                // ➖ Only expenses
-        date: {
-          gte: startOfMonth,            // 📅 From start of month
-          lte: endOfMonth,              // 📅 Till end of month
-        },
-        accountId,
-      },
-      _sum: {
-        amount: true,                   // ➕ Sum all 'amount' fields
-      },
-    });
-    // 👉 Take all the amount values from the matching transactions
-    // (only those filtered by userId, type, date, accountId)
-    // and add them together (➕ sum them).
-
-    // 👉 It is returning ONE object
-    //     inside that object, there are two properties:
-    //     budget: (your full budget info)
-    //     currentExpenses: (your current month expenses)
-    //     ✅ So only one thing is returned —
-    //     ✅ but that thing has 2 parts inside.
     return {
-    // 👉 If budget exists, return its data with amount converted to a normal number (from BigDecimal type).
-      budget: budget ? { ...budget, amount: budget.amount.toNumber() } : null, // ✅ No adding is happening. Only changing type is happening: for budget
-      currentExpenses: expenses._sum.amount
-        ? expenses._sum.amount.toNumber()   // ✅ No adding is happening. Only changing type is happening: for expense
-        : 0,
+      budget: overall,                   // ✅ Overall budget (null if no budget at all)
+      // ✅ What the overall budget is compared with: all expenses, or only the categories with a
+      //    budget when the overall budget is their sum (no saved overall budget)
+      currentExpenses: overall?.spent ?? expenses.total,
+      categoryBudgets: categories,       // ✅ [{ id, category, amount, spent }]
+      currency: user.baseCurrency,       // 💱 All numbers above are in this currency
+      rateWarnings: expenses.rateWarnings, // ⚠️ Missing / approximate exchange rates
     };
   } catch (error) {
     console.error("Error fetching budget:", error);
@@ -79,8 +74,9 @@ export async function getCurrentBudget(accountId) {
   }
 }
 
-// 📦 Second function: Update the user's budget (or create if not exists)
-export async function updateBudget(amount) {
+// 📦 Second function: Update one of the user's budgets (or create it if it does not exist)
+// category = null → the overall budget, otherwise the budget of that category (e.g. "groceries")
+export async function updateBudget(amount, category = null) {
   try {
     const { userId } = await auth();
     if (!userId) throw new Error("Unauthorized");
@@ -91,19 +87,43 @@ export async function updateBudget(amount) {
 
     if (!user) throw new Error("User not found");
 
+    // Only the user's (not archived) expense categories can get a budget
+    if (category) {
+      const categories = await getUserCategories(user.id);
+      const isExpenseCategory = categories.some(
+        (c) => c.id === category && c.type === "EXPENSE" && !c.isArchived
+      );
+      if (!isExpenseCategory) throw new Error("Invalid category");
+    }
+
     // Update or create budget
-    // 🆙 Upsert means: Update if budget exists, otherwise Create a new budget.
-    const budget = await db.budget.upsert({
-      where: {
-        userId: user.id,
-      },
-      update: {
-        amount,
-      },
-      create: {
+    // 🆙 Upsert on the (userId, category) unique key - the overall budget is saved with
+    // category "" (not null), so two saves at the same time can't create two overall budgets.
+    const key = { userId: user.id, category: category || OVERALL_BUDGET };
+    const existingBudget = await db.budget.findUnique({
+      where: { userId_category: key },
+    });
+
+    const budget = await db.$transaction(async (tx) => {
+      const saved = await tx.budget.upsert({
+        where: { userId_category: key },
+        update: { amount },
+        create: { ...key, amount },
+      });
+
+      // 📜 Audit log: new budget, or old → new amount
+      await recordAudit(tx, {
         userId: user.id,
-        amount,
-      },
+        actorId: user.id,
+        entityType: "BUDGET",
+        entityId: saved.id,
+        action: existingBudget ? "UPDATE" : "CREATE",
+        source: "FORM",
+        before: existingBudget && getBudgetSnapshot(existingBudget),
+        after: getBudgetSnapshot(saved),
+      });
+
+      return saved;
     });
 
     // 🔄 Tell Next.js to refresh the "/dashboard" page (so new budget immediately appears without manual reload).
@@ -117,3 +137,47 @@ export async function updateBudget(amount) {
     return { success: false, error: error.message };
   }
 }
+
+// 📦 Third function: Remove a budget
+// Removing the overall budget makes it the sum of the category budgets again.
+export async function deleteBudget(id) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) throw new Error("User not found");
+
+    const budget = await db.budget.findFirst({
+      where: {
+        id,
+        userId: user.id, // A budget of another user is simply not found
+      },
+    });
+
+    if (budget) {
+      await db.$transaction(async (tx) => {
+        await tx.budget.delete({ where: { id: budget.id } });
+
+        await recordAudit(tx, {
+          userId: user.id,
+          actorId: user.id,
+          entityType: "BUDGET",
+          entityId: budget.id,
+          action: "DELETE",
+          source: "FORM",
+          before: getBudgetSnapshot(budget),
+        });
+      });
+    }
+
+    revalidatePath("/dashboard");
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting budget:", error);
+    return { success: false, error: error.message };
+  }
+}
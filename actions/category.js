@@ -0,0 +1,443 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { categorySchema } from "@/app/lib/schema";
+import { getUserCategories } from "@/lib/categories";
+import { getBudgetSnapshot } from "@/lib/audit";
+import { recordAudit } from "@/lib/audit-log";
+
+// Looks up the logged-in user in our database
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+  return user;
+}
+
+// Pages that show category names / colors
+function revalidateCategoryPages() {
+  revalidatePath("/settings/categories");
+  revalidatePath("/dashboard");
+  revalidatePath("/account/[id]", "page");
+}
+
+// Two categories of the same type can't have the same name ("Food" and "food")
+async function checkNameIsFree(userId, { name, type }, exceptId = null) {
+  const existing = await db.category.findFirst({
+    where: {
+      userId,
+      type,
+      name: { equals: name, mode: "insensitive" },
+      ...(exceptId && { NOT: { id: exceptId } }),
+    },
+  });
+
+  if (existing) throw new Error(`A category named "${existing.name}" already exists`);
+}
+
+// A sub-category needs a top-level, active parent of the same type (only one level of nesting).
+// Returns the parent id to save (null = top-level category).
+async function checkParent(userId, { parentId, type }, categoryId = null) {
+  if (!parentId) return null;
+  if (parentId === categoryId) throw new Error("A category can't be its own parent");
+
+  const parent = await db.category.findUnique({
+    where: { userId_id: { userId, id: parentId } },
+  });
+  if (!parent || parent.isArchived) throw new Error("Parent category not found");
+  if (parent.type !== type) {
+    throw new Error("A sub-category must have the same type as its parent");
+  }
+  if (parent.parentId) {
+    throw new Error(`${parent.name} is already a sub-category`);
+  }
+
+  // A category with sub-categories can't become a sub-category itself
+  if (categoryId) {
+    const children = await db.category.count({
+      where: { userId, parentId: categoryId },
+    });
+    if (children > 0) {
+      throw new Error("This category has sub-categories, so it can't have a parent");
+    }
+  }
+
+  return parent.id;
+}
+
+// 📦 All categories of the user (archived too - old transactions still show their name / color)
+export async function getCategories() {
+  const user = await getCurrentUser();
+  return getUserCategories(user.id);
+}
+
+// ➕ New category, e.g. { name: "Childcare", type: "EXPENSE", color: "#f472b6", icon: "Baby" }
+//    or a sub-category: { name: "Coffee", type: "EXPENSE", ..., parentId: "food" }
+export async function createCategory(data) {
+  try {
+    const user = await getCurrentUser();
+
+    const parsed = categorySchema.safeParse(data);
+    if (!parsed.success) throw new Error(parsed.error.errors[0].message);
+
+    await getUserCategories(user.id); // Make sure the defaults exist first
+    await checkNameIsFree(user.id, parsed.data);
+    const parentId = await checkParent(user.id, parsed.data);
+
+    const category = await db.category.create({
+      data: { ...parsed.data, parentId, userId: user.id },
+    });
+
+    revalidateCategoryPages();
+    return { success: true, data: category };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// ✏️ Change name / color / icon / parent (and the type, as long as no transaction uses the category)
+export async function updateCategory(id, data) {
+  try {
+    const user = await getCurrentUser();
+
+    const parsed = categorySchema.safeParse(data);
+    if (!parsed.success) throw new Error(parsed.error.errors[0].message);
+
+    const category = await db.category.findUnique({
+      where: { userId_id: { userId: user.id, id } },
+    });
+    if (!category) throw new Error("Category not found");
+    if (category.type === "TRANSFER") {
+      throw new Error("The transfer category can't be changed");
+    }
+
+    // An income category with expenses in it would mix up the totals
+    if (parsed.data.type !== category.type) {
+      const usedBy = await db.transaction.count({
+        where: {
+          userId: user.id,
+          OR: [{ category: id }, { splits: { some: { category: id } } }],
+        },
+      });
+      if (usedBy > 0) {
+        throw new Error(
+          `The type can't be changed - ${usedBy} transactions use this category`
+        );
+      }
+    }
+
+    await checkNameIsFree(user.id, parsed.data, id);
+    const parentId = await checkParent(user.id, parsed.data, id);
+
+    // Sub-categories always have their parent's type
+    if (parsed.data.type !== category.type) {
+      const children = await db.category.count({
+        where: { userId: user.id, parentId: id },
+      });
+      if (children > 0) {
+        throw new Error("The type can't be changed - this category has sub-categories");
+      }
+    }
+
+    const updated = await db.category.update({
+      where: { userId_id: { userId: user.id, id } },
+      data: { ...parsed.data, parentId },
+    });
+
+    revalidateCategoryPages();
+    return { success: true, data: updated };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// 🗄️ Archive (hide from pickers, keep on old transactions) or restore a category
+// Archiving a parent archives its sub-categories too.
+export async function setCategoryArchived(id, isArchived) {
+  try {
+    const user = await getCurrentUser();
+
+    const category = await db.category.findUnique({
+      where: { userId_id: { userId: user.id, id } },
+    });
+    if (!category) throw new Error("Category not found");
+    if (category.type === "TRANSFER") {
+      throw new Error("The transfer category can't be archived");
+    }
+
+    // A sub-category can only come back when its parent is active
+    if (!isArchived && category.parentId) {
+      const parent = await db.category.findUnique({
+        where: { userId_id: { userId: user.id, id: category.parentId } },
+      });
+      if (parent?.isArchived) {
+        throw new Error(`Restore ${parent.name} first`);
+      }
+    }
+
+    const updated = await db.$transaction(async (tx) => {
+      if (isArchived) {
+        await tx.category.updateMany({
+          where: { userId: user.id, parentId: id },
+          data: { isArchived: true },
+        });
+      }
+
+      return tx.category.update({
+        where: { userId_id: { userId: user.id, id } },
+        data: { isArchived },
+      });
+    });
+
+    revalidateCategoryPages();
+    return { success: true, data: updated };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Category ids used by the user's transactions / splits / budgets that are not one of their categories
+// (e.g. history from before categories were per user). Shown in settings so they can be merged away.
+// ✅ [{ id: "personal", type: "EXPENSE", transactionCount: 12 }]
+export async function getOrphanedCategories() {
+  const user = await getCurrentUser();
+  const categories = await getUserCategories(user.id);
+  const knownIds = categories.map((category) => category.id);
+
+  const [transactionGroups, splitGroups] = await Promise.all([
+    db.transaction.groupBy({
+      by: ["category", "type"],
+      where: { userId: user.id, category: { notIn: knownIds } },
+      _count: true,
+    }),
+    db.transactionSplit.groupBy({
+      by: ["category"],
+      where: { transaction: { userId: user.id }, category: { notIn: knownIds } },
+      _count: true,
+    }),
+  ]);
+
+  const orphans = {};
+  for (const group of transactionGroups) {
+    orphans[group.category] ??= { id: group.category, type: group.type, transactionCount: 0 };
+    orphans[group.category].transactionCount += group._count;
+  }
+  for (const group of splitGroups) {
+    // Split lines only exist on income / expense transactions
+    orphans[group.category] ??= { id: group.category, type: "EXPENSE", transactionCount: 0 };
+    orphans[group.category].transactionCount += group._count;
+  }
+
+  return Object.values(orphans);
+}
+
+// Checks a merge of sourceId into targetId and counts what it would change.
+// The source can be one of the user's categories or an orphaned id (see getOrphanedCategories).
+async function getMergePlan(userId, sourceId, targetId) {
+  if (!sourceId || !targetId) throw new Error("Pick the categories to merge");
+  if (sourceId === targetId) throw new Error("Pick two different categories");
+
+  const categories = await getUserCategories(userId);
+  const source = categories.find((category) => category.id === sourceId);
+  const target = categories.find((category) => category.id === targetId);
+
+  if (!target || target.isArchived) throw new Error("Target category not found");
+  if (target.type === "TRANSFER" || source?.type === "TRANSFER") {
+    throw new Error("The transfer category can't be merged");
+  }
+  // History is assigned to leaf categories only
+  if (categories.some((c) => c.parentId === targetId && !c.isArchived)) {
+    throw new Error(`${target.name} has sub-categories - merge into one of them`);
+  }
+  if (source && categories.some((c) => c.parentId === sourceId)) {
+    throw new Error(`${source.name} has sub-categories - merge or move them first`);
+  }
+  if (source && source.type !== target.type) {
+    throw new Error("Only categories of the same type can be merged");
+  }
+
+  const [
+    transactions,
+    mismatchedTransactions,
+    splits,
+    rules,
+    recurringSeries,
+    sourceBudget,
+    targetBudget,
+  ] = await Promise.all([
+    db.transaction.count({ where: { userId, category: sourceId } }),
+    db.transaction.count({
+      where: { userId, category: sourceId, type: { not: target.type } },
+    }),
+    db.transactionSplit.count({
+      where: { transaction: { userId }, category: sourceId },
+    }),
+    db.transactionRule.count({ where: { userId, category: sourceId } }),
+    db.transaction.count({ where: { userId, recurringCategory: sourceId } }),
+    db.budget.findFirst({ where: { userId, category: sourceId } }),
+    db.budget.findFirst({ where: { userId, category: targetId } }),
+  ]);
+
+  // An orphaned id can be on income and expense transactions at the same time
+  if (mismatchedTransactions > 0) {
+    throw new Error(
+      `${mismatchedTransactions} transactions with this category are not of type ${target.type.toLowerCase()}`
+    );
+  }
+
+  return {
+    source: source ?? { id: sourceId, name: sourceId },
+    target,
+    sourceBudget,
+    targetBudget,
+    counts: {
+      transactions, // Transactions whose category changes
+      splits,       // Split lines whose category changes
+      rules,        // Auto-categorization rules that set the source category
+      recurringSeries, // Recurring series whose future occurrences use the source category
+      budgets: sourceBudget ? 1 : 0, // Budget moved to the target (or added to its budget)
+    },
+  };
+}
+
+// 👀 Preview of a merge, before anything is changed
+// ✅ { sourceName: "Dining Out", targetName: "Dining", counts: { transactions: 42, splits: 3, rules: 2, recurringSeries: 1, budgets: 1 }, combinesBudgets: true }
+export async function previewCategoryMerge(sourceId, targetId) {
+  try {
+    const user = await getCurrentUser();
+    const plan = await getMergePlan(user.id, sourceId, targetId);
+
+    return {
+      success: true,
+      data: {
+        sourceName: plan.source.name,
+        targetName: plan.target.name,
+        counts: plan.counts,
+        combinesBudgets: !!(plan.sourceBudget && plan.targetBudget), // Both have a budget → amounts are added up
+      },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// 🔀 Merge one category into another: every transaction, split line, rule and budget of the
+// source moves to the target in one database transaction, then the source category is removed.
+// (Renaming is just updateCategory - transactions store the id, so their history follows the new name.)
+export async function mergeCategories(sourceId, targetId) {
+  try {
+    const user = await getCurrentUser();
+    const plan = await getMergePlan(user.id, sourceId, targetId);
+
+    // Transactions that move to the target (for the audit log, trash included like the update)
+    const movedTransactions = await db.transaction.findMany({
+      where: { userId: user.id, category: sourceId },
+      select: { id: true },
+    });
+    // Recurring series whose future occurrences move to the target
+    const movedSeries = await db.transaction.findMany({
+      where: { userId: user.id, recurringCategory: sourceId },
+      select: { id: true },
+    });
+
+    await db.$transaction(async (tx) => {
+      await tx.transaction.updateMany({
+        where: { userId: user.id, category: sourceId },
+        data: { category: targetId },
+      });
+
+      await tx.transactionSplit.updateMany({
+        where: { transaction: { userId: user.id }, category: sourceId },
+        data: { category: targetId },
+      });
+
+      await tx.transactionRule.updateMany({
+        where: { userId: user.id, category: sourceId },
+        data: { category: targetId },
+      });
+
+      // "Future occurrences only" category of recurring series
+      await tx.transaction.updateMany({
+        where: { userId: user.id, recurringCategory: sourceId },
+        data: { recurringCategory: targetId },
+      });
+
+      // Budgets: one per category → add the source budget to the target's, or move it over
+      const auditEntries = [];
+      const budgetEntry = (budget, action, after) => ({
+        userId: user.id,
+        actorId: user.id,
+        entityType: "BUDGET",
+        entityId: budget.id,
+        action,
+        source: "CATEGORY_MERGE",
+        before: getBudgetSnapshot(budget),
+        after: after && getBudgetSnapshot(after),
+      });
+
+      if (plan.sourceBudget && plan.targetBudget) {
+        const combined = await tx.budget.update({
+          where: { id: plan.targetBudget.id },
+          data: { amount: { increment: plan.sourceBudget.amount } },
+        });
+        await tx.budget.delete({ where: { id: plan.sourceBudget.id } });
+        auditEntries.push(
+          budgetEntry(plan.targetBudget, "UPDATE", combined),
+          budgetEntry(plan.sourceBudget, "DELETE")
+        );
+      } else if (plan.sourceBudget) {
+        const moved = await tx.budget.update({
+          where: { id: plan.sourceBudget.id },
+          data: { category: targetId },
+        });
+        auditEntries.push(budgetEntry(plan.sourceBudget, "UPDATE", moved));
+      }
+
+      // 📜 Audit log: the main / future category of every moved transaction + the budgets
+      // (moved split lines are not logged one by one)
+      await recordAudit(tx, [
+        ...movedTransactions.map((transaction) => ({
+          userId: user.id,
+          actorId: user.id,
+          entityType: "TRANSACTION",
+          entityId: transaction.id,
+          action: "UPDATE",
+          source: "CATEGORY_MERGE",
+          before: { category: sourceId },
+          after: { category: targetId },
+        })),
+        ...movedSeries.map((series) => ({
+          userId: user.id,
+          actorId: user.id,
+          entityType: "TRANSACTION",
+          entityId: series.id,
+          action: "UPDATE",
+          source: "CATEGORY_MERGE",
+          before: { futureCategory: sourceId },
+          after: { futureCategory: targetId },
+        })),
+        ...auditEntries,
+      ]);
+
+      // The source is now empty (orphaned ids have no category row)
+      await tx.category.deleteMany({
+        where: { userId: user.id, id: sourceId },
+      });
+    });
+
+    revalidateCategoryPages();
+    return {
+      success: true,
+      data: { ...plan.counts, targetName: plan.target.name },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
@@ -0,0 +1,28 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { currencyCodes } from "@/data/currencies";
+
+// 💱 Changes the currency that totals (dashboard, budget, reports) are shown in
+export async function updateBaseCurrency(currency) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    if (!currencyCodes.includes(currency)) {
+      throw new Error("Invalid currency");
+    }
+
+    const user = await db.user.update({
+      where: { clerkUserId: userId },
+      data: { baseCurrency: currency },
+    });
+
+    revalidatePath("/dashboard");
+    return { success: true, data: { baseCurrency: user.baseCurrency } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
@@ -7,6 +7,15 @@ import { request } from "@arcjet/next";
 // Clerk's auth utility to get the currently authenticated user's ID
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
+import { getNetWorthTotals } from "@/lib/balance";
+import { accountTypeIds } from "@/data/account-types";
+import { currencyCodes } from "@/data/currencies";
+import { convertAmount, getRateWarnings } from "@/lib/currency";
+import { getRateMap } from "@/lib/exchange-rates";
+import { getAccountSnapshot } from "@/lib/audit";
+import { recordAudit } from "@/lib/audit-log";
+import { getBalanceSnapshots } from "@/lib/balance-snapshots";
+import { getHistoryDates, getNetWorthSeries } from "@/lib/balance-history";
 
 /**
  * Converts BigInt fields like balance and amount to JavaScript numbers,
@@ -20,6 +29,15 @@ const serializeTransaction = (obj) => {
   if (obj.amount) {
     serialized.amount = obj.amount.toNumber(); // Convert amount BigInt to number
   }
+  if (obj.destinationAmount) {
+    serialized.destinationAmount = obj.destinationAmount.toNumber(); // Only for transfers between different currencies
+  }
+  if (obj.recurringAmount) {
+    serialized.recurringAmount = obj.recurringAmount.toNumber(); // New amount for future occurrences of a series
+  }
+  if (obj.splits) {
+    serialized.splits = obj.splits.map(serializeTransaction); // Category lines of a split transaction
+  }
   return serialized;
 };
 
@@ -44,7 +62,7 @@ export async function getUserAccounts() {
       include: {
         _count: {
           select: {
-            transactions: true, // Include the count of transactions in each account
+            transactions: { where: { deletedAt: null } }, // Include the count of transactions in each account (not the trash)
           },
         },
       },
@@ -106,6 +124,17 @@ export async function createAccount(data) {
       throw new Error("Invalid balance amount"); // If invalid number, throw error
     }
 
+    // Only allow known currencies (USD, EUR, PKR...)
+    if (data.currency && !currencyCodes.includes(data.currency)) {
+      throw new Error("Invalid currency");
+    }
+
+    // Only allow known account types (CURRENT, SAVINGS, CASH, INVESTMENT, CREDIT_CARD, LOAN)
+    // For CREDIT_CARD / LOAN the balance is the amount currently owed
+    if (!accountTypeIds.includes(data.type)) {
+      throw new Error("Invalid account type");
+    }
+
     // Check if this is the user's first account
     const existingAccounts = await db.account.findMany({
       where: { userId: user.id },
@@ -114,22 +143,54 @@ export async function createAccount(data) {
     // Set default to true if it's the user's first account
     const shouldBeDefault = existingAccounts.length === 0 ? true : data.isDefault;
 
-    // If this account is default, unset the current default account
-    if (shouldBeDefault) {
-      await db.account.updateMany({
-        where: { userId: user.id, isDefault: true },
-        data: { isDefault: false }, // Set all others to false
+    // The current default account loses its flag if the new one becomes default
+    const previousDefault = shouldBeDefault
+      ? existingAccounts.find((existing) => existing.isDefault)
+      : null;
+
+    const account = await db.$transaction(async (tx) => {
+      // If this account is default, unset the current default account
+      if (previousDefault) {
+        await tx.account.updateMany({
+          where: { userId: user.id, isDefault: true },
+          data: { isDefault: false }, // Set all others to false
+        });
+      }
+
+      // Create the new account
+      const created = await tx.account.create({
+        data: {
+          ...data,
+          balance: balanceFloat, // Set parsed balance
+          userId: user.id,       // Link account to user
+          isDefault: shouldBeDefault, // Set default flag
+        },
       });
-    }
 
-    // Create the new account
-    const account = await db.account.create({
-      data: {
-        ...data,
-        balance: balanceFloat, // Set parsed balance
-        userId: user.id,       // Link account to user
-        isDefault: shouldBeDefault, // Set default flag
-      },
+      // 📜 Audit log: the new account (+ the old default account that was unset)
+      await recordAudit(tx, [
+        {
+          userId: user.id,
+          actorId: user.id,
+          entityType: "ACCOUNT",
+          entityId: created.id,
+          action: "CREATE",
+          source: "FORM",
+          after: getAccountSnapshot(created),
+        },
+        previousDefault && {
+          userId: user.id,
+          actorId: user.id,
+          entityType: "ACCOUNT",
+          entityId: previousDefault.id,
+          action: "UPDATE",
+          source: "FORM",
+          before: getAccountSnapshot(previousDefault),
+          after: getAccountSnapshot({ ...previousDefault, isDefault: false }),
+        },
+      ]);
+
+      return created;
     });
 
     const serializedAccount = serializeTransaction(account); // Convert BigInt to number
@@ -143,7 +204,10 @@ export async function createAccount(data) {
 }
 
 /**
- * Gets all transactions for the authenticated user to display on the dashboard.
+ * Gets all transactions for the authenticated user to display on the dashboard,
+ * plus assets vs liabilities totals (credit card / loan balances count as debt, not money).
+ * Totals are converted into the user's base currency; each transaction keeps its
+ * native amount and also gets a baseAmount (converted) for charts.
  */
 export async function getDashboardData() {
   const { userId } = await auth(); // Get current user's ID
@@ -159,9 +223,93 @@ export async function getDashboardData() {
 
   // Get all transactions for this user, newest first
   const transactions = await db.transaction.findMany({
-    where: { userId: user.id },
+    where: { userId: user.id, deletedAt: null },
     orderBy: { date: "desc" },
+    include: {
+      account: { select: { currency: true } }, // Currency the amount is in
+      splits: true, // Category lines, so the expense chart counts each category separately
+    },
+  });
+
+  // Get all accounts so we can split balances into assets and liabilities
+  const accounts = await db.account.findMany({
+    where: { userId: user.id },
   });
 
-  return transactions.map(serializeTransaction); // Return all transactions with BigInt converted
+  // Latest exchange rates, e.g. { "EUR:USD": 1.08 }
+  const rateMap = await getRateMap();
+  const toBase = (amount, currency) =>
+    convertAmount(amount, currency, user.baseCurrency, rateMap);
+
+  const data = {
+    baseCurrency: user.baseCurrency,
+    // All transactions with BigInt converted (+ amount in base currency)
+    transactions: transactions.map((transaction) => {
+      const { account, ...serialized } = serializeTransaction(transaction);
+      return {
+        ...serialized,
+        currency: account.currency,
+        baseAmount: toBase(serialized.amount, account.currency),
+        splits: serialized.splits.map((split) => ({
+          ...split,
+          baseAmount: toBase(split.amount, account.currency),
+        })),
+      };
+    }),
+    // { assets, liabilities, netWorth } in the base currency
+    totals: getNetWorthTotals(
+      accounts.map(serializeTransaction).map((account) => ({
+        ...account,
+        balance: toBase(account.balance, account.currency),
+      }))
+    ),
+  };
+
+  // ⚠️ Rates that were missing or approximate while converting the above
+  return { ...data, rateWarnings: getRateWarnings(rateMap) };
+}
+
+/**
+ * Net worth over time for the dashboard chart: assets, liabilities and net worth
+ * on each date of the period ("3M" daily, "1Y" weekly, "ALL" monthly), from the
+ * daily balance snapshots. Everything is converted into the base currency with
+ * today's exchange rates, so the line only moves when balances move.
+ */
+export async function getNetWorthHistory(period = "1Y") {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const accounts = await db.account.findMany({
+    where: { userId: user.id },
+  });
+
+  // { [accountId]: [{ date, balance }] } - today's point is the live balance
+  const history = await getBalanceSnapshots(accounts);
+
+  // "ALL" starts at the oldest snapshot of any account
+  const firstDay = Object.values(history)
+    .map((balances) => balances[0]?.date)
+    .filter(Boolean)
+    .sort()[0];
+
+  const rateMap = await getRateMap();
+  const series = getNetWorthSeries(
+    getHistoryDates(period, firstDay && new Date(`${firstDay}T00:00:00`)),
+    accounts.map((account) => ({
+      type: account.type,
+      currency: account.currency,
+      balances: history[account.id],
+    })),
+    (amount, currency) => convertAmount(amount, currency, user.baseCurrency, rateMap)
+  );
+
+  return { success: true, data: series };
 }
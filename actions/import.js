@@ -0,0 +1,214 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { getBalanceChange } from "@/lib/balance";
+import { getDuplicateKey } from "@/lib/import";
+import { getUserCategories } from "@/lib/categories";
+import { getLeafCategories } from "@/lib/category-tree";
+import { normalizeTags } from "@/lib/tags";
+import { getTransactionSnapshot } from "@/lib/audit";
+import { recordAudit } from "@/lib/audit-log";
+
+// 📥 Bank statement import (CSV and OFX / QFX).
+// The file is read and mapped in the browser (lib/import.js, lib/ofx.js); these actions only
+// check for duplicates and save the rows the user chose to import.
+
+// Which imported rows are probably already in the account?
+// rows = [{ date, type, amount, externalId? }] → [true, false, ...] (true = likely duplicate)
+// Rows with an externalId (OFX FITID) are duplicates only if that id was imported before.
+// Other rows are matched on day + type + amount:
+// two identical coffees on the same day in the file only match two existing coffees, not one.
+export async function findDuplicateTransactions(accountId, rows) {
+  try {
+    const { account } = await getUserAccount(accountId);
+
+    // Nothing to compare (Math.min() of no dates would be Infinity)
+    if (!rows?.length) return { success: true, data: [] };
+
+    const dates = rows.map((row) => new Date(row.date));
+    const startDate = new Date(Math.min(...dates));
+    const endDate = new Date(Math.max(...dates));
+    startDate.setHours(0, 0, 0, 0);
+    endDate.setHours(23, 59, 59, 999);
+
+    // Existing transactions in the same date range
+    const existing = await db.transaction.findMany({
+      where: {
+        accountId: account.id,
+        date: { gte: startDate, lte: endDate },
+        deletedAt: null, // Transactions in the trash don't count as already there
+      },
+      select: { date: true, type: true, amount: true },
+    });
+
+    // How many existing transactions share each key, e.g. { "2025-05-31:EXPENSE:450": 2 }
+    const existingCounts = existing.reduce((counts, transaction) => {
+      const key = getDuplicateKey(transaction);
+      counts[key] = (counts[key] || 0) + 1;
+      return counts;
+    }, {});
+
+    // Bank ids that are already in this account
+    const importedIds = await getImportedIds(
+      account.id,
+      rows.map((row) => row.externalId)
+    );
+
+    const duplicates = rows.map((row) => {
+      if (row.externalId) return importedIds.has(row.externalId);
+
+      const key = getDuplicateKey(row);
+      if (!existingCounts[key]) return false;
+      existingCounts[key] -= 1; // each existing transaction matches one row only
+      return true;
+    });
+
+    return { success: true, data: duplicates };
+  } catch (error) {
+    console.error("Error checking duplicates:", error);
+    throw new Error(error.message);
+  }
+}
+
+// Saves imported rows as transactions of one account.
+// rows = [{ row?, date, description, amount, type, category, tags?, externalId? }] (amount always positive)
+// row = the row number shown in the preview, used in error messages
+// Rows whose externalId (OFX FITID) was imported before are skipped.
+// All rows are created together and the account balance is updated once with the total.
+export async function importTransactions(accountId, rows) {
+  try {
+    const { user, account } = await getUserAccount(accountId);
+
+    if (!rows?.length) throw new Error("No transactions to import");
+
+    // Skip bank transactions that were already imported into this account
+    const importedIds = await getImportedIds(
+      account.id,
+      rows.map((row) => row.externalId)
+    );
+    const newRows = rows.filter((row, index) => {
+      if (!row.externalId) return true;
+      if (importedIds.has(row.externalId)) return false;
+      // The same FITID twice in one file → import it once
+      return rows.findIndex((other) => other.externalId === row.externalId) === index;
+    });
+
+    // Rows are assigned to active leaf categories of their own type (like in the form)
+    const categories = getLeafCategories(await getUserCategories(user.id)).filter(
+      (category) => !category.isArchived
+    );
+
+    const transactions = newRows.map((row, index) => {
+      const amount = Number(row.amount);
+      const date = new Date(row.date);
+      // Same number as in the preview (newRows can skip rows, so not index + 1)
+      const rowNumber = row.row ?? index + 1;
+
+      if (isNaN(date.getTime()) || !(amount > 0)) {
+        throw new Error(`Invalid date or amount in row ${rowNumber}`);
+      }
+      if (!["INCOME", "EXPENSE"].includes(row.type) || !row.category) {
+        throw new Error(`Invalid type or category in row ${rowNumber}`);
+      }
+      if (!categories.some((c) => c.id === row.category && c.type === row.type)) {
+        throw new Error(`Invalid category in row ${rowNumber}`);
+      }
+
+      return {
+        type: row.type,
+        amount,
+        description: row.description || null,
+        date,
+        category: row.category,
+        tags: normalizeTags(row.tags), // Added by a matching rule
+        userId: user.id,
+        accountId: account.id,
+        externalId: row.externalId || null,
+      };
+    });
+
+    // One balance change for the whole import
+    // (getBalanceChange flips the sign for credit cards / loans)
+    const balanceChange = transactions.reduce(
+      (total, transaction) =>
+        total + getBalanceChange(account.type, transaction.type, transaction.amount),
+      0
+    );
+
+    const result = await db.$transaction(async (tx) => {
+      // createManyAndReturn → the new ids, for the audit log
+      const created = await tx.transaction.createManyAndReturn({ data: transactions });
+
+      await tx.account.update({
+        where: { id: account.id },
+        data: { balance: { increment: balanceChange } },
+      });
+
+      await recordAudit(
+        tx,
+        created.map((transaction) => ({
+          userId: user.id,
+          actorId: user.id,
+          entityType: "TRANSACTION",
+          entityId: transaction.id,
+          action: "CREATE",
+          source: "IMPORT",
+          after: getTransactionSnapshot(transaction),
+        }))
+      );
+
+      return created;
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath(`/account/${account.id}`);
+
+    return {
+      success: true,
+      data: { count: result.length, skipped: rows.length - newRows.length },
+    };
+  } catch (error) {
+    console.error("Error importing transactions:", error);
+    throw new Error(error.message);
+  }
+}
+
+// Which of these bank ids (OFX FITIDs) are already saved in the account → Set of ids
+// Transactions in the trash count too (the bank id can only be saved once) - restore them instead.
+async function getImportedIds(accountId, externalIds) {
+  const ids = externalIds.filter(Boolean);
+  if (ids.length === 0) return new Set();
+
+  const imported = await db.transaction.findMany({
+    where: {
+      accountId,
+      externalId: { in: ids },
+    },
+    select: { externalId: true },
+  });
+
+  return new Set(imported.map((transaction) => transaction.externalId));
+}
+
+// Logged-in user + one of their accounts (throws if the account belongs to someone else)
+async function getUserAccount(accountId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const account = await db.account.findUnique({
+    where: {
+      id: accountId,
+      userId: user.id,
+    },
+  });
+  if (!account) throw new Error("Account not found");
+
+  return { user, account };
+}
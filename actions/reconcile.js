@@ -0,0 +1,318 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { endOfDay } from "date-fns";
+import { reconcileSchema } from "@/app/lib/schema";
+import { getClearedBalance, getReconcileDifference } from "@/lib/reconcile";
+
+// 🏦 Reconciliation: check an account against a bank statement.
+// 1. startReconciliation - the user enters the statement's end date and closing balance
+// 2. setTransactionsCleared - ticks off the transactions that are on the statement
+// 3. completeReconciliation - once the difference is 0; the ticked transactions are then locked
+// Sessions are kept, so past reconciliations can be reviewed (getReconciliations).
+
+// Looks up the logged-in user in our database
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+  return user;
+}
+
+// One of the user's reconciliations (+ its account)
+async function getUserReconciliation(userId, id) {
+  const reconciliation = await db.reconciliation.findUnique({
+    where: { id, userId },
+    include: { account: true },
+  });
+
+  if (!reconciliation) throw new Error("Reconciliation not found");
+  return reconciliation;
+}
+
+// Transactions of an account + transfers from other accounts INTO it (not the ones in the trash)
+const accountTransactions = (userId, accountId) => ({
+  userId,
+  deletedAt: null,
+  OR: [{ accountId }, { destinationAccountId: accountId }],
+});
+
+// Decimal → number for the amounts getBalanceChanges needs
+const toNumbers = (transaction) => ({
+  ...transaction,
+  amount: transaction.amount.toNumber(),
+  destinationAmount: transaction.destinationAmount?.toNumber() ?? null,
+  recurringAmount: transaction.recurringAmount?.toNumber() ?? null,
+});
+
+// Numbers shown while reconciling
+// ✅ { id, statementDate, statementBalance: 1200, clearedBalance: 1150, difference: 50, clearedCount: 12, ... }
+async function getSummary(reconciliation) {
+  const { account } = reconciliation;
+
+  const [uncleared, clearedCount] = await Promise.all([
+    // Not ticked off in this session and not reconciled in an earlier one
+    db.transaction.findMany({
+      where: {
+        ...accountTransactions(account.userId, account.id),
+        reconciliations: { none: { accountId: account.id } },
+      },
+      include: { account: true, destinationAccount: true },
+    }),
+    db.transaction.count({
+      where: { deletedAt: null, reconciliations: { some: { id: reconciliation.id } } },
+    }),
+  ]);
+
+  const statementBalance = reconciliation.statementBalance.toNumber();
+  const clearedBalance = getClearedBalance(
+    account.balance.toNumber(),
+    uncleared.map(toNumbers),
+    account.id
+  );
+
+  return {
+    id: reconciliation.id,
+    accountId: account.id,
+    status: reconciliation.status,
+    statementDate: reconciliation.statementDate,
+    statementBalance,
+    clearedBalance,
+    difference: getReconcileDifference(statementBalance, clearedBalance),
+    clearedCount,
+  };
+}
+
+function revalidateReconcilePages(accountId) {
+  revalidatePath(`/account/${accountId}`);
+  revalidatePath(`/account/${accountId}/reconciliations`);
+}
+
+// 🔎 The reconciliation the user is working on for an account (null if none)
+export async function getActiveReconciliation(accountId) {
+  const user = await getCurrentUser();
+
+  const reconciliation = await db.reconciliation.findFirst({
+    where: { accountId, userId: user.id, status: "IN_PROGRESS" },
+    include: { account: true },
+  });
+
+  return reconciliation ? getSummary(reconciliation) : null;
+}
+
+// ▶️ Start reconciling an account, e.g. { statementDate: 2025-05-31, statementBalance: "1250.40" }
+// One session per account at a time, and statements are reconciled in date order.
+export async function startReconciliation(accountId, data) {
+  try {
+    const user = await getCurrentUser();
+
+    const parsed = reconcileSchema.safeParse(data);
+    if (!parsed.success) throw new Error(parsed.error.errors[0].message);
+
+    const account = await db.account.findUnique({
+      where: { id: accountId, userId: user.id },
+    });
+    if (!account) throw new Error("Account not found");
+
+    const [active, lastCompleted] = await Promise.all([
+      db.reconciliation.findFirst({
+        where: { accountId, status: "IN_PROGRESS" },
+      }),
+      db.reconciliation.findFirst({
+        where: { accountId, status: "COMPLETED" },
+        orderBy: { statementDate: "desc" },
+      }),
+    ]);
+
+    if (active) throw new Error("Finish or cancel the current reconciliation first");
+    if (lastCompleted && parsed.data.statementDate <= lastCompleted.statementDate) {
+      throw new Error("This statement ends before the last reconciled one");
+    }
+
+    const reconciliation = await db.reconciliation.create({
+      data: {
+        statementDate: parsed.data.statementDate,
+        statementBalance: Number(parsed.data.statementBalance),
+        accountId,
+        userId: user.id,
+      },
+    });
+
+    revalidateReconcilePages(accountId);
+    return { success: true, data: { id: reconciliation.id } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// ☑️ Tick off (cleared = true) or un-tick transactions in a reconciliation in progress.
+// Only transactions of the account up to the statement date that weren't reconciled before.
+// ✅ { success: true, data: { clearedBalance, difference, ... } } - the new running difference
+export async function setTransactionsCleared(reconciliationId, transactionIds, cleared) {
+  try {
+    const user = await getCurrentUser();
+    const reconciliation = await getUserReconciliation(user.id, reconciliationId);
+
+    if (reconciliation.status !== "IN_PROGRESS") {
+      throw new Error("This reconciliation is already completed");
+    }
+
+    const transactions = await db.transaction.findMany({
+      where: {
+        ...accountTransactions(user.id, reconciliation.accountId),
+        id: { in: transactionIds },
+        date: { lte: endOfDay(reconciliation.statementDate) },
+        reconciliations: {
+          none: { accountId: reconciliation.accountId, status: "COMPLETED" },
+        },
+      },
+      select: { id: true },
+    });
+
+    await db.reconciliation.update({
+      where: { id: reconciliation.id },
+      data: {
+        transactions: cleared
+          ? { connect: transactions }
+          : { disconnect: transactions },
+      },
+    });
+
+    revalidateReconcilePages(reconciliation.accountId);
+    return { success: true, data: await getSummary(reconciliation) };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// ✅ Finish: only when the cleared balance matches the statement.
+// From now on the cleared transactions are locked (see RECONCILED_LOCKED_FIELDS).
+export async function completeReconciliation(reconciliationId) {
+  try {
+    const user = await getCurrentUser();
+    const reconciliation = await getUserReconciliation(user.id, reconciliationId);
+
+    if (reconciliation.status !== "IN_PROGRESS") {
+      throw new Error("This reconciliation is already completed");
+    }
+
+    const { difference, clearedCount } = await getSummary(reconciliation);
+    if (difference !== 0) {
+      throw new Error("The cleared balance doesn't match the statement yet");
+    }
+
+    await db.reconciliation.update({
+      where: { id: reconciliation.id },
+      data: { status: "COMPLETED", completedAt: new Date() },
+    });
+
+    revalidateReconcilePages(reconciliation.accountId);
+    revalidatePath("/transaction/create");
+    return { success: true, data: { count: clearedCount } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// ❌ Cancel a reconciliation in progress (the ticks are thrown away, nothing else changes)
+export async function cancelReconciliation(reconciliationId) {
+  try {
+    const user = await getCurrentUser();
+    const reconciliation = await getUserReconciliation(user.id, reconciliationId);
+
+    if (reconciliation.status !== "IN_PROGRESS") {
+      throw new Error("A completed reconciliation can't be cancelled - reopen it instead");
+    }
+
+    await db.reconciliation.delete({ where: { id: reconciliation.id } });
+
+    revalidateReconcilePages(reconciliation.accountId);
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// 🔓 Reopen the LAST completed reconciliation of an account, e.g. to fix a wrong amount.
+// Its transactions are unlocked until it is completed again.
+export async function reopenReconciliation(reconciliationId) {
+  try {
+    const user = await getCurrentUser();
+    const reconciliation = await getUserReconciliation(user.id, reconciliationId);
+
+    const [active, last] = await Promise.all([
+      db.reconciliation.findFirst({
+        where: { accountId: reconciliation.accountId, status: "IN_PROGRESS" },
+      }),
+      db.reconciliation.findFirst({
+        where: { accountId: reconciliation.accountId, status: "COMPLETED" },
+        orderBy: { statementDate: "desc" },
+      }),
+    ]);
+
+    if (active) throw new Error("Finish or cancel the current reconciliation first");
+    if (last?.id !== reconciliation.id) {
+      throw new Error("Only the last reconciliation can be reopened");
+    }
+
+    await db.reconciliation.update({
+      where: { id: reconciliation.id },
+      data: { status: "IN_PROGRESS", completedAt: null },
+    });
+
+    revalidateReconcilePages(reconciliation.accountId);
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// 📜 Past (and current) reconciliations of an account, newest statement first
+// ✅ [{ id, statementDate, statementBalance, status, completedAt, transactionCount }]
+export async function getReconciliations(accountId) {
+  const user = await getCurrentUser();
+
+  const reconciliations = await db.reconciliation.findMany({
+    where: { accountId, userId: user.id },
+    orderBy: { statementDate: "desc" },
+    include: { _count: { select: { transactions: true } } },
+  });
+
+  return reconciliations.map(({ _count, ...reconciliation }) => ({
+    ...reconciliation,
+    statementBalance: reconciliation.statementBalance.toNumber(),
+    transactionCount: _count.transactions,
+  }));
+}
+
+// 🔎 One reconciliation with the transactions that were ticked off (for review)
+export async function getReconciliation(reconciliationId) {
+  const user = await getCurrentUser();
+  const reconciliation = await db.reconciliation.findUnique({
+    where: { id: reconciliationId, userId: user.id },
+    include: {
+      transactions: {
+        orderBy: { date: "asc" },
+        include: {
+          account: { select: { id: true, name: true, type: true } },
+          destinationAccount: { select: { id: true, name: true, type: true } },
+        },
+      },
+    },
+  });
+
+  if (!reconciliation) return null;
+
+  return {
+    ...reconciliation,
+    statementBalance: reconciliation.statementBalance.toNumber(),
+    transactions: reconciliation.transactions.map(toNumbers),
+  };
+}
@@ -0,0 +1,317 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { addDays, differenceInCalendarDays, endOfDay, startOfDay } from "date-fns";
+import { getSeriesSummaries, getUpcomingOccurrences, projectUpcoming } from "@/lib/upcoming";
+import {
+  calculateNextRecurringDate,
+  findOccurrence,
+  getOccurrenceValues,
+  getRecurrenceRule,
+  isOccurrenceSkipped,
+} from "@/lib/recurrence";
+import { getBalanceChanges } from "@/lib/balance";
+import { getTransactionSnapshot } from "@/lib/audit";
+import { recordAudit } from "@/lib/audit-log";
+import { recurringSeriesSchema } from "@/app/lib/schema";
+import { getUserCategories } from "@/lib/categories";
+import { getLeafCategories } from "@/lib/category-tree";
+
+// 🔁 Recurring series: what is coming up next (Upcoming page + dashboard widget),
+// and pausing / skipping / changing the future occurrences of a series.
+
+// Looks up the logged-in user in our database
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+  return user;
+}
+
+// Decimal → number
+const toNumbers = (transaction) => ({
+  ...transaction,
+  amount: transaction.amount.toNumber(),
+  destinationAmount: transaction.destinationAmount?.toNumber() ?? null,
+  recurringAmount: transaction.recurringAmount?.toNumber() ?? null,
+});
+
+// 📅 Recurring transactions of the next N days (30 / 60 / 90) with projected account balances
+// ✅ { from, to, days: [{ date: "2025-06-01", items, balances }], accounts: [{ id, current, projected, ... }],
+//      series: [{ id, schedule, pausedUntil, ... }] } ← every running series, also the paused ones
+export async function getUpcomingTransactions(days = 30) {
+  const user = await getCurrentUser();
+
+  const [series, accounts] = await Promise.all([
+    db.transaction.findMany({
+      where: {
+        userId: user.id,
+        isRecurring: true,
+        deletedAt: null,
+        nextRecurringDate: { not: null }, // null = the series has ended
+      },
+      include: {
+        account: { select: { id: true, name: true, type: true, currency: true } },
+        destinationAccount: { select: { id: true, name: true, type: true, currency: true } },
+        _count: { select: { splits: true } },
+      },
+    }),
+    db.account.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: "asc" },
+    }),
+  ]);
+
+  const from = new Date();
+  const to = endOfDay(addDays(from, days));
+
+  return {
+    from,
+    to,
+    ...projectUpcoming(
+      getUpcomingOccurrences(series.map(toNumbers), to, from),
+      accounts.map((account) => ({ ...account, balance: account.balance.toNumber() }))
+    ),
+    series: getSeriesSummaries(series.map(toNumbers), from),
+  };
+}
+
+// A recurring transaction of the user (with its split lines for the audit snapshot,
+// and its accounts for the balance of a restored occurrence)
+async function getRecurringSeries(userId, id) {
+  const series = await db.transaction.findUnique({
+    where: { id, userId, deletedAt: null },
+    include: { splits: true, account: true, destinationAccount: true },
+  });
+
+  if (!series || !series.isRecurring) throw new Error("Recurring transaction not found");
+  return series;
+}
+
+// Saves changes to a series and works out its next date again (skipped / paused dates left out).
+// The next date is counted from the last occurrence already created, so nothing is created twice
+// and a due occurrence that the job hasn't processed yet stays due.
+// restoredDay = a skipped day that is un-skipped ("2025-06-01"). If the job already went past it
+// (a later occurrence exists), it is created right away - the next date can't go back to it.
+async function saveSeries(user, series, changes, restoredDay = null) {
+  const lastOccurrence = await db.transaction.findFirst({
+    where: { recurringSourceId: series.id },
+    orderBy: { date: "desc" },
+    select: { date: true },
+  });
+
+  const rule = getRecurrenceRule({ ...series, ...changes });
+  const missedDate = restoredDay && lastOccurrence ? findOccurrence(rule, restoredDay) : null;
+  const createMissed =
+    missedDate &&
+    differenceInCalendarDays(missedDate, lastOccurrence.date) < 0 &&
+    !isOccurrenceSkipped(rule, missedDate); // Still in a pause → stays left out
+
+  const updated = await db.$transaction(async (tx) => {
+    const created = createMissed ? await createOccurrences(tx, user, series, [missedDate]) : [];
+
+    // The restored occurrence counts towards "stop after N times"
+    const nextRecurringDate = calculateNextRecurringDate(
+      { ...rule, count: rule.count + created.length },
+      lastOccurrence && lastOccurrence.date > series.date ? lastOccurrence.date : series.date
+    );
+
+    const updated = await tx.transaction.update({
+      where: { id: series.id },
+      data: {
+        ...changes,
+        nextRecurringDate,
+        ...(created.length > 0 && { recurringCount: { increment: created.length } }),
+      },
+      include: { splits: true },
+    });
+
+    await recordAudit(tx, {
+      userId: user.id,
+      actorId: user.id,
+      entityType: "TRANSACTION",
+      entityId: series.id,
+      action: "UPDATE",
+      source: "UPCOMING",
+      before: getTransactionSnapshot(series),
+      after: getTransactionSnapshot(updated),
+    });
+
+    return updated;
+  });
+
+  revalidatePath("/upcoming");
+  revalidatePath("/dashboard");
+  revalidatePath(`/account/${series.accountId}`);
+  if (series.destinationAccountId) revalidatePath(`/account/${series.destinationAccountId}`);
+  return { id: updated.id, nextRecurringDate: updated.nextRecurringDate };
+}
+
+// Creates occurrences of a series on these dates, the same way the recurring job does
+// (lib/inngest/function.js): future amount / category, split lines, audit log and balances.
+// skipDuplicates: an occurrence that already exists (same series + date) is not created twice.
+// ✅ The created transactions
+async function createOccurrences(tx, user, series, dates) {
+  const values = getOccurrenceValues(toNumbers(series));
+
+  const created = await tx.transaction.createManyAndReturn({
+    data: dates.map((date) => ({
+      type: series.type,
+      amount: values.amount,
+      description: `${series.description} (Recurring)`,
+      date,
+      category: values.category,
+      tags: series.tags,
+      userId: series.userId,
+      accountId: series.accountId,
+      destinationAccountId: series.destinationAccountId,
+      destinationAmount: values.destinationAmount,
+      isRecurring: false,
+      recurringSourceId: series.id,
+    })),
+    skipDuplicates: true,
+  });
+
+  const splits = created.flatMap((occurrence) =>
+    values.splits.map(({ category, amount }) => ({
+      transactionId: occurrence.id,
+      category,
+      amount,
+    }))
+  );
+  if (splits.length > 0) {
+    await tx.transactionSplit.createMany({ data: splits });
+  }
+
+  await recordAudit(
+    tx,
+    created.map((occurrence) => ({
+      userId: user.id,
+      actorId: user.id,
+      entityType: "TRANSACTION",
+      entityId: occurrence.id,
+      action: "CREATE",
+      source: "UPCOMING",
+      after: getTransactionSnapshot({ ...occurrence, splits: values.splits }),
+    }))
+  );
+
+  const balanceChanges = getBalanceChanges({
+    ...series,
+    amount: values.amount,
+    destinationAmount: values.destinationAmount,
+  });
+  for (const [accountId, balanceChange] of Object.entries(balanceChanges)) {
+    await tx.account.update({
+      where: { id: accountId },
+      data: { balance: { increment: balanceChange * created.length } },
+    });
+  }
+
+  return created;
+}
+
+// ⏸️ Pause a series and / or change its future occurrences only (past ones are left as they are), e.g.
+// { pausedUntil: 2025-09-01, amount: "17.99", category: "" } → nothing before Sep 1, then 17.99 instead of 15.99
+// pausedUntil null = not paused (a paused series is resumed from today), "" = same amount / category
+export async function updateRecurringSeries(id, data) {
+  try {
+    const user = await getCurrentUser();
+
+    const parsed = recurringSeriesSchema.safeParse(data);
+    if (!parsed.success) throw new Error(parsed.error.errors[0].message);
+    const { pausedUntil, amount, category } = parsed.data;
+
+    const series = await getRecurringSeries(user.id, id);
+    if (!series.nextRecurringDate) throw new Error("This recurring series has ended");
+
+    if (pausedUntil && differenceInCalendarDays(pausedUntil, new Date()) <= 0) {
+      throw new Error("Pick a date after today to pause until");
+    }
+    // A new category replaces the split, but a split can't just get another total
+    if (amount && !category && series.splits.length > 0) {
+      throw new Error("Change the amount of a split transaction by editing its split");
+    }
+    // Future occurrences are assigned to an active leaf category of the series' type (like in the form)
+    if (category && category !== series.category) {
+      if (series.type === "TRANSFER") {
+        throw new Error("The category of a transfer can't be changed");
+      }
+      const categories = getLeafCategories(await getUserCategories(user.id));
+      if (!categories.some((c) => c.id === category && c.type === series.type && !c.isArchived)) {
+        throw new Error("Invalid category");
+      }
+    }
+
+    // Resuming keeps today as the end of the pause, so the paused dates aren't caught up afterwards
+    const isPaused = series.recurringPausedUntil && series.recurringPausedUntil > new Date();
+    const resumedAt = isPaused ? startOfDay(new Date()) : series.recurringPausedUntil;
+
+    const result = await saveSeries(user, series, {
+      recurringPausedUntil: pausedUntil ?? resumedAt,
+      // Same as the transaction → no override
+      recurringAmount:
+        amount && Number(amount) !== series.amount.toNumber() ? Number(amount) : null,
+      recurringCategory: category && category !== series.category ? category : null,
+    });
+
+    return { success: true, data: result };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// ⏭️ Skip one occurrence of a series (day = "2025-06-01") - the ones after it are created as usual
+export async function skipOccurrence(id, day) {
+  try {
+    const user = await getCurrentUser();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) throw new Error("Invalid date");
+
+    const series = await getRecurringSeries(user.id, id);
+    if (!series.nextRecurringDate) throw new Error("This recurring series has ended");
+
+    const result = await saveSeries(user, series, {
+      recurringSkippedDays: [...new Set([...series.recurringSkippedDays, day])].sort(),
+    });
+
+    return { success: true, data: result };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// ↩️ Undo skipOccurrence: the occurrence is created again - by the job when its day comes,
+// or right away if the series already has later occurrences (see saveSeries)
+export async function restoreOccurrence(id, day) {
+  try {
+    const user = await getCurrentUser();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) throw new Error("Invalid date");
+
+    const series = await getRecurringSeries(user.id, id);
+    if (!series.nextRecurringDate) throw new Error("This recurring series has ended");
+    // Not skipped (e.g. restored twice) → nothing to do
+    if (!series.recurringSkippedDays.includes(day)) {
+      throw new Error("This occurrence isn't skipped");
+    }
+
+    const result = await saveSeries(
+      user,
+      series,
+      {
+        recurringSkippedDays: series.recurringSkippedDays.filter((skipped) => skipped !== day),
+      },
+      day
+    );
+
+    return { success: true, data: result };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
@@ -0,0 +1,270 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { ruleSchema } from "@/app/lib/schema";
+import { getUserCategories } from "@/lib/categories";
+import { getLeafCategories } from "@/lib/category-tree";
+import { getRuleChanges } from "@/lib/rules";
+import { getUserRules } from "@/lib/transaction-rules";
+import { normalizeTags } from "@/lib/tags";
+import { recordAudit } from "@/lib/audit-log";
+
+const PREVIEW_LIMIT = 100; // Rows listed in the dry run (the total is always counted)
+
+// Looks up the logged-in user in our database
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+  return user;
+}
+
+// Validates the form data and checks the category / account belong to the user
+async function parseRule(userId, data) {
+  const parsed = ruleSchema.safeParse(data);
+  if (!parsed.success) throw new Error(parsed.error.errors[0].message);
+
+  const { category, accountId, tags, ...rule } = parsed.data;
+
+  if (category) {
+    // Transactions are assigned to leaf categories (not "Food", but "Food › Groceries")
+    const categories = getLeafCategories(await getUserCategories(userId));
+    if (!categories.some((c) => c.id === category && !c.isArchived && c.type !== "TRANSFER")) {
+      throw new Error("Invalid category");
+    }
+  }
+
+  if (accountId) {
+    const account = await db.account.findUnique({
+      where: { id: accountId, userId },
+    });
+    if (!account) throw new Error("Account not found");
+  }
+
+  return {
+    ...rule,
+    category: category || null,
+    accountId: accountId || null,
+    tags: normalizeTags(tags), // "Client Lunch" → "client-lunch"
+  };
+}
+
+// 📦 The user's rules in the order they run
+export async function getRules() {
+  const user = await getCurrentUser();
+  return getUserRules(user.id);
+}
+
+// ➕ New rule - runs after the existing ones
+export async function createRule(data) {
+  try {
+    const user = await getCurrentUser();
+    const rule = await parseRule(user.id, data);
+
+    const last = await db.transactionRule.findFirst({
+      where: { userId: user.id },
+      orderBy: { position: "desc" },
+    });
+
+    const created = await db.transactionRule.create({
+      data: { ...rule, position: (last?.position ?? -1) + 1, userId: user.id },
+    });
+
+    revalidatePath("/settings/rules");
+    return { success: true, data: created };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// ✏️ Change a rule (keeps its position)
+export async function updateRule(id, data) {
+  try {
+    const user = await getCurrentUser();
+    const rule = await parseRule(user.id, data);
+
+    const updated = await db.transactionRule.update({
+      where: { id, userId: user.id },
+      data: rule,
+    });
+
+    revalidatePath("/settings/rules");
+    return { success: true, data: updated };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// ⏯️ Turn a rule on / off without deleting it
+export async function setRuleActive(id, isActive) {
+  try {
+    const user = await getCurrentUser();
+
+    const updated = await db.transactionRule.update({
+      where: { id, userId: user.id },
+      data: { isActive },
+    });
+
+    revalidatePath("/settings/rules");
+    return { success: true, data: updated };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// 🗑️ Delete a rule
+export async function deleteRule(id) {
+  try {
+    const user = await getCurrentUser();
+
+    await db.transactionRule.delete({
+      where: { id, userId: user.id },
+    });
+
+    revalidatePath("/settings/rules");
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// ↕️ Move a rule one place up (runs earlier) or down (runs later) by swapping with its neighbour
+export async function moveRule(id, direction) {
+  try {
+    const user = await getCurrentUser();
+    const rules = await getUserRules(user.id);
+
+    const index = rules.findIndex((rule) => rule.id === id);
+    if (index === -1) throw new Error("Rule not found");
+
+    const neighbour = rules[direction === "up" ? index - 1 : index + 1];
+    if (!neighbour) return { success: true }; // Already first / last
+
+    // Positions are renumbered 0, 1, 2... so old gaps don't matter
+    const ordered = [...rules];
+    ordered[index] = neighbour;
+    ordered[direction === "up" ? index - 1 : index + 1] = rules[index];
+
+    await db.$transaction(
+      ordered.map((rule, position) =>
+        db.transactionRule.update({
+          where: { id: rule.id },
+          data: { position },
+        })
+      )
+    );
+
+    revalidatePath("/settings/rules");
+    return { success: true };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// Runs the rules over the user's existing transactions and lists the category changes.
+// Only the category is changed on existing transactions - moving them between accounts
+// would rewrite account balances, so rule accounts (and tags) only apply to new transactions.
+async function getExistingChanges(userId) {
+  const [rules, categories, transactions] = await Promise.all([
+    getUserRules(userId),
+    getUserCategories(userId),
+    db.transaction.findMany({
+      where: {
+        userId,
+        deletedAt: null,
+        type: { in: ["INCOME", "EXPENSE"] },
+        splits: { none: {} }, // Split transactions keep their category lines
+      },
+      orderBy: { date: "desc" },
+    }),
+  ]);
+
+  return transactions.flatMap((transaction) => {
+    const { rule, category } = getRuleChanges(
+      rules,
+      { ...transaction, amount: transaction.amount.toNumber() },
+      categories
+    );
+    if (!rule || !category || category === transaction.category) return [];
+
+    return [
+      {
+        id: transaction.id,
+        date: transaction.date,
+        description: transaction.description,
+        amount: transaction.amount.toNumber(),
+        type: transaction.type,
+        fromCategory: transaction.category,
+        toCategory: category,
+        ruleName: rule.name,
+      },
+    ];
+  });
+}
+
+// 👀 Dry run: which existing transactions would the rules re-categorize? Nothing is saved.
+// ✅ { total: 57, changes: [{ id, date, description, amount, fromCategory, toCategory, ruleName }] } (first 100)
+export async function previewRulesOnExisting() {
+  try {
+    const user = await getCurrentUser();
+    const changes = await getExistingChanges(user.id);
+
+    return {
+      success: true,
+      data: { total: changes.length, changes: changes.slice(0, PREVIEW_LIMIT) },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// ✅ Apply the dry run: re-categorize the existing transactions in one database transaction
+export async function applyRulesToExisting() {
+  try {
+    const user = await getCurrentUser();
+    const changes = await getExistingChanges(user.id); // Worked out again - the data may have changed
+
+    // One update per new category: { transportation: [id1, id2], food: [id3] }
+    const idsByCategory = changes.reduce((acc, change) => {
+      (acc[change.toCategory] ||= []).push(change.id);
+      return acc;
+    }, {});
+
+    await db.$transaction(async (tx) => {
+      for (const [category, ids] of Object.entries(idsByCategory)) {
+        await tx.transaction.updateMany({
+          where: { id: { in: ids }, userId: user.id },
+          data: { category },
+        });
+      }
+
+      // 📜 Audit log - only the category changes, so only the category is in the snapshots
+      await recordAudit(
+        tx,
+        changes.map((change) => ({
+          userId: user.id,
+          actorId: user.id,
+          entityType: "TRANSACTION",
+          entityId: change.id,
+          action: "UPDATE",
+          source: "RULES",
+          before: { category: change.fromCategory },
+          after: { category: change.toCategory },
+        }))
+      );
+    });
+
+    revalidatePath("/dashboard");
+    revalidatePath("/account/[id]", "page");
+    return { success: true, data: { count: changes.length } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
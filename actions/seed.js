@@ -3,32 +3,35 @@
 import { db } from "@/lib/prisma";
 // Importing a function to subtract days from a date (helps create past dates).
 import { subDays } from "date-fns";
+// The user's own categories (defaults + the ones they added).
+import { getUserCategories } from "@/lib/categories";
 
 // Hardcoded dummy IDs for the account and user (used in the seed data).
 const ACCOUNT_ID = "account-id";
 const USER_ID = "user-id";
 
-// Categories with their typical amount ranges
-// Define categories with typical transaction ranges
-const CATEGORIES = {
-  INCOME: [
-    { name: "salary", range: [5000, 8000] },
-    { name: "freelance", range: [1000, 3000] },
-    { name: "investments", range: [500, 2000] },
-    { name: "other-income", range: [100, 1000] },
-  ],
-  EXPENSE: [
-    { name: "housing", range: [1000, 2000] },
-    { name: "transportation", range: [100, 500] },
-    { name: "groceries", range: [200, 600] },
-    { name: "utilities", range: [100, 300] },
-    { name: "entertainment", range: [50, 200] },
-    { name: "food", range: [50, 150] },
-    { name: "shopping", range: [100, 500] },
-    { name: "healthcare", range: [100, 1000] },
-    { name: "education", range: [200, 1000] },
-    { name: "travel", range: [500, 2000] },
-  ],
+// Typical amount ranges of the default categories
+// (the user's own categories use the range of their type)
+const CATEGORY_RANGES = {
+  salary: [5000, 8000],
+  freelance: [1000, 3000],
+  investments: [500, 2000],
+  "other-income": [100, 1000],
+  housing: [1000, 2000],
+  transportation: [100, 500],
+  groceries: [200, 600],
+  utilities: [100, 300],
+  entertainment: [50, 200],
+  food: [50, 150],
+  shopping: [100, 500],
+  healthcare: [100, 1000],
+  education: [200, 1000],
+  travel: [500, 2000],
+};
+
+const TYPE_RANGES = {
+  INCOME: [100, 1000],
+  EXPENSE: [50, 300],
 };
 
 // ----------------- Helper Functions -----------------
@@ -39,20 +42,27 @@ function getRandomAmount(min, max) {
 }
 
 // Helper to get random category and amount based on the transaction type (INCOME/EXPENSE)
-function getRandomCategory(type) {
-    // Get the list of categories for the given type.
-  const categories = CATEGORIES[type];
+function getRandomCategory(categories, type) {
+    // Get the list of the user's categories for the given type.
+  const categoriesOfType = categories.filter((category) => category.type === type);
     // Pick a random category from that list.
-  const category = categories[Math.floor(Math.random() * categories.length)];
+  const category =
+    categoriesOfType[Math.floor(Math.random() * categoriesOfType.length)];
     // Generate a random amount within the selected category's range.
-  const amount = getRandomAmount(category.range[0], category.range[1]);
-    // Return both category name and amount.
-  return { category: category.name, amount };
+  const [min, max] = CATEGORY_RANGES[category.id] ?? TYPE_RANGES[type];
+  const amount = getRandomAmount(min, max);
+    // Return the category and amount.
+  return { category, amount };
 }
 
 // ----------------- Main Function -----------------
 export async function seedTransactions() {
   try {
+    // The user's categories that can still be picked (not archived)
+    const categories = (await getUserCategories(USER_ID)).filter(
+      (category) => !category.isArchived
+    );
+
     // Generate 90 days of transactions
     // Array to store all generated transactions.
     const transactions = [];
@@ -68,7 +78,7 @@ export async function seedTransactions() {
       for (let j = 0; j < transactionsPerDay; j++) {
         // 40% chance of income, 60% chance of expense  // Randomly decide the type (40% income, 60% expense).
         const type = Math.random() < 0.4 ? "INCOME" : "EXPENSE";
-        const { category, amount } = getRandomCategory(type);   // Get random category and amount based on type.
+        const { category, amount } = getRandomCategory(categories, type);   // Get random category and amount based on type.
 
         const transaction = {
           id: crypto.randomUUID(),      // Generate a unique ID for the transaction.
@@ -76,9 +86,9 @@ export async function seedTransactions() {
           amount,
           description: `${              // Create a readable description (e.g., "Received salary" or "Paid for groceries").
             type === "INCOME" ? "Received" : "Paid for"
-          } ${category}`,
+          } ${category.name}`,
           date,
-          category,
+          category: category.id,
           status: "COMPLETED",
           userId: USER_ID,
           accountId: ACCOUNT_ID,
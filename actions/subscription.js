@@ -0,0 +1,198 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { subYears } from "date-fns";
+import { convertAmount, getRateWarnings } from "@/lib/currency";
+import { getRateMap } from "@/lib/exchange-rates";
+import { findSubscriptions } from "@/lib/subscriptions";
+import { getRecurrenceFields } from "@/lib/recurrence";
+import { getTransactionSnapshot } from "@/lib/audit";
+import { recordAudit } from "@/lib/audit-log";
+
+// 📺 Subscriptions: recurring expenses the user has set up, and repeating charges
+// found in the history that could be made recurring ("Looks like Netflix is monthly").
+
+// Looks up the logged-in user in our database
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+  return user;
+}
+
+// Decimal → number
+const toNumbers = (transaction) => ({
+  ...transaction,
+  amount: transaction.amount.toNumber(),
+  destinationAmount: transaction.destinationAmount?.toNumber() ?? null,
+  recurringAmount: transaction.recurringAmount?.toNumber() ?? null,
+});
+
+const accountFields = { select: { id: true, name: true, currency: true } };
+
+// Expenses of the last two years (a yearly subscription needs two charges) + running recurring expenses
+async function loadSubscriptions(user) {
+  const [transactions, series] = await Promise.all([
+    db.transaction.findMany({
+      where: {
+        userId: user.id,
+        type: "EXPENSE",
+        deletedAt: null,
+        date: { gte: subYears(new Date(), 2) },
+      },
+      select: {
+        id: true,
+        description: true,
+        amount: true,
+        date: true,
+        category: true,
+        account: accountFields,
+      },
+    }),
+    db.transaction.findMany({
+      where: {
+        userId: user.id,
+        type: "EXPENSE",
+        isRecurring: true,
+        deletedAt: null,
+        nextRecurringDate: { not: null }, // null = the series has ended
+      },
+      include: { account: accountFields },
+    }),
+  ]);
+
+  return findSubscriptions({
+    transactions: transactions.map((transaction) => ({
+      ...transaction,
+      amount: transaction.amount.toNumber(),
+    })),
+    series: series.map(toNumbers),
+    dismissed: user.dismissedSubscriptions,
+  });
+}
+
+// 🔎 Confirmed and detected subscriptions, with what they all cost in a year (in the base currency)
+// ✅ { confirmed: [...], detected: [...], annualTotal: 1250.4, baseCurrency: "USD", rateWarnings: [] }
+export async function getSubscriptions() {
+  const user = await getCurrentUser();
+
+  const [subscriptions, rateMap] = await Promise.all([loadSubscriptions(user), getRateMap()]);
+
+  const toBase = (amount, currency) => convertAmount(amount, currency, user.baseCurrency, rateMap);
+  const annualTotal = [...subscriptions.confirmed, ...subscriptions.detected].reduce(
+    (sum, subscription) => sum + toBase(subscription.annualCost, subscription.account.currency),
+    0
+  );
+
+  return {
+    ...subscriptions,
+    annualTotal: Math.round(annualTotal * 100) / 100,
+    baseCurrency: user.baseCurrency,
+    rateWarnings: getRateWarnings(rateMap),
+  };
+}
+
+function revalidateSubscriptionPages(accountId) {
+  revalidatePath("/subscriptions");
+  revalidatePath("/upcoming");
+  revalidatePath("/dashboard");
+  if (accountId) revalidatePath(`/account/${accountId}`);
+}
+
+// ✅ "Make it recurring": the latest charge of a detected subscription becomes a recurring
+// series at the detected interval, so the next charges are created automatically.
+// key = the merchant (getMerchantKey) - detected again here rather than trusting the browser
+export async function confirmSubscription(key) {
+  try {
+    const user = await getCurrentUser();
+
+    const { detected } = await loadSubscriptions(user);
+    const subscription = detected.find((item) => item.key === key);
+    if (!subscription) throw new Error("This subscription isn't detected anymore");
+
+    const transaction = await db.transaction.findUnique({
+      where: { id: subscription.transactionId, userId: user.id, deletedAt: null },
+      include: { splits: true },
+    });
+    if (!transaction) throw new Error("Transaction not found");
+
+    const updated = await db.$transaction(async (tx) => {
+      const updated = await tx.transaction.update({
+        where: { id: transaction.id },
+        data: getRecurrenceFields({
+          isRecurring: true,
+          recurringInterval: subscription.interval,
+          recurringEvery: subscription.every,
+          date: transaction.date,
+        }),
+        include: { splits: true },
+      });
+
+      await recordAudit(tx, {
+        userId: user.id,
+        actorId: user.id,
+        entityType: "TRANSACTION",
+        entityId: transaction.id,
+        action: "UPDATE",
+        source: "SUBSCRIPTIONS",
+        before: getTransactionSnapshot(transaction),
+        after: getTransactionSnapshot(updated),
+      });
+
+      return updated;
+    });
+
+    revalidateSubscriptionPages(transaction.accountId);
+    return {
+      success: true,
+      data: { id: updated.id, nextRecurringDate: updated.nextRecurringDate },
+    };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// 🙅 "Not a subscription": the merchant isn't suggested again
+export async function dismissSubscription(key) {
+  try {
+    const user = await getCurrentUser();
+
+    if (!user.dismissedSubscriptions.includes(key)) {
+      await db.user.update({
+        where: { id: user.id },
+        data: { dismissedSubscriptions: { push: key } },
+      });
+    }
+
+    revalidateSubscriptionPages();
+    return { success: true, data: { key } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+// ↩️ Undo dismissSubscription: the merchant can be suggested again
+export async function restoreSubscription(key) {
+  try {
+    const user = await getCurrentUser();
+
+    await db.user.update({
+      where: { id: user.id },
+      data: {
+        dismissedSubscriptions: user.dismissedSubscriptions.filter((dismissed) => dismissed !== key),
+      },
+    });
+
+    revalidateSubscriptionPages();
+    return { success: true, data: { key } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
@@ -0,0 +1,71 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { convertAmount, getRateWarnings } from "@/lib/currency";
+import { getRateMap } from "@/lib/exchange-rates";
+import { collectTags, getTagTotals } from "@/lib/tags";
+
+// Looks up the logged-in user in our database
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+  return user;
+}
+
+// 🏷️ Every tag the user has used, A → Z (suggestions for the tag inputs, tag filter)
+export async function getTags() {
+  const user = await getCurrentUser();
+
+  const transactions = await db.transaction.findMany({
+    where: { userId: user.id, deletedAt: null, NOT: { tags: { isEmpty: true } } },
+    select: { tags: true },
+  });
+
+  return collectTags(transactions);
+}
+
+// 📊 Spending and income per tag between two dates (all time if not given).
+// Amounts are converted to the user's base currency, so accounts in other currencies add up.
+// ✅ { currency: "USD", totals: [{ tag: "vacation-2026", expense: 1840, income: 0, count: 12 }], rateWarnings: [] }
+export async function getTagSummary({ from, to } = {}) {
+  const user = await getCurrentUser();
+
+  const transactions = await db.transaction.findMany({
+    where: {
+      userId: user.id,
+      deletedAt: null,
+      NOT: { tags: { isEmpty: true } },
+      ...((from || to) && {
+        date: {
+          ...(from && { gte: from }),
+          ...(to && { lte: to }),
+        },
+      }),
+    },
+    include: { account: { select: { currency: true } } },
+  });
+
+  const rateMap = await getRateMap();
+
+  const totals = getTagTotals(
+      transactions.map((transaction) => ({
+        type: transaction.type,
+        tags: transaction.tags,
+        amount: convertAmount(
+          transaction.amount.toNumber(),
+          transaction.account.currency,
+          user.baseCurrency,
+          rateMap
+        ),
+      }))
+  );
+
+  return { currency: user.baseCurrency, totals, rateWarnings: getRateWarnings(rateMap) };
+}
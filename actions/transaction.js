@@ -12,6 +12,34 @@ import aj from "@/lib/arcjet";
 // Imports ArcJet configuration for rate limiting.
 import { request } from "@arcjet/next"; 
 // Imports a helper to wrap incoming request metadata (used by ArcJet).
+import { addBalanceChanges, getBalanceChanges } from "@/lib/balance";
+// Works out +/- balance change per account (handles credit cards / loans and transfers between accounts).
+import { convertAmount, hasRate } from "@/lib/currency";
+import { getRateMap } from "@/lib/exchange-rates";
+// Converts transfer amounts between accounts that use different currencies.
+import { splitsMatchTotal } from "@/lib/splits";
+// Checks that split category lines add up to the transaction amount.
+import { getUserCategories } from "@/lib/categories";
+// The user's own categories (the receipt scanner suggests one of them).
+import { applyUserRules } from "@/lib/transaction-rules";
+// Auto-categorization rules (new transactions and scanned receipts).
+import { normalizeTags } from "@/lib/tags";
+// Cleans free-form tags: "Vacation 2026" → "vacation-2026", no duplicates.
+import { getBulkEditChanges } from "@/lib/bulk-edit";
+import { getLeafCategories } from "@/lib/category-tree";
+import { bulkEditSchema } from "@/app/lib/schema";
+// Bulk edit of several selected transactions (what changes on each one).
+import { getTransactionSnapshot } from "@/lib/audit";
+import { getAuditHistory, recordAudit } from "@/lib/audit-log";
+// Append-only audit log: every change is saved with a before / after snapshot.
+import { getLockedChanges } from "@/lib/reconcile";
+// Reconciled transactions can't change their amount, date, type or accounts.
+import {
+  calculateNextRecurringDate,
+  getRecurrenceFields,
+  getRecurrenceRule,
+} from "@/lib/recurrence";
+// Recurring schedules: every N days/weeks/months, weekdays, last business day, end date / count.
 
 // Initialize Gemini AI instance with API key from .env
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -20,6 +48,19 @@ const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 const serializeAmount = (obj) => ({
   ...obj,
   amount: obj.amount.toNumber(),
+  // Only set for transfers between accounts with different currencies
+  destinationAmount: obj.destinationAmount
+    ? obj.destinationAmount.toNumber()
+    : null,
+  // New amount for the future occurrences of a recurring series (null = same amount)
+  recurringAmount: obj.recurringAmount?.toNumber() ?? null,
+  // Category lines of a split transaction (only present when included in the query)
+  ...(obj.splits && {
+    splits: obj.splits.map((split) => ({
+      ...split,
+      amount: split.amount.toNumber(),
+    })),
+  }),
 });
 
 /* -------------------------------------------------------------------------- */
@@ -40,7 +81,8 @@ const serializeAmount = (obj) => ({
 // 7. Return success with transaction data.
 
 // The data comes from the user input in the frontend UI. User fills a form on the frontend.
-export async function createTransaction(data) {
+// source = "RECEIPT_SCAN" when the form was filled in from a scanned receipt (shown in the history)
+export async function createTransaction(data, source = "FORM") {
   try {
     const { userId } = await auth(); // Get authenticated user's Clerk ID
     if (!userId) throw new Error("Unauthorized"); // ❌ If not logged in, throw an error
@@ -109,6 +151,12 @@ export async function createTransaction(data) {
     });
     if (!user) throw new Error("User not found");
 
+    // 🪄 The user's auto-categorization rules, e.g. description contains "UBER" → transportation
+    // The first matching rule adds its tags and fills the category / account if they were left empty
+    // (the form fills them in as you type, a category or account picked by the user is kept).
+    // Transfers and splits are left alone.
+    data = await applyUserRules(user.id, data);
+
     // Fetch account from DB to verify it belongs to the user
     const account = await db.account.findUnique({
       where: {
@@ -118,40 +166,73 @@ export async function createTransaction(data) {
     });
     if (!account) throw new Error("Account not found");
 
+    // For transfers, also fetch the account receiving the money
+    const destinationAccount = await getDestinationAccount(data, user.id);
+    // e.g. 100 USD → EUR account receives 92.50 EUR (null if same currency)
+    const destinationAmount = await getDestinationAmount(
+      data.amount,
+      account,
+      destinationAccount
+    );
+
+    // Split across categories? e.g. [{ category: "groceries", amount: 40 }, { category: "household", amount: 20 }]
+    // The balance still changes by the full amount - splits only matter for category totals.
+    const { splits, ...transactionData } = data;
+    const splitLines = getSplitLines(data);
+
     /* ------------------------CALCULATIONS------------------------------ */
     // Calculate balance change (+ for income, - for expense)
     // Checks if the transaction is an expense or income:
     //    If it's an expense, the amount becomes negative.
     //    Then it adds/subtracts the amount to/from the current balance.
-    const balanceChange = data.type === "EXPENSE" ? -data.amount : data.amount;
-    const newBalance = account.balance.toNumber() + balanceChange;
+    // For CREDIT_CARD / LOAN accounts the sign flips (an expense increases the debt).
+    // For a TRANSFER two accounts change: { [fromAccountId]: -amount, [toAccountId]: +amount }
+    const balanceChanges = getBalanceChanges({
+      type: data.type,
+      amount: data.amount,
+      account,
+      destinationAccount,
+      destinationAmount,
+    });
     //-----------------------------------------------------------------------
 
     // Create transaction + update account balance using transaction block
     // ✅ What is db.$transaction?
     // It is used to run multiple database operations together safely.
+    // (For a transfer, both balances change together or not at all.)
     const transaction = await db.$transaction(async (tx) => {
         // 🧾 Create a new transaction:
       const newTransaction = await tx.transaction.create({
         data: {
-          ...data,  // All data fields (like amount, description, etc.)
+          ...transactionData,  // All data fields (like amount, description, etc.)
+          // A split transaction keeps its first line's category as the main category
+          category: splitLines[0]?.category ?? data.category,
+          splits: { create: splitLines }, // Category lines (nothing created if not split)
+          tags: normalizeTags(data.tags), // e.g. ["vacation-2026", "reimbursable"]
+          destinationAccountId: destinationAccount?.id ?? null, // Only set for transfers
+          destinationAmount,
           userId: user.id,    // The userId (linked to this user)
-          nextRecurringDate:  // A nextRecurringDate if it’s a recurring transaction.
-            data.isRecurring && data.recurringInterval
-              ? calculateNextRecurringDate(data.date, data.recurringInterval) 
-              // This function calculates the next date for a recurring transaction.
-              // neeche function likha hoa hai ta k utny days add kar den ... current k andar !!
-              // Example: 
-              // 💸 The next transaction will automatically happen on June 19, 2025 (i.e., one month after the original date).
-              // If date = "2025-05-19" and interval = "MONTHLY" → returns "2025-06-19".
-              : null,
+          // Recurring schedule + a nextRecurringDate if it’s a recurring transaction (see lib/recurrence.js).
+          // Example:
+          // 💸 date = "2025-05-19", every 2 weeks → the next transaction automatically happens on June 2, 2025.
+          // Not recurring → the schedule fields are reset and nextRecurringDate is null.
+          ...getRecurrenceFields(data),
         },
+        include: { splits: true },
       });
 
-      // Update account balance after transaction
-      await tx.account.update({
-        where: { id: data.accountId },
-        data: { balance: newBalance },
+      // Update account balance(s) after transaction
+      await applyBalanceChanges(tx, balanceChanges);
+
+      // 📜 Audit log entry, saved together with the transaction
+      await recordAudit(tx, {
+        userId: user.id,
+        actorId: user.id,
+        entityType: "TRANSACTION",
+        entityId: newTransaction.id,
+        action: "CREATE",
+        source: source === "RECEIPT_SCAN" ? "RECEIPT_SCAN" : "FORM",
+        after: getTransactionSnapshot(newTransaction),
       });
 
       // one is inside to get data....  just sends the saved transaction data back to your code for further use.
@@ -162,6 +243,9 @@ export async function createTransaction(data) {
     // Both views depend on updated data, so we must revalidate both pages to keep everything fresh and correct.
     revalidatePath("/dashboard");
     revalidatePath(`/account/${transaction.accountId}`);
+    if (transaction.destinationAccountId) {
+      revalidatePath(`/account/${transaction.destinationAccountId}`);
+    }
 
     // is the final return from the function, sending a clean, usable response to the caller/ frontend.
     // the other is to send data out.
@@ -185,17 +269,26 @@ export async function getTransaction(id) {
   });
   if (!user) throw new Error("User not found");
 
-  // Find transaction by ID and ensure it belongs to user
+  // Find transaction by ID and ensure it belongs to user (deleted ones can't be edited)
   const transaction = await db.transaction.findUnique({
     where: {
       id,
       userId: user.id,
+      deletedAt: null,
+    },
+    include: {
+      splits: true, // Category lines, so the edit form can show the split
+      reconciliations: { where: { status: "COMPLETED" }, select: { id: true } },
     },
   });
 
   if (!transaction) throw new Error("Transaction not found");
 
-  return serializeAmount(transaction);
+  const { reconciliations, ...rest } = transaction;
+  return {
+    ...serializeAmount(rest),
+    isReconciled: reconciliations.length > 0, // The form locks the balance fields
+  };
 }
 
 /* -------------------------------------------------------------------------- */
@@ -222,29 +315,93 @@ export async function updateTransaction(id, data) {
       where: {
         id,                   // transaction ID to update
         userId: user.id,      // must belong to the logged-in user
+        deletedAt: null,      // not in the trash
       },
       include: {
         account: true,    // also get related account details
+        destinationAccount: true, // and the receiving account if it was a transfer
+        splits: true,     // category lines (for the audit log "before" snapshot)
+        reconciliations: { where: { status: "COMPLETED" }, select: { id: true } },
       },
     });
 
     if (!originalTransaction) throw new Error("Transaction not found");
-    /* ------------------------CALCULATIONS------------------------------ */
-    // Calculate old and new balance change
 
-    // Calculate the old balance change caused by the original transaction
-    // If it was an expense, amount is negative, else positive for income
-    const oldBalanceChange =
-      originalTransaction.type === "EXPENSE"
-        ? -originalTransaction.amount.toNumber()
-        : originalTransaction.amount.toNumber();
+    // 🔒 Reconciled against a bank statement → only category, description, tags... can change
+    if (originalTransaction.reconciliations.length > 0) {
+      const locked = getLockedChanges(originalTransaction, {
+        ...data,
+        destinationAccountId: data.type === "TRANSFER" ? data.destinationAccountId : null,
+      });
+      if (locked.length > 0) {
+        throw new Error(
+          `This transaction is reconciled - its ${locked.join(", ")} can't be changed (reopen the reconciliation first)`
+        );
+      }
+    }
 
-    // Calculate the new balance change based on updated data
-    const newBalanceChange =
-      data.type === "EXPENSE" ? -data.amount : data.amount;
+    // The user may have moved the transaction to another account, so load that one too
+    const newAccount =
+      data.accountId === originalTransaction.accountId
+        ? originalTransaction.account
+        : await db.account.findUnique({
+            where: {
+              id: data.accountId,
+              userId: user.id,
+            },
+          });
+
+    if (!newAccount) throw new Error("Account not found");
+
+    // For transfers, also fetch the account receiving the money
+    const newDestinationAccount = await getDestinationAccount(data, user.id);
+    const newDestinationAmount = await getDestinationAmount(
+      data.amount,
+      newAccount,
+      newDestinationAccount
+    );
+
+    // Newest transaction this recurring series has created (null if none yet)
+    const lastOccurrence = await db.transaction.findFirst({
+      where: { recurringSourceId: id },
+      orderBy: { date: "desc" },
+      select: { date: true },
+    });
 
-    // Calculate the net difference in balance change (new - old) / This tells how much to adjust the account balance
-    const netBalanceChange = newBalanceChange - oldBalanceChange;
+    // New category lines (empty if the transaction is no longer split)
+    const { splits, ...transactionData } = data;
+    const splitLines = getSplitLines(data);
+    const hasNewValues =
+      data.amount !== originalTransaction.amount.toNumber() ||
+      data.category !== originalTransaction.category;
+    /* ------------------------CALCULATIONS------------------------------ */
+    // Calculate old and new balance change for every account involved
+
+    const balanceChanges = {};
+
+    // Undo the balance change caused by the original transaction
+    // If it was an expense, amount was negative, else positive for income
+    // (flipped for credit card / loan accounts, two accounts for a transfer)
+    addBalanceChanges(
+      balanceChanges,
+      getBalanceChanges({
+        ...originalTransaction,
+        amount: originalTransaction.amount.toNumber(),
+      }),
+      -1
+    );
+
+    // Apply the new balance change based on updated data
+    addBalanceChanges(
+      balanceChanges,
+      getBalanceChanges({
+        type: data.type,
+        amount: data.amount,
+        account: newAccount,
+        destinationAccount: newDestinationAccount,
+        destinationAmount: newDestinationAmount,
+      })
+    );
     /* ----------------------------------------------------------------- */
 
     // Update transaction and balance in DB
@@ -255,28 +412,53 @@ export async function updateTransaction(id, data) {
           userId: user.id,
         },
         data: {
-          ...data,
-          nextRecurringDate:
-            data.isRecurring && data.recurringInterval
-              ? calculateNextRecurringDate(data.date, data.recurringInterval)
-              : null,
+          ...transactionData,
+          category: splitLines[0]?.category ?? data.category,
+          // Replace the old category lines with the new ones
+          splits: { deleteMany: {}, create: splitLines },
+          tags: normalizeTags(data.tags),
+          destinationAccountId: newDestinationAccount?.id ?? null, // Only set for transfers
+          destinationAmount: newDestinationAmount,
+          // New schedule → the next date is worked out again from the (maybe new) date,
+          // after the occurrences the series has already created
+          ...getRecurrenceFields(
+            {
+              ...data,
+              recurringCount: originalTransaction.recurringCount,
+              recurringPausedUntil: originalTransaction.recurringPausedUntil,
+              recurringSkippedDays: originalTransaction.recurringSkippedDays,
+            },
+            lastOccurrence?.date
+          ),
+          // New amount / category typed in here → future occurrences follow it again
+          // (instead of a "future only" change made from the Upcoming page)
+          ...(hasNewValues && { recurringAmount: null, recurringCategory: null }),
         },
+        include: { splits: true },
       });
 
-      await tx.account.update({
-        where: { id: data.accountId },
-        data: {
-          balance: {
-            increment: netBalanceChange,
-          },
-        },
+      // Old and new accounts (and transfer destinations) are all updated in the same DB transaction
+      await applyBalanceChanges(tx, balanceChanges);
+
+      await recordAudit(tx, {
+        userId: user.id,
+        actorId: user.id,
+        entityType: "TRANSACTION",
+        entityId: id,
+        action: "UPDATE",
+        source: "FORM",
+        before: getTransactionSnapshot(originalTransaction),
+        after: getTransactionSnapshot(updated),
       });
 
       return updated;
     });
 
     revalidatePath("/dashboard");
-    revalidatePath(`/account/${data.accountId}`);
+    // Refresh every account page this transaction touched (before and after the edit)
+    for (const accountId of Object.keys(balanceChanges)) {
+      revalidatePath(`/account/${accountId}`);
+    }
 
     return { success: true, data: serializeAmount(transaction) };
   } catch (error) {
@@ -284,6 +466,170 @@ export async function updateTransaction(id, data) {
   }
 }
 
+/* -------------------------------------------------------------------------- */
+/*                          BULK UPDATE TRANSACTIONS                          */
+/* -------------------------------------------------------------------------- */
+
+// Changes category / account / date / recurring / tags of several transactions at once.
+// changes = bulkEditSchema data, e.g. { category: "dining", accountId: "", recurring: "keep", addTags: ["wedding"] }
+// Changes that don't fit a transaction are skipped for that one only (see getBulkEditChanges).
+// Moving transactions to another account takes their amounts out of the old balance and
+// adds them to the new one - all updates and balance changes happen in one DB transaction.
+// ✅ { success: true, data: { count: 8, skipped: 2 } } (skipped = transactions with a change left out)
+export async function bulkUpdateTransactions(transactionIds, changes) {
+  try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+    if (!user) throw new Error("User not found");
+
+    const parsed = bulkEditSchema.safeParse(changes);
+    if (!parsed.success) throw new Error(parsed.error.errors[0].message);
+    const bulkChanges = parsed.data;
+
+    const [transactions, accounts, categories] = await Promise.all([
+      db.transaction.findMany({
+        where: { id: { in: transactionIds }, userId: user.id, deletedAt: null },
+        include: {
+          account: true,
+          destinationAccount: true,
+          splits: true,
+          reconciliations: { where: { status: "COMPLETED" }, select: { id: true } },
+        },
+      }),
+      db.account.findMany({ where: { userId: user.id } }),
+      getUserCategories(user.id),
+    ]);
+
+    // Transactions are assigned to active leaf categories (like in the form)
+    if (
+      bulkChanges.category &&
+      !getLeafCategories(categories).some(
+        (c) => c.id === bulkChanges.category && !c.isArchived && c.type !== "TRANSFER"
+      )
+    ) {
+      throw new Error("Invalid category");
+    }
+    if (bulkChanges.accountId && !accounts.some((a) => a.id === bulkChanges.accountId)) {
+      throw new Error("Account not found");
+    }
+
+    const balanceChanges = {};
+    let skipped = 0;
+
+    const updates = transactions.map((transaction) => {
+      const { data, skipped: skippedChanges } = getBulkEditChanges(
+        { ...transaction, isReconciled: transaction.reconciliations.length > 0 },
+        bulkChanges,
+        { categories, accounts }
+      );
+      if (skippedChanges.length > 0) skipped += 1;
+
+      // Moved to another account → undo the old balance change, apply it to the new account
+      if (data.accountId) {
+        const amount = transaction.amount.toNumber();
+        const destinationAmount = transaction.destinationAmount?.toNumber() ?? null;
+        addBalanceChanges(
+          balanceChanges,
+          getBalanceChanges({ ...transaction, amount, destinationAmount }),
+          -1
+        );
+        addBalanceChanges(
+          balanceChanges,
+          getBalanceChanges({
+            ...transaction,
+            amount,
+            destinationAmount,
+            account: accounts.find((a) => a.id === data.accountId),
+          })
+        );
+      }
+
+      // New date or recurring setting → next recurring date starts again from the date
+      if ("date" in data || "isRecurring" in data) {
+        const isRecurring = data.isRecurring ?? transaction.isRecurring;
+        data.nextRecurringDate = isRecurring
+          ? calculateNextRecurringDate(getRecurrenceRule({ ...transaction, ...data }))
+          : null;
+      }
+
+      return { transaction, data };
+    });
+
+    const changed = updates.filter(({ data }) => Object.keys(data).length > 0);
+
+    await db.$transaction(async (tx) => {
+      const auditEntries = [];
+      for (const { transaction, data } of changed) {
+        const updated = await tx.transaction.update({
+          where: { id: transaction.id, userId: user.id },
+          data,
+          include: { splits: true },
+        });
+        auditEntries.push({
+          userId: user.id,
+          actorId: user.id,
+          entityType: "TRANSACTION",
+          entityId: transaction.id,
+          action: "UPDATE",
+          source: "TABLE",
+          before: getTransactionSnapshot(transaction),
+          after: getTransactionSnapshot(updated),
+        });
+      }
+
+      await applyBalanceChanges(tx, balanceChanges);
+      await recordAudit(tx, auditEntries);
+    });
+
+    revalidatePath("/dashboard");
+    // Every account the transactions were in (or moved to)
+    const accountIds = new Set([
+      ...transactions.flatMap((t) => [t.accountId, t.destinationAccountId]),
+      ...Object.keys(balanceChanges),
+    ]);
+    for (const accountId of accountIds) {
+      if (accountId) revalidatePath(`/account/${accountId}`);
+    }
+
+    return { success: true, data: { count: changed.length, skipped } };
+  } catch (error) {
+    throw new Error(error.message);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                           TRANSACTION HISTORY                              */
+/* -------------------------------------------------------------------------- */
+
+// 📜 Audit log of one transaction, newest first (shown next to the edit form).
+// Also works for transactions in the trash - the history outlives the transaction.
+// ✅ [{ id, action: "UPDATE", source: "FORM", byUser: true, before: {...}, after: {...}, createdAt }]
+export async function getTransactionHistory(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const entries = await getAuditHistory(user.id, "TRANSACTION", id);
+
+  return entries.map((entry) => ({
+    id: entry.id,
+    action: entry.action,
+    source: entry.source,
+    before: entry.before,
+    after: entry.after,
+    createdAt: entry.createdAt,
+    byUser: entry.actorId === user.id, // false = background job (recurring, auto-purge)
+  }));
+}
+
 /* -------------------------------------------------------------------------- */
 /*                           GET ALL USER TRANSACTIONS                        */
 /* -------------------------------------------------------------------------- */
@@ -317,17 +663,21 @@ export async function getUserTransactions(query = {}) {
     const transactions = await db.transaction.findMany({
       where: {
         userId: user.id,
+        deletedAt: null, // Not the ones in the trash
         ...query, // Optional filters (like date, category, etc.)
       },
       include: {
-        account: true,
+        account: { select: { name: true, currency: true } },
+        destinationAccount: { select: { name: true } }, // Receiving account of transfers
+        splits: true, // Category lines of split transactions
       },
       orderBy: {
         date: "desc", // Most recent first
       },
     });
 
-    return { success: true, data: transactions };
+    // Decimal → number, so the list can be sent to the browser (e.g. for export)
+    return { success: true, data: transactions.map(serializeAmount) };
   } catch (error) {
     throw new Error(error.message);
   }
@@ -338,6 +688,22 @@ export async function getUserTransactions(query = {}) {
 /* -------------------------------------------------------------------------- */
 export async function scanReceipt(file) {
   try {
+    const { userId } = await auth();
+    if (!userId) throw new Error("Unauthorized");
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+    if (!user) throw new Error("User not found");
+
+    // The user's expense categories the AI can choose from, e.g. "groceries (Groceries)"
+    const expenseCategories = (await getUserCategories(user.id)).filter(
+      (category) => category.type === "EXPENSE" && !category.isArchived
+    );
+    const categoryOptions = expenseCategories
+      .map((category) => `${category.id} (${category.name})`)
+      .join(", ");
+
     const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
 
     // -------------------------------------------------------------------
@@ -368,7 +734,7 @@ export async function scanReceipt(file) {
       - Date (in ISO format)
       - Description or items purchased (brief summary)
       - Merchant/store name
-      - Suggested category (one of: housing,transportation,groceries,utilities,entertainment,food,shopping,healthcare,education,personal,travel,insurance,gifts,bills,other-expense )
+      - Suggested category id (one of these "id (name)": ${categoryOptions} - respond with the id only)
 
       Only respond with valid JSON in this exact format:
       {
@@ -428,22 +794,42 @@ export async function scanReceipt(file) {
     // without crashing or throwing an error.
     const cleanedText = text.replace(/```(?:json)?\n?/g, "").trim(); // Clean code blocks
 
+    let data;
     try {
       // cleanedText is a string from Gemini AI,
       // but to use it in your code as data (like numbers, dates, texts),
       // you need it as a JavaScript object.
-      const data = JSON.parse(cleanedText); // Parse Gemini response.... It converts the cleaned text (string) into a JavaScript object.
-      return {
-        amount: parseFloat(data.amount),
-        date: new Date(data.date),
-        description: data.description,
-        category: data.category,
-        merchantName: data.merchantName,
-      };
+      data = JSON.parse(cleanedText); // Parse Gemini response.... It converts the cleaned text (string) into a JavaScript object.
     } catch (parseError) {
       console.error("Error parsing JSON response:", parseError);
       throw new Error("Invalid response format from Gemini");
     }
+
+    const scanned = {
+      amount: parseFloat(data.amount),
+      date: new Date(data.date),
+      description: data.description,
+      // Only keep a suggestion that really is one of the user's categories
+      category: expenseCategories.some((c) => c.id === data.category)
+        ? data.category
+        : undefined,
+      merchantName: data.merchantName,
+    };
+
+    // 🪄 The user's rules beat the AI's guess: "description contains UBER" also matches the merchant name
+    // (no category / account passed in → the rule fills them; the form keeps the ones the user picked)
+    const ruled = await applyUserRules(user.id, {
+      type: "EXPENSE",
+      amount: scanned.amount,
+      description: [scanned.merchantName, scanned.description].filter(Boolean).join(" "),
+    });
+
+    return {
+      ...scanned,
+      category: ruled.category ?? scanned.category,
+      ...(ruled.accountId && { accountId: ruled.accountId }), // Rule picked an account
+      ...(ruled.tags && { tags: ruled.tags }),                 // Rule added tags
+    };
   } catch (error) {
     console.error("Error scanning receipt:", error);
     throw new Error("Failed to scan receipt");
@@ -451,25 +837,88 @@ export async function scanReceipt(file) {
 }
 
 /* -------------------------------------------------------------------------- */
-/*                  CALCULATE NEXT DATE FOR RECURRING PAYMENTS                */
+/*                       TRANSFER / SPLIT / BALANCE HELPERS                   */
 /* -------------------------------------------------------------------------- */
-function calculateNextRecurringDate(startDate, interval) {
-  const date = new Date(startDate);
-
-  switch (interval) {
-    case "DAILY":
-      date.setDate(date.getDate() + 1);
-      break;
-    case "WEEKLY":
-      date.setDate(date.getDate() + 7);
-      break;
-    case "MONTHLY":
-      date.setMonth(date.getMonth() + 1);
-      break;
-    case "YEARLY":
-      date.setFullYear(date.getFullYear() + 1);
-      break;
+
+// For a TRANSFER, find the account receiving the money (must belong to the same user).
+// Returns null for normal income/expense transactions.
+async function getDestinationAccount(data, userId) {
+  if (data.type !== "TRANSFER") return null;
+
+  if (
+    !data.destinationAccountId ||
+    data.destinationAccountId === data.accountId
+  ) {
+    throw new Error("Please choose a different account to transfer to");
+  }
+
+  const destinationAccount = await db.account.findUnique({
+    where: {
+      id: data.destinationAccountId,
+      userId,
+    },
+  });
+  if (!destinationAccount) throw new Error("Destination account not found");
+
+  return destinationAccount;
+}
+
+// For a transfer between accounts with different currencies, how much the
+// destination account receives (in its own currency). null when no conversion is needed.
+async function getDestinationAmount(amount, account, destinationAccount) {
+  if (!destinationAccount || destinationAccount.currency === account.currency) {
+    return null;
+  }
+
+  // The received amount is saved, so it must not be a 1:1 guess
+  const rateMap = await getRateMap();
+  if (!hasRate(account.currency, destinationAccount.currency, rateMap)) {
+    throw new Error(
+      `No exchange rate found for ${account.currency} → ${destinationAccount.currency}. Please load exchange rates first.`
+    );
   }
 
-  return date;
+  return convertAmount(
+    amount,
+    account.currency,
+    destinationAccount.currency,
+    rateMap
+  );
+}
+
+// Checks the category lines of a split transaction and turns them into rows for Prisma's nested create.
+// Returns [] for a normal transaction with a single category.
+function getSplitLines(data) {
+  if (!data.splits?.length) return [];
+
+  if (data.type === "TRANSFER") {
+    throw new Error("Transfers cannot be split across categories");
+  }
+  if (data.splits.length < 2) {
+    throw new Error("A split needs at least two categories");
+  }
+  if (!splitsMatchTotal(data.amount, data.splits)) {
+    throw new Error("Split amounts must add up to the transaction amount");
+  }
+
+  return data.splits.map((split) => ({
+    category: split.category,
+    amount: Number(split.amount),
+  }));
+}
+
+// Applies { [accountId]: change } to the balances inside a Prisma $transaction (tx)
+async function applyBalanceChanges(tx, balanceChanges) {
+  for (const [accountId, balanceChange] of Object.entries(balanceChanges)) {
+    if (balanceChange === 0) continue; // nothing to change for this account
+
+    await tx.account.update({
+      where: { id: accountId },
+      data: {
+        balance: {
+          increment: balanceChange,
+        },
+      },
+    });
+  }
 }
@@ -1,38 +1,50 @@
 import { Suspense } from "react";
-import { getAccountWithTransactions } from "@/actions/account";
+import Link from "next/link";
+import { History, Scale, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  getAccount,
+  getAccountChartData,
+  getAccountTransactions,
+} from "@/actions/account";
 import { BarLoader } from "react-spinners";
 import { TransactionTable } from "../_components/transaction-table";
 import { notFound } from "next/navigation";
 import { AccountChart } from "../_components/account-chart";
+import { accountTypeLabels, isLiabilityAccount } from "@/data/account-types";
+import { formatCurrency } from "@/lib/currency";
+import { parseTransactionQuery } from "@/lib/transaction-query";
+import { getCategories } from "@/actions/category";
+import { getTags } from "@/actions/tag";
+import { getUserAccounts } from "@/actions/dashboard";
+import { getActiveReconciliation } from "@/actions/reconcile";
+import { ReconcileDrawer } from "../_components/reconcile-drawer";
+import { ReconcileBar } from "../_components/reconcile-bar";
 
-export default async function AccountPage({ params }) {
+export default async function AccountPage({ params, searchParams }) {
 
-    //  getAccountWithTransactions() is a function (you wrote it in @/actions/account)
-    //  It fetches account info + transactions from the database.
-  const accountData = await getAccountWithTransactions(params.id);
+    //  getAccount() is a function (you wrote it in @/actions/account)
+    //  It fetches the account info (name, type, balance, number of transactions) from the database.
+  const account = await getAccount(params.id);
 
-  if (!accountData) {
+  if (!account) {
     notFound();
   }
 
-//   If accountData looks like:
-//     {
-//     id: 1,
-//     name: "My Bank",
-//     type: "CHECKING",
-//     balance: 500,
-//     _count: { transactions: 5 },
-//     transactions: [ /* list of transactions */ ]
-//     }
-//     **you will get**:
-//     transactions → only the list of transactions
-//     account → everything else (id, name, type, balance, _count)
-  // ✅ Take transactions out separately
-  // ✅ Put everything else inside a new object called account.
-  // { transactions, ...account } = separate kar diya transactions aur account ko.
-  // Taake chart aur table ko sirf transactions pass kar saken,
-  // aur heading me account name / balance show kar saken.
-  const { transactions, ...account } = accountData;
+  // Search / filters / sorting / page of the table come from the URL (?search=...&type=...&after=...)
+  // Only this one page of rows is loaded and sent to the browser.
+  const query = parseTransactionQuery(searchParams);
+  const [transactionPage, categories, tags, accounts, activeReconciliation, chartData] = await Promise.all([
+    getAccountTransactions(account.id, query),
+    getCategories(), // Names / colors of the user's categories
+    getTags(),       // Every tag in use (tag filter + bulk tagging suggestions)
+    getUserAccounts(), // Accounts the bulk edit can move transactions to
+    getActiveReconciliation(account.id), // Bank statement check in progress (or null)
+    getAccountChartData(account.id, "1M"), // Income / expense per day + balance line (last month)
+  ]);
+
+  // ?reconcile=1 → the table ticks off transactions against the statement
+  const reconciliation = query.reconcile ? activeReconciliation : null;
 
   return (
     <div className="space-y-8 px-5">
@@ -43,7 +55,7 @@ export default async function AccountPage({ params }) {
             {account.name}
           </h1>
           <p className="text-muted-foreground">
-            {account.type.charAt(0) + account.type.slice(1).toLowerCase()}{" "} {/* Account type: First letter capitalized */}
+            {accountTypeLabels[account.type]}{" "} {/* Account type: e.g. "Credit Card" */}
             Account
           </p>
         </div>
@@ -51,26 +63,82 @@ export default async function AccountPage({ params }) {
         {/* Right side - Balance and number of transactions */}
         <div className="text-right pb-2">
           <div className="text-xl sm:text-2xl font-bold">
-            ${parseFloat(account.balance).toFixed(2)}   {/* Show account balance with two decimal places */}
+            {formatCurrency(parseFloat(account.balance), account.currency)}   {/* Show account balance in its own currency */}
           </div>
+          {isLiabilityAccount(account.type) && (
+            <p className="text-sm text-red-500">Amount owed</p>
+          )}
           <p className="text-sm text-muted-foreground">
             {account._count.transactions} Transactions
           </p>
+          <div className="flex flex-wrap justify-end gap-1 mt-1">
+            {/* Check the account against a bank statement */}
+            {!activeReconciliation ? (
+              <ReconcileDrawer accountId={account.id}>
+                <Button variant="ghost" size="sm">
+                  <Scale className="mr-2 h-4 w-4" />
+                  Reconcile
+                </Button>
+              </ReconcileDrawer>
+            ) : (
+              !reconciliation && (
+                <Link href={`/account/${account.id}?reconcile=1`}>
+                  <Button variant="ghost" size="sm">
+                    <Scale className="mr-2 h-4 w-4" />
+                    Continue Reconciling
+                  </Button>
+                </Link>
+              )
+            )}
+            {/* Past reconciliations */}
+            <Link href={`/account/${account.id}/reconciliations`}>
+              <Button variant="ghost" size="sm">
+                <History className="mr-2 h-4 w-4" />
+                Reconciliations
+              </Button>
+            </Link>
+            {/* Deleted transactions - restore or purge them */}
+            <Link href={`/account/${account.id}/trash`}>
+              <Button variant="ghost" size="sm">
+                <Trash2 className="mr-2 h-4 w-4" />
+                Trash
+              </Button>
+            </Link>
+          </div>
         </div>
       </div>
 
+      {/* Running difference between the statement and the ticked-off transactions */}
+      {reconciliation && (
+        <ReconcileBar reconciliation={reconciliation} currency={account.currency} />
+      )}
+
       {/* Chart Section */}
       <Suspense
         fallback={<BarLoader className="mt-4" width={"100%"} color="#9333ea" />}
       >
-        <AccountChart transactions={transactions} />
+        <AccountChart
+          accountId={account.id}
+          initialData={chartData.data}
+          currency={account.currency}
+        />
       </Suspense>
 
       {/* Transactions Table */}
       <Suspense
         fallback={<BarLoader className="mt-4" width={"100%"} color="#9333ea" />}
       >
-        <TransactionTable transactions={transactions} />
+        <TransactionTable
+          transactionPage={transactionPage}
+          query={query}
+          accountId={account.id}
+          accountName={account.name}
+          currency={account.currency}
+          categories={categories}
+          tags={tags}
+          accounts={accounts}
+          reconciliation={reconciliation}
+        />
       </Suspense>
     </div>
   );
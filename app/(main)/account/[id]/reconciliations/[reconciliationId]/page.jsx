@@ -0,0 +1,110 @@
+// 🔍 Summary:
+// One reconciliation of an account: the statement it was checked against
+// and the transactions that were ticked off as cleared on it.
+
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { format } from "date-fns";
+import { ArrowLeft } from "lucide-react";
+import { getAccount } from "@/actions/account";
+import { getReconciliation } from "@/actions/reconcile";
+import { getCategories } from "@/actions/category";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { getCategoryLabel } from "@/lib/category-tree";
+import { formatCurrency } from "@/lib/currency";
+import { getAccountEffect } from "@/lib/balance";
+import { cn } from "@/lib/utils";
+
+export default async function ReconciliationPage({ params }) {
+  const [account, reconciliation, categories] = await Promise.all([
+    getAccount(params.id),
+    getReconciliation(params.reconciliationId),
+    getCategories(),
+  ]);
+
+  if (!account || !reconciliation || reconciliation.accountId !== account.id) notFound();
+
+  return (
+    <div className="space-y-8 px-5">
+      <div className="flex gap-4 items-end justify-between">
+        <div>
+          <h1 className="text-4xl sm:text-5xl font-bold tracking-tight gradient-title">
+            Statement of {format(new Date(reconciliation.statementDate), "PP")}
+          </h1>
+          <p className="text-muted-foreground">
+            {account.name} · closing balance{" "}
+            {formatCurrency(reconciliation.statementBalance, account.currency)} ·{" "}
+            {reconciliation.status === "COMPLETED"
+              ? `reconciled on ${format(new Date(reconciliation.completedAt), "PP")}`
+              : "in progress"}
+          </p>
+        </div>
+        <Link href={`/account/${account.id}/reconciliations`}>
+          <Button variant="outline">
+            <ArrowLeft className="mr-2 h-4 w-4" />
+            All Reconciliations
+          </Button>
+        </Link>
+      </div>
+
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Date</TableHead>
+              <TableHead>Description</TableHead>
+              <TableHead>Category</TableHead>
+              <TableHead className="text-right">Amount</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {reconciliation.transactions.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={4} className="text-center text-muted-foreground">
+                  No transactions were ticked off
+                </TableCell>
+              </TableRow>
+            ) : (
+              reconciliation.transactions.map((transaction) => {
+                // What the transaction did to THIS account (+ / -)
+                const effect = getAccountEffect(transaction, account.id);
+                return (
+                  <TableRow key={transaction.id}>
+                    <TableCell>{format(new Date(transaction.date), "PP")}</TableCell>
+                    <TableCell>
+                      {transaction.description}
+                      {transaction.deletedAt && (
+                        <Badge variant="outline" className="ml-2">
+                          In trash
+                        </Badge>
+                      )}
+                    </TableCell>
+                    <TableCell>{getCategoryLabel(categories, transaction.category)}</TableCell>
+                    <TableCell
+                      className={cn(
+                        "text-right font-medium",
+                        effect < 0 ? "text-red-500" : "text-green-500"
+                      )}
+                    >
+                      {effect < 0 ? "-" : "+"}
+                      {formatCurrency(Math.abs(effect), account.currency)}
+                    </TableCell>
+                  </TableRow>
+                );
+              })
+            )}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+}
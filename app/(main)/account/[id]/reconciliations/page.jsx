@@ -0,0 +1,45 @@
+// 🔍 Summary:
+// Reconciliations of one account: every time it was checked against a bank statement.
+// Click a statement date to see which transactions were ticked off on it.
+
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import { getAccount } from "@/actions/account";
+import { getReconciliations } from "@/actions/reconcile";
+import { Button } from "@/components/ui/button";
+import { ReconciliationList } from "../../_components/reconciliation-list";
+
+export default async function AccountReconciliationsPage({ params }) {
+  const account = await getAccount(params.id);
+  if (!account) notFound();
+
+  const reconciliations = await getReconciliations(account.id);
+
+  return (
+    <div className="space-y-8 px-5">
+      <div className="flex gap-4 items-end justify-between">
+        <div>
+          <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title capitalize">
+            Reconciliations
+          </h1>
+          <p className="text-muted-foreground">
+            Bank statements {account.name} was checked against
+          </p>
+        </div>
+        <Link href={`/account/${account.id}`}>
+          <Button variant="outline">
+            <ArrowLeft className="mr-2 h-4 w-4" />
+            Back to {account.name}
+          </Button>
+        </Link>
+      </div>
+
+      <ReconciliationList
+        reconciliations={reconciliations}
+        accountId={account.id}
+        currency={account.currency}
+      />
+    </div>
+  );
+}
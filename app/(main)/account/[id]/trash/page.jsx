@@ -0,0 +1,56 @@
+// 🔍 Summary:
+// Trash of one account: transactions that were deleted but not purged yet.
+// They can be restored (their balance change is applied again) or purged for good.
+// Anything left here is purged automatically after TRASH_RETENTION_DAYS.
+
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import {
+  getAccount,
+  getDeletedTransactions,
+} from "@/actions/account";
+import { getCategories } from "@/actions/category";
+import { Button } from "@/components/ui/button";
+import { TRASH_RETENTION_DAYS } from "@/lib/trash";
+import { TrashTable } from "../../_components/trash-table";
+
+export default async function AccountTrashPage({ params }) {
+  const account = await getAccount(params.id);
+  if (!account) notFound();
+
+  const [transactions, categories] = await Promise.all([
+    getDeletedTransactions(account.id),
+    getCategories(),
+  ]);
+
+  return (
+    <div className="space-y-8 px-5">
+      <div className="flex gap-4 items-end justify-between">
+        <div>
+          <h1 className="text-5xl sm:text-6xl font-bold tracking-tight gradient-title capitalize">
+            Trash
+          </h1>
+          <p className="text-muted-foreground">
+            Deleted transactions of {account.name} - purged for good after{" "}
+            {TRASH_RETENTION_DAYS} days
+          </p>
+        </div>
+        <Link href={`/account/${account.id}`}>
+          <Button variant="outline">
+            <ArrowLeft className="mr-2 h-4 w-4" />
+            Back to {account.name}
+          </Button>
+        </Link>
+      </div>
+
+      <TrashTable
+        transactions={transactions}
+        accountId={account.id}
+        currency={account.currency}
+        categories={categories}
+        retentionDays={TRASH_RETENTION_DAYS}
+      />
+    </div>
+  );
+}
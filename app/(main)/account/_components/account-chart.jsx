@@ -2,8 +2,9 @@
 
 import { useState, useMemo } from "react";
 import {
-  BarChart,
+  ComposedChart,    // Bars + a line in one chart
   Bar,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,    // Grid lines for the chart
@@ -11,7 +12,8 @@ import {
   Legend,
   ResponsiveContainer,  // Container to make the chart responsive to different screen sizes
 } from "recharts";
-import { format, subDays, startOfDay, endOfDay } from "date-fns";
+import { format, parseISO } from "date-fns";
+import { Loader2 } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import {
   Select,
@@ -20,52 +22,48 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { getAccountChartData } from "@/actions/account";
+import useFetch from "@/hooks/use-fetch";
+import { formatCurrency } from "@/lib/currency";
+import { ACCOUNT_CHART_RANGES, getChartStartDate } from "@/lib/account-chart";
 
-// Define date ranges available for filtering transactions (7 days, 1 month, 3 months, etc.).
-const DATE_RANGES = {
-  "7D": { label: "Last 7 Days", days: 7 },
-  "1M": { label: "Last Month", days: 30 },
-  "3M": { label: "Last 3 Months", days: 90 },
-  "6M": { label: "Last 6 Months", days: 180 },
-  ALL: { label: "All Time", days: null },
-};
-
-export function AccountChart({ transactions }) {
+// initialData = getAccountChartData(accountId, "1M") loaded by the account page:
+//   { days: [{ date: "2025-05-31", income, expense }], balances: [{ date, balance }] }
+// Picking another range loads its totals from the server (the page never loads every transaction).
+// A switch can plot the running balance as a line over the bars.
+export function AccountChart({ accountId, initialData, currency }) {
     // State to track the selected date range filter (default is "Last Month").
   const [dateRange, setDateRange] = useState("1M");
+  const [showBalance, setShowBalance] = useState(false);
 
-  // Use useMemo to filter and group transactions only when necessary (transactions or date range change).
-  const filteredData = useMemo(() => {
-    const range = DATE_RANGES[dateRange];   // Get the selected date range object
-    const now = new Date();     // Get current date
-    const startDate = range.days
-      ? startOfDay(subDays(now, range.days))    // Get the start of the day, subtracting the range days
-      : startOfDay(new Date(0));    // For 'ALL' range, use the beginning of time (01/01/1970)
+  const { loading, fn: fetchChart, data: fetched } = useFetch(getAccountChartData);
+  const { days, balances } = fetched?.data ?? initialData;
 
-    // Filter transactions within date range
-    const filtered = transactions.filter(
-      (t) => new Date(t.date) >= startDate && new Date(t.date) <= endOfDay(now)
-    );
+  const canShowBalance = Boolean(balances?.length);
+  const withBalance = canShowBalance && showBalance;
 
-    // Group transactions by date
-    const grouped = filtered.reduce((acc, transaction) => {
-      const date = format(new Date(transaction.date), "MMM dd");
-      if (!acc[date]) {
-        acc[date] = { date, income: 0, expense: 0 };
-      }
-      if (transaction.type === "INCOME") {
-        acc[date].income += transaction.amount;
-      } else {
-        acc[date].expense += transaction.amount;
+  const handleRangeChange = (value) => {
+    setDateRange(value);
+    fetchChart(accountId, value);
+  };
+
+  // Bars per day (already summed up on the server) + the balance line if it is switched on
+  const filteredData = useMemo(() => {
+    const grouped = Object.fromEntries(days.map((day) => [day.date, day]));
+
+    // Balance line: one point for EVERY day in the range (also days without transactions)
+    if (withBalance) {
+      const startKey = format(getChartStartDate(dateRange), "yyyy-MM-dd");
+      for (const { date, balance } of balances) {
+        if (date < startKey) continue;
+        grouped[date] = { date, income: 0, expense: 0, ...grouped[date], balance };
       }
-      return acc;
-    }, {});
+    }
 
-    // Convert to array and sort by date
-    return Object.values(grouped).sort(
-      (a, b) => new Date(a.date) - new Date(b.date)
-    );
-  }, [transactions, dateRange]);
+    // Convert to array and sort by date ("yyyy-MM-dd" sorts like a date)
+    return Object.values(grouped).sort((a, b) => a.date.localeCompare(b.date));
+  }, [days, balances, dateRange, withBalance]);
 
   // Calculate totals for the selected period
   const totals = useMemo(() => {
@@ -81,34 +79,43 @@ export function AccountChart({ transactions }) {
   return (
     <Card>
       <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-7">
-        <CardTitle className="text-base font-normal">
+        <CardTitle className="text-base font-normal flex items-center gap-2">
           Transaction Overview
+          {loading && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
         </CardTitle>
-        <Select defaultValue={dateRange} onValueChange={setDateRange}>
-          <SelectTrigger className="w-[140px]">
-            <SelectValue placeholder="Select range" />
-          </SelectTrigger>
-          <SelectContent>
-            {Object.entries(DATE_RANGES).map(([key, { label }]) => (
-              <SelectItem key={key} value={key}>
-                {label}
-              </SelectItem>
-            ))}
-          </SelectContent>
-        </Select>
+        <div className="flex items-center gap-4">
+          {canShowBalance && (
+            <label className="flex items-center gap-2 text-sm text-muted-foreground">
+              <Switch checked={showBalance} onCheckedChange={setShowBalance} />
+              Show balance
+            </label>
+          )}
+          <Select value={dateRange} onValueChange={handleRangeChange}>
+            <SelectTrigger className="w-[140px]">
+              <SelectValue placeholder="Select range" />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(ACCOUNT_CHART_RANGES).map(([key, { label }]) => (
+                <SelectItem key={key} value={key}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
       </CardHeader>
       <CardContent>
         <div className="flex justify-around mb-6 text-sm">
           <div className="text-center">
             <p className="text-muted-foreground">Total Income</p>
             <p className="text-lg font-bold text-green-500">
-              ${totals.income.toFixed(2)}
+              {formatCurrency(totals.income, currency)}
             </p>
           </div>
           <div className="text-center">
             <p className="text-muted-foreground">Total Expenses</p>
             <p className="text-lg font-bold text-red-500">
-              ${totals.expense.toFixed(2)}
+              {formatCurrency(totals.expense, currency)}
             </p>
           </div>
           <div className="text-center">
@@ -120,13 +127,13 @@ export function AccountChart({ transactions }) {
                   : "text-red-500"
               }`}
             >
-              ${(totals.income - totals.expense).toFixed(2)}
+              {formatCurrency(totals.income - totals.expense, currency)}
             </p>
           </div>
         </div>
         <div className="h-[300px]">
           <ResponsiveContainer width="100%" height="100%">
-            <BarChart
+            <ComposedChart
               data={filteredData}
               margin={{ top: 10, right: 10, left: 10, bottom: 0 }}
             >
@@ -136,15 +143,29 @@ export function AccountChart({ transactions }) {
                 fontSize={12}
                 tickLine={false}
                 axisLine={false}
+                tickFormatter={(date) => format(parseISO(date), "MMM dd")}
               />
               <YAxis
+                yAxisId="amount"
                 fontSize={12}
                 tickLine={false}
                 axisLine={false}
-                tickFormatter={(value) => `$${value}`}
+                tickFormatter={(value) => formatCurrency(value, currency)}
               />
+              {/* Balance has its own scale on the right (it is usually much bigger than one day's amounts) */}
+              {withBalance && (
+                <YAxis
+                  yAxisId="balance"
+                  orientation="right"
+                  fontSize={12}
+                  tickLine={false}
+                  axisLine={false}
+                  tickFormatter={(value) => formatCurrency(value, currency)}
+                />
+              )}
               <Tooltip
-                formatter={(value) => [`$${value}`, undefined]}
+                labelFormatter={(date) => format(parseISO(date), "PP")}
+                formatter={(value) => [formatCurrency(value, currency), undefined]}
                 contentStyle={{
                   backgroundColor: "hsl(var(--popover))",
                   border: "1px solid hsl(var(--border))",
@@ -153,18 +174,31 @@ export function AccountChart({ transactions }) {
               />
               <Legend />
               <Bar
+                yAxisId="amount"
                 dataKey="income"
                 name="Income"
                 fill="#22c55e"
                 radius={[4, 4, 0, 0]}
               />
               <Bar
+                yAxisId="amount"
                 dataKey="expense"
                 name="Expense"
                 fill="#ef4444"
                 radius={[4, 4, 0, 0]}
               />
-            </BarChart>
+              {withBalance && (
+                <Line
+                  yAxisId="balance"
+                  type="monotone"
+                  dataKey="balance"
+                  name="Balance"
+                  stroke="#9333ea"
+                  strokeWidth={2}
+                  dot={false}
+                />
+              )}
+            </ComposedChart>
           </ResponsiveContainer>
         </div>
       </CardContent>
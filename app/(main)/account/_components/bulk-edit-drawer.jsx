@@ -0,0 +1,267 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { format } from "date-fns";
+import { CalendarIcon, Loader2 } from "lucide-react";
+import useFetch from "@/hooks/use-fetch";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerDescription,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+  DrawerClose,
+} from "@/components/ui/drawer";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Calendar } from "@/components/ui/calendar";
+import { TagInput } from "@/components/tag-input";
+import { bulkUpdateTransactions } from "@/actions/transaction";
+import { bulkEditSchema } from "@/app/lib/schema";
+import { getCategoryLabel, getLeafCategories } from "@/lib/category-tree";
+import { cn } from "@/lib/utils";
+
+const KEEP = "keep"; // Select value for "leave as it is" (Select items can't be empty)
+
+const emptyChanges = {
+  category: "",
+  accountId: "",
+  date: undefined,
+  recurring: KEEP,
+  addTags: [],
+  removeTags: [],
+};
+
+// Drawer to change several selected transactions at once.
+// Every field starts at "Keep" - only the fields the user picks are changed.
+// A change that doesn't fit a transaction (e.g. an expense category on an income) skips that one.
+// selectedIds = ids of the selected rows, onDone = called after saving (clears the selection)
+export function BulkEditDrawer({
+  selectedIds,
+  accounts,
+  categories,
+  tags,
+  onDone,
+  children,
+}) {
+  const [open, setOpen] = useState(false);
+
+  const {
+    handleSubmit,
+    formState: { errors },
+    setValue,
+    watch,
+    reset,
+  } = useForm({
+    resolver: zodResolver(bulkEditSchema),
+    defaultValues: emptyChanges,
+  });
+
+  // Categories a transaction can be moved to: active leaf income / expense categories
+  const editableCategories = getLeafCategories(categories).filter(
+    (category) => category.type !== "TRANSFER" && !category.isArchived
+  );
+
+  const {
+    loading: saving,
+    fn: saveFn,
+    data: saved,
+  } = useFetch(bulkUpdateTransactions);
+
+  const onSubmit = async (data) => {
+    await saveFn(selectedIds, data);
+  };
+
+  useEffect(() => {
+    if (saved?.success) {
+      const { count, skipped } = saved.data;
+      toast.success(
+        skipped > 0
+          ? `${count} transactions updated (some changes didn't fit ${skipped} of them)`
+          : `${count} transactions updated`
+      );
+      reset(emptyChanges);
+      setOpen(false);
+      onDone?.();
+    }
+  }, [saved]);
+
+  const date = watch("date");
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Edit {selectedIds.length} Transactions</DrawerTitle>
+          <DrawerDescription>
+            Only the fields you change are updated. Categories only apply to matching
+            income / expense transactions, and transactions only move between accounts
+            in the same currency.
+          </DrawerDescription>
+        </DrawerHeader>
+
+        <div className="px-4 pb-4 max-h-[70vh] overflow-y-auto">
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="grid gap-4 md:grid-cols-2">
+              {/* Category */}
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Category</label>
+                <Select
+                  value={watch("category") || KEEP}
+                  onValueChange={(value) =>
+                    setValue("category", value === KEEP ? "" : value)
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={KEEP}>Keep</SelectItem>
+                    {editableCategories.map((category) => (
+                      <SelectItem key={category.id} value={category.id}>
+                        {getCategoryLabel(categories, category.id)}
+                        {category.type === "INCOME" && " (income)"}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {errors.category && (
+                  <p className="text-sm text-red-500">{errors.category.message}</p>
+                )}
+              </div>
+
+              {/* Account */}
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Account</label>
+                <Select
+                  value={watch("accountId") || KEEP}
+                  onValueChange={(value) =>
+                    setValue("accountId", value === KEEP ? "" : value)
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={KEEP}>Keep</SelectItem>
+                    {accounts.map((account) => (
+                      <SelectItem key={account.id} value={account.id}>
+                        {account.name} ({account.currency})
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {/* Date */}
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Date</label>
+                <Popover>
+                  <PopoverTrigger asChild>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      className={cn(
+                        "w-full pl-3 text-left font-normal",
+                        !date && "text-muted-foreground"
+                      )}
+                    >
+                      {date ? format(date, "PPP") : <span>Keep</span>}
+                      <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                    </Button>
+                  </PopoverTrigger>
+                  <PopoverContent className="w-auto p-0" align="start">
+                    <Calendar
+                      mode="single"
+                      selected={date}
+                      onSelect={(value) => setValue("date", value)}
+                      disabled={(value) =>
+                        value > new Date() || value < new Date("1900-01-01")
+                      }
+                      initialFocus
+                    />
+                  </PopoverContent>
+                </Popover>
+              </div>
+
+              {/* Recurring */}
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Recurring</label>
+                <Select
+                  value={watch("recurring")}
+                  onValueChange={(value) => setValue("recurring", value)}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={KEEP}>Keep</SelectItem>
+                    <SelectItem value="off">Not recurring</SelectItem>
+                    <SelectItem value="DAILY">Daily</SelectItem>
+                    <SelectItem value="WEEKLY">Weekly</SelectItem>
+                    <SelectItem value="MONTHLY">Monthly</SelectItem>
+                    <SelectItem value="YEARLY">Yearly</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            {/* Tags */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Add tags</label>
+              <TagInput
+                value={watch("addTags")}
+                onChange={(value) => setValue("addTags", value)}
+                suggestions={tags}
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Remove tags</label>
+              <TagInput
+                value={watch("removeTags")}
+                onChange={(value) => setValue("removeTags", value)}
+                suggestions={tags}
+              />
+            </div>
+
+            <div className="flex gap-4 pt-4">
+              <DrawerClose asChild>
+                <Button type="button" variant="outline" className="flex-1">
+                  Cancel
+                </Button>
+              </DrawerClose>
+              <Button type="submit" className="flex-1" disabled={saving}>
+                {saving ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Saving...
+                  </>
+                ) : (
+                  `Update ${selectedIds.length} Transactions`
+                )}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,109 @@
+"use client";
+
+import { useEffect } from "react";
+import Link from "next/link";
+import { format } from "date-fns";
+import { CheckCircle2, Loader2 } from "lucide-react";
+import { useRouter } from "next/navigation";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { cancelReconciliation, completeReconciliation } from "@/actions/reconcile";
+import useFetch from "@/hooks/use-fetch";
+import { formatCurrency } from "@/lib/currency";
+import { cn } from "@/lib/utils";
+
+// Shown above the transactions table while reconciling:
+// statement balance vs. cleared balance and the running difference (must reach 0 to finish).
+// reconciliation = summary from getActiveReconciliation
+export function ReconcileBar({ reconciliation, currency }) {
+  const router = useRouter();
+  const { id, accountId, statementDate, statementBalance, clearedBalance, difference, clearedCount } =
+    reconciliation;
+
+  const {
+    loading: completing,
+    fn: completeFn,
+    data: completed,
+  } = useFetch(completeReconciliation);
+
+  const {
+    loading: cancelling,
+    fn: cancelFn,
+    data: cancelled,
+  } = useFetch(cancelReconciliation);
+
+  const handleCancel = () => {
+    if (!window.confirm("Cancel this reconciliation? The ticks are thrown away.")) return;
+    cancelFn(id);
+  };
+
+  useEffect(() => {
+    if (completed?.success) {
+      toast.success(`Reconciled - ${completed.data.count} transactions are now locked`);
+      router.push(`/account/${accountId}`);
+    }
+  }, [completed]);
+
+  useEffect(() => {
+    if (cancelled?.success) {
+      toast.success("Reconciliation cancelled");
+      router.push(`/account/${accountId}`);
+    }
+  }, [cancelled]);
+
+  return (
+    <Card className="border-purple-200 bg-purple-50/50">
+      <CardContent className="pt-6 flex flex-col md:flex-row md:items-center gap-6">
+        <div className="grid flex-1 grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+          <div>
+            <p className="text-muted-foreground">Statement ({format(new Date(statementDate), "PP")})</p>
+            <p className="text-lg font-semibold">{formatCurrency(statementBalance, currency)}</p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Cleared balance</p>
+            <p className="text-lg font-semibold">{formatCurrency(clearedBalance, currency)}</p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Difference</p>
+            <p
+              className={cn(
+                "text-lg font-semibold",
+                difference === 0 ? "text-green-600" : "text-red-500"
+              )}
+            >
+              {formatCurrency(difference, currency)}
+            </p>
+          </div>
+          <div>
+            <p className="text-muted-foreground">Ticked off</p>
+            <p className="text-lg font-semibold">{clearedCount} transactions</p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {/* Leave the ticks as they are and come back later */}
+          <Link href={`/account/${accountId}`}>
+            <Button variant="ghost">Finish Later</Button>
+          </Link>
+          <Button variant="outline" onClick={handleCancel} disabled={cancelling}>
+            Cancel
+          </Button>
+          <Button
+            onClick={() => completeFn(id)}
+            disabled={difference !== 0 || completing}
+            title={difference !== 0 ? "The difference must be 0" : undefined}
+          >
+            {completing ? (
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            ) : (
+              <CheckCircle2 className="mr-2 h-4 w-4" />
+            )}
+            Finish
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,156 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { format } from "date-fns";
+import { CalendarIcon, Loader2 } from "lucide-react";
+import { useRouter } from "next/navigation";
+import useFetch from "@/hooks/use-fetch";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerDescription,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+  DrawerClose,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Calendar } from "@/components/ui/calendar";
+import { startReconciliation } from "@/actions/reconcile";
+import { reconcileSchema } from "@/app/lib/schema";
+import { cn } from "@/lib/utils";
+
+// Drawer to start reconciling an account: the user copies the end date and closing balance
+// from the bank statement, then ticks off the transactions in the table (reconcile mode).
+export function ReconcileDrawer({ accountId, children }) {
+  const [open, setOpen] = useState(false);
+  const router = useRouter();
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setValue,
+    watch,
+    reset,
+  } = useForm({
+    resolver: zodResolver(reconcileSchema),
+    defaultValues: { statementDate: undefined, statementBalance: "" },
+  });
+
+  const {
+    loading: starting,
+    fn: startFn,
+    data: started,
+  } = useFetch(startReconciliation);
+
+  const onSubmit = async (data) => {
+    await startFn(accountId, data);
+  };
+
+  // Started → open the table in reconcile mode
+  useEffect(() => {
+    if (started?.success) {
+      toast.success("Tick off the transactions that are on the statement");
+      reset();
+      setOpen(false);
+      router.push(`/account/${accountId}?reconcile=1`);
+    }
+  }, [started]);
+
+  const statementDate = watch("statementDate");
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Reconcile with a Bank Statement</DrawerTitle>
+          <DrawerDescription>
+            Enter the end date and closing balance printed on the statement.
+          </DrawerDescription>
+        </DrawerHeader>
+
+        <div className="px-4 pb-4">
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Statement end date</label>
+              <Popover>
+                <PopoverTrigger asChild>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    className={cn(
+                      "w-full pl-3 text-left font-normal",
+                      !statementDate && "text-muted-foreground"
+                    )}
+                  >
+                    {statementDate ? format(statementDate, "PPP") : <span>Pick a date</span>}
+                    <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent className="w-auto p-0" align="start">
+                  <Calendar
+                    mode="single"
+                    selected={statementDate}
+                    onSelect={(value) => setValue("statementDate", value)}
+                    disabled={(value) => value > new Date()}
+                    initialFocus
+                  />
+                </PopoverContent>
+              </Popover>
+              {errors.statementDate && (
+                <p className="text-sm text-red-500">{errors.statementDate.message}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <label htmlFor="statementBalance" className="text-sm font-medium">
+                Closing balance
+              </label>
+              <Input
+                id="statementBalance"
+                type="number"
+                step="0.01"
+                placeholder="0.00"
+                {...register("statementBalance")}
+              />
+              {errors.statementBalance && (
+                <p className="text-sm text-red-500">{errors.statementBalance.message}</p>
+              )}
+            </div>
+
+            <div className="flex gap-4 pt-4">
+              <DrawerClose asChild>
+                <Button type="button" variant="outline" className="flex-1">
+                  Cancel
+                </Button>
+              </DrawerClose>
+              <Button type="submit" className="flex-1" disabled={starting}>
+                {starting ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Starting...
+                  </>
+                ) : (
+                  "Start Reconciling"
+                )}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,123 @@
+"use client";
+
+import { useEffect } from "react";
+import Link from "next/link";
+import { format } from "date-fns";
+import { Unlock } from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { reopenReconciliation } from "@/actions/reconcile";
+import { formatCurrency } from "@/lib/currency";
+
+// Reconciliations of one account, newest statement first.
+// The last completed one can be reopened (its transactions are unlocked until it is finished again).
+export function ReconciliationList({ reconciliations, accountId, currency }) {
+  const {
+    loading: reopening,
+    fn: reopenFn,
+    data: reopened,
+  } = useFetch(reopenReconciliation);
+
+  useEffect(() => {
+    if (reopened?.success) {
+      toast.success("Reconciliation reopened");
+    }
+  }, [reopened]);
+
+  const handleReopen = (id) => {
+    if (!window.confirm("Reopen this reconciliation? Its transactions are unlocked until you finish it again."))
+      return;
+    reopenFn(id);
+  };
+
+  const hasActive = reconciliations.some((r) => r.status === "IN_PROGRESS");
+  const lastCompletedId = reconciliations.find((r) => r.status === "COMPLETED")?.id;
+
+  return (
+    <div className="rounded-md border">
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Statement date</TableHead>
+            <TableHead className="text-right">Closing balance</TableHead>
+            <TableHead className="text-right">Transactions</TableHead>
+            <TableHead>Status</TableHead>
+            <TableHead>Completed</TableHead>
+            <TableHead className="w-[120px]" />
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {reconciliations.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={6} className="text-center text-muted-foreground">
+                This account hasn&apos;t been reconciled yet
+              </TableCell>
+            </TableRow>
+          ) : (
+            reconciliations.map((reconciliation) => (
+              <TableRow key={reconciliation.id}>
+                <TableCell>
+                  <Link
+                    href={`/account/${accountId}/reconciliations/${reconciliation.id}`}
+                    className="hover:underline"
+                  >
+                    {format(new Date(reconciliation.statementDate), "PP")}
+                  </Link>
+                </TableCell>
+                <TableCell className="text-right font-medium">
+                  {formatCurrency(reconciliation.statementBalance, currency)}
+                </TableCell>
+                <TableCell className="text-right">{reconciliation.transactionCount}</TableCell>
+                <TableCell>
+                  {reconciliation.status === "COMPLETED" ? (
+                    <Badge variant="secondary" className="bg-green-100 text-green-700">
+                      Reconciled
+                    </Badge>
+                  ) : (
+                    <Badge variant="outline">In progress</Badge>
+                  )}
+                </TableCell>
+                <TableCell>
+                  {reconciliation.completedAt
+                    ? format(new Date(reconciliation.completedAt), "PPp")
+                    : "—"}
+                </TableCell>
+                <TableCell className="text-right">
+                  {reconciliation.status === "IN_PROGRESS" ? (
+                    <Link href={`/account/${accountId}?reconcile=1`}>
+                      <Button variant="ghost" size="sm">Continue</Button>
+                    </Link>
+                  ) : (
+                    reconciliation.id === lastCompletedId &&
+                    !hasActive && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleReopen(reconciliation.id)}
+                        disabled={reopening}
+                      >
+                        <Unlock className="mr-2 h-4 w-4" />
+                        Reopen
+                      </Button>
+                    )
+                  )}
+                </TableCell>
+              </TableRow>
+            ))
+          )}
+        </TableBody>
+      </Table>
+    </div>
+  );
+}
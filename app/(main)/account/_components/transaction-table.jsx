@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useEffect, useMemo } from "react";
+import { Fragment, useState, useEffect, useTransition } from "react";
 import {
   ChevronDown,
   ChevronUp,
@@ -12,8 +12,14 @@ import {
   ChevronRight,
   RefreshCw,
   Clock,
+  Split,
+  CalendarIcon,
+  Tags,
+  Hash,
+  Pencil,
+  Lock,
 } from "lucide-react";
-import { format } from "date-fns";
+import { format, parseISO } from "date-fns";
 import { toast } from "sonner";
 
 import {
@@ -38,8 +44,16 @@ import {
   DropdownMenuItem,
   DropdownMenuTrigger,
   DropdownMenuSeparator,
+  DropdownMenuCheckboxItem,
+  DropdownMenuLabel,
 } from "@/components/ui/dropdown-menu";     // Dropdown menu components for more options like Edit/Delete.
 import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Calendar } from "@/components/ui/calendar";
 import { Button } from "@/components/ui/button";
 import {
   Tooltip,
@@ -56,106 +70,149 @@ import { cn } from "@/lib/utils";       // Utility function to apply classnames
 // With dynamic classnames ✅ (good)
 // className={isActive ? "btn-primary" : "btn-secondary"}
 // onClick={() => setIsActive(!isActive)}
-import { categoryColors } from "@/data/categories";
-import { bulkDeleteTransactions } from "@/actions/account";
+import { getCategoryColors, getCategoryName } from "@/data/categories";
+import { getCategoryLabel, sortCategoryTree } from "@/lib/category-tree";
+import { formatCurrency } from "@/lib/currency";
+import {
+  bulkDeleteTransactions,
+  getAccountTransactions,
+  restoreTransactions,
+} from "@/actions/account";
+import { setTransactionsCleared } from "@/actions/reconcile";
+import { BulkEditDrawer } from "./bulk-edit-drawer";
+import { ExportMenu } from "@/components/export-menu";
 import useFetch from "@/hooks/use-fetch";
 import { BarLoader } from "react-spinners";
-import { useRouter } from "next/navigation";
+import { usePathname, useRouter } from "next/navigation";
+import {
+  buildTransactionQueryString,
+  hasTransactionFilters,
+} from "@/lib/transaction-query";
+import {
+  describeRecurrence,
+  getRecurrenceLabel,
+  getRecurrenceRule,
+} from "@/lib/recurrence";
+
+// Money leaving THIS account: expenses, and transfers sent to another account.
+// (An incoming transfer has a different accountId - it belongs to the sending account.)
+const isOutgoing = (transaction, accountId) =>
+  transaction.type === "EXPENSE" ||
+  (transaction.type === "TRANSFER" && transaction.accountId === accountId);
 
-const ITEMS_PER_PAGE = 10;      // Number of items to display per page in the table.
+// Date range of the URL query ("2025-03-01") → Calendar range (Date objects)
+const toDateRange = (query) => ({
+  from: query.from ? parseISO(query.from) : undefined,
+  to: query.to ? parseISO(query.to) : undefined,
+});
 
-const RECURRING_INTERVALS = {   // Different recurring intervals (used for categorizing transactions).
-  DAILY: "Daily",
-  WEEKLY: "Weekly",
-  MONTHLY: "Monthly",
-  YEARLY: "Yearly",
-};
+// Search, filters, sorting and paging happen on the server (getAccountTransactions).
+// They are kept in the URL (query), so changing one just navigates to a new URL
+// and the page loads that one page of rows (transactionPage).
+// Reconcile mode (reconciliation is set): the checkboxes tick transactions off as cleared
+// on the bank statement instead of selecting them for bulk actions.
+export function TransactionTable({
+  transactionPage,  // { transactions, totalCount, nextCursor, prevCursor }
+  query,            // Current URL query: { search, type, recurring, from, to, min, max, categories, tags, sort, order, after, before }
+  accountId,
+  accountName,
+  currency,
+  categories,       // The user's categories (archived ones too - old transactions still use them)
+  tags = [],        // Every tag the user has used (tag filter + suggestions when tagging)
+  accounts = [],    // The user's accounts (bulk edit can move transactions to another one)
+  reconciliation = null, // Reconciliation in progress (reconcile mode), see getActiveReconciliation
+}) {
+  const { transactions, totalCount, nextCursor, prevCursor } = transactionPage;
+  const categoryColors = getCategoryColors(categories); // { groceries: "#ef4444", ... }
 
-export function TransactionTable({ transactions }) {
   const [selectedIds, setSelectedIds] = useState([]);   // Array to hold the selected transaction IDs.
-  const [sortConfig, setSortConfig] = useState({        // Sorting configuration (initially by date, descending).
-    field: "date",
-    direction: "desc",
-  });
-  const [searchTerm, setSearchTerm] = useState("");     // Search term for filtering transactions by description.
-  const [typeFilter, setTypeFilter] = useState("");     // Filter for transaction type (income/expense).
-  const [recurringFilter, setRecurringFilter] = useState("");   // Filter for recurring transactions.
-  const [currentPage, setCurrentPage] = useState(1);    // Current page for pagination.
-    // You are creating a piece of state called currentPage.
-    // It starts at 1 (the first page).
-    // setCurrentPage is a function you can use to change the currentPage later.
-    // Because when you have pagination (pages like 1, 2, 3, 4...),
-    // you need to keep track of which page the user is on!
+  const [searchTerm, setSearchTerm] = useState(query.search);   // Search box text (sent to the URL after a short pause).
+  const [amountRange, setAmountRange] = useState({ min: query.min, max: query.max }); // Min / max inputs (also sent after a pause).
+  const [dateRange, setDateRange] = useState(() => toDateRange(query));  // Range picked in the calendar (sent when it closes).
+  const [expandedIds, setExpandedIds] = useState([]);   // Split transactions whose category lines are shown.
+  const [isPending, startTransition] = useTransition(); // true while the next page is loading.
+  const [clearedChanges, setClearedChanges] = useState({}); // Ticks not saved yet: { [id]: true / false }
   const router = useRouter();   // Router for navigation.
+  const pathname = usePathname();
 
-  // Memoized transactions after applying filters and sorting.
-  const filteredAndSortedTransactions = useMemo(() => {
-    let result = [...transactions];     // Copy of the transactions to avoid mutation.
-
-    // Apply search filter
-    if (searchTerm) {
-      const searchLower = searchTerm.toLowerCase();
-      result = result.filter((transaction) =>
-        transaction.description?.toLowerCase().includes(searchLower)
-      );
-    }
+  // Go to the URL for the changed query.
+  // Changing a filter or the sorting starts again from the first page (cursors removed),
+  // unless the change itself is a page change (after / before).
+  const updateQuery = (changes) => {
+    const nextQuery = { ...query, after: null, before: null, ...changes };
+    setSelectedIds([]); // Selection belongs to the rows of the current page
+    startTransition(() => {
+      router.push(`${pathname}${buildTransactionQueryString(nextQuery)}`, {
+        scroll: false,
+      });
+    });
+  };
 
-    // Apply type filter (income/expense).
-    if (typeFilter) {
-      result = result.filter((transaction) => transaction.type === typeFilter);
-    }
+  // New rows from the server already have the saved ticks
+  useEffect(() => {
+    setClearedChanges({});
+  }, [transactions]);
 
-    // Apply recurring filter (recurring or non-recurring).
-    if (recurringFilter) {
-      result = result.filter((transaction) => {
-        if (recurringFilter === "recurring") return transaction.isRecurring;
-        return !transaction.isRecurring;
-      });
-    }
+  // URL changed from outside (browser back / forward) → show its search text, amounts and dates
+  useEffect(() => {
+    setSearchTerm(query.search);
+  }, [query.search]);
 
-    // Apply sorting logic based on the selected field (date, amount, or category).
-    result.sort((a, b) => {
-      let comparison = 0;
-
-      switch (sortConfig.field) {
-        case "date":
-          comparison = new Date(a.date) - new Date(b.date); // Sort by date.
-          break;
-        case "amount":
-          comparison = a.amount - b.amount; // Sort by amount.
-          break;
-        case "category":
-          comparison = a.category.localeCompare(b.category);    // Sort by category.
-          break;
-        default:
-          comparison = 0;   // Default case (no sorting).
-      }
-
-      return sortConfig.direction === "asc" ? comparison : -comparison; // Apply ascending/descending order.
-    });
+  useEffect(() => {
+    setAmountRange({ min: query.min, max: query.max });
+  }, [query.min, query.max]);
 
-    return result;  // Return the filtered and sorted transactions.
-  }, [transactions, searchTerm, typeFilter, recurringFilter, sortConfig]);
+  useEffect(() => {
+    setDateRange(toDateRange(query));
+  }, [query.from, query.to]);
 
-  // Pagination calculations: calculate total pages and slice the data for the current page.
-  const totalPages = Math.ceil(
-    filteredAndSortedTransactions.length / ITEMS_PER_PAGE
-  );
-  const paginatedTransactions = useMemo(() => {
-    const startIndex = (currentPage - 1) * ITEMS_PER_PAGE;
-    return filteredAndSortedTransactions.slice( // Slice the transactions for the current page.
-      startIndex,
-      startIndex + ITEMS_PER_PAGE
+  // Search / filter by amount after the user stops typing for 400ms (not on every key press)
+  useEffect(() => {
+    if (
+      searchTerm === query.search &&
+      amountRange.min === query.min &&
+      amountRange.max === query.max
+    )
+      return;
+    const timeout = setTimeout(
+      () => updateQuery({ search: searchTerm, ...amountRange }),
+      400
     );
-  }, [filteredAndSortedTransactions, currentPage]);
+    return () => clearTimeout(timeout);
+  }, [searchTerm, amountRange]);
+
+  // Calendar closed → filter by the picked days (one day picked = from that day on)
+  const handleDateRangeClose = (open) => {
+    if (open) return;
+    const from = dateRange?.from ? format(dateRange.from, "yyyy-MM-dd") : "";
+    const to = dateRange?.to ? format(dateRange.to, "yyyy-MM-dd") : "";
+    if (from !== query.from || to !== query.to) updateQuery({ from, to });
+  };
+
+  // Add / remove a category from the category filter
+  const handleToggleCategory = (categoryId) => {
+    updateQuery({
+      categories: query.categories.includes(categoryId)
+        ? query.categories.filter((id) => id !== categoryId)
+        : [...query.categories, categoryId],
+    });
+  };
+
+  // Add / remove a tag from the tag filter
+  const handleToggleTag = (tag) => {
+    updateQuery({
+      tags: query.tags.includes(tag)
+        ? query.tags.filter((item) => item !== tag)
+        : [...query.tags, tag],
+    });
+  };
 
   // Function to handle sorting of columns.
   const handleSort = (field) => {
-    setSortConfig((current) => ({
-      field,
-      direction:
-        current.field === field && current.direction === "asc" ? "desc" : "asc",    // Toggle between ascending and descending
-    }));
+    updateQuery({
+      sort: field,
+      order: query.sort === field && query.order === "asc" ? "desc" : "asc",    // Toggle between ascending and descending
+    });
   };
 
   // Function to handle selection of a single transaction by its ID.
@@ -173,9 +230,32 @@ export function TransactionTable({ transactions }) {
   // Function to select/deselect all transactions on the current page.
   const handleSelectAll = () => {
     setSelectedIds((current) =>
-      current.length === paginatedTransactions.length
+      current.length === transactions.length
         ? []    // Deselect all if all are selected.
-        : paginatedTransactions.map((t) => t.id)        // Select all transactions on the current page.
+        : transactions.map((t) => t.id)        // Select all transactions on the current page.
+    );
+  };
+
+  // Reconcile mode: ticked off as cleared? (the tick shows right away, before the server answers)
+  const isCleared = (transaction) =>
+    clearedChanges[transaction.id] ?? transaction.isCleared;
+
+  const { loading: clearLoading, fn: clearFn } = useFetch(setTransactionsCleared);
+
+  const handleToggleCleared = (ids, cleared) => {
+    setClearedChanges((current) => ({
+      ...current,
+      ...Object.fromEntries(ids.map((id) => [id, cleared])),
+    }));
+    clearFn(reconciliation.id, ids, cleared);
+  };
+
+  // Show / hide the category lines of a split transaction.
+  const handleToggleExpand = (id) => {
+    setExpandedIds((current) =>
+      current.includes(id)
+        ? current.filter((item) => item !== id)
+        : [...current, id]
     );
   };
 
@@ -186,42 +266,68 @@ export function TransactionTable({ transactions }) {
     data: deleted,
   } = useFetch(bulkDeleteTransactions);
 
-  // Function to handle bulk deletion of selected transactions.
-  const handleBulkDelete = async () => {
-    if (
-      !window.confirm(      // Confirmation before deletion.
-        //  In this case, window.confirm() is a method provided by the browser to show a confirmation dialog box.
-        `Are you sure you want to delete ${selectedIds.length} transactions?`
-      )
-    )
-      return;
+  // Fetch hook for restoring them again ("Undo").
+  const {
+    loading: restoreLoading,
+    fn: restoreFn,
+    data: restored,
+  } = useFetch(restoreTransactions);
 
-    deleteFn(selectedIds);      // Call the delete function with selected transaction IDs.
+  // Deleting moves the transactions to the trash, so instead of asking "Are you sure?"
+  // the toast has an "Undo" button that brings them back.
+  const handleBulkDelete = () => {
+    deleteFn(selectedIds);
   };
 
   useEffect(() => {
-    if (deleted && !deleteLoading) {
-      toast.error("Transactions deleted successfully"); // Show success message if transactions are deleted.
+    if (deleted?.success) {
+      const { ids } = deleted.data;
+      setSelectedIds([]);
+      toast.success(
+        ids.length === 1
+          ? "Transaction moved to the trash"
+          : `${ids.length} transactions moved to the trash`,
+        {
+          action: { label: "Undo", onClick: () => restoreFn(ids, "TABLE") },
+          duration: 10000, // Give some time to notice a mistake
+        }
+      );
+    }
+  }, [deleted]);
+
+  useEffect(() => {
+    if (restored?.success) {
+      toast.success(`${restored.data.count} transactions restored`);
     }
-  }, [deleted, deleteLoading]);
+  }, [restored]);
 
-  // Function to clear all filters.
+  // Function to clear all filters (sorting is kept).
   const handleClearFilters = () => {
     setSearchTerm("");
-    setTypeFilter("");
-    setRecurringFilter("");
-    setCurrentPage(1);      // Reset the page to 1.
+    setAmountRange({ min: "", max: "" });
+    setDateRange({ from: undefined, to: undefined });
+    updateQuery({
+      search: "",
+      type: "",
+      recurring: "",
+      from: "",
+      to: "",
+      min: "",
+      max: "",
+      categories: [],
+      tags: [],
+    });
   };
 
-  // Function to handle page change in pagination.
-  const handlePageChange = (newPage) => {
-    setCurrentPage(newPage);    // Set the new page.
-    setSelectedIds([]); // Clear selected transactions when page changes.
+  // Export everything that matches the filters + sorting (all pages), loaded from the server
+  const loadAllFilteredTransactions = async () => {
+    const { transactions } = await getAccountTransactions(accountId, query, false);
+    return transactions;
   };
 
   return (
     <div className="space-y-4">
-      {deleteLoading && (
+      {(deleteLoading || restoreLoading || clearLoading || isPending) && (
         <BarLoader className="mt-4" width={"100%"} color="#9333ea" />
       )}
       {/* Filters */}
@@ -231,20 +337,14 @@ export function TransactionTable({ transactions }) {
           <Input
             placeholder="Search transactions..."
             value={searchTerm}
-            onChange={(e) => {
-              setSearchTerm(e.target.value);
-              setCurrentPage(1);
-            }}
+            onChange={(e) => setSearchTerm(e.target.value)}
             className="pl-8"
           />
         </div>
         <div className="flex gap-2">
           <Select
-            value={typeFilter}
-            onValueChange={(value) => {
-              setTypeFilter(value);
-              setCurrentPage(1);
-            }}
+            value={query.type}
+            onValueChange={(value) => updateQuery({ type: value })}
           >
             <SelectTrigger className="w-[130px]">
               <SelectValue placeholder="All Types" />
@@ -252,15 +352,13 @@ export function TransactionTable({ transactions }) {
             <SelectContent>
               <SelectItem value="INCOME">Income</SelectItem>
               <SelectItem value="EXPENSE">Expense</SelectItem>
+              <SelectItem value="TRANSFER">Transfer</SelectItem>
             </SelectContent>
           </Select>
 
           <Select
-            value={recurringFilter}
-            onValueChange={(value) => {
-              setRecurringFilter(value);
-              setCurrentPage(1);
-            }}
+            value={query.recurring}
+            onValueChange={(value) => updateQuery({ recurring: value })}
           >
             <SelectTrigger className="w-[130px]">
               <SelectValue placeholder="All Transactions" />
@@ -272,7 +370,7 @@ export function TransactionTable({ transactions }) {
           </Select>
 
           {/* Bulk Actions */}
-          {selectedIds.length > 0 && (
+          {selectedIds.length > 0 && !reconciliation && (
             <div className="flex items-center gap-2">
               <Button
                 variant="destructive"
@@ -282,10 +380,36 @@ export function TransactionTable({ transactions }) {
                 <Trash className="h-4 w-4 mr-2" />
                 Delete Selected ({selectedIds.length})
               </Button>
+
+
+              {/* Change category / account / date / recurring / tags of every selected row */}
+              <BulkEditDrawer
+                selectedIds={selectedIds}
+                accounts={accounts}
+                categories={categories}
+                tags={tags}
+                onDone={() => setSelectedIds([])}
+              >
+                <Button variant="outline" size="sm">
+                  <Pencil className="h-4 w-4 mr-2" />
+                  Edit Selected ({selectedIds.length})
+                </Button>
+              </BulkEditDrawer>
             </div>
           )}
 
-          {(searchTerm || typeFilter || recurringFilter) && (
+          {/* Export exactly what is shown: filtered + sorted (all pages) */}
+          <ExportMenu
+            getTransactions={loadAllFilteredTransactions}
+            options={{
+              filename: accountName ?? "transactions",
+              accountName,
+              currency,
+              categories,
+            }}
+          />
+
+          {hasTransactionFilters(query) && (
             <Button
               variant="outline"
               size="icon"
@@ -298,19 +422,169 @@ export function TransactionTable({ transactions }) {
         </div>
       </div>
 
+      {/* Date range, amount range, categories and tags */}
+      <div className="flex flex-wrap gap-2">
+        <Popover onOpenChange={handleDateRangeClose}>
+          <PopoverTrigger asChild>
+            <Button
+              variant="outline"
+              className={cn(
+                "w-[260px] justify-start text-left font-normal",
+                !query.from && !query.to && "text-muted-foreground"
+              )}
+            >
+              <CalendarIcon className="mr-2 h-4 w-4" />
+              {query.from || query.to ? (
+                <>
+                  {query.from ? format(parseISO(query.from), "PP") : "…"} -{" "}
+                  {query.to ? format(parseISO(query.to), "PP") : "…"}
+                </>
+              ) : (
+                <span>All dates</span>
+              )}
+            </Button>
+          </PopoverTrigger>
+          <PopoverContent className="w-auto p-0" align="start">
+            <Calendar
+              mode="range"
+              selected={dateRange}
+              onSelect={(range) => setDateRange(range ?? { from: undefined, to: undefined })}
+              numberOfMonths={2}
+              defaultMonth={dateRange?.from}
+              initialFocus
+            />
+          </PopoverContent>
+        </Popover>
+
+        <Input
+          type="number"
+          step="0.01"
+          placeholder="Min amount"
+          value={amountRange.min}
+          onChange={(e) =>
+            setAmountRange((current) => ({ ...current, min: e.target.value }))
+          }
+          className="w-[130px]"
+        />
+        <Input
+          type="number"
+          step="0.01"
+          placeholder="Max amount"
+          value={amountRange.max}
+          onChange={(e) =>
+            setAmountRange((current) => ({ ...current, max: e.target.value }))
+          }
+          className="w-[130px]"
+        />
+
+        {/* Category multi-select - stays open so several can be ticked */}
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button
+              variant="outline"
+              className={cn(
+                "font-normal",
+                query.categories.length === 0 && "text-muted-foreground"
+              )}
+            >
+              <Tags className="mr-2 h-4 w-4" />
+              {query.categories.length === 0
+                ? "All Categories"
+                : query.categories.length === 1
+                ? getCategoryLabel(categories, query.categories[0])
+                : `${query.categories.length} categories`}
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent align="start" className="max-h-80 overflow-y-auto">
+            <DropdownMenuLabel>Categories</DropdownMenuLabel>
+            <DropdownMenuSeparator />
+            {/* Sub-categories indented under their parent - ticking a parent includes them */}
+            {sortCategoryTree(categories).map((category) => (
+              <DropdownMenuCheckboxItem
+                className={cn(category.parentId && "pl-12")}
+                key={category.id}
+                checked={query.categories.includes(category.id)}
+                onCheckedChange={() => handleToggleCategory(category.id)}
+                onSelect={(e) => e.preventDefault()}
+              >
+                {category.name}
+                {category.isArchived && (
+                  <span className="ml-2 text-xs text-muted-foreground">
+                    (archived)
+                  </span>
+                )}
+              </DropdownMenuCheckboxItem>
+            ))}
+          </DropdownMenuContent>
+        </DropdownMenu>
+
+        {/* Tag multi-select */}
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button
+              variant="outline"
+              className={cn(
+                "font-normal",
+                query.tags.length === 0 && "text-muted-foreground"
+              )}
+            >
+              <Hash className="mr-2 h-4 w-4" />
+              {query.tags.length === 0
+                ? "All Tags"
+                : query.tags.length === 1
+                ? query.tags[0]
+                : `${query.tags.length} tags`}
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent align="start" className="max-h-80 overflow-y-auto">
+            <DropdownMenuLabel>Tags</DropdownMenuLabel>
+            <DropdownMenuSeparator />
+            {tags.length === 0 && (
+              <div className="px-2 py-1.5 text-sm text-muted-foreground">
+                No tags yet
+              </div>
+            )}
+            {tags.map((tag) => (
+              <DropdownMenuCheckboxItem
+                key={tag}
+                checked={query.tags.includes(tag)}
+                onCheckedChange={() => handleToggleTag(tag)}
+                onSelect={(e) => e.preventDefault()}
+              >
+                #{tag}
+              </DropdownMenuCheckboxItem>
+            ))}
+          </DropdownMenuContent>
+        </DropdownMenu>
+      </div>
+
       {/* Transactions Table */}
       <div className="rounded-md border">
         <Table>
           <TableHeader>
             <TableRow>
               <TableHead className="w-[50px]">
-                <Checkbox
-                  checked={
-                    selectedIds.length === paginatedTransactions.length &&
-                    paginatedTransactions.length > 0
-                  }
-                  onCheckedChange={handleSelectAll}
-                />
+                {reconciliation ? (
+                  // Tick off / un-tick every row of this page
+                  <Checkbox
+                    title="Cleared"
+                    checked={transactions.length > 0 && transactions.every(isCleared)}
+                    onCheckedChange={(checked) =>
+                      handleToggleCleared(
+                        transactions.map((t) => t.id),
+                        !!checked
+                      )
+                    }
+                  />
+                ) : (
+                  <Checkbox
+                    checked={
+                      selectedIds.length === transactions.length &&
+                      transactions.length > 0
+                    }
+                    onCheckedChange={handleSelectAll}
+                  />
+                )}
               </TableHead>
               <TableHead
                 className="cursor-pointer"
@@ -318,8 +592,8 @@ export function TransactionTable({ transactions }) {
               >
                 <div className="flex items-center">
                   Date
-                  {sortConfig.field === "date" &&
-                    (sortConfig.direction === "asc" ? (
+                  {query.sort === "date" &&
+                    (query.order === "asc" ? (
                       <ChevronUp className="ml-1 h-4 w-4" />
                     ) : (
                       <ChevronDown className="ml-1 h-4 w-4" />
@@ -327,14 +601,15 @@ export function TransactionTable({ transactions }) {
                 </div>
               </TableHead>
               <TableHead>Description</TableHead>
+              <TableHead>Tags</TableHead>
               <TableHead
                 className="cursor-pointer"
                 onClick={() => handleSort("category")}
               >
                 <div className="flex items-center">
                   Category
-                  {sortConfig.field === "category" &&
-                    (sortConfig.direction === "asc" ? (
+                  {query.sort === "category" &&
+                    (query.order === "asc" ? (
                       <ChevronUp className="ml-1 h-4 w-4" />
                     ) : (
                       <ChevronDown className="ml-1 h-4 w-4" />
@@ -347,8 +622,8 @@ export function TransactionTable({ transactions }) {
               >
                 <div className="flex items-center justify-end">
                   Amount
-                  {sortConfig.field === "amount" &&
-                    (sortConfig.direction === "asc" ? (
+                  {query.sort === "amount" &&
+                    (query.order === "asc" ? (
                       <ChevronUp className="ml-1 h-4 w-4" />
                     ) : (
                       <ChevronDown className="ml-1 h-4 w-4" />
@@ -360,48 +635,121 @@ export function TransactionTable({ transactions }) {
             </TableRow>
           </TableHeader>
           <TableBody>
-            {paginatedTransactions.length === 0 ? (
+            {transactions.length === 0 ? (
               <TableRow>
                 <TableCell
-                  colSpan={7}
+                  colSpan={8}
                   className="text-center text-muted-foreground"
                 >
                   No transactions found
                 </TableCell>
               </TableRow>
             ) : (
-              paginatedTransactions.map((transaction) => (
-                <TableRow key={transaction.id}>
+              transactions.map((transaction) => (
+                <Fragment key={transaction.id}>
+                <TableRow>
+                  <TableCell>
+                    {reconciliation ? (
+                      <Checkbox
+                        checked={isCleared(transaction)}
+                        onCheckedChange={(checked) =>
+                          handleToggleCleared([transaction.id], !!checked)
+                        }
+                      />
+                    ) : (
+                      <Checkbox
+                        checked={selectedIds.includes(transaction.id)}
+                        onCheckedChange={() => handleSelect(transaction.id)}
+                      />
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex items-center gap-1">
+                      {format(new Date(transaction.date), "PP")}
+                      {/* Reconciled with a bank statement → locked */}
+                      {transaction.isReconciled && (
+                        <Lock
+                          className="h-3 w-3 text-muted-foreground"
+                          aria-label="Reconciled"
+                        />
+                      )}
+                    </div>
+                  </TableCell>
                   <TableCell>
-                    <Checkbox
-                      checked={selectedIds.includes(transaction.id)}
-                      onCheckedChange={() => handleSelect(transaction.id)}
-                    />
+                    {transaction.description}
+                    {/* Show where a transfer went to / came from */}
+                    {transaction.type === "TRANSFER" && (
+                      <div className="text-xs text-muted-foreground">
+                        {transaction.accountId === accountId
+                          ? `To ${transaction.destinationAccount?.name ?? "another account"}`
+                          : `From ${transaction.account?.name ?? "another account"}`}
+                      </div>
+                    )}
                   </TableCell>
                   <TableCell>
-                    {format(new Date(transaction.date), "PP")}
+                    {/* Click a tag to show only transactions with that tag */}
+                    <div className="flex flex-wrap gap-1">
+                      {(transaction.tags ?? []).map((tag) => (
+                        <Badge
+                          key={tag}
+                          variant="secondary"
+                          className="cursor-pointer"
+                          onClick={() =>
+                            !query.tags.includes(tag) && handleToggleTag(tag)
+                          }
+                        >
+                          #{tag}
+                        </Badge>
+                      ))}
+                    </div>
                   </TableCell>
-                  <TableCell>{transaction.description}</TableCell>
                   <TableCell className="capitalize">
-                    <span
-                      style={{
-                        background: categoryColors[transaction.category],
-                      }}
-                      className="px-2 py-1 rounded text-white text-sm"
-                    >
-                      {transaction.category}
-                    </span>
+                    {transaction.splits?.length > 0 ? (
+                      // Split transaction - click to see each category line
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="h-7 gap-1"
+                        onClick={() => handleToggleExpand(transaction.id)}
+                      >
+                        <Split className="h-3 w-3" />
+                        Split ({transaction.splits.length})
+                        {expandedIds.includes(transaction.id) ? (
+                          <ChevronUp className="h-3 w-3" />
+                        ) : (
+                          <ChevronDown className="h-3 w-3" />
+                        )}
+                      </Button>
+                    ) : (
+                      <span
+                        style={{
+                          background: categoryColors[transaction.category] ?? "#94a3b8", // Gray for unknown categories
+                        }}
+                        className="px-2 py-1 rounded text-white text-sm"
+                      >
+                        {getCategoryName(categories, transaction.category)}
+                      </span>
+                    )}
                   </TableCell>
                   <TableCell
                     className={cn(
                       "text-right font-medium",
-                      transaction.type === "EXPENSE"
-                        ? "text-red-500"
-                        : "text-green-500"
+                      transaction.type === "TRANSFER"
+                        ? "text-blue-500"
+                        : transaction.type === "EXPENSE"
+                          ? "text-red-500"
+                          : "text-green-500"
                     )}
                   >
-                    {transaction.type === "EXPENSE" ? "-" : "+"}$
-                    {transaction.amount.toFixed(2)}
+                    {isOutgoing(transaction, accountId) ? "-" : "+"}
+                    {formatCurrency(
+                      // An incoming transfer from another currency shows the converted amount
+                      transaction.type === "TRANSFER" &&
+                        transaction.accountId !== accountId
+                        ? (transaction.destinationAmount ?? transaction.amount)
+                        : transaction.amount,
+                      currency
+                    )}
                   </TableCell>
                   <TableCell>
                     {transaction.isRecurring ? (
@@ -413,22 +761,33 @@ export function TransactionTable({ transactions }) {
                               className="gap-1 bg-purple-100 text-purple-700 hover:bg-purple-200"
                             >
                               <RefreshCw className="h-3 w-3" />
-                              {
-                                RECURRING_INTERVALS[
-                                  transaction.recurringInterval
-                                ]
-                              }
+                              {/* "Monthly", "Bi-weekly", "Every 3 days"... */}
+                              {getRecurrenceLabel(getRecurrenceRule(transaction))}
                             </Badge>
                           </TooltipTrigger>
                           <TooltipContent>
                             <div className="text-sm">
-                              <div className="font-medium">Next Date:</div>
-                              <div>
-                                {format(
-                                  new Date(transaction.nextRecurringDate),
-                                  "PPP"
+                              <div>{describeRecurrence(getRecurrenceRule(transaction))}</div>
+                              {transaction.recurringPausedUntil &&
+                                new Date(transaction.recurringPausedUntil) > new Date() && (
+                                  <div className="text-amber-600">
+                                    Paused until{" "}
+                                    {format(new Date(transaction.recurringPausedUntil), "PP")}
+                                  </div>
                                 )}
-                              </div>
+                              {transaction.nextRecurringDate ? (
+                                <>
+                                  <div className="font-medium">Next Date:</div>
+                                  <div>
+                                    {format(
+                                      new Date(transaction.nextRecurringDate),
+                                      "PPP"
+                                    )}
+                                  </div>
+                                </>
+                              ) : (
+                                <div className="font-medium">Series ended</div>
+                              )}
                             </div>
                           </TooltipContent>
                         </Tooltip>
@@ -461,6 +820,7 @@ export function TransactionTable({ transactions }) {
                         <DropdownMenuItem
                           className="text-destructive"
                           onClick={() => deleteFn([transaction.id])}
+                          disabled={transaction.isReconciled}
                         >
                           Delete
                         </DropdownMenuItem>
@@ -468,31 +828,54 @@ export function TransactionTable({ transactions }) {
                     </DropdownMenu>
                   </TableCell>
                 </TableRow>
+
+                {/* Category lines of an expanded split transaction */}
+                {expandedIds.includes(transaction.id) &&
+                  transaction.splits?.map((split) => (
+                    <TableRow key={split.id} className="bg-muted/50">
+                      <TableCell colSpan={4} />
+                      <TableCell className="capitalize">
+                        <span
+                          style={{
+                            background: categoryColors[split.category] ?? "#94a3b8",
+                          }}
+                          className="px-2 py-1 rounded text-white text-sm"
+                        >
+                          {getCategoryName(categories, split.category)}
+                        </span>
+                      </TableCell>
+                      <TableCell className="text-right text-sm text-muted-foreground">
+                        {formatCurrency(split.amount, currency)}
+                      </TableCell>
+                      <TableCell colSpan={2} />
+                    </TableRow>
+                  ))}
+                </Fragment>
               ))
             )}
           </TableBody>
         </Table>
       </div>
 
-      {/* Pagination */}
-      {totalPages > 1 && (
+      {/* Pagination - cursor based: previous / next page from the first / last row of this page */}
+      {(prevCursor || nextCursor) && (
         <div className="flex items-center justify-center gap-2">
           <Button
             variant="outline"
             size="icon"
-            onClick={() => handlePageChange(currentPage - 1)}
-            disabled={currentPage === 1}
+            onClick={() => updateQuery({ before: prevCursor })}
+            disabled={!prevCursor || isPending}
           >
             <ChevronLeft className="h-4 w-4" />
           </Button>
           <span className="text-sm">
-            Page {currentPage} of {totalPages}
+            {transactions.length} of {totalCount} transactions
           </span>
           <Button
             variant="outline"
             size="icon"
-            onClick={() => handlePageChange(currentPage + 1)}
-            disabled={currentPage === totalPages}
+            onClick={() => updateQuery({ after: nextCursor })}
+            disabled={!nextCursor || isPending}
           >
             <ChevronRight className="h-4 w-4" />
           </Button>
@@ -0,0 +1,199 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { addDays, format } from "date-fns";
+import { ArchiveRestore, Trash } from "lucide-react";
+import { toast } from "sonner";
+import { BarLoader } from "react-spinners";
+import useFetch from "@/hooks/use-fetch";
+
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { purgeTransactions, restoreTransactions } from "@/actions/account";
+import { getCategoryName } from "@/data/categories";
+import { formatCurrency } from "@/lib/currency";
+import { cn } from "@/lib/utils";
+
+// Deleted transactions of one account with restore / purge for the selected rows.
+// retentionDays = days a transaction stays in the trash before it is purged automatically
+export function TrashTable({ transactions, accountId, currency, categories, retentionDays }) {
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const {
+    loading: restoreLoading,
+    fn: restoreFn,
+    data: restored,
+  } = useFetch(restoreTransactions);
+
+  const {
+    loading: purgeLoading,
+    fn: purgeFn,
+    data: purged,
+  } = useFetch(purgeTransactions);
+
+  useEffect(() => {
+    if (restored?.success) {
+      toast.success(`${restored.data.count} transactions restored`);
+      setSelectedIds([]);
+    }
+  }, [restored]);
+
+  useEffect(() => {
+    if (purged?.success) {
+      toast.success(`${purged.data.count} transactions deleted for good`);
+      setSelectedIds([]);
+    }
+  }, [purged]);
+
+  const handleSelect = (id) => {
+    setSelectedIds((current) =>
+      current.includes(id)
+        ? current.filter((item) => item !== id)
+        : [...current, id]
+    );
+  };
+
+  const handleSelectAll = () => {
+    setSelectedIds((current) =>
+      current.length === transactions.length ? [] : transactions.map((t) => t.id)
+    );
+  };
+
+  // Purging can't be undone, so this one asks first
+  const handlePurge = (ids) => {
+    if (
+      !window.confirm(
+        `Delete ${ids.length} transactions for good? This cannot be undone.`
+      )
+    )
+      return;
+    purgeFn(ids);
+  };
+
+  const loading = restoreLoading || purgeLoading;
+
+  return (
+    <div className="space-y-4">
+      {loading && <BarLoader className="mt-4" width={"100%"} color="#9333ea" />}
+
+      <div className="flex flex-wrap gap-2">
+        {selectedIds.length > 0 && (
+          <>
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={loading}
+              onClick={() => restoreFn(selectedIds)}
+            >
+              <ArchiveRestore className="h-4 w-4 mr-2" />
+              Restore Selected ({selectedIds.length})
+            </Button>
+            <Button
+              variant="destructive"
+              size="sm"
+              disabled={loading}
+              onClick={() => handlePurge(selectedIds)}
+            >
+              <Trash className="h-4 w-4 mr-2" />
+              Delete Forever ({selectedIds.length})
+            </Button>
+          </>
+        )}
+        {transactions.length > 0 && (
+          <Button
+            variant="outline"
+            size="sm"
+            className="ml-auto text-destructive"
+            disabled={loading}
+            onClick={() => handlePurge(transactions.map((t) => t.id))}
+          >
+            Empty Trash
+          </Button>
+        )}
+      </div>
+
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead className="w-[50px]">
+                <Checkbox
+                  checked={
+                    selectedIds.length === transactions.length &&
+                    transactions.length > 0
+                  }
+                  onCheckedChange={handleSelectAll}
+                />
+              </TableHead>
+              <TableHead>Date</TableHead>
+              <TableHead>Description</TableHead>
+              <TableHead>Category</TableHead>
+              <TableHead className="text-right">Amount</TableHead>
+              <TableHead>Deleted</TableHead>
+              <TableHead>Purged on</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {transactions.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} className="text-center text-muted-foreground">
+                  The trash is empty
+                </TableCell>
+              </TableRow>
+            ) : (
+              transactions.map((transaction) => {
+                // Money leaving this account: expenses and transfers sent from it
+                const isOutgoing =
+                  transaction.type === "EXPENSE" ||
+                  (transaction.type === "TRANSFER" && transaction.accountId === accountId);
+                return (
+                  <TableRow key={transaction.id}>
+                    <TableCell>
+                      <Checkbox
+                        checked={selectedIds.includes(transaction.id)}
+                        onCheckedChange={() => handleSelect(transaction.id)}
+                      />
+                    </TableCell>
+                    <TableCell>{format(new Date(transaction.date), "PP")}</TableCell>
+                    <TableCell>{transaction.description}</TableCell>
+                    <TableCell>{getCategoryName(categories, transaction.category)}</TableCell>
+                    <TableCell
+                      className={cn(
+                        "text-right font-medium",
+                        transaction.type === "TRANSFER"
+                          ? "text-blue-500"
+                          : isOutgoing
+                            ? "text-red-500"
+                            : "text-green-500"
+                      )}
+                    >
+                      {isOutgoing ? "-" : "+"}
+                      {formatCurrency(
+                        transaction.type === "TRANSFER" && !isOutgoing
+                          ? (transaction.destinationAmount ?? transaction.amount)
+                          : transaction.amount,
+                        currency
+                      )}
+                    </TableCell>
+                    <TableCell>{format(new Date(transaction.deletedAt), "PP")}</TableCell>
+                    <TableCell className="text-muted-foreground">
+                      {format(addDays(new Date(transaction.deletedAt), retentionDays), "PP")}
+                    </TableCell>
+                  </TableRow>
+                );
+              })
+            )}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+}
@@ -38,6 +38,11 @@ import { updateDefaultAccount } from "@/actions/account";
 // Toast notifications (success, error messages)
 import { toast } from "sonner";
 
+// Account type labels + liability check (credit card / loan)
+import { accountTypeLabels, isLiabilityAccount } from "@/data/account-types";
+
+// Show the balance in the account's own currency (€, Rs, $...)
+import { formatCurrency } from "@/lib/currency";
 
 // ----------------------
 // Component Start
@@ -48,7 +53,10 @@ import { toast } from "sonner";
 // It is given from outside when you use <AccountCard />.
 export function AccountCard({ account }) {
   // Destructure account properties
-  const { name, type, balance, id, isDefault } = account;
+  const { name, type, balance, currency, id, isDefault } = account;
+
+  // For credit cards and loans the balance is how much we owe
+  const isLiability = isLiabilityAccount(type);
 
   // Setup useFetch to call "updateDefaultAccount" action
   const {
@@ -108,12 +116,15 @@ export function AccountCard({ account }) {
 
         {/* Middle section with balance and account type */}
         <CardContent>
-          <div className="text-2xl font-bold">
-            ${parseFloat(balance).toFixed(2)} {/* show balance nicely */}
+          <div
+            className={`text-2xl font-bold ${isLiability ? "text-red-500" : ""}`}
+          >
+            {formatCurrency(parseFloat(balance), currency)} {/* show balance nicely */}
           </div>
           <p className="text-xs text-muted-foreground">
-            {type.charAt(0) + type.slice(1).toLowerCase()} Account
-            {/* first letter capital, rest small */}
+            {accountTypeLabels[type]} Account
+            {/* e.g. "Credit Card Account" */}
+            {isLiability && " · Amount owed"}
           </p>
         </CardContent>
 
@@ -121,11 +132,11 @@ export function AccountCard({ account }) {
         <CardFooter className="flex justify-between text-sm text-muted-foreground">
           <div className="flex items-center">
             <ArrowUpRight className="mr-1 h-4 w-4 text-green-500" />
-            Income
+            {isLiability ? "Payment" : "Income"} {/* payments reduce the debt */}
           </div>
           <div className="flex items-center">
             <ArrowDownRight className="mr-1 h-4 w-4 text-red-500" />
-            Expense
+            {isLiability ? "Charge" : "Expense"} {/* charges increase the debt */}
           </div>
         </CardFooter>
       </Link>
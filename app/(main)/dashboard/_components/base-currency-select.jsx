@@ -0,0 +1,54 @@
+"use client";
+
+import { useEffect } from "react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { updateBaseCurrency } from "@/actions/currency";
+import { currencies } from "@/data/currencies";
+
+// Lets the user pick the currency that dashboard totals, budgets and reports are shown in.
+// Each account still shows its own (native) currency.
+export function BaseCurrencySelect({ baseCurrency }) {
+  const {
+    loading: updateLoading,
+    fn: updateBaseCurrencyFn,
+    data: updated,
+  } = useFetch(updateBaseCurrency);
+
+  useEffect(() => {
+    if (updated?.success) {
+      toast.success(`Totals are now shown in ${updated.data.baseCurrency}`);
+    } else if (updated?.error) {
+      toast.error(updated.error);
+    }
+  }, [updated]);
+
+  return (
+    <div className="flex items-center justify-end gap-2">
+      <span className="text-sm text-muted-foreground">Base currency</span>
+      <Select
+        defaultValue={baseCurrency}
+        onValueChange={(value) => updateBaseCurrencyFn(value)}
+        disabled={updateLoading}
+      >
+        <SelectTrigger className="w-[110px]">
+          <SelectValue placeholder="Currency" />
+        </SelectTrigger>
+        <SelectContent>
+          {currencies.map((currency) => (
+            <SelectItem key={currency.code} value={currency.code}>
+              {currency.code}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
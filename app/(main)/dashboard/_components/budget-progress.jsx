@@ -15,9 +15,12 @@ import {
 import { Progress } from "@/components/ui/progress";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
-import { updateBudget } from "@/actions/budget";
+import { deleteBudget, updateBudget } from "@/actions/budget";
+import { formatCurrency } from "@/lib/currency";
 
-export function BudgetProgress({ initialBudget, currentExpenses }) {
+// initialBudget = overall budget { id, amount, isCalculated }
+// isCalculated → no overall budget is saved, the amount is the sum of the category budgets
+export function BudgetProgress({ initialBudget, currentExpenses, currency }) {
     // State for whether we are currently editing the budget.
   const [isEditing, setIsEditing] = useState(false);
   
@@ -42,6 +45,14 @@ export function BudgetProgress({ initialBudget, currentExpenses }) {
     error,
   } = useFetch(updateBudget);
 
+  // useFetch for removing the saved overall budget (→ back to the sum of category budgets)
+  const {
+    loading: isResetting,
+    fn: deleteBudgetFn,
+    data: deletedBudget,
+    error: deleteError,
+  } = useFetch(deleteBudget);
+
   // Calculate the percentage of budget used
   const percentUsed = initialBudget
     ? (currentExpenses / initialBudget.amount) * 100
@@ -95,6 +106,18 @@ export function BudgetProgress({ initialBudget, currentExpenses }) {
     }
   }, [error]);
 
+  useEffect(() => {
+    if (deletedBudget?.success) {
+      toast.success("Budget now follows your category budgets");
+    }
+  }, [deletedBudget]);
+
+  useEffect(() => {
+    if (deleteError) {
+      toast.error(deleteError.message || "Failed to reset budget");
+    }
+  }, [deleteError]);
+
   return (
     <Card>
       <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
@@ -140,10 +163,13 @@ export function BudgetProgress({ initialBudget, currentExpenses }) {
                 {/* Show current budget usage if not editing */}
                 <CardDescription>
                   {initialBudget
-                    ? `$${currentExpenses.toFixed(
-                        2
-                      )} of $${initialBudget.amount.toFixed(2)} spent`
+                    ? `${formatCurrency(
+                        currentExpenses,
+                        currency
+                      )} of ${formatCurrency(initialBudget.amount, currency)} spent`
                     : "No budget set"}
+                  {/* Not saved → it is the total of the category budgets, spent counts only those categories */}
+                  {initialBudget?.isCalculated && " in budgeted categories (sum of category budgets)"}
                 </CardDescription>
                 {/* Edit button to enable editing mode */}
                 <Button
@@ -154,6 +180,18 @@ export function BudgetProgress({ initialBudget, currentExpenses }) {
                 >
                   <Pencil className="h-3 w-3" />
                 </Button>
+                {/* A saved overall budget can go back to being the sum of the categories */}
+                {initialBudget && !initialBudget.isCalculated && (
+                  <Button
+                    variant="link"
+                    size="sm"
+                    className="h-6 px-1 text-xs"
+                    onClick={() => deleteBudgetFn(initialBudget.id)}
+                    disabled={isResetting}
+                  >
+                    Use category total
+                  </Button>
+                )}
               </>
             )}
           </div>
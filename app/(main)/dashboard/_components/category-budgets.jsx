@@ -0,0 +1,196 @@
+"use client";
+
+// CategoryBudgets shows one progress bar per category budget (e.g. groceries $600, dining $200).
+// Lets the user add / change a category budget and remove it.
+// Spending is this month's expenses of the default account (split transactions counted per line).
+// A budget on a parent category (Food) includes its sub-categories (Groceries, Dining...).
+
+import { useState, useEffect } from "react";
+import { Plus, Trash } from "lucide-react";
+import useFetch from "@/hooks/use-fetch";
+import { toast } from "sonner";
+
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Progress } from "@/components/ui/progress";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { deleteBudget, updateBudget } from "@/actions/budget";
+import { formatCurrency } from "@/lib/currency";
+import { getCategoryLabel, sortCategoryTree } from "@/lib/category-tree";
+
+// Green → yellow → red as the budget gets used up
+const getProgressColor = (percentUsed) =>
+  percentUsed >= 90
+    ? "bg-red-500"
+    : percentUsed >= 75
+      ? "bg-yellow-500"
+      : "bg-green-500";
+
+// categories = the user's categories
+export function CategoryBudgets({ categoryBudgets, categories, currency }) {
+  // Only expense categories can have a budget (archived ones only keep their existing budget)
+  // A parent category's budget (e.g. Food) covers its sub-categories
+  const expenseCategories = sortCategoryTree(
+    categories.filter((category) => category.type === "EXPENSE")
+  );
+
+  // New / changed category budget (picking a category that already has one updates it)
+  const [category, setCategory] = useState("");
+  const [amount, setAmount] = useState("");
+
+  const {
+    loading: isSaving,
+    fn: updateBudgetFn,
+    data: updatedBudget,
+    error: updateError,
+  } = useFetch(updateBudget);
+
+  const {
+    loading: isDeleting,
+    fn: deleteBudgetFn,
+    data: deletedBudget,
+    error: deleteError,
+  } = useFetch(deleteBudget);
+
+  const handleSaveBudget = async () => {
+    const budgetAmount = parseFloat(amount);
+
+    if (!category) {
+      toast.error("Please select a category");
+      return;
+    }
+    if (isNaN(budgetAmount) || budgetAmount <= 0) {
+      toast.error("Please enter a valid amount");
+      return;
+    }
+
+    await updateBudgetFn(budgetAmount, category);
+  };
+
+  useEffect(() => {
+    if (updatedBudget?.success) {
+      setCategory("");
+      setAmount("");
+      toast.success("Category budget saved");
+    }
+  }, [updatedBudget]);
+
+  useEffect(() => {
+    if (deletedBudget?.success) {
+      toast.success("Category budget removed");
+    }
+  }, [deletedBudget]);
+
+  useEffect(() => {
+    if (updateError) {
+      toast.error(updateError.message || "Failed to save category budget");
+    }
+  }, [updateError]);
+
+  useEffect(() => {
+    if (deleteError) {
+      toast.error(deleteError.message || "Failed to remove category budget");
+    }
+  }, [deleteError]);
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-sm font-medium">Category Budgets</CardTitle>
+        <CardDescription>
+          Monthly limits for single categories (Default Account)
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {categoryBudgets.length === 0 && (
+          <p className="text-sm text-muted-foreground">
+            No category budgets yet
+          </p>
+        )}
+
+        {/* One progress bar per category budget */}
+        {categoryBudgets.map((budget) => {
+          const percentUsed = (budget.spent / budget.amount) * 100;
+          const categoryName = getCategoryLabel(categories, budget.category);
+
+          return (
+            <div key={budget.id} className="space-y-1">
+              <div className="flex items-center justify-between text-sm">
+                <span className="font-medium">{categoryName}</span>
+                <div className="flex items-center gap-2">
+                  <span className="text-muted-foreground">
+                    {formatCurrency(budget.spent, currency)} of{" "}
+                    {formatCurrency(budget.amount, currency)}
+                  </span>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-6 w-6"
+                    onClick={() => deleteBudgetFn(budget.id)}
+                    disabled={isDeleting}
+                  >
+                    <Trash className="h-3 w-3" />
+                  </Button>
+                </div>
+              </div>
+              <Progress
+                value={Math.min(percentUsed, 100)}
+                extraStyles={getProgressColor(percentUsed)}
+              />
+              <p className="text-xs text-muted-foreground text-right">
+                {percentUsed.toFixed(1)}% used
+              </p>
+            </div>
+          );
+        })}
+
+        {/* Add or change a category budget */}
+        <div className="flex items-center gap-2 pt-2">
+          <Select value={category} onValueChange={setCategory}>
+            <SelectTrigger className="flex-1">
+              <SelectValue placeholder="Select category" />
+            </SelectTrigger>
+            <SelectContent>
+              {expenseCategories
+                .filter((expenseCategory) => !expenseCategory.isArchived)
+                .map((expenseCategory) => (
+                <SelectItem key={expenseCategory.id} value={expenseCategory.id}>
+                  {getCategoryLabel(categories, expenseCategory.id)}
+                </SelectItem>
+                ))}
+            </SelectContent>
+          </Select>
+          <Input
+            type="number"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="w-32"
+            placeholder="Amount"
+            disabled={isSaving}
+          />
+          <Button
+            variant="outline"
+            size="icon"
+            onClick={handleSaveBudget}
+            disabled={isSaving}
+          >
+            <Plus className="h-4 w-4" />
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
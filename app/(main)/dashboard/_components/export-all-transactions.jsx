@@ -0,0 +1,21 @@
+"use client";
+
+import { getUserTransactions } from "@/actions/transaction";
+import { ExportMenu } from "@/components/export-menu";
+
+// Exports every transaction of the user (all accounts) for the accountant
+// categories = the user's categories (for the category names in the file)
+export function ExportAllTransactions({ categories }) {
+  const loadTransactions = async () => {
+    const { data } = await getUserTransactions();
+    return data;
+  };
+
+  return (
+    <ExportMenu
+      getTransactions={loadTransactions}
+      options={{ filename: "all-transactions", categories }}
+      label="Export All Transactions"
+    />
+  );
+}
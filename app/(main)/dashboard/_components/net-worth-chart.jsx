@@ -0,0 +1,133 @@
+"use client";
+
+import { useState } from "react";
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { format, parseISO } from "date-fns";
+import { Loader2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { getNetWorthHistory } from "@/actions/dashboard";
+import useFetch from "@/hooks/use-fetch";
+import { formatCurrency } from "@/lib/currency";
+import { NET_WORTH_PERIODS } from "@/lib/balance-history";
+
+// Net worth over time: assets and liabilities as areas, net worth as a line.
+// initialSeries = getNetWorthHistory("1Y") loaded by the dashboard page;
+// picking another period loads that series (daily for 3 months, monthly for all time).
+export function NetWorthChart({ initialSeries, currency }) {
+  const [period, setPeriod] = useState("1Y");
+
+  const { loading, fn: fetchHistory, data: fetched } = useFetch(getNetWorthHistory);
+  const series = fetched?.data ?? initialSeries;
+
+  const handlePeriodChange = (value) => {
+    setPeriod(value);
+    fetchHistory(value);
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-7">
+        <CardTitle className="text-base font-normal flex items-center gap-2">
+          Net Worth Over Time
+          {loading && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+        </CardTitle>
+        <Select value={period} onValueChange={handlePeriodChange}>
+          <SelectTrigger className="w-[140px]">
+            <SelectValue placeholder="Select range" />
+          </SelectTrigger>
+          <SelectContent>
+            {NET_WORTH_PERIODS.map(({ id, label }) => (
+              <SelectItem key={id} value={id}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </CardHeader>
+      <CardContent>
+        {series.length === 0 ? (
+          <p className="text-center text-muted-foreground py-4">
+            No balance history yet
+          </p>
+        ) : (
+          <div className="h-[300px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart
+                data={series}
+                margin={{ top: 10, right: 10, left: 10, bottom: 0 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis
+                  dataKey="date"
+                  fontSize={12}
+                  tickLine={false}
+                  axisLine={false}
+                  tickFormatter={(date) =>
+                    format(parseISO(date), period === "ALL" ? "MMM yyyy" : "MMM dd")
+                  }
+                />
+                <YAxis
+                  fontSize={12}
+                  tickLine={false}
+                  axisLine={false}
+                  tickFormatter={(value) => formatCurrency(value, currency)}
+                />
+                <Tooltip
+                  labelFormatter={(date) => format(parseISO(date), "PP")}
+                  formatter={(value) => [formatCurrency(value, currency), undefined]}
+                  contentStyle={{
+                    backgroundColor: "hsl(var(--popover))",
+                    border: "1px solid hsl(var(--border))",
+                    borderRadius: "var(--radius)",
+                  }}
+                />
+                <Legend />
+                <Area
+                  type="monotone"
+                  dataKey="assets"
+                  name="Assets"
+                  stroke="#22c55e"
+                  fill="#22c55e"
+                  fillOpacity={0.15}
+                />
+                <Area
+                  type="monotone"
+                  dataKey="liabilities"
+                  name="Liabilities"
+                  stroke="#ef4444"
+                  fill="#ef4444"
+                  fillOpacity={0.15}
+                />
+                <Line
+                  type="monotone"
+                  dataKey="netWorth"
+                  name="Net Worth"
+                  stroke="#9333ea"
+                  strokeWidth={2}
+                  dot={false}
+                />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,60 @@
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { cn } from "@/lib/utils";
+import { formatCurrency } from "@/lib/currency";
+
+// Shows what the user owns (assets), what they owe (liabilities) and the difference (net worth).
+// totals comes from getDashboardData() → { assets, liabilities, netWorth }, already in the base currency
+export function NetWorthSummary({ totals, currency }) {
+  const { assets = 0, liabilities = 0, netWorth = 0 } = totals || {};
+
+  return (
+    <div className="grid gap-4 md:grid-cols-3">
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-sm font-medium">Total Assets</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="text-2xl font-bold text-green-500">
+            {formatCurrency(assets, currency)}
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Current, savings, cash and investment accounts
+          </p>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-sm font-medium">
+            Total Liabilities
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="text-2xl font-bold text-red-500">
+            {formatCurrency(liabilities, currency)}
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Owed on credit cards and loans
+          </p>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-sm font-medium">Net Worth</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div
+            className={cn(
+              "text-2xl font-bold",
+              netWorth >= 0 ? "text-green-500" : "text-red-500"
+            )}
+          >
+            {formatCurrency(netWorth, currency)}
+          </div>
+          <p className="text-xs text-muted-foreground">Assets - Liabilities</p>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
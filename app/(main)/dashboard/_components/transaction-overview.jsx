@@ -0,0 +1,231 @@
+"use client";
+
+// DashboardOverview shows two cards:
+// 1. Recent Transactions → last 5 transactions of the selected account.
+// 2. Monthly Expense Breakdown → pie chart of this month's expenses per category.
+// Split transactions add each of their category lines to the pie separately.
+// Sub-categories are rolled up into their parent (Food); clicking Food shows Groceries / Dining / Coffee.
+
+import { useState } from "react";
+import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip, Legend } from "recharts";
+import { format } from "date-fns";
+import { ArrowUpRight, ArrowDownRight, ChevronLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { cn } from "@/lib/utils";
+import { getCategoryColors, getCategoryName } from "@/data/categories";
+import { formatCurrency } from "@/lib/currency";
+import { getCategoryAmounts } from "@/lib/splits";
+import {
+  getChildAmounts,
+  getChildCategories,
+  rollUpAmounts,
+} from "@/lib/category-tree";
+
+// categories = the user's categories (names + colors for the pie chart)
+export function DashboardOverview({
+  accounts,
+  transactions,
+  baseCurrency,
+  categories,
+}) {
+  const categoryColors = getCategoryColors(categories);
+
+  // Selected account for the recent transactions list (default account first)
+  const [selectedAccountId, setSelectedAccountId] = useState(
+    accounts.find((a) => a.isDefault)?.id || accounts[0]?.id
+  );
+
+  // Parent category the pie is zoomed into (null = all top-level categories)
+  const [drilldownCategoryId, setDrilldownCategoryId] = useState(null);
+
+  // Filter transactions for selected account
+  const accountTransactions = transactions.filter(
+    (t) => t.accountId === selectedAccountId
+  );
+
+  // Get recent transactions (last 5) - transactions already come newest first
+  const recentTransactions = accountTransactions.slice(0, 5);
+
+  // Calculate expense breakdown for current month (all accounts, in the base currency)
+  const currentDate = new Date();
+  const currentMonthExpenses = transactions.filter((t) => {
+    const transactionDate = new Date(t.date);
+    return (
+      t.type === "EXPENSE" &&
+      transactionDate.getMonth() === currentDate.getMonth() &&
+      transactionDate.getFullYear() === currentDate.getFullYear()
+    );
+  });
+
+  // Group expenses by category → { groceries: 120, household: 35, ... }
+  // A split transaction adds every line to its own category.
+  const expensesByCategory = currentMonthExpenses.reduce((acc, transaction) => {
+    for (const line of getCategoryAmounts(transaction, "baseAmount")) {
+      acc[line.category] = (acc[line.category] || 0) + line.amount;
+    }
+    return acc;
+  }, {});
+
+  // Top level → amounts rolled up to the parent categories
+  // Drilled into a parent → only its sub-categories
+  const chartAmounts = drilldownCategoryId
+    ? getChildAmounts(expensesByCategory, categories, drilldownCategoryId)
+    : rollUpAmounts(expensesByCategory, categories);
+
+  // Format data for pie chart (name shown in the labels / legend, id for the color)
+  const pieChartData = Object.entries(chartAmounts).map(([category, amount]) => ({
+    id: category,
+    name: getCategoryName(categories, category),
+    value: amount,
+    // Only top-level slices with sub-categories can be opened
+    hasChildren:
+      !drilldownCategoryId && getChildCategories(categories, category).length > 0,
+  }));
+
+  // Click on a parent slice → show its sub-categories
+  const handleSliceClick = (entry) => {
+    if (entry?.hasChildren) setDrilldownCategoryId(entry.id);
+  };
+
+  return (
+    <div className="grid gap-4 md:grid-cols-2">
+      {/* Recent Transactions Card */}
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-4">
+          <CardTitle className="text-base font-normal">
+            Recent Transactions
+          </CardTitle>
+          <Select
+            value={selectedAccountId}
+            onValueChange={setSelectedAccountId}
+          >
+            <SelectTrigger className="w-[140px]">
+              <SelectValue placeholder="Select account" />
+            </SelectTrigger>
+            <SelectContent>
+              {accounts.map((account) => (
+                <SelectItem key={account.id} value={account.id}>
+                  {account.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-4">
+            {recentTransactions.length === 0 ? (
+              <p className="text-center text-muted-foreground py-4">
+                No recent transactions
+              </p>
+            ) : (
+              recentTransactions.map((transaction) => (
+                <div
+                  key={transaction.id}
+                  className="flex items-center justify-between"
+                >
+                  <div className="space-y-1">
+                    <p className="text-sm font-medium leading-none">
+                      {transaction.description || "Untitled Transaction"}
+                    </p>
+                    <p className="text-sm text-muted-foreground">
+                      {format(new Date(transaction.date), "PP")}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <div
+                      className={cn(
+                        "flex items-center",
+                        transaction.type === "INCOME"
+                          ? "text-green-500"
+                          : "text-red-500"
+                      )}
+                    >
+                      {transaction.type === "INCOME" ? (
+                        <ArrowUpRight className="mr-1 h-4 w-4" />
+                      ) : (
+                        <ArrowDownRight className="mr-1 h-4 w-4" />
+                      )}
+                      {formatCurrency(transaction.amount, transaction.currency)}
+                    </div>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Expense Breakdown Card */}
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-4">
+          <CardTitle className="text-base font-normal">
+            Monthly Expense Breakdown
+            {drilldownCategoryId &&
+              ` › ${getCategoryName(categories, drilldownCategoryId)}`}
+          </CardTitle>
+          {drilldownCategoryId && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setDrilldownCategoryId(null)}
+            >
+              <ChevronLeft className="mr-1 h-4 w-4" />
+              All categories
+            </Button>
+          )}
+        </CardHeader>
+        <CardContent className="p-0 pb-5">
+          {pieChartData.length === 0 ? (
+            <p className="text-center text-muted-foreground py-4">
+              No expenses this month
+            </p>
+          ) : (
+            <div className="h-[300px]">
+              <ResponsiveContainer width="100%" height="100%">
+                <PieChart>
+                  <Pie
+                    data={pieChartData}
+                    cx="50%"
+                    cy="50%"
+                    outerRadius={80}
+                    fill="#8884d8"
+                    dataKey="value"
+                    onClick={handleSliceClick}
+                    label={({ name, value }) =>
+                      `${name}: ${formatCurrency(value, baseCurrency)}`
+                    }
+                  >
+                    {pieChartData.map((entry) => (
+                      <Cell
+                        key={entry.id}
+                        fill={categoryColors[entry.id] ?? "#94a3b8"}
+                        className={entry.hasChildren ? "cursor-pointer" : undefined}
+                      />
+                    ))}
+                  </Pie>
+                  <Tooltip
+                    formatter={(value) => formatCurrency(value, baseCurrency)}
+                    contentStyle={{
+                      backgroundColor: "hsl(var(--popover))",
+                      border: "1px solid hsl(var(--border))",
+                      borderRadius: "var(--radius)",
+                    }}
+                  />
+                  <Legend />
+                </PieChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import Link from "next/link";
+import { format, parseISO } from "date-fns";
+import { CalendarClock } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { UpcomingItem } from "@/components/upcoming-item";
+
+// How many occurrences the dashboard shows (the Upcoming page has the rest)
+const MAX_ITEMS = 6;
+
+// Next recurring transactions (bills, paychecks, transfers) on the dashboard
+// days = getUpcomingTransactions(30).days
+export function UpcomingBills({ days, categories }) {
+  const items = days
+    .flatMap((day) => day.items.map((item) => ({ ...item, day: day.date })))
+    .slice(0, MAX_ITEMS);
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-4">
+        <CardTitle className="text-base font-normal flex items-center gap-2">
+          <CalendarClock className="h-4 w-4" />
+          Upcoming (next 30 days)
+        </CardTitle>
+        <Link href="/upcoming">
+          <Button variant="ghost" size="sm">
+            View all
+          </Button>
+        </Link>
+      </CardHeader>
+      <CardContent>
+        {items.length === 0 ? (
+          <p className="text-center text-muted-foreground py-4">
+            No recurring transactions coming up
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {items.map((item) => (
+              <div key={item.id} className="flex items-center gap-4">
+                <span className="w-14 shrink-0 text-sm text-muted-foreground">
+                  {format(parseISO(item.day), "MMM d")}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <UpcomingItem item={item} categories={categories} compact />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,19 +1,37 @@
 import { Suspense } from "react";
 import { getUserAccounts } from "@/actions/dashboard";
-import { getDashboardData } from "@/actions/dashboard";
+import { getDashboardData, getNetWorthHistory } from "@/actions/dashboard";
 import { getCurrentBudget } from "@/actions/budget";
+import { getCategories } from "@/actions/category";
+import { getUpcomingTransactions } from "@/actions/recurring";
+import { getSubscriptions } from "@/actions/subscription";
 import { AccountCard } from "./_components/account-card";
 import { CreateAccountDrawer } from "@/components/create-account-drawer";
 import { BudgetProgress } from "./_components/budget-progress";
+import { CategoryBudgets } from "./_components/category-budgets";
+import { NetWorthSummary } from "./_components/net-worth-summary";
+import { NetWorthChart } from "./_components/net-worth-chart";
+import { UpcomingBills } from "./_components/upcoming-bills";
+import { SubscriptionSuggestions } from "@/components/subscription-suggestions";
+import { RateWarnings } from "@/components/rate-warnings";
+import { BaseCurrencySelect } from "./_components/base-currency-select";
+import { ExportAllTransactions } from "./_components/export-all-transactions";
 import { Card, CardContent } from "@/components/ui/card";
 import { Plus } from "lucide-react";
 import { DashboardOverview } from "./_components/transaction-overview";
 
 export default async function DashboardPage() {
-  const [accounts, transactions] = await Promise.all([
-    getUserAccounts(),
-    getDashboardData(),
-  ]);
+  const [accounts, dashboardData, categories, netWorthHistory, upcoming, subscriptions] =
+    await Promise.all([
+      getUserAccounts(),
+      getDashboardData(),
+      getCategories(),
+      getNetWorthHistory("1Y"), // Net worth chart (last year, weekly)
+      getUpcomingTransactions(30), // Recurring transactions of the next 30 days
+      getSubscriptions(), // Repeating charges that aren't recurring yet → suggestions
+    ]);
+
+  const { transactions, totals, baseCurrency, rateWarnings } = dashboardData;
 
   const defaultAccount = accounts?.find((account) => account.isDefault);
 
@@ -26,15 +44,50 @@ export default async function DashboardPage() {
   return (
     <div className="space-y-8">
       {/* Budget Progress */}
+      {/* Currency used for all totals below */}
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <BaseCurrencySelect baseCurrency={baseCurrency} />
+        <ExportAllTransactions categories={categories} />
+      </div>
+
+      {/* ⚠️ Missing / approximate exchange rates behind the totals */}
+      <RateWarnings
+        warnings={[...new Set([...rateWarnings, ...(budgetData?.rateWarnings ?? [])])]}
+      />
+
       <BudgetProgress
         initialBudget={budgetData?.budget}
         currentExpenses={budgetData?.currentExpenses || 0}
+        currency={baseCurrency}
       />
 
+      {/* Per-category budgets (groceries, dining...) */}
+      {defaultAccount && (
+        <CategoryBudgets
+          categoryBudgets={budgetData?.categoryBudgets || []}
+          categories={categories}
+          currency={baseCurrency}
+        />
+      )}
+
+      {/* Assets vs Liabilities */}
+      <NetWorthSummary totals={totals} currency={baseCurrency} />
+
+      {/* Net worth over time (from the daily balance snapshots) */}
+      <NetWorthChart initialSeries={netWorthHistory.data} currency={baseCurrency} />
+
+      {/* Bills / paychecks coming up */}
+      <UpcomingBills days={upcoming.days} categories={categories} />
+
+      {/* "Looks like Netflix is monthly — make it recurring?" */}
+      <SubscriptionSuggestions suggestions={subscriptions.detected} limit={3} />
+
       {/* Dashboard Overview */}
       <DashboardOverview
         accounts={accounts}
         transactions={transactions || []}
+        baseCurrency={baseCurrency}
+        categories={categories}
       />
 
       {/* Accounts Grid */}
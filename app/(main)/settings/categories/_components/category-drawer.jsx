@@ -0,0 +1,247 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Loader2 } from "lucide-react";
+import useFetch from "@/hooks/use-fetch";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+  DrawerClose,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { CategoryIcon } from "@/components/category-icon";
+import { createCategory, updateCategory } from "@/actions/category";
+import { categorySchema } from "@/app/lib/schema";
+import { categoryIcons } from "@/data/categories";
+import { getChildCategories } from "@/lib/category-tree";
+
+// Drawer with the category form.
+// <CategoryDrawer categories={categories}> → add a new category
+// <CategoryDrawer categories={categories} parent={food}> → add a sub-category of Food
+// <CategoryDrawer categories={categories} category={category}> → edit that category
+// categories = all of the user's categories (to pick a parent from)
+// children = the button that opens the drawer (same as CreateAccountDrawer)
+export function CategoryDrawer({ category, parent, categories, children }) {
+  const [open, setOpen] = useState(false);
+  const isEdit = !!category;
+
+  // A category that has sub-categories stays top-level (only one level of nesting)
+  const hasChildren = isEdit && getChildCategories(categories, category.id).length > 0;
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setValue,
+    watch,
+    reset,
+  } = useForm({
+    resolver: zodResolver(categorySchema),
+    defaultValues: {
+      name: category?.name ?? "",
+      type: category?.type ?? "EXPENSE",
+      color: category?.color ?? parent?.color ?? "#64748b",
+      icon: category?.icon ?? "Tag",
+      parentId: category?.parentId ?? parent?.id ?? "",
+    },
+  });
+
+  // Possible parents: active top-level categories of the same type (not the category itself)
+  const type = watch("type");
+  const parentOptions = categories.filter(
+    (c) =>
+      !c.parentId &&
+      !c.isArchived &&
+      c.type === type &&
+      c.id !== category?.id
+  );
+
+  const {
+    loading: saving,
+    fn: saveFn,
+    data: savedCategory,
+  } = useFetch(
+    isEdit ? (data) => updateCategory(category.id, data) : createCategory
+  );
+
+  const onSubmit = async (data) => {
+    await saveFn(data);
+  };
+
+  // Saved → close the drawer (a new category starts with an empty form next time)
+  useEffect(() => {
+    if (savedCategory?.success) {
+      toast.success(isEdit ? "Category updated" : "Category created");
+      if (!isEdit) reset();
+      setOpen(false);
+    }
+  }, [savedCategory]);
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>{isEdit ? "Edit Category" : "New Category"}</DrawerTitle>
+        </DrawerHeader>
+
+        <div className="px-4 pb-4">
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            {/* Name */}
+            <div className="space-y-2">
+              <label htmlFor="name" className="text-sm font-medium">
+                Name
+              </label>
+              <Input id="name" placeholder="e.g., Childcare" {...register("name")} />
+              {errors.name && (
+                <p className="text-sm text-red-500">{errors.name.message}</p>
+              )}
+            </div>
+
+            {/* Type - income or expense */}
+            <div className="space-y-2">
+              <label htmlFor="type" className="text-sm font-medium">
+                Type
+              </label>
+              <Select
+                onValueChange={(value) => {
+                  setValue("type", value);
+                  setValue("parentId", ""); // Parents have the same type
+                }}
+                defaultValue={watch("type")}
+              >
+                <SelectTrigger id="type">
+                  <SelectValue placeholder="Select type" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="EXPENSE">Expense</SelectItem>
+                  <SelectItem value="INCOME">Income</SelectItem>
+                </SelectContent>
+              </Select>
+              {errors.type && (
+                <p className="text-sm text-red-500">{errors.type.message}</p>
+              )}
+            </div>
+
+            {/* Parent - makes this a sub-category, e.g. Food → Coffee */}
+            {!hasChildren && (
+              <div className="space-y-2">
+                <label htmlFor="parentId" className="text-sm font-medium">
+                  Parent Category
+                </label>
+                <Select
+                  key={type} // Start again when the type changes
+                  onValueChange={(value) =>
+                    setValue("parentId", value === "none" ? "" : value)
+                  }
+                  defaultValue={watch("parentId") || "none"}
+                >
+                  <SelectTrigger id="parentId">
+                    <SelectValue placeholder="None (top-level)" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="none">None (top-level)</SelectItem>
+                    {parentOptions.map((option) => (
+                      <SelectItem key={option.id} value={option.id}>
+                        {option.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {errors.parentId && (
+                  <p className="text-sm text-red-500">{errors.parentId.message}</p>
+                )}
+              </div>
+            )}
+
+            <div className="grid gap-4 grid-cols-2">
+              {/* Color */}
+              <div className="space-y-2">
+                <label htmlFor="color" className="text-sm font-medium">
+                  Color
+                </label>
+                <Input
+                  id="color"
+                  type="color"
+                  className="h-10 p-1 cursor-pointer"
+                  {...register("color")}
+                />
+                {errors.color && (
+                  <p className="text-sm text-red-500">{errors.color.message}</p>
+                )}
+              </div>
+
+              {/* Icon - shown in the category's color */}
+              <div className="space-y-2">
+                <label htmlFor="icon" className="text-sm font-medium">
+                  Icon
+                </label>
+                <Select
+                  onValueChange={(value) => setValue("icon", value)}
+                  defaultValue={watch("icon")}
+                >
+                  <SelectTrigger id="icon">
+                    <SelectValue placeholder="Select icon" />
+                  </SelectTrigger>
+                  <SelectContent className="max-h-72">
+                    {categoryIcons.map((icon) => (
+                      <SelectItem key={icon} value={icon}>
+                        <div className="flex items-center gap-2">
+                          <CategoryIcon
+                            name={icon}
+                            className="h-4 w-4"
+                            style={{ color: watch("color") }}
+                          />
+                          {icon}
+                        </div>
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {errors.icon && (
+                  <p className="text-sm text-red-500">{errors.icon.message}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="flex gap-4 pt-4">
+              <DrawerClose asChild>
+                <Button type="button" variant="outline" className="flex-1">
+                  Cancel
+                </Button>
+              </DrawerClose>
+              <Button type="submit" className="flex-1" disabled={saving}>
+                {saving ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Saving...
+                  </>
+                ) : isEdit ? (
+                  "Save Changes"
+                ) : (
+                  "Create Category"
+                )}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
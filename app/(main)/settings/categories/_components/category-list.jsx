@@ -0,0 +1,114 @@
+"use client";
+
+import { useEffect } from "react";
+import { Archive, ArchiveRestore, GitMerge, Pencil, Plus } from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { CategoryIcon } from "@/components/category-icon";
+import { setCategoryArchived } from "@/actions/category";
+import { cn } from "@/lib/utils";
+import { getChildCategories, sortCategoryTree } from "@/lib/category-tree";
+import { CategoryDrawer } from "./category-drawer";
+import { MergeCategoryDrawer } from "./merge-category-drawer";
+
+// One card of categories (income or expense) with edit + archive / restore buttons.
+// Sub-categories are indented under their parent.
+// Archived categories are listed last - they stay on old transactions but can't be picked.
+// allCategories = every category of the user (parents to choose from in the drawer)
+export function CategoryList({ title, categories, allCategories }) {
+  const {
+    loading: archiving,
+    fn: archiveFn,
+    data: archived,
+  } = useFetch(setCategoryArchived);
+
+  useEffect(() => {
+    if (archived?.success) {
+      toast.success(
+        archived.data.isArchived
+          ? `${archived.data.name} archived`
+          : `${archived.data.name} restored`
+      );
+    }
+  }, [archived]);
+
+  const sortedCategories = sortCategoryTree(
+    [...categories].sort((a, b) => Number(a.isArchived) - Number(b.isArchived))
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base font-normal">{title}</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {sortedCategories.length === 0 && (
+          <p className="text-sm text-muted-foreground">No categories yet</p>
+        )}
+
+        {sortedCategories.map((category) => (
+          <div
+            key={category.id}
+            className={cn(
+              "flex items-center justify-between rounded-lg border p-2",
+              category.parentId && "ml-8",
+              category.isArchived && "opacity-60"
+            )}
+          >
+            <div className="flex items-center gap-3">
+              <div
+                className="flex h-8 w-8 items-center justify-center rounded-full text-white"
+                style={{ background: category.color }}
+              >
+                <CategoryIcon name={category.icon} className="h-4 w-4" />
+              </div>
+              <span className="text-sm font-medium">{category.name}</span>
+              {category.isArchived && <Badge variant="outline">Archived</Badge>}
+            </div>
+
+            <div className="flex items-center gap-1">
+              {/* Only top-level categories can get sub-categories */}
+              {!category.parentId && !category.isArchived && (
+                <CategoryDrawer parent={category} categories={allCategories}>
+                  <Button variant="ghost" size="icon" title="Add sub-category">
+                    <Plus className="h-4 w-4" />
+                  </Button>
+                </CategoryDrawer>
+              )}
+              <CategoryDrawer category={category} categories={allCategories}>
+                <Button variant="ghost" size="icon" title="Edit">
+                  <Pencil className="h-4 w-4" />
+                </Button>
+              </CategoryDrawer>
+              {/* Parents can't be merged - their sub-categories would lose their place */}
+              {getChildCategories(allCategories, category.id).length === 0 && (
+                <MergeCategoryDrawer source={category} categories={allCategories}>
+                  <Button variant="ghost" size="icon" title="Merge into...">
+                    <GitMerge className="h-4 w-4" />
+                  </Button>
+                </MergeCategoryDrawer>
+              )}
+              <Button
+                variant="ghost"
+                size="icon"
+                title={category.isArchived ? "Restore" : "Archive"}
+                disabled={archiving}
+                onClick={() => archiveFn(category.id, !category.isArchived)}
+              >
+                {category.isArchived ? (
+                  <ArchiveRestore className="h-4 w-4" />
+                ) : (
+                  <Archive className="h-4 w-4" />
+                )}
+              </Button>
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
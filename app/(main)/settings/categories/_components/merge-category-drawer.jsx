@@ -0,0 +1,164 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { Loader2 } from "lucide-react";
+import useFetch from "@/hooks/use-fetch";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerDescription,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+  DrawerClose,
+} from "@/components/ui/drawer";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { mergeCategories, previewCategoryMerge } from "@/actions/category";
+import { getCategoryLabel, getLeafCategories } from "@/lib/category-tree";
+
+// Drawer to merge one category into another.
+// Picking the target shows a preview of how many transactions / split lines / rules / budgets will change,
+// nothing is changed until "Merge" is clicked.
+// source = { id, name, type } - one of the user's categories or an orphaned id from old history
+// categories = all of the user's categories (targets to choose from)
+export function MergeCategoryDrawer({ source, categories, children }) {
+  const [open, setOpen] = useState(false);
+  const [targetId, setTargetId] = useState("");
+
+  // Same type, active, no sub-categories (history is assigned to leaf categories)
+  const targets = getLeafCategories(categories).filter(
+    (category) =>
+      category.type === source.type &&
+      !category.isArchived &&
+      category.id !== source.id
+  );
+
+  const {
+    loading: previewLoading,
+    fn: previewFn,
+    data: preview,
+    setData: setPreview,
+  } = useFetch(previewCategoryMerge);
+
+  const {
+    loading: mergeLoading,
+    fn: mergeFn,
+    data: merged,
+  } = useFetch(mergeCategories);
+
+  const handleTargetChange = (value) => {
+    setTargetId(value);
+    setPreview(undefined);
+    previewFn(source.id, value);
+  };
+
+  useEffect(() => {
+    if (merged?.success) {
+      toast.success(
+        `Merged into ${merged.data.targetName} (${merged.data.transactions} transactions updated)`
+      );
+      setOpen(false);
+    }
+  }, [merged]);
+
+  // Start fresh every time the drawer opens
+  const handleOpenChange = (isOpen) => {
+    setOpen(isOpen);
+    if (isOpen) {
+      setTargetId("");
+      setPreview(undefined);
+    }
+  };
+
+  const counts = preview?.data?.counts;
+
+  return (
+    <Drawer open={open} onOpenChange={handleOpenChange}>
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>Merge {source.name}</DrawerTitle>
+          <DrawerDescription>
+            Moves all history of {source.name} to another category and removes{" "}
+            {source.name}.
+          </DrawerDescription>
+        </DrawerHeader>
+
+        <div className="px-4 pb-4 space-y-4">
+          <div className="space-y-2">
+            <label htmlFor="target" className="text-sm font-medium">
+              Merge into
+            </label>
+            <Select value={targetId} onValueChange={handleTargetChange}>
+              <SelectTrigger id="target">
+                <SelectValue placeholder="Select category" />
+              </SelectTrigger>
+              <SelectContent>
+                {targets.map((category) => (
+                  <SelectItem key={category.id} value={category.id}>
+                    {getCategoryLabel(categories, category.id)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {/* Preview - what the merge will change */}
+          {previewLoading && (
+            <p className="flex items-center text-sm text-muted-foreground">
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Counting affected rows...
+            </p>
+          )}
+          {counts && !previewLoading && (
+            <div className="rounded-lg border p-3 text-sm space-y-1">
+              <p className="font-medium">This will change:</p>
+              <p>{counts.transactions} transactions</p>
+              <p>{counts.splits} split lines</p>
+              <p>{counts.rules} rules</p>
+              <p>{counts.recurringSeries} recurring series (future category)</p>
+              <p>
+                {counts.budgets} budget
+                {preview.data.combinesBudgets &&
+                  ` (added to the ${preview.data.targetName} budget)`}
+              </p>
+            </div>
+          )}
+
+          <div className="flex gap-4 pt-4">
+            <DrawerClose asChild>
+              <Button type="button" variant="outline" className="flex-1">
+                Cancel
+              </Button>
+            </DrawerClose>
+            <Button
+              variant="destructive"
+              className="flex-1"
+              disabled={!counts || previewLoading || mergeLoading}
+              onClick={() => mergeFn(source.id, targetId)}
+            >
+              {mergeLoading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Merging...
+                </>
+              ) : (
+                "Merge"
+              )}
+            </Button>
+          </div>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,56 @@
+"use client";
+
+import { GitMerge } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { MergeCategoryDrawer } from "./merge-category-drawer";
+
+// Category ids found on old transactions that are not one of the user's categories.
+// They show up without a color in the tables - merging them into a real category fixes the history.
+// orphans = [{ id, type, transactionCount }] (see getOrphanedCategories)
+export function OrphanedCategories({ orphans, categories }) {
+  if (orphans.length === 0) return null;
+
+  return (
+    <Card className="border-yellow-300">
+      <CardHeader>
+        <CardTitle className="text-base font-normal">Unknown Categories</CardTitle>
+        <CardDescription>
+          These categories are used by older transactions but no longer exist.
+          Merge them into one of your categories.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {orphans.map((orphan) => (
+          <div
+            key={orphan.id}
+            className="flex items-center justify-between rounded-lg border p-2"
+          >
+            <div>
+              <p className="text-sm font-medium">{orphan.id}</p>
+              <p className="text-xs text-muted-foreground">
+                {orphan.transactionCount} transactions ·{" "}
+                {orphan.type === "INCOME" ? "Income" : "Expense"}
+              </p>
+            </div>
+            <MergeCategoryDrawer
+              source={{ id: orphan.id, name: orphan.id, type: orphan.type }}
+              categories={categories}
+            >
+              <Button variant="outline" size="sm">
+                <GitMerge className="mr-2 h-4 w-4" />
+                Merge into...
+              </Button>
+            </MergeCategoryDrawer>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
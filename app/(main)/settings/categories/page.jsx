@@ -0,0 +1,59 @@
+// 🔍 Summary:
+// Settings page where the user manages their own categories:
+// add new ones (e.g. "Childcare", "Pet Supplies"), change name / color / icon, archive or restore,
+// and group them into sub-categories (Food → Groceries / Dining / Coffee).
+// Categories can be merged (all history moves over), also old category ids that no longer exist.
+// The built-in "transfer" category is not shown - transfers always use it.
+
+import { getCategories, getOrphanedCategories } from "@/actions/category";
+import { CategoryDrawer } from "./_components/category-drawer";
+import { CategoryList } from "./_components/category-list";
+import { OrphanedCategories } from "./_components/orphaned-categories";
+import { Button } from "@/components/ui/button";
+import { Plus, Wand2 } from "lucide-react";
+import Link from "next/link";
+
+export default async function CategoriesPage() {
+  const [categories, orphans] = await Promise.all([
+    getCategories(),
+    getOrphanedCategories(), // Ids on old transactions that are not a category any more
+  ]);
+
+  return (
+    <div className="max-w-4xl mx-auto px-5 space-y-8">
+      <div className="flex flex-col items-center gap-4 md:flex-row md:justify-between">
+        <h1 className="text-5xl gradient-title">Categories</h1>
+        <div className="flex gap-2">
+          {/* Rules that pick a category automatically */}
+          <Link href="/settings/rules">
+            <Button variant="outline">
+              <Wand2 className="mr-2 h-4 w-4" />
+              Rules
+            </Button>
+          </Link>
+          <CategoryDrawer categories={categories}>
+            <Button>
+              <Plus className="mr-2 h-4 w-4" />
+              Add Category
+            </Button>
+          </CategoryDrawer>
+        </div>
+      </div>
+
+      <OrphanedCategories orphans={orphans} categories={categories} />
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <CategoryList
+          title="Expense Categories"
+          categories={categories.filter((c) => c.type === "EXPENSE")}
+          allCategories={categories}
+        />
+        <CategoryList
+          title="Income Categories"
+          categories={categories.filter((c) => c.type === "INCOME")}
+          allCategories={categories}
+        />
+      </div>
+    </div>
+  );
+}
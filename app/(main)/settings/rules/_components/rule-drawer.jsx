@@ -0,0 +1,305 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useForm, useFieldArray } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Loader2, Plus, X } from "lucide-react";
+import useFetch from "@/hooks/use-fetch";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+  DrawerClose,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { createRule, updateRule } from "@/actions/rule";
+import { ruleSchema } from "@/app/lib/schema";
+import { RULE_FIELDS, RULE_OPERATORS } from "@/lib/rules";
+import { getCategoryLabel, getLeafCategories } from "@/lib/category-tree";
+import { TagInput } from "@/components/tag-input";
+
+const NONE = "none"; // Select value for "don't change" (Select items can't be empty)
+
+const emptyCondition = { field: "description", operator: "contains", value: "" };
+
+// Drawer with the rule form: conditions (all must match) → category, account and / or tags.
+// <RuleDrawer categories accounts> → new rule, <RuleDrawer rule={rule} ...> → edit it
+// tags = tags the user already uses (suggestions), children = the button that opens the drawer
+export function RuleDrawer({ rule, categories, accounts, tags = [], children }) {
+  const [open, setOpen] = useState(false);
+  const isEdit = !!rule;
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setValue,
+    watch,
+    reset,
+    control,
+  } = useForm({
+    resolver: zodResolver(ruleSchema),
+    defaultValues: {
+      name: rule?.name ?? "",
+      conditions: rule?.conditions ?? [emptyCondition],
+      category: rule?.category ?? "",
+      accountId: rule?.accountId ?? "",
+      tags: rule?.tags ?? [],
+      isActive: rule?.isActive ?? true,
+    },
+  });
+
+  const { fields, append, remove } = useFieldArray({ control, name: "conditions" });
+  const conditions = watch("conditions");
+
+  // Categories a rule can set: leaf income / expense categories that are not archived
+  const ruleCategories = getLeafCategories(categories).filter(
+    (category) => category.type !== "TRANSFER" && !category.isArchived
+  );
+
+  const {
+    loading: saving,
+    fn: saveFn,
+    data: savedRule,
+  } = useFetch(isEdit ? (data) => updateRule(rule.id, data) : createRule);
+
+  const onSubmit = async (data) => {
+    await saveFn(data);
+  };
+
+  useEffect(() => {
+    if (savedRule?.success) {
+      toast.success(isEdit ? "Rule updated" : "Rule created");
+      if (!isEdit) reset();
+      setOpen(false);
+    }
+  }, [savedRule]);
+
+  // Another field has other operators / values → start the condition again
+  const handleFieldChange = (index, field) => {
+    setValue(`conditions.${index}.field`, field);
+    setValue(`conditions.${index}.operator`, RULE_FIELDS[field].operators[0]);
+    setValue(`conditions.${index}.value`, field === "type" ? "EXPENSE" : "");
+  };
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>{isEdit ? "Edit Rule" : "New Rule"}</DrawerTitle>
+        </DrawerHeader>
+
+        <div className="px-4 pb-4 max-h-[70vh] overflow-y-auto">
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            {/* Name */}
+            <div className="space-y-2">
+              <label htmlFor="name" className="text-sm font-medium">
+                Name
+              </label>
+              <Input id="name" placeholder="e.g., Uber rides" {...register("name")} />
+              {errors.name && (
+                <p className="text-sm text-red-500">{errors.name.message}</p>
+              )}
+            </div>
+
+            {/* Conditions - all of them must match */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">When all of these match</label>
+              {fields.map((item, index) => {
+                const field = conditions?.[index]?.field ?? "description";
+                return (
+                  <div key={item.id} className="space-y-1">
+                    <div className="flex gap-2">
+                      <Select
+                        value={field}
+                        onValueChange={(value) => handleFieldChange(index, value)}
+                      >
+                        <SelectTrigger className="w-[140px]">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(RULE_FIELDS).map(([key, { label }]) => (
+                            <SelectItem key={key} value={key}>
+                              {label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+
+                      <Select
+                        value={conditions?.[index]?.operator}
+                        onValueChange={(value) =>
+                          setValue(`conditions.${index}.operator`, value)
+                        }
+                      >
+                        <SelectTrigger className="w-[130px]">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {RULE_FIELDS[field].operators.map((operator) => (
+                            <SelectItem key={operator} value={operator}>
+                              {RULE_OPERATORS[operator]}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+
+                      {field === "type" ? (
+                        <Select
+                          value={conditions?.[index]?.value}
+                          onValueChange={(value) =>
+                            setValue(`conditions.${index}.value`, value)
+                          }
+                        >
+                          <SelectTrigger className="flex-1">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value="EXPENSE">Expense</SelectItem>
+                            <SelectItem value="INCOME">Income</SelectItem>
+                          </SelectContent>
+                        </Select>
+                      ) : (
+                        <Input
+                          className="flex-1"
+                          type={field === "amount" ? "number" : "text"}
+                          step={field === "amount" ? "0.01" : undefined}
+                          placeholder={field === "amount" ? "1000" : "UBER"}
+                          {...register(`conditions.${index}.value`)}
+                        />
+                      )}
+
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => remove(index)}
+                        disabled={fields.length === 1}
+                      >
+                        <X className="h-4 w-4" />
+                      </Button>
+                    </div>
+                    {errors.conditions?.[index]?.value && (
+                      <p className="text-sm text-red-500">
+                        {errors.conditions[index].value.message}
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => append(emptyCondition)}
+              >
+                <Plus className="mr-2 h-4 w-4" />
+                Add Condition
+              </Button>
+              {errors.conditions?.message && (
+                <p className="text-sm text-red-500">{errors.conditions.message}</p>
+              )}
+            </div>
+
+            {/* Then: category, account and / or tags */}
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Set category</label>
+                <Select
+                  value={watch("category") || NONE}
+                  onValueChange={(value) =>
+                    setValue("category", value === NONE ? "" : value)
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NONE}>Don&apos;t change</SelectItem>
+                    {ruleCategories.map((category) => (
+                      <SelectItem key={category.id} value={category.id}>
+                        {getCategoryLabel(categories, category.id)}
+                        {category.type === "INCOME" && " (income)"}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {errors.category && (
+                  <p className="text-sm text-red-500">{errors.category.message}</p>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-sm font-medium">
+                  Set account (new transactions)
+                </label>
+                <Select
+                  value={watch("accountId") || NONE}
+                  onValueChange={(value) =>
+                    setValue("accountId", value === NONE ? "" : value)
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NONE}>Don&apos;t change</SelectItem>
+                    {accounts.map((account) => (
+                      <SelectItem key={account.id} value={account.id}>
+                        {account.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Add tags</label>
+              <TagInput
+                value={watch("tags")}
+                onChange={(value) => setValue("tags", value)}
+                suggestions={tags}
+                placeholder="e.g. reimbursable"
+              />
+            </div>
+
+            <div className="flex gap-4 pt-4">
+              <DrawerClose asChild>
+                <Button type="button" variant="outline" className="flex-1">
+                  Cancel
+                </Button>
+              </DrawerClose>
+              <Button type="submit" className="flex-1" disabled={saving}>
+                {saving ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Saving...
+                  </>
+                ) : isEdit ? (
+                  "Save Changes"
+                ) : (
+                  "Create Rule"
+                )}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,134 @@
+"use client";
+
+import { useEffect } from "react";
+import { ArrowDown, ArrowUp, Pencil, Trash } from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import { deleteRule, moveRule, setRuleActive } from "@/actions/rule";
+import { describeCondition } from "@/lib/rules";
+import { getCategoryLabel } from "@/lib/category-tree";
+import { cn } from "@/lib/utils";
+import { RuleDrawer } from "./rule-drawer";
+
+// The user's rules in the order they run, with move up / down, on / off, edit and delete.
+// Each row reads like a sentence: "Description contains UBER → Transportation"
+export function RuleList({ rules, categories, accounts, tags }) {
+  const { loading: moving, fn: moveFn } = useFetch(moveRule);
+  const { loading: toggling, fn: toggleFn } = useFetch(setRuleActive);
+  const {
+    loading: deleting,
+    fn: deleteFn,
+    data: deleted,
+  } = useFetch(deleteRule);
+
+  useEffect(() => {
+    if (deleted?.success) {
+      toast.success("Rule deleted");
+    }
+  }, [deleted]);
+
+  const handleDelete = (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+    deleteFn(rule.id);
+  };
+
+  // "→ Food › Groceries, Credit Card, #reimbursable"
+  const describeActions = (rule) =>
+    [
+      rule.category && getCategoryLabel(categories, rule.category),
+      rule.accountId &&
+        (accounts.find((account) => account.id === rule.accountId)?.name ?? "Unknown account"),
+      ...(rule.tags ?? []).map((tag) => `#${tag}`),
+    ]
+      .filter(Boolean)
+      .join(", ");
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base font-normal">
+          Rules run top to bottom - the first match wins
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {rules.length === 0 && (
+          <p className="text-sm text-muted-foreground">
+            No rules yet. Add one to categorize transactions automatically.
+          </p>
+        )}
+
+        {rules.map((rule, index) => (
+          <div
+            key={rule.id}
+            className={cn(
+              "flex items-center justify-between gap-4 rounded-lg border p-3",
+              !rule.isActive && "opacity-60"
+            )}
+          >
+            <div className="space-y-1 min-w-0">
+              <div className="flex items-center gap-2">
+                <span className="text-sm font-medium">{rule.name}</span>
+                {!rule.isActive && <Badge variant="outline">Off</Badge>}
+              </div>
+              <p className="text-sm text-muted-foreground">
+                {rule.conditions.map(describeCondition).join(" and ")} →{" "}
+                <span className="text-foreground">{describeActions(rule)}</span>
+              </p>
+            </div>
+
+            <div className="flex items-center gap-1 shrink-0">
+              <Button
+                variant="ghost"
+                size="icon"
+                title="Move up"
+                disabled={moving || index === 0}
+                onClick={() => moveFn(rule.id, "up")}
+              >
+                <ArrowUp className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                title="Move down"
+                disabled={moving || index === rules.length - 1}
+                onClick={() => moveFn(rule.id, "down")}
+              >
+                <ArrowDown className="h-4 w-4" />
+              </Button>
+              <Switch
+                checked={rule.isActive}
+                disabled={toggling}
+                onCheckedChange={(checked) => toggleFn(rule.id, checked)}
+              />
+              <RuleDrawer
+                rule={rule}
+                categories={categories}
+                accounts={accounts}
+                tags={tags}
+              >
+                <Button variant="ghost" size="icon" title="Edit">
+                  <Pencil className="h-4 w-4" />
+                </Button>
+              </RuleDrawer>
+              <Button
+                variant="ghost"
+                size="icon"
+                title="Delete"
+                className="text-destructive"
+                disabled={deleting}
+                onClick={() => handleDelete(rule)}
+              >
+                <Trash className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
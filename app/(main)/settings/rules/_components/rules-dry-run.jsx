@@ -0,0 +1,135 @@
+"use client";
+
+import { useEffect } from "react";
+import { format } from "date-fns";
+import { Loader2, Play } from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { applyRulesToExisting, previewRulesOnExisting } from "@/actions/rule";
+import { getCategoryLabel } from "@/lib/category-tree";
+
+// Dry run of the rules on existing transactions: first list what would change, then apply it.
+// Only categories change here - rule accounts and tags are used for new transactions only.
+export function RulesDryRun({ categories, hasRules }) {
+  const {
+    loading: previewing,
+    fn: previewFn,
+    data: preview,
+    setData: setPreview,
+  } = useFetch(previewRulesOnExisting);
+
+  const {
+    loading: applying,
+    fn: applyFn,
+    data: applied,
+  } = useFetch(applyRulesToExisting);
+
+  useEffect(() => {
+    if (applied?.success) {
+      toast.success(`${applied.data.count} transactions re-categorized`);
+      setPreview(undefined); // The old preview is out of date now
+    }
+  }, [applied]);
+
+  const { total = 0, changes = [] } = preview?.data ?? {};
+  const label = (id) => getCategoryLabel(categories, id);
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base font-normal">
+          Apply rules to existing transactions
+        </CardTitle>
+        <Button
+          variant="outline"
+          disabled={!hasRules || previewing || applying}
+          onClick={() => previewFn()}
+        >
+          {previewing ? (
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+          ) : (
+            <Play className="mr-2 h-4 w-4" />
+          )}
+          Preview changes
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          See which transactions your rules would re-categorize before anything is saved.
+          Split and transfer transactions are left alone, and rule accounts and tags only
+          apply to new transactions.
+        </p>
+
+        {preview && total === 0 && (
+          <p className="text-sm">Nothing to change - your transactions already match your rules.</p>
+        )}
+
+        {total > 0 && (
+          <>
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Date</TableHead>
+                    <TableHead>Description</TableHead>
+                    <TableHead className="text-right">Amount</TableHead>
+                    <TableHead>Category</TableHead>
+                    <TableHead>Rule</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {changes.map((change) => (
+                    <TableRow key={change.id}>
+                      <TableCell>{format(new Date(change.date), "PP")}</TableCell>
+                      <TableCell>{change.description}</TableCell>
+                      <TableCell
+                        className={
+                          change.type === "EXPENSE"
+                            ? "text-right text-red-500"
+                            : "text-right text-green-500"
+                        }
+                      >
+                        {change.type === "EXPENSE" ? "-" : "+"}$
+                        {change.amount.toFixed(2)}
+                      </TableCell>
+                      <TableCell>
+                        <span className="text-muted-foreground line-through">
+                          {label(change.fromCategory)}
+                        </span>{" "}
+                        → {label(change.toCategory)}
+                      </TableCell>
+                      <TableCell>{change.ruleName}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <p className="text-sm text-muted-foreground">
+                {total > changes.length
+                  ? `Showing the first ${changes.length} of ${total} changes`
+                  : `${total} changes`}
+              </p>
+              <Button disabled={applying} onClick={() => applyFn()}>
+                {applying && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Apply {total} changes
+              </Button>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
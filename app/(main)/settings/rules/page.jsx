@@ -0,0 +1,55 @@
+// 🔍 Summary:
+// Settings page for auto-categorization rules, e.g. description contains "UBER" → Transportation.
+// Rules run top to bottom on new transactions, statement imports and scanned receipts;
+// the first matching rule wins. The dry run shows what they would change on existing transactions.
+
+import Link from "next/link";
+import { Plus, Tags } from "lucide-react";
+import { getRules } from "@/actions/rule";
+import { getCategories } from "@/actions/category";
+import { getUserAccounts } from "@/actions/dashboard";
+import { getTags } from "@/actions/tag";
+import { Button } from "@/components/ui/button";
+import { RuleDrawer } from "./_components/rule-drawer";
+import { RuleList } from "./_components/rule-list";
+import { RulesDryRun } from "./_components/rules-dry-run";
+
+export default async function RulesPage() {
+  const [rules, categories, accounts, tags] = await Promise.all([
+    getRules(),
+    getCategories(),
+    getUserAccounts(),
+    getTags(),
+  ]);
+
+  return (
+    <div className="max-w-4xl mx-auto px-5 space-y-8">
+      <div className="flex flex-col items-center gap-4 md:flex-row md:justify-between">
+        <h1 className="text-5xl gradient-title">Rules</h1>
+        <div className="flex gap-2">
+          <Link href="/settings/categories">
+            <Button variant="outline">
+              <Tags className="mr-2 h-4 w-4" />
+              Categories
+            </Button>
+          </Link>
+          <RuleDrawer categories={categories} accounts={accounts} tags={tags}>
+            <Button>
+              <Plus className="mr-2 h-4 w-4" />
+              Add Rule
+            </Button>
+          </RuleDrawer>
+        </div>
+      </div>
+
+      <RuleList
+        rules={rules}
+        categories={categories}
+        accounts={accounts}
+        tags={tags}
+      />
+
+      <RulesDryRun categories={categories} hasRules={rules.length > 0} />
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+// 🔍 Summary:
+// Every subscription in one place: the recurring expenses the user has set up (confirmed)
+// and charges that repeat in the history but aren't recurring yet (detected, with a
+// "make it recurring?" suggestion), with what each one costs in a year and its last price change.
+
+import Link from "next/link";
+import { format } from "date-fns";
+import { getSubscriptions } from "@/actions/subscription";
+import { getCategories } from "@/actions/category";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { SubscriptionSuggestions } from "@/components/subscription-suggestions";
+import { RateWarnings } from "@/components/rate-warnings";
+import { getCategoryLabel } from "@/lib/category-tree";
+import { formatCurrency } from "@/lib/currency";
+import { cn } from "@/lib/utils";
+
+export default async function SubscriptionsPage() {
+  const [subscriptions, categories] = await Promise.all([
+    getSubscriptions(),
+    getCategories(),
+  ]);
+  const { confirmed, detected, annualTotal, baseCurrency, rateWarnings } = subscriptions;
+
+  // Most expensive first, confirmed and detected together
+  const rows = [
+    ...confirmed.map((subscription) => ({ ...subscription, isConfirmed: true })),
+    ...detected.map((subscription) => ({ ...subscription, isConfirmed: false })),
+  ].sort((a, b) => b.annualCost - a.annualCost);
+
+  return (
+    <div className="max-w-5xl mx-auto px-5 space-y-8">
+      <h1 className="text-5xl gradient-title">Subscriptions</h1>
+
+      <RateWarnings warnings={rateWarnings} />
+
+      <div className="grid gap-4 md:grid-cols-3">
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-normal text-muted-foreground">Per year</CardTitle>
+          </CardHeader>
+          <CardContent className="text-2xl font-bold">
+            {formatCurrency(annualTotal, baseCurrency)}
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-normal text-muted-foreground">Per month</CardTitle>
+          </CardHeader>
+          <CardContent className="text-2xl font-bold">
+            {formatCurrency(annualTotal / 12, baseCurrency)}
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-normal text-muted-foreground">
+              Subscriptions
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="text-2xl font-bold">
+            {confirmed.length}
+            {detected.length > 0 && (
+              <span className="ml-2 text-sm font-normal text-muted-foreground">
+                + {detected.length} detected
+              </span>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* "Looks like Netflix is monthly — make it recurring?" */}
+      <SubscriptionSuggestions suggestions={detected} />
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base font-normal">All subscriptions</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {rows.length === 0 ? (
+            <p className="text-center text-muted-foreground py-4">
+              No subscriptions yet. Recurring expenses and charges that repeat every week,
+              month, quarter or year show up here.
+            </p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Schedule</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                  <TableHead className="text-right">Per year</TableHead>
+                  <TableHead>Last price change</TableHead>
+                  <TableHead>Next charge</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {rows.map((row) => (
+                  <TableRow key={row.seriesId ?? row.key}>
+                    <TableCell>
+                      <div className="font-medium">
+                        {row.isConfirmed ? (
+                          <Link
+                            href={`/transaction/create?edit=${row.seriesId}`}
+                            className="hover:underline"
+                          >
+                            {row.name || getCategoryLabel(categories, row.category)}
+                          </Link>
+                        ) : (
+                          row.name
+                        )}
+                      </div>
+                      <div className="text-xs text-muted-foreground">
+                        {getCategoryLabel(categories, row.category)} · {row.account.name}
+                      </div>
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex items-center gap-2">
+                        {row.label}
+                        {/* Detected = not recurring yet, see the suggestions above */}
+                        {!row.isConfirmed && (
+                          <Badge variant="outline" className="text-amber-600 border-amber-300">
+                            Detected
+                          </Badge>
+                        )}
+                      </div>
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {formatCurrency(row.amount, row.account.currency)}
+                    </TableCell>
+                    <TableCell className="text-right font-medium">
+                      {formatCurrency(row.annualCost, row.account.currency)}
+                    </TableCell>
+                    {/* e.g. "15.49 → 17.99 · Mar 4, 2025" (price went up = red) */}
+                    <TableCell
+                      className={cn(
+                        "text-sm",
+                        row.lastPriceChange?.to > row.lastPriceChange?.from && "text-red-500",
+                        row.lastPriceChange?.to < row.lastPriceChange?.from && "text-green-500"
+                      )}
+                    >
+                      {row.lastPriceChange ? (
+                        <>
+                          {formatCurrency(row.lastPriceChange.from, row.account.currency)} →{" "}
+                          {formatCurrency(row.lastPriceChange.to, row.account.currency)}
+                          {row.lastPriceChange.date && (
+                            <span className="text-muted-foreground">
+                              {" "}
+                              · {format(new Date(row.lastPriceChange.date), "PP")}
+                            </span>
+                          )}
+                        </>
+                      ) : (
+                        <span className="text-muted-foreground">—</span>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {row.nextDate ? format(new Date(row.nextDate), "PP") : "—"}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <p className="text-xs text-muted-foreground">
+        Detected from your expenses of the last two years: the same merchant charging about the
+        same amount every week, month, quarter or year. Per-year costs are in each
+        account&apos;s currency; the totals above are in {baseCurrency}.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+// 🔍 Summary:
+// Spending per tag, e.g. how much did "vacation-2026" or "wedding" cost in total?
+// Tags cut across categories, so this is the place to see a trip or a project as one number.
+// The period (this month / last 3 months / this year / all time) is kept in the URL (?period=year).
+
+import Link from "next/link";
+import { startOfMonth, startOfYear, subMonths } from "date-fns";
+import { getTagSummary } from "@/actions/tag";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Progress } from "@/components/ui/progress";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { RateWarnings } from "@/components/rate-warnings";
+import { formatCurrency } from "@/lib/currency";
+
+const PERIODS = {
+  month: { label: "This Month", from: () => startOfMonth(new Date()) },
+  "3months": { label: "Last 3 Months", from: () => startOfMonth(subMonths(new Date(), 2)) },
+  year: { label: "This Year", from: () => startOfYear(new Date()) },
+  all: { label: "All Time", from: () => undefined },
+};
+
+export default async function TagsPage({ searchParams }) {
+  const period = PERIODS[searchParams?.period] ? searchParams.period : "all";
+
+  // ✅ { currency: "USD", totals: [{ tag, expense, income, count }] } - most spent first
+  const { currency, totals, rateWarnings } = await getTagSummary({ from: PERIODS[period].from() });
+  const largestExpense = Math.max(...totals.map((total) => total.expense), 0);
+
+  return (
+    <div className="max-w-4xl mx-auto px-5 space-y-8">
+      <div className="flex flex-col items-center gap-4 md:flex-row md:justify-between">
+        <h1 className="text-5xl gradient-title">Tags</h1>
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(PERIODS).map(([key, { label }]) => (
+            <Link key={key} href={key === "all" ? "/tags" : `/tags?period=${key}`}>
+              <Button variant={key === period ? "default" : "outline"} size="sm">
+                {label}
+              </Button>
+            </Link>
+          ))}
+        </div>
+      </div>
+
+      <RateWarnings warnings={rateWarnings} />
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base font-normal">
+            Spending per tag ({PERIODS[period].label.toLowerCase()})
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {totals.length === 0 ? (
+            <p className="text-sm text-muted-foreground">
+              No tagged transactions in this period. Add tags like &quot;vacation-2026&quot;
+              to transactions to see their totals here.
+            </p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Tag</TableHead>
+                  <TableHead className="text-right">Transactions</TableHead>
+                  <TableHead className="text-right">Spent</TableHead>
+                  <TableHead className="text-right">Received</TableHead>
+                  <TableHead className="w-[160px]" />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {totals.map((total) => (
+                  <TableRow key={total.tag}>
+                    <TableCell className="font-medium">#{total.tag}</TableCell>
+                    <TableCell className="text-right">{total.count}</TableCell>
+                    <TableCell className="text-right text-red-500">
+                      {formatCurrency(total.expense, currency)}
+                    </TableCell>
+                    <TableCell className="text-right text-green-500">
+                      {formatCurrency(total.income, currency)}
+                    </TableCell>
+                    <TableCell>
+                      {/* Share of the biggest tag's spending */}
+                      <Progress
+                        value={largestExpense > 0 ? (total.expense / largestExpense) * 100 : 0}
+                      />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+          <p className="mt-4 text-xs text-muted-foreground">
+            Amounts are in {currency}. A transaction with several tags counts for each of them.
+          </p>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,238 @@
+"use client";
+
+import { useState } from "react";
+import { format } from "date-fns";
+import { CalendarIcon } from "lucide-react";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Calendar } from "@/components/ui/calendar";
+import { cn } from "@/lib/utils";
+import {
+  RECURRING_INTERVALS,
+  RECURRING_MONTH_DAYS,
+  WEEKDAYS,
+  calculateNextRecurringDate,
+  describeRecurrence,
+  getRecurrenceRule,
+} from "@/lib/recurrence";
+
+// Schedule of a recurring transaction, part of the transaction form:
+// interval + "every N", weekdays (weekly), day of the month (monthly)
+// and an optional end (a date or a number of occurrences).
+// watch / setValue / register / errors come from the form's useForm().
+export function RecurrenceFields({ watch, setValue, register, errors }) {
+  const interval = watch("recurringInterval");
+  const every = watch("recurringEvery");
+  const weekdays = watch("recurringWeekdays") ?? [];
+  const monthDay = watch("recurringMonthDay");
+  const endDate = watch("recurringEndDate");
+  const maxOccurrences = watch("recurringMaxOccurrences");
+  const date = watch("date");
+
+  // How the series ends - only one of the two end fields is kept
+  const [ends, setEnds] = useState(
+    endDate ? "ON_DATE" : maxOccurrences ? "AFTER" : "NEVER"
+  );
+
+  const handleEndsChange = (value) => {
+    setEnds(value);
+    if (value !== "ON_DATE") setValue("recurringEndDate", null);
+    if (value !== "AFTER") setValue("recurringMaxOccurrences", null);
+  };
+
+  const toggleWeekday = (weekday) => {
+    setValue(
+      "recurringWeekdays",
+      weekdays.includes(weekday)
+        ? weekdays.filter((day) => day !== weekday)
+        : [...weekdays, weekday]
+    );
+  };
+
+  // Preview, e.g. "Every 2 weeks on Mon, Thu · next: Jun 2, 2025"
+  const rule = interval
+    ? getRecurrenceRule({
+        recurringInterval: interval,
+        recurringEvery: Number(every) || 1,
+        recurringWeekdays: weekdays,
+        recurringMonthDay: monthDay,
+        recurringEndDate: endDate,
+        recurringMaxOccurrences: Number(maxOccurrences) || null,
+        date,
+      })
+    : null;
+  const nextDate = rule && calculateNextRecurringDate(rule);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid gap-6 md:grid-cols-2">
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Recurring Interval</label>
+          <Select
+            onValueChange={(value) => setValue("recurringInterval", value)}
+            defaultValue={interval}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Select interval" />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(RECURRING_INTERVALS).map(([id, { label }]) => (
+                <SelectItem key={id} value={id}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {errors.recurringInterval && (
+            <p className="text-sm text-red-500">
+              {errors.recurringInterval.message}
+            </p>
+          )}
+        </div>
+
+        {/* e.g. every 2 weeks = bi-weekly, every 3 months = quarterly */}
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Repeat every</label>
+          <div className="flex items-center gap-2">
+            <Input type="number" min="1" className="w-24" {...register("recurringEvery")} />
+            <span className="text-sm text-muted-foreground">
+              {RECURRING_INTERVALS[interval]?.unit ?? "interval"}(s)
+            </span>
+          </div>
+          {errors.recurringEvery && (
+            <p className="text-sm text-red-500">{errors.recurringEvery.message}</p>
+          )}
+        </div>
+      </div>
+
+      {/* Weekly → optionally on specific days (none = same weekday as the date) */}
+      {interval === "WEEKLY" && (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">On</label>
+          <div className="flex flex-wrap gap-2">
+            {WEEKDAYS.map((day) => (
+              <Button
+                key={day.id}
+                type="button"
+                size="sm"
+                variant={weekdays.includes(day.id) ? "default" : "outline"}
+                onClick={() => toggleWeekday(day.id)}
+              >
+                {day.label}
+              </Button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Monthly → same day, last day or last business day */}
+      {interval === "MONTHLY" && (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Day of the month</label>
+          <Select
+            onValueChange={(value) => setValue("recurringMonthDay", value)}
+            defaultValue={monthDay}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(RECURRING_MONTH_DAYS).map(([id, label]) => (
+                <SelectItem key={id} value={id}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+
+      {/* Optional end of the series, e.g. a 12-installment loan */}
+      <div className="grid gap-6 md:grid-cols-2">
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Ends</label>
+          <Select onValueChange={handleEndsChange} value={ends}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="NEVER">Never</SelectItem>
+              <SelectItem value="ON_DATE">On a date</SelectItem>
+              <SelectItem value="AFTER">After a number of times</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
+        {ends === "ON_DATE" && (
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Last date</label>
+            <Popover>
+              <PopoverTrigger asChild>
+                <Button
+                  type="button"
+                  variant="outline"
+                  className={cn(
+                    "w-full pl-3 text-left font-normal",
+                    !endDate && "text-muted-foreground"
+                  )}
+                >
+                  {endDate ? format(endDate, "PPP") : <span>Pick a date</span>}
+                  <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                </Button>
+              </PopoverTrigger>
+              <PopoverContent className="w-auto p-0" align="start">
+                <Calendar
+                  mode="single"
+                  selected={endDate ?? undefined}
+                  onSelect={(value) => setValue("recurringEndDate", value ?? null)}
+                  disabled={(value) => value < date}
+                  initialFocus
+                />
+              </PopoverContent>
+            </Popover>
+            {errors.recurringEndDate && (
+              <p className="text-sm text-red-500">{errors.recurringEndDate.message}</p>
+            )}
+          </div>
+        )}
+
+        {ends === "AFTER" && (
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Occurrences (incl. this one)</label>
+            <Input
+              type="number"
+              min="2"
+              placeholder="e.g. 12"
+              {...register("recurringMaxOccurrences")}
+            />
+            {errors.recurringMaxOccurrences && (
+              <p className="text-sm text-red-500">
+                {errors.recurringMaxOccurrences.message}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+
+      {rule && (
+        <p className="text-sm text-muted-foreground">
+          {describeRecurrence(rule)} ·{" "}
+          {nextDate ? `next: ${format(nextDate, "PP")}` : "no further occurrences"}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,558 @@
+"use client";
+
+// Imports a bank statement (CSV or OFX / QFX) into one account in three steps:
+// 1. Upload → pick the account and the file.
+// 2. Map columns (CSV only) → which column is the date, description, amount (or debit / credit).
+// 3. Preview → every row with a suggested category (one of the user's own categories; rows
+//    without a match are left empty and must be picked); likely duplicates are flagged and unticked.
+//    OFX rows already imported before (same FITID) are skipped, and the bank's ledger balance
+//    is shown next to the app's balance so differences stand out.
+// The ticked rows are saved in one batch that updates the account balance once.
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { Loader2, Upload } from "lucide-react";
+import { toast } from "sonner";
+import useFetch from "@/hooks/use-fetch";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { cn } from "@/lib/utils";
+import { formatCurrency } from "@/lib/currency";
+import {
+  DATE_FORMATS,
+  guessColumnMapping,
+  mapCsvRows,
+  parseCsv,
+  suggestCategory,
+} from "@/lib/import";
+import { parseOfx } from "@/lib/ofx";
+import { getBalanceChange } from "@/lib/balance";
+import { isLiabilityAccount } from "@/data/account-types";
+import { getCategoryLabel, getLeafCategories } from "@/lib/category-tree";
+import { getRuleChanges } from "@/lib/rules";
+import {
+  findDuplicateTransactions,
+  importTransactions,
+} from "@/actions/import";
+
+// Columns the user maps (debit / credit are only needed when there is no signed amount column)
+const MAPPING_FIELDS = [
+  { key: "date", label: "Date" },
+  { key: "description", label: "Description" },
+  { key: "amount", label: "Amount (negative = money out)" },
+  { key: "debit", label: "Debit (money out)" },
+  { key: "credit", label: "Credit (money in)" },
+];
+
+// rules = the user's auto-categorization rules - they beat the keyword guess of the category
+// (a rule's account is ignored here, everything goes into the chosen account)
+export function StatementImport({ accounts, categories, rules = [] }) {
+  const router = useRouter();
+
+  const [accountId, setAccountId] = useState(
+    accounts.find((ac) => ac.isDefault)?.id
+  );
+  const [step, setStep] = useState("upload");        // "upload" → "map" → "preview"
+  const [headers, setHeaders] = useState([]);        // First CSV row, e.g. ["Date", "Details", "Amount"]
+  const [csvRows, setCsvRows] = useState([]);        // All other rows (arrays of cells)
+  const [mapping, setMapping] = useState(null);      // { date: 0, description: 1, amount: 2, ..., dateFormat }
+  const [previewRows, setPreviewRows] = useState([]); // Mapped rows + { selected, duplicate }
+  const [statement, setStatement] = useState(null);  // OFX only: { currency, ledgerBalance }
+
+  const account = accounts.find((ac) => ac.id === accountId);
+
+  const {
+    loading: duplicatesLoading,
+    fn: findDuplicatesFn,
+    data: duplicates,
+  } = useFetch(findDuplicateTransactions);
+
+  const {
+    loading: importLoading,
+    fn: importFn,
+    data: importResult,
+  } = useFetch(importTransactions);
+
+  // Step 1 → read the file
+  // OFX / QFX → straight to the preview, CSV → guess the column mapping from the header row
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const text = await file.text();
+
+    if (/\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(text)) {
+      try {
+        const parsed = parseOfx(text);
+        if (parsed.transactions.length === 0) {
+          toast.error("The file has no transactions");
+          return;
+        }
+        setStatement({
+          currency: parsed.currency,
+          ledgerBalance: parsed.ledgerBalance,
+        });
+        await showPreview(parsed.transactions);
+      } catch (error) {
+        toast.error(error.message);
+      }
+      return;
+    }
+
+    setStatement(null);
+    const rows = parseCsv(text);
+    if (rows.length < 2) {
+      toast.error("The file has no transactions");
+      return;
+    }
+
+    setHeaders(rows[0]);
+    setCsvRows(rows.slice(1));
+    setMapping({ ...guessColumnMapping(rows[0]), dateFormat: "yyyy-MM-dd" });
+    setStep("map");
+  };
+
+  // Step 2 → map every row, then ask the server which ones are already in the account
+  const handlePreview = async () => {
+    if (!accountId) {
+      toast.error("Please select an account");
+      return;
+    }
+    if (
+      mapping.date < 0 ||
+      (mapping.amount < 0 && mapping.debit < 0 && mapping.credit < 0)
+    ) {
+      toast.error("Please map the date and amount (or debit / credit) columns");
+      return;
+    }
+
+    await showPreview(mapCsvRows(csvRows, mapping));
+  };
+
+  // Step 3 → show the rows and ask the server which ones are already in the account
+  const showPreview = async (mappedRows) => {
+    if (!accountId) {
+      toast.error("Please select an account");
+      return;
+    }
+
+    const rows = mappedRows.map((row) => {
+      const { rule, category, tags } = row.error
+        ? { rule: null }
+        : getRuleChanges(rules, row, categories);
+      return {
+        ...row,
+        // Keyword guess from the user's categories ("" = no match), a matching rule wins
+        category: category || suggestCategory(row.description, row.type, categories),
+        tags: tags ?? [], // Tags added by the rule, e.g. ["reimbursable"]
+        ruleName: category || tags ? rule.name : null, // Shown next to the category
+        selected: !row.error,
+        duplicate: false,
+      };
+    });
+    setPreviewRows(rows);
+    setStep("preview");
+
+    const validRows = rows.filter((row) => !row.error);
+    if (validRows.length > 0) {
+      await findDuplicatesFn(
+        accountId,
+        validRows.map(({ date, type, amount, externalId }) => ({
+          date,
+          type,
+          amount,
+          externalId,
+        }))
+      );
+    }
+  };
+
+  // Duplicates found → flag them and untick them (the user can still tick them again)
+  useEffect(() => {
+    if (!duplicates?.success) return;
+
+    setPreviewRows((current) => {
+      let validIndex = 0;
+      return current.map((row) => {
+        if (row.error) return row;
+        const duplicate = duplicates.data[validIndex++];
+        return { ...row, duplicate, selected: row.selected && !duplicate };
+      });
+    });
+  }, [duplicates]);
+
+  // Change one preview row (tick / untick, category)
+  const updateRow = (index, changes) => {
+    setPreviewRows((current) =>
+      current.map((row, i) => (i === index ? { ...row, ...changes } : row))
+    );
+  };
+
+  const selectedRows = previewRows.filter((row) => row.selected);
+  // Ticked rows without a category → the user has to pick one before importing
+  const uncategorizedCount = selectedRows.filter((row) => !row.category).length;
+
+  // OFX: the bank's ledger balance next to the app's balance after this import.
+  // For credit cards / loans the bank shows the debt as a negative balance, the app as a positive one.
+  let balanceCheck = null;
+  if (statement?.ledgerBalance && account) {
+    const appBalance = selectedRows.reduce(
+      (total, row) => total + getBalanceChange(account.type, row.type, row.amount),
+      parseFloat(account.balance)
+    );
+    const ledgerBalance = isLiabilityAccount(account.type)
+      ? -statement.ledgerBalance.amount
+      : statement.ledgerBalance.amount;
+
+    balanceCheck = {
+      ledgerBalance,
+      appBalance,
+      difference: appBalance - ledgerBalance,
+    };
+  }
+
+  // Step 3 → save the ticked rows
+  const handleImport = async () => {
+    if (uncategorizedCount > 0) {
+      toast.error("Please pick a category for every selected row");
+      return;
+    }
+
+    await importFn(
+      accountId,
+      selectedRows.map(
+        ({ row, date, description, amount, type, category, tags, externalId }) => ({
+          row, // Row number in the preview, for error messages
+          date,
+          description,
+          amount,
+          type,
+          category,
+          tags,
+          externalId,
+        })
+      )
+    );
+  };
+
+  useEffect(() => {
+    if (importResult?.success && !importLoading) {
+      const { count, skipped } = importResult.data;
+      toast.success(
+        skipped > 0
+          ? `Imported ${count} transactions (${skipped} already imported)`
+          : `Imported ${count} transactions`
+      );
+      router.push(`/account/${accountId}`);
+    }
+  }, [importResult, importLoading]);
+
+  return (
+    <div className="space-y-6">
+      {/* Account + file */}
+      <div className="grid gap-6 md:grid-cols-2">
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Account</label>
+          <Select
+            value={accountId}
+            onValueChange={setAccountId}
+            disabled={step === "preview"}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Select account" />
+            </SelectTrigger>
+            <SelectContent>
+              {accounts.map((ac) => (
+                <SelectItem key={ac.id} value={ac.id}>
+                  {ac.name} ({formatCurrency(parseFloat(ac.balance), ac.currency)})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Statement File (CSV, OFX, QFX)</label>
+          <Input
+            type="file"
+            accept=".csv,.ofx,.qfx,text/csv"
+            onChange={handleFileChange}
+          />
+        </div>
+      </div>
+
+      {/* Column mapping */}
+      {step === "map" && mapping && (
+        <div className="space-y-4 rounded-lg border p-4">
+          <div>
+            <h2 className="text-base font-medium">Map Columns</h2>
+            <p className="text-sm text-muted-foreground">
+              Use either the Amount column or the Debit and Credit columns
+            </p>
+          </div>
+
+          <div className="grid gap-4 md:grid-cols-2">
+            {MAPPING_FIELDS.map((field) => (
+              <div key={field.key} className="space-y-2">
+                <label className="text-sm font-medium">{field.label}</label>
+                <Select
+                  value={String(mapping[field.key])}
+                  onValueChange={(value) =>
+                    setMapping({ ...mapping, [field.key]: Number(value) })
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="-1">Not used</SelectItem>
+                    {headers.map((header, index) => (
+                      <SelectItem key={index} value={String(index)}>
+                        {header || `Column ${index + 1}`}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            ))}
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Date Format</label>
+              <Select
+                value={mapping.dateFormat}
+                onValueChange={(value) =>
+                  setMapping({ ...mapping, dateFormat: value })
+                }
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(DATE_FORMATS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <Button onClick={handlePreview} className="w-full">
+            Preview {csvRows.length} Rows
+          </Button>
+        </div>
+      )}
+
+      {/* Preview */}
+      {step === "preview" && (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-muted-foreground">
+              {selectedRows.length} of {previewRows.length} rows selected
+              {duplicatesLoading && " · checking for duplicates..."}
+              {uncategorizedCount > 0 && (
+                <span className="text-red-500">
+                  {" "}
+                  · {uncategorizedCount} without a category
+                </span>
+              )}
+            </p>
+            {/* OFX files have no column mapping */}
+            {!statement && (
+              <Button variant="outline" size="sm" onClick={() => setStep("map")}>
+                Back to Mapping
+              </Button>
+            )}
+          </div>
+
+          {/* OFX: bank's ledger balance vs. app balance */}
+          {balanceCheck && (
+            <div className="grid gap-4 rounded-lg border p-4 text-sm md:grid-cols-3">
+              <div>
+                <p className="text-muted-foreground">
+                  Statement Balance
+                  {statement.ledgerBalance.date &&
+                    ` (${format(statement.ledgerBalance.date, "PP")})`}
+                </p>
+                <p className="text-lg font-bold">
+                  {formatCurrency(
+                    balanceCheck.ledgerBalance,
+                    statement.currency ?? account.currency
+                  )}
+                </p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">App Balance After Import</p>
+                <p className="text-lg font-bold">
+                  {formatCurrency(balanceCheck.appBalance, account.currency)}
+                </p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Difference</p>
+                <p
+                  className={cn(
+                    "text-lg font-bold",
+                    Math.abs(balanceCheck.difference) < 0.005
+                      ? "text-green-500"
+                      : "text-red-500"
+                  )}
+                >
+                  {formatCurrency(balanceCheck.difference, account.currency)}
+                </p>
+              </div>
+              {statement.currency && statement.currency !== account.currency && (
+                <p className="text-red-500 md:col-span-3">
+                  The statement is in {statement.currency} but the account uses{" "}
+                  {account.currency}
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-[50px]" />
+                  <TableHead>Date</TableHead>
+                  <TableHead>Description</TableHead>
+                  <TableHead>Category</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                  <TableHead>Status</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {previewRows.map((row, index) => (
+                  <TableRow
+                    key={row.row}
+                    className={cn(row.error && "text-muted-foreground")}
+                  >
+                    <TableCell>
+                      {/* Rows with a FITID that was imported before are always skipped */}
+                      <Checkbox
+                        checked={row.selected}
+                        disabled={!!row.error || (!!row.externalId && row.duplicate)}
+                        onCheckedChange={(checked) =>
+                          updateRow(index, { selected: !!checked })
+                        }
+                      />
+                    </TableCell>
+                    <TableCell>
+                      {row.date ? format(row.date, "PP") : "-"}
+                    </TableCell>
+                    <TableCell>{row.description}</TableCell>
+                    <TableCell>
+                      <Select
+                        value={row.category}
+                        onValueChange={(value) =>
+                          updateRow(index, { category: value, ruleName: null })
+                        }
+                        disabled={!!row.error}
+                      >
+                        <SelectTrigger
+                          className={cn(
+                            "h-8 w-[160px]",
+                            row.selected && !row.category && "border-red-500"
+                          )}
+                        >
+                          <SelectValue placeholder="Pick a category" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {getLeafCategories(categories)
+                            .filter(
+                              (category) =>
+                                category.type === row.type && !category.isArchived
+                            )
+                            .map((category) => (
+                              <SelectItem key={category.id} value={category.id}>
+                                {getCategoryLabel(categories, category.id)}
+                              </SelectItem>
+                            ))}
+                        </SelectContent>
+                      </Select>
+                      {row.ruleName && (
+                        <p className="mt-1 text-xs text-blue-600">
+                          Rule: {row.ruleName}
+                        </p>
+                      )}
+                      {row.tags?.length > 0 && (
+                        <p className="mt-1 text-xs text-muted-foreground">
+                          {row.tags.map((tag) => `#${tag}`).join(" ")}
+                        </p>
+                      )}
+                    </TableCell>
+                    <TableCell
+                      className={cn(
+                        "text-right font-medium",
+                        row.type === "EXPENSE" ? "text-red-500" : "text-green-500"
+                      )}
+                    >
+                      {row.type === "EXPENSE" ? "-" : "+"}
+                      {formatCurrency(row.amount, account?.currency)}
+                    </TableCell>
+                    <TableCell>
+                      {row.error ? (
+                        <span className="text-sm text-red-500">{row.error}</span>
+                      ) : row.duplicate && row.externalId ? (
+                        <Badge variant="secondary">Already imported</Badge>
+                      ) : row.duplicate ? (
+                        <Badge
+                          variant="secondary"
+                          className="bg-yellow-100 text-yellow-700"
+                        >
+                          Possible duplicate
+                        </Badge>
+                      ) : (
+                        <Badge variant="outline">New</Badge>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+
+          <Button
+            onClick={handleImport}
+            className="w-full"
+            disabled={
+              importLoading || selectedRows.length === 0 || uncategorizedCount > 0
+            }
+          >
+            {importLoading ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Importing...
+              </>
+            ) : (
+              <>
+                <Upload className="mr-2 h-4 w-4" />
+                Import {selectedRows.length} Transactions
+              </>
+            )}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
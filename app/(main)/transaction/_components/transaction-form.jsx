@@ -9,13 +9,16 @@
 // Uses Next.js useRouter and useSearchParams to handle navigation and get edit parameters.
 // On successful form submission, shows a toast notification, resets the form, and navigates to the account page.
 // Renders a form UI with inputs/selects for transaction type, amount, account, category, date, description, and recurring settings.
+// Lets the user split one transaction across several categories (lines must add up to the amount).
+// Free-form tags (e.g. "vacation-2026") group transactions across categories.
+// A reconciled transaction (checked against a bank statement) can't change its type, amount, date or accounts.
 // Shows validation errors below inputs if any.
 // Shows loading spinner on submit button while API request is in progress.
 
-import { useEffect } from "react";
-import { useForm } from "react-hook-form";
+import { useEffect, useState } from "react";
+import { useFieldArray, useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
-import { CalendarIcon, Loader2 } from "lucide-react";
+import { CalendarIcon, Loader2, Lock, Plus, X } from "lucide-react";
 import { format } from "date-fns";
 import { useRouter, useSearchParams } from "next/navigation";
 import useFetch from "@/hooks/use-fetch";
@@ -39,14 +42,21 @@ import {
 import { Calendar } from "@/components/ui/calendar";
 import { CreateAccountDrawer } from "@/components/create-account-drawer";
 import { cn } from "@/lib/utils";
+import { formatCurrency } from "@/lib/currency";
 import { createTransaction, updateTransaction } from "@/actions/transaction";
 import { transactionSchema } from "@/app/lib/schema";
+import { getCategoryLabel, getLeafCategories } from "@/lib/category-tree";
+import { getRuleChanges } from "@/lib/rules";
+import { TagInput } from "@/components/tag-input";
 import { ReceiptScanner } from "./recipt-scanner";
+import { RecurrenceFields } from "./recurrence-fields";
 
 export function AddTransactionForm({
     // These props are passed from a parent component
   accounts,
   categories,
+  rules = [],       // The user's auto-categorization rules (applied when a new transaction is saved)
+  tags = [],        // Tags the user already uses (suggestions for the tag input)
   editMode = false,
   initialData = null,
 }) {
@@ -54,6 +64,8 @@ export function AddTransactionForm({
   const searchParams = useSearchParams();           // Get URL parameters - like IDs or flags that affect what you display or do.
                                                     // (like ?edit=123) to know, for example, which item to edit.
   const editId = searchParams.get("edit");
+  // 🔒 Reconciled → the fields that change a balance are locked (checked on the server too)
+  const isLocked = editMode && !!initialData?.isReconciled;
 //=================================================================================================================
   // Initialize react-hook-form with validation schema and default values
   const {
@@ -64,6 +76,7 @@ export function AddTransactionForm({
     setValue,                       // manually set a field value
     getValues,                      // get current form values
     reset,                          // reset form fields
+    control,                        // needed by useFieldArray (split lines)
   } = useForm({
     resolver: zodResolver(transactionSchema),
     defaultValues:
@@ -77,6 +90,13 @@ export function AddTransactionForm({
             accountId: initialData.accountId,
             category: initialData.category,
             date: new Date(initialData.date),                           // convert to Date object - Because date inputs or date pickers often need a Date object, not just a string, to work properly.
+            destinationAccountId: initialData.destinationAccountId ?? undefined, // only set for transfers
+            // Category lines of a split transaction (amounts as strings for the inputs)
+            splits: (initialData.splits ?? []).map((split) => ({
+              category: split.category,
+              amount: split.amount.toString(),
+            })),
+            tags: initialData.tags ?? [],
             isRecurring: initialData.isRecurring,               // This just copies the value of isRecurring from the initial data into the form.
             // This is a conditional spread.
             // If initialData.recurringInterval has a value, then include recurringInterval in the form.
@@ -84,6 +104,14 @@ export function AddTransactionForm({
             ...(initialData.recurringInterval && {
               recurringInterval: initialData.recurringInterval,
             }),
+            // Schedule details: every N, weekdays, day of the month, optional end
+            recurringEvery: String(initialData.recurringEvery ?? 1),
+            recurringWeekdays: initialData.recurringWeekdays ?? [],
+            recurringMonthDay: initialData.recurringMonthDay ?? "SAME_DAY",
+            recurringEndDate: initialData.recurringEndDate
+              ? new Date(initialData.recurringEndDate)
+              : null,
+            recurringMaxOccurrences: initialData.recurringMaxOccurrences?.toString() ?? "",
           }
 
           // Defaults when creating a new transaction
@@ -93,9 +121,25 @@ export function AddTransactionForm({
             description: "",
             accountId: accounts.find((ac) => ac.isDefault)?.id,     // accountId is set to the default account’s ID (the account marked as default in the list).
             date: new Date(),
+            splits: [],
+            tags: [],
             isRecurring: false,
+            recurringEvery: "1",
+            recurringWeekdays: [],
+            recurringMonthDay: "SAME_DAY",
+            recurringEndDate: null,
+            recurringMaxOccurrences: "",
           },
   });
+//=================================================================================================================
+  // Split lines - e.g. [{ category: "groceries", amount: "40" }, { category: "household", amount: "20" }]
+  // Empty array = normal transaction with a single category
+  const {
+    fields: splitFields,
+    append: appendSplit,
+    remove: removeSplit,
+    replace: replaceSplits,
+  } = useFieldArray({ control, name: "splits" });
 //=================================================================================================================
   // Custom hook to handle transaction creation or update
   const {
@@ -106,6 +150,12 @@ export function AddTransactionForm({
     // If you are editing an existing transaction (editMode is true), use the update function.
     // If you are creating a new one (editMode is false), use the create function.
   } = useFetch(editMode ? updateTransaction : createTransaction);
+
+  // Filled in from a scanned receipt? (saved as the source in the transaction's history)
+  const [scanned, setScanned] = useState(false);
+
+  // Category / account picked by the user → rules and scanned receipts don't change them
+  const [picked, setPicked] = useState({ category: false, accountId: false });
 //=================================================================================================================
   // Form submit handler
   const onSubmit = (data) => {
@@ -113,6 +163,10 @@ export function AddTransactionForm({
     const formData = {
       ...data,
       amount: parseFloat(data.amount),
+      splits: (data.splits ?? []).map((split) => ({
+        category: split.category,
+        amount: parseFloat(split.amount),
+      })),
     };
 
     // editMode is passed as a prop - It is defined by the parent component
@@ -122,7 +176,7 @@ export function AddTransactionForm({
     } 
     // If not, create a new transaction.
     else {
-      transactionFn(formData);
+      transactionFn(formData, scanned ? "RECEIPT_SCAN" : "FORM");
     }
   };
 //=================================================================================================================
@@ -134,9 +188,16 @@ export function AddTransactionForm({
       if (scannedData.description) {
         setValue("description", scannedData.description);           // set description if present
       }
-      if (scannedData.category) {
-        setValue("category", scannedData.category);                 // set category if present
+      if (scannedData.category && !picked.category) {
+        setValue("category", scannedData.category);                 // set category if present (and not picked)
+      }
+      if (scannedData.accountId && !picked.accountId) {
+        setValue("accountId", scannedData.accountId);               // set account if a rule picked one (and the user didn't)
+      }
+      if (scannedData.tags) {
+        setValue("tags", scannedData.tags);                         // set tags if a rule added some
       }
+      setScanned(true);
       toast.success("Receipt scanned successfully");                // show success message
     }
   };
@@ -157,11 +218,70 @@ export function AddTransactionForm({
 //=================================================================================================================
 // Watch some fields for dynamic UI changes
   const type = watch("type");
+  const accountId = watch("accountId");
   const isRecurring = watch("isRecurring");
   const date = watch("date");
+  const amount = watch("amount");
+  const splits = watch("splits");
+  const isSplit = splitFields.length > 0;
+//=================================================================================================================
+// How much of the amount is not yet given to a split line (should reach 0)
+  const remainingSplitAmount =
+    (parseFloat(amount) || 0) -
+    (splits ?? []).reduce((sum, split) => sum + (parseFloat(split.amount) || 0), 0);
+  const accountCurrency = accounts.find((ac) => ac.id === accountId)?.currency;
+
+// Turning the split on starts with the current category holding the full amount + one empty line.
+// Turning it off keeps the first line's category.
+  const handleSplitToggle = (checked) => {
+    if (checked) {
+      replaceSplits([
+        { category: getValues("category") ?? "", amount: getValues("amount") ?? "" },
+        { category: "", amount: "" },
+      ]);
+    } else {
+      setValue("category", getValues("splits.0.category") ?? "");
+      replaceSplits([]);
+    }
+  };
+//=================================================================================================================
+// Which rule will apply when this new transaction is saved (rules run on the server in createTransaction)
+  const ruleChanges = editMode
+    ? { rule: null }
+    : getRuleChanges(
+        rules,
+        {
+          type,
+          amount: watch("amount"),
+          description: watch("description"),
+          tags: watch("tags"),
+          splits: isSplit ? splits : [],
+        },
+        categories
+      );
+// The rule fills the category / account the user didn't pick (the tags are added when saving)
+  useEffect(() => {
+    if (ruleChanges.category && !picked.category) setValue("category", ruleChanges.category);
+    if (ruleChanges.accountId && !picked.accountId) setValue("accountId", ruleChanges.accountId);
+  }, [ruleChanges.category, ruleChanges.accountId]);
+// e.g. "sets the category to Transportation and adds #reimbursable" (only what the rule really changes)
+  const ruleDescription = [
+    ruleChanges.category &&
+      !picked.category &&
+      `sets the category to ${getCategoryLabel(categories, ruleChanges.category)}`,
+    ruleChanges.accountId &&
+      !picked.accountId &&
+      `sets the account to ${
+        accounts.find((account) => account.id === ruleChanges.accountId)?.name ?? "another account"
+      }`,
+    ruleChanges.tags && `adds ${ruleChanges.rule.tags.map((tag) => `#${tag}`).join(", ")}`,
+  ]
+    .filter(Boolean)
+    .join(" and ");
 //=================================================================================================================
 // Filter categories based on selected type (expense/income)
-  const filteredCategories = categories.filter(
+// Only leaf categories can be picked: "Food › Groceries", not "Food" itself
+  const filteredCategories = getLeafCategories(categories).filter(
     (category) => category.type === type
   );
 //=================================================================================================================
@@ -170,12 +290,30 @@ export function AddTransactionForm({
       {/* Show receipt scanner only when creating new transaction */}
       {!editMode && <ReceiptScanner onScanComplete={handleScanComplete} />}
 
+      {isLocked && (
+        <div className="flex items-start gap-2 rounded-lg border bg-muted/50 p-4 text-sm">
+          <Lock className="h-4 w-4 mt-0.5 shrink-0" />
+          <p>
+            This transaction is reconciled with a bank statement. Its type, amount, date and
+            accounts are locked - reopen the reconciliation to change them.
+          </p>
+        </div>
+      )}
+
       {/* Transaction type select */}
       <div className="space-y-2">
         <label className="text-sm font-medium">Type</label>
         <Select
-          onValueChange={(value) => setValue("type", value)}        // update form on change
+          onValueChange={(value) => {
+            setValue("type", value);                                // update form on change
+            // Transfers always use the "transfer" category, other types pick their own
+            setValue("category", value === "TRANSFER" ? "transfer" : "");
+            setPicked((current) => ({ ...current, category: false }));
+            replaceSplits([]);                                      // split categories belong to the old type
+
+          }}
           defaultValue={type}
+          disabled={isLocked}
         >
           <SelectTrigger>
             <SelectValue placeholder="Select type" />
@@ -183,6 +321,7 @@ export function AddTransactionForm({
           <SelectContent>
             <SelectItem value="EXPENSE">Expense</SelectItem>
             <SelectItem value="INCOME">Income</SelectItem>
+            <SelectItem value="TRANSFER">Transfer</SelectItem>
           </SelectContent>
         </Select>
         {errors.type && (
@@ -199,6 +338,7 @@ export function AddTransactionForm({
             type="number"
             step="0.01"
             placeholder="0.00"
+            readOnly={isLocked}
             {...register("amount")}
           />
           {errors.amount && (
@@ -210,8 +350,12 @@ export function AddTransactionForm({
         <div className="space-y-2">
           <label className="text-sm font-medium">Account</label>
           <Select
-            onValueChange={(value) => setValue("accountId", value)}
-            defaultValue={getValues("accountId")}
+            onValueChange={(value) => {
+              setValue("accountId", value);
+              setPicked((current) => ({ ...current, accountId: true })); // A rule won't move it
+            }}
+            value={watch("accountId")}
+            disabled={isLocked}
           >
             <SelectTrigger>
               <SelectValue placeholder="Select account" />
@@ -221,7 +365,7 @@ export function AddTransactionForm({
             <SelectContent>
               {accounts.map((account) => (
                 <SelectItem key={account.id} value={account.id}>
-                  {account.name} (${parseFloat(account.balance).toFixed(2)})
+                  {account.name} ({formatCurrency(parseFloat(account.balance), account.currency)})
                 </SelectItem>
               ))}
               {/* Button to create a new account */}
@@ -241,29 +385,168 @@ export function AddTransactionForm({
         </div>
       </div>
 
+      {/* Destination account - only for transfers (money moves from "Account" into this one) */}
+      {type === "TRANSFER" && (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Transfer To</label>
+          <Select
+            onValueChange={(value) => setValue("destinationAccountId", value)}
+            defaultValue={getValues("destinationAccountId")}
+            disabled={isLocked}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Select destination account" />
+            </SelectTrigger>
+            <SelectContent>
+              {accounts
+                .filter((account) => account.id !== accountId)    // can't transfer to the same account
+                .map((account) => (
+                  <SelectItem key={account.id} value={account.id}>
+                    {account.name} ({formatCurrency(parseFloat(account.balance), account.currency)})
+                  </SelectItem>
+                ))}
+            </SelectContent>
+          </Select>
+          {errors.destinationAccountId && (
+            <p className="text-sm text-red-500">
+              {errors.destinationAccountId.message}
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Category select filtered by type - This block shows a dropdown menu where the user can select a category (like Food, Rent, etc.) for the transaction.*/}
-      <div className="space-y-2">
-        <label className="text-sm font-medium">Category</label>
-        <Select
-          onValueChange={(value) => setValue("category", value)}
-          defaultValue={getValues("category")}
-        >
-          <SelectTrigger>
-            <SelectValue placeholder="Select category" />
-          </SelectTrigger>
-          {/* 👉 This contains all the dropdown options - It loops over filteredCategories: */}
-          <SelectContent>
-            {filteredCategories.map((category) => (
-              <SelectItem key={category.id} value={category.id}>
-                {category.name}
-              </SelectItem>
-            ))}
-          </SelectContent>
-        </Select>
-        {errors.category && (
-          <p className="text-sm text-red-500">{errors.category.message}</p>
-        )}
-      </div>
+      {/* Hidden for transfers - they always use the "transfer" category - and for split transactions */}
+      {type !== "TRANSFER" && !isSplit && (
+        <div className="space-y-2">
+          <label className="text-sm font-medium">Category</label>
+          <Select
+            onValueChange={(value) => {
+              setValue("category", value);
+              setPicked((current) => ({ ...current, category: true })); // A rule won't change it
+            }}
+            value={watch("category")}
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Select category" />
+            </SelectTrigger>
+            {/* 👉 This contains all the dropdown options - It loops over filteredCategories: */}
+            <SelectContent>
+              {filteredCategories.map((category) => (
+                <SelectItem key={category.id} value={category.id}>
+                  {getCategoryLabel(categories, category.id)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {errors.category && (
+            <p className="text-sm text-red-500">{errors.category.message}</p>
+          )}
+          {/* A rule filled in the category / account, or adds tags when this is saved */}
+          {ruleDescription && (
+            <p className="text-sm text-blue-600">
+              Rule &quot;{ruleChanges.rule.name}&quot; {ruleDescription}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Split across categories toggle - e.g. one supermarket receipt = groceries + household + pharmacy */}
+      {type !== "TRANSFER" && (
+        <div className="flex flex-row items-center justify-between rounded-lg border p-4">
+          <div className="space-y-0.5">
+            <label className="text-base font-medium">Split Transaction</label>
+            <div className="text-sm text-muted-foreground">
+              Divide the amount across several categories
+            </div>
+          </div>
+          <Switch checked={isSplit} onCheckedChange={handleSplitToggle} />
+        </div>
+      )}
+
+      {/* Split lines - each with its own category and amount */}
+      {isSplit && (
+        <div className="space-y-3">
+          {splitFields.map((field, index) => (
+            <div key={field.id} className="flex items-start gap-2">
+              <div className="flex-1 space-y-1">
+                <Select
+                  onValueChange={(value) =>
+                    setValue(`splits.${index}.category`, value)
+                  }
+                  value={splits?.[index]?.category}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select category" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {filteredCategories.map((category) => (
+                      <SelectItem key={category.id} value={category.id}>
+                        {getCategoryLabel(categories, category.id)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {errors.splits?.[index]?.category && (
+                  <p className="text-sm text-red-500">
+                    {errors.splits[index].category.message}
+                  </p>
+                )}
+              </div>
+              <div className="w-32 space-y-1">
+                <Input
+                  type="number"
+                  step="0.01"
+                  placeholder="0.00"
+                  {...register(`splits.${index}.amount`)}
+                />
+                {errors.splits?.[index]?.amount && (
+                  <p className="text-sm text-red-500">
+                    {errors.splits[index].amount.message}
+                  </p>
+                )}
+              </div>
+              {/* A split needs at least two lines */}
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                onClick={() => removeSplit(index)}
+                disabled={splitFields.length <= 2}
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+
+          <div className="flex items-center justify-between">
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => appendSplit({ category: "", amount: "" })}
+            >
+              <Plus className="mr-2 h-4 w-4" />
+              Add Category
+            </Button>
+            <span
+              className={cn(
+                "text-sm",
+                Math.abs(remainingSplitAmount) < 0.005
+                  ? "text-muted-foreground"
+                  : "text-red-500"
+              )}
+            >
+              Remaining: {formatCurrency(remainingSplitAmount, accountCurrency)}
+            </span>
+          </div>
+          {(errors.splits?.message || errors.splits?.root?.message) && (
+            <p className="text-sm text-red-500">
+              {errors.splits.message ?? errors.splits.root.message}
+            </p>
+          )}
+        </div>
+      )}
 
       {/* Date picker with popover */}
       <div className="space-y-2">
@@ -276,6 +559,7 @@ export function AddTransactionForm({
                 "w-full pl-3 text-left font-normal",
                 !date && "text-muted-foreground"
               )}
+              disabled={isLocked}
             >
               {date ? format(date, "PPP") : <span>Pick a date</span>}
               <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
@@ -307,6 +591,17 @@ export function AddTransactionForm({
         )}
       </div>
 
+      {/* Tags - cross-category labels like "vacation-2026" or "reimbursable" */}
+      <div className="space-y-2">
+        <label className="text-sm font-medium">Tags</label>
+        <TagInput
+          value={watch("tags")}
+          onChange={(value) => setValue("tags", value)}
+          suggestions={tags}
+          placeholder="e.g. vacation-2026, reimbursable"
+        />
+      </div>
+
       {/* Recurring transaction toggle */}
       <div className="flex flex-row items-center justify-between rounded-lg border p-4">
         <div className="space-y-0.5">
@@ -321,30 +616,14 @@ export function AddTransactionForm({
         />
       </div>
 
-      {/* Show recurring interval select only if recurring is enabled */}
+      {/* Show the schedule (interval, every N, weekdays, end...) only if recurring is enabled */}
       {isRecurring && (
-        <div className="space-y-2">
-          <label className="text-sm font-medium">Recurring Interval</label>
-          <Select
-            onValueChange={(value) => setValue("recurringInterval", value)}
-            defaultValue={getValues("recurringInterval")}
-          >
-            <SelectTrigger>
-              <SelectValue placeholder="Select interval" />
-            </SelectTrigger>
-            <SelectContent>
-              <SelectItem value="DAILY">Daily</SelectItem>
-              <SelectItem value="WEEKLY">Weekly</SelectItem>
-              <SelectItem value="MONTHLY">Monthly</SelectItem>
-              <SelectItem value="YEARLY">Yearly</SelectItem>
-            </SelectContent>
-          </Select>
-          {errors.recurringInterval && (
-            <p className="text-sm text-red-500">
-              {errors.recurringInterval.message}
-            </p>
-          )}
-        </div>
+        <RecurrenceFields
+          watch={watch}
+          setValue={setValue}
+          register={register}
+          errors={errors}
+        />
       )}
 
       {/* Actions */}
@@ -0,0 +1,133 @@
+// 📜 History side panel of the transaction edit page.
+// Lists the audit log entries of one transaction (newest first): what happened, where it came from
+// (form, import, recurring job, receipt scan...), who did it, when, and which fields changed.
+
+import { format, parseISO } from "date-fns";
+import { History } from "lucide-react";
+
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  AUDIT_ACTION_LABELS,
+  AUDIT_SOURCE_LABELS,
+  TRANSACTION_FIELD_LABELS,
+  getAuditChanges,
+} from "@/lib/audit";
+import { getCategoryLabel } from "@/lib/category-tree";
+import { formatCurrency } from "@/lib/currency";
+
+// One snapshot value → readable text, e.g. ("accountId", "abc") → "Main Account"
+function formatValue(field, value, { categories, accounts, currency, destinationCurrency }) {
+  if (value === null || value === undefined || value === "") return "—";
+
+  switch (field) {
+    case "amount":
+    case "futureAmount":
+      return formatCurrency(value, currency);
+    case "destinationAmount":
+      return formatCurrency(value, destinationCurrency); // In the receiving account's currency
+    case "date":
+    case "pausedUntil":
+      return format(new Date(value), "PP");
+    case "skippedDays":
+      return value.map((day) => format(parseISO(day), "PP")).join(", ");
+    case "category":
+    case "futureCategory":
+      return getCategoryLabel(categories, value);
+    case "accountId":
+    case "destinationAccountId":
+      return accounts.find((account) => account.id === value)?.name ?? "Deleted account";
+    case "isRecurring":
+      return value ? "Yes" : "No";
+    case "tags":
+      return value.length > 0 ? value.map((tag) => `#${tag}`).join(" ") : "—";
+    case "splits":
+      // "Groceries 40.00, Household 20.00"
+      return value.length > 0
+        ? value
+            .map(
+              (split) =>
+                `${getCategoryLabel(categories, split.category)} ${formatCurrency(split.amount, currency)}`
+            )
+            .join(", ")
+        : "—";
+    default:
+      return String(value);
+  }
+}
+
+// categories = all of the user's categories (archived ones too - old entries may use them)
+// accounts = the user's accounts (for names and currencies)
+export function TransactionHistory({ entries, categories, accounts }) {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-base">
+          <History className="h-4 w-4" />
+          History
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {entries.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No changes recorded yet.</p>
+        ) : (
+          <ol className="space-y-4">
+            {entries.map((entry) => {
+              const snapshot = entry.after ?? entry.before ?? {};
+              const currencyOf = (accountId) =>
+                accounts.find((account) => account.id === accountId)?.currency;
+              const options = {
+                categories,
+                accounts,
+                currency: currencyOf(snapshot.accountId),
+                destinationCurrency: currencyOf(snapshot.destinationAccountId),
+              };
+              const changes =
+                entry.action === "UPDATE" ? getAuditChanges(entry.before, entry.after) : [];
+
+              return (
+                <li key={entry.id} className="border-l-2 pl-3 space-y-1">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="font-medium text-sm">
+                      {AUDIT_ACTION_LABELS[entry.action]}
+                    </span>
+                    <Badge variant="outline">{AUDIT_SOURCE_LABELS[entry.source]}</Badge>
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    {format(new Date(entry.createdAt), "PPp")} ·{" "}
+                    {entry.byUser ? "You" : "System"}
+                  </p>
+
+                  {/* Created → what it was created with */}
+                  {entry.action === "CREATE" && entry.after && (
+                    <p className="text-sm">
+                      {formatValue("amount", entry.after.amount, options)} ·{" "}
+                      {formatValue("category", entry.after.category, options)}
+                    </p>
+                  )}
+
+                  {/* Updated → old and new value of every changed field */}
+                  {changes.length > 0 && (
+                    <ul className="text-sm space-y-0.5">
+                      {changes.map(({ field, before, after }) => (
+                        <li key={field}>
+                          <span className="text-muted-foreground">
+                            {TRANSACTION_FIELD_LABELS[field] ?? field}:
+                          </span>{" "}
+                          <span className="line-through text-muted-foreground">
+                            {formatValue(field, before, options)}
+                          </span>{" "}
+                          → {formatValue(field, after, options)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
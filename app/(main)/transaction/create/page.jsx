@@ -5,17 +5,32 @@
 
 // Importing function to get user accounts (bank accounts, wallets, etc.) from the dashboard actions
 import { getUserAccounts } from "@/actions/dashboard";
-// Importing the default list of transaction categories (e.g., Food, Travel, etc.)
-import { defaultCategories } from "@/data/categories";
+// Importing the user's own transaction categories (e.g., Food, Travel, Childcare...)
+import { getCategories } from "@/actions/category";
+// Importing the user's auto-categorization rules (shown as a hint in the form)
+import { getRules } from "@/actions/rule";
+// Importing the tags the user already uses (suggestions in the tag input)
+import { getTags } from "@/actions/tag";
 // Importing the component for the form to add or edit a transaction
 import { AddTransactionForm } from "../_components/transaction-form";
+// Importing the side panel with the change history of the edited transaction
+import { TransactionHistory } from "../_components/transaction-history";
 // Importing function to get a single transaction by ID (used for editing a transaction)
-import { getTransaction } from "@/actions/transaction";
+// and its history (audit log entries)
+import { getTransaction, getTransactionHistory } from "@/actions/transaction";
+import Link from "next/link";
+import { Upload } from "lucide-react";
+import { Button } from "@/components/ui/button";
 
 // Exporting an asynchronous React Server Component that renders the "Add Transaction" page
 export default async function AddTransactionPage({ searchParams }) {
-  // Fetch all user accounts (to choose from while adding a transaction)
-  const accounts = await getUserAccounts();
+  // Fetch all user accounts (to choose from while adding a transaction) and the user's categories
+  const [accounts, categories, rules, tags] = await Promise.all([
+    getUserAccounts(),
+    getCategories(),
+    getRules(),
+    getTags(),
+  ]);
 
   // Extract the `edit` parameter from the URL's query string
   // Example: /add-transaction?edit=123 → editId = 123
@@ -23,6 +38,7 @@ export default async function AddTransactionPage({ searchParams }) {
 
   // Declare a variable to hold initial data if editing an existing transaction
   let initialData = null;
+  let history = [];
 
   // If `editId` exists, it means user is editing an existing transaction
   // The page looks at the URL to see if there is an edit ID (like ?edit=123).
@@ -30,27 +46,65 @@ export default async function AddTransactionPage({ searchParams }) {
   // If there is no edit ID, it means you are adding a new transaction, so editMode is false.
   // This editMode (true or false) is then sent to the form component so it knows if it should show the form for editing or adding.
   if (editId) {
-    // Fetch the existing transaction details using the provided `editId`
-    const transaction = await getTransaction(editId);
+    // Fetch the existing transaction details using the provided `editId` (+ its change history)
+    const [transaction, entries] = await Promise.all([
+      getTransaction(editId),
+      getTransactionHistory(editId),
+    ]);
     // Assign the fetched transaction to `initialData` for pre-filling the form
     initialData = transaction;
+    history = entries;
   }
 
+  // Archived categories can't be picked any more - unless the edited transaction already uses one
+  const usedCategories = [
+    initialData?.category,
+    ...(initialData?.splits ?? []).map((split) => split.category),
+  ];
+  const selectableCategories = categories.filter(
+    (category) => !category.isArchived || usedCategories.includes(category.id)
+  );
+
   // JSX returned by the component – the main UI
   return (
-    <div className="max-w-3xl mx-auto px-5">
+    // Wider when editing - the history panel sits next to the form
+    <div className={`${editId ? "max-w-6xl" : "max-w-3xl"} mx-auto px-5`}>
       {/* Header section with a title, centered on small screens and aligned left on medium+ screens */}
-      <div className="flex justify-center md:justify-normal mb-8">
+      <div className="flex flex-col items-center gap-4 md:flex-row md:justify-between mb-8">
         <h1 className="text-5xl gradient-title ">Add Transaction</h1>
+        {/* Many transactions at once → import a bank statement instead */}
+        {!editId && (
+          <Link href="/transaction/import">
+            <Button variant="outline">
+              <Upload className="mr-2 h-4 w-4" />
+              Import Statement
+            </Button>
+          </Link>
+        )}
       </div>
 
-      {/* Render the AddTransactionForm component with required props */}
-      <AddTransactionForm
-        accounts={accounts} // user’s available accounts to choose from
-        categories={defaultCategories} // predefined categories like Food, Rent, etc.
-        editMode={!!editId} // boolean indicating whether we’re editing (true if editId exists)
-        initialData={initialData} // pre-filled form data when editing
-      />
+      <div
+        className={`grid gap-8 items-start ${editId ? "lg:grid-cols-[minmax(0,1fr)_320px]" : ""}`}
+      >
+        {/* Render the AddTransactionForm component with required props */}
+        <AddTransactionForm
+          accounts={accounts} // user’s available accounts to choose from
+          categories={selectableCategories} // the user's categories like Food, Rent, etc.
+          rules={rules} // auto-categorization rules (applied when a new transaction is saved)
+          tags={tags} // tags already in use, e.g. "vacation-2026" (suggestions)
+          editMode={!!editId} // boolean indicating whether we’re editing (true if editId exists)
+          initialData={initialData} // pre-filled form data when editing
+        />
+
+        {/* Who changed what and when (audit log) - only for an existing transaction */}
+        {editId && (
+          <TransactionHistory
+            entries={history}
+            categories={categories} // archived categories too, old entries may use them
+            accounts={accounts}
+          />
+        )}
+      </div>
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,32 @@
+// 🔍 Summary:
+// Page for importing a bank statement (CSV or OFX / QFX) into one of the user's accounts.
+// The StatementImport component does the column mapping, preview and duplicate check.
+
+import { getUserAccounts } from "@/actions/dashboard";
+import { getCategories } from "@/actions/category";
+import { getRules } from "@/actions/rule";
+import { StatementImport } from "../_components/statement-import";
+
+export default async function ImportTransactionsPage() {
+  // Accounts to import into + the user's categories (archived ones can't be picked)
+  // + auto-categorization rules (they set the category of matching rows)
+  const [accounts, categories, rules] = await Promise.all([
+    getUserAccounts(),
+    getCategories(),
+    getRules(),
+  ]);
+
+  return (
+    <div className="max-w-5xl mx-auto px-5">
+      <div className="flex justify-center md:justify-normal mb-8">
+        <h1 className="text-5xl gradient-title ">Import Transactions</h1>
+      </div>
+
+      <StatementImport
+        accounts={accounts}
+        categories={categories.filter((category) => !category.isArchived)}
+        rules={rules}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { addDays, format, parseISO } from "date-fns";
+import { CalendarIcon, Loader2 } from "lucide-react";
+import useFetch from "@/hooks/use-fetch";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  Drawer,
+  DrawerContent,
+  DrawerDescription,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+  DrawerClose,
+} from "@/components/ui/drawer";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Calendar } from "@/components/ui/calendar";
+import { restoreOccurrence, updateRecurringSeries } from "@/actions/recurring";
+import { recurringSeriesSchema } from "@/app/lib/schema";
+import { getCategoryLabel, getLeafCategories } from "@/lib/category-tree";
+import { formatCurrency } from "@/lib/currency";
+import { cn } from "@/lib/utils";
+
+const SAME = "same"; // Select value for "same as the transaction" (Select items can't be empty)
+
+// Form values of a series summary (getUpcomingTransactions().series)
+const getDefaultValues = (series) => ({
+  pausedUntil: series.pausedUntil ? new Date(series.pausedUntil) : null,
+  amount: series.futureAmount ? String(series.futureAmount) : "",
+  category: series.futureCategory ?? "",
+});
+
+// Drawer to pause a recurring series and change its future occurrences.
+// Past occurrences (and the transaction itself) keep their amount and category -
+// editing the transaction changes the whole series instead.
+export function ManageSeriesDrawer({ series, categories, children }) {
+  const [open, setOpen] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setValue,
+    watch,
+    reset,
+  } = useForm({
+    resolver: zodResolver(recurringSeriesSchema),
+    defaultValues: getDefaultValues(series),
+  });
+
+  // Categories the future occurrences can move to: active leaf categories of the same type
+  const seriesCategories = getLeafCategories(categories).filter(
+    (category) => category.type === series.type && !category.isArchived
+  );
+
+  const { loading: saving, fn: saveFn, data: saved } = useFetch(updateRecurringSeries);
+  const { loading: restoring, fn: restoreFn, data: restored } = useFetch(restoreOccurrence);
+
+  const onSubmit = async (data) => {
+    await saveFn(series.id, data);
+  };
+
+  useEffect(() => {
+    if (saved?.success) {
+      toast.success("Recurring series updated");
+      setOpen(false);
+    }
+  }, [saved]);
+
+  useEffect(() => {
+    if (restored?.success) {
+      toast.success("Occurrence restored");
+    }
+  }, [restored]);
+
+  // Start from the saved values every time the drawer opens
+  useEffect(() => {
+    if (open) reset(getDefaultValues(series));
+  }, [open]);
+
+  const pausedUntil = watch("pausedUntil");
+  const category = watch("category");
+
+  return (
+    <Drawer open={open} onOpenChange={setOpen}>
+      <DrawerTrigger asChild>{children}</DrawerTrigger>
+
+      <DrawerContent>
+        <DrawerHeader>
+          <DrawerTitle>{series.description || "Recurring transaction"}</DrawerTitle>
+          <DrawerDescription>
+            {series.schedule} · {formatCurrency(series.amount, series.account.currency)}.
+            Changes here only apply to occurrences that haven&apos;t been created yet.
+          </DrawerDescription>
+        </DrawerHeader>
+
+        <div className="px-4 pb-4 max-h-[70vh] overflow-y-auto">
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            {/* ⏸️ Pause: nothing is created before this date */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Pause until</label>
+              <div className="flex gap-2">
+                <Popover>
+                  <PopoverTrigger asChild>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      className={cn(
+                        "w-full pl-3 text-left font-normal",
+                        !pausedUntil && "text-muted-foreground"
+                      )}
+                    >
+                      {pausedUntil ? format(pausedUntil, "PPP") : <span>Not paused</span>}
+                      <CalendarIcon className="ml-auto h-4 w-4 opacity-50" />
+                    </Button>
+                  </PopoverTrigger>
+                  <PopoverContent className="w-auto p-0" align="start">
+                    <Calendar
+                      mode="single"
+                      selected={pausedUntil ?? undefined}
+                      onSelect={(value) => setValue("pausedUntil", value ?? null)}
+                      disabled={(value) => value < addDays(new Date(), 1)}
+                      initialFocus
+                    />
+                  </PopoverContent>
+                </Popover>
+                {pausedUntil && (
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    onClick={() => setValue("pausedUntil", null)}
+                  >
+                    {series.pausedUntil ? "Resume now" : "Clear"}
+                  </Button>
+                )}
+              </div>
+              {errors.pausedUntil && (
+                <p className="text-sm text-red-500">{errors.pausedUntil.message}</p>
+              )}
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-2">
+              {/* ✏️ New amount for the future occurrences */}
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Future amount</label>
+                <Input
+                  type="number"
+                  step="0.01"
+                  placeholder={`${series.amount} (same)`}
+                  {...register("amount")}
+                />
+                {errors.amount && (
+                  <p className="text-sm text-red-500">{errors.amount.message}</p>
+                )}
+                {series.hasSplits && !category && (
+                  <p className="text-xs text-muted-foreground">
+                    Split transaction: pick a new category to change the amount
+                  </p>
+                )}
+              </div>
+
+              {/* New category for the future occurrences (transfers have none) */}
+              {series.type !== "TRANSFER" && (
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Future category</label>
+                  <Select
+                    value={category || SAME}
+                    onValueChange={(value) => setValue("category", value === SAME ? "" : value)}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={SAME}>
+                        Same ({series.hasSplits ? "split" : getCategoryLabel(categories, series.category)})
+                      </SelectItem>
+                      {seriesCategories.map((option) => (
+                        <SelectItem key={option.id} value={option.id}>
+                          {getCategoryLabel(categories, option.id)}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+            </div>
+
+            {/* ⏭️ Occurrences skipped one by one from the Upcoming list */}
+            {series.skippedDays.length > 0 && (
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Skipped</label>
+                <div className="flex flex-wrap gap-2">
+                  {series.skippedDays.map((day) => (
+                    <Button
+                      key={day}
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      disabled={restoring}
+                      onClick={() => restoreFn(series.id, day)}
+                    >
+                      {format(parseISO(day), "MMM d, yyyy")} · Restore
+                    </Button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="flex gap-4 pt-4">
+              <DrawerClose asChild>
+                <Button type="button" variant="outline" className="flex-1">
+                  Cancel
+                </Button>
+              </DrawerClose>
+              <Button type="submit" className="flex-1" disabled={saving}>
+                {saving ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Saving...
+                  </>
+                ) : (
+                  "Save"
+                )}
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  );
+}
@@ -0,0 +1,75 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { format, parseISO } from "date-fns";
+import { Loader2, MoreHorizontal } from "lucide-react";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { restoreOccurrence, skipOccurrence } from "@/actions/recurring";
+
+// ⋯ menu of one upcoming occurrence: skip just this one (the toast has an "Undo"), or edit the series.
+// The actions are called directly (not with useFetch): once skipped, the occurrence disappears from
+// the page together with this menu, so the toast is shown right here instead of after a re-render.
+export function OccurrenceActions({ item }) {
+  const router = useRouter();
+  const [loading, setLoading] = useState(false);
+
+  const handleUndo = async () => {
+    try {
+      await restoreOccurrence(item.seriesId, item.day);
+      toast.success("Occurrence restored");
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleSkip = async () => {
+    setLoading(true);
+    try {
+      await skipOccurrence(item.seriesId, item.day);
+      toast.success(
+        `Skipped ${item.description || "occurrence"} on ${format(parseISO(item.day), "MMM d")}`,
+        {
+          action: { label: "Undo", onClick: handleUndo },
+          duration: 10000, // Give some time to notice a mistake
+        }
+      );
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" className="h-8 w-8 p-0" disabled={loading}>
+          {loading ? (
+            <Loader2 className="h-4 w-4 animate-spin" />
+          ) : (
+            <MoreHorizontal className="h-4 w-4" />
+          )}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuItem onClick={handleSkip}>Skip this one</DropdownMenuItem>
+        <DropdownMenuSeparator />
+        <DropdownMenuItem
+          onClick={() => router.push(`/transaction/create?edit=${item.seriesId}`)}
+        >
+          Edit transaction
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
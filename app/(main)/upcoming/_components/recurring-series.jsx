@@ -0,0 +1,65 @@
+import { format } from "date-fns";
+import { Pause } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { getCategoryLabel } from "@/lib/category-tree";
+import { formatCurrency } from "@/lib/currency";
+import { ManageSeriesDrawer } from "./manage-series-drawer";
+
+// Every running recurring series with its schedule and state (paused, skipped, future changes),
+// each with a "Manage" drawer - paused series show up here even when nothing of them is coming up.
+// series = getUpcomingTransactions().series
+export function RecurringSeries({ series, categories }) {
+  if (series.length === 0) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base font-normal">Recurring series</CardTitle>
+      </CardHeader>
+      <CardContent className="divide-y">
+        {series.map((item) => (
+          <div key={item.id} className="flex items-center justify-between gap-4 py-3 text-sm">
+            <div className="min-w-0 space-y-1">
+              <p className="font-medium truncate">
+                {item.description || getCategoryLabel(categories, item.category)}
+              </p>
+              <p className="text-muted-foreground">
+                {item.schedule} · {formatCurrency(item.amount, item.account.currency)}
+                {item.nextDate && ` · next ${format(new Date(item.nextDate), "MMM d")}`}
+              </p>
+              <div className="flex flex-wrap gap-1">
+                {item.pausedUntil && (
+                  <Badge variant="outline" className="gap-1 text-amber-600 border-amber-300">
+                    <Pause className="h-3 w-3" />
+                    Paused until {format(new Date(item.pausedUntil), "MMM d")}
+                  </Badge>
+                )}
+                {item.skippedDays.length > 0 && (
+                  <Badge variant="outline">{item.skippedDays.length} skipped</Badge>
+                )}
+                {/* "Future only" changes */}
+                {item.futureAmount && (
+                  <Badge variant="outline">
+                    From next: {formatCurrency(item.futureAmount, item.account.currency)}
+                  </Badge>
+                )}
+                {item.futureCategory && (
+                  <Badge variant="outline">
+                    From next: {getCategoryLabel(categories, item.futureCategory)}
+                  </Badge>
+                )}
+              </div>
+            </div>
+            <ManageSeriesDrawer series={item} categories={categories}>
+              <Button variant="outline" size="sm">
+                Manage
+              </Button>
+            </ManageSeriesDrawer>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
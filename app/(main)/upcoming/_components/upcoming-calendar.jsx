@@ -0,0 +1,101 @@
+"use client";
+
+import { useState } from "react";
+import {
+  addMonths,
+  eachDayOfInterval,
+  endOfMonth,
+  endOfWeek,
+  format,
+  isSameMonth,
+  isToday,
+  startOfMonth,
+  startOfWeek,
+} from "date-fns";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { cn } from "@/lib/utils";
+import { UpcomingItem } from "@/components/upcoming-item";
+
+const WEEKDAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Month calendar of the upcoming occurrences (weeks start on Monday).
+// Can be paged from this month to the last month of the range.
+// days = getUpcomingTransactions().days, to = end of the range
+export function UpcomingCalendar({ days, to, categories }) {
+  const [month, setMonth] = useState(() => startOfMonth(new Date()));
+  const lastMonth = startOfMonth(new Date(to));
+
+  // "2025-06-01" → the occurrences of that day
+  const itemsByDay = Object.fromEntries(days.map((day) => [day.date, day.items]));
+
+  const cells = eachDayOfInterval({
+    start: startOfWeek(month, { weekStartsOn: 1 }),
+    end: endOfWeek(endOfMonth(month), { weekStartsOn: 1 }),
+  });
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base font-medium">{format(month, "MMMM yyyy")}</CardTitle>
+        <div className="flex gap-1">
+          <Button
+            variant="outline"
+            size="icon"
+            onClick={() => setMonth(addMonths(month, -1))}
+            disabled={isSameMonth(month, new Date())}
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="outline"
+            size="icon"
+            onClick={() => setMonth(addMonths(month, 1))}
+            disabled={month >= lastMonth}
+          >
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-7 border-l border-t text-sm">
+          {WEEKDAY_NAMES.map((name) => (
+            <div
+              key={name}
+              className="border-b border-r bg-muted/50 px-2 py-1 text-center text-xs font-medium text-muted-foreground"
+            >
+              {name}
+            </div>
+          ))}
+
+          {cells.map((day) => {
+            const items = itemsByDay[format(day, "yyyy-MM-dd")] ?? [];
+            return (
+              <div
+                key={day.toISOString()}
+                className={cn(
+                  "min-h-[96px] space-y-1 border-b border-r p-1",
+                  !isSameMonth(day, month) && "bg-muted/30 text-muted-foreground"
+                )}
+              >
+                <div
+                  className={cn(
+                    "text-xs",
+                    isToday(day) &&
+                      "inline-flex h-5 w-5 items-center justify-center rounded-full bg-primary text-primary-foreground"
+                  )}
+                >
+                  {format(day, "d")}
+                </div>
+                {items.map((item) => (
+                  <UpcomingItem key={item.id} item={item} categories={categories} compact />
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,63 @@
+import { format, parseISO } from "date-fns";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { formatCurrency } from "@/lib/currency";
+import { cn } from "@/lib/utils";
+import { UpcomingItem } from "@/components/upcoming-item";
+import { OccurrenceActions } from "./occurrence-actions";
+
+// Upcoming occurrences grouped by day, each day with the balances it leaves behind
+// (every occurrence has a menu to skip it)
+// days / accounts = getUpcomingTransactions() result
+export function UpcomingList({ days, accounts, categories }) {
+  if (days.length === 0) {
+    return (
+      <Card>
+        <CardContent className="pt-6 text-center text-muted-foreground">
+          Nothing recurring is coming up in this period
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const accountById = Object.fromEntries(accounts.map((account) => [account.id, account]));
+
+  return (
+    <div className="space-y-4">
+      {days.map((day) => (
+        <Card key={day.date}>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-base font-medium">
+              {format(parseISO(day.date), "EEEE, MMM d")}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {day.items.map((item) => (
+              <UpcomingItem
+                key={item.id}
+                item={item}
+                categories={categories}
+                actions={<OccurrenceActions item={item} />}
+              />
+            ))}
+
+            {/* Projected balance of every account this day touches */}
+            <div className="flex flex-wrap gap-x-6 gap-y-1 border-t pt-2 text-xs text-muted-foreground">
+              {Object.entries(day.balances).map(([accountId, balance]) => {
+                const account = accountById[accountId];
+                if (!account) return null;
+                return (
+                  <span key={accountId}>
+                    {account.name} after:{" "}
+                    <span className={cn("font-medium", balance < 0 && "text-red-500")}>
+                      {formatCurrency(balance, account.currency)}
+                    </span>
+                  </span>
+                );
+              })}
+            </div>
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+// 🔍 Summary:
+// What is about to hit the accounts: every recurring transaction projected forward
+// for the next 30 / 60 / 90 days (?days=60), as a list grouped by day or as a month calendar (?view=calendar),
+// plus where each account's balance is heading, and the recurring series themselves
+// (pause a series, skip one occurrence, change the future occurrences only).
+
+import Link from "next/link";
+import { format, parseISO } from "date-fns";
+import { getUpcomingTransactions } from "@/actions/recurring";
+import { getCategories } from "@/actions/category";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { isLiabilityAccount } from "@/data/account-types";
+import { formatCurrency } from "@/lib/currency";
+import { UPCOMING_RANGES } from "@/lib/upcoming";
+import { cn } from "@/lib/utils";
+import { UpcomingList } from "./_components/upcoming-list";
+import { UpcomingCalendar } from "./_components/upcoming-calendar";
+import { RecurringSeries } from "./_components/recurring-series";
+
+// "/upcoming?days=60&view=calendar" (defaults left out)
+const upcomingHref = (days, view) => {
+  const params = new URLSearchParams();
+  if (days !== 30) params.set("days", days);
+  if (view !== "list") params.set("view", view);
+  const query = params.toString();
+  return query ? `/upcoming?${query}` : "/upcoming";
+};
+
+export default async function UpcomingPage({ searchParams }) {
+  const days = UPCOMING_RANGES.includes(Number(searchParams?.days))
+    ? Number(searchParams.days)
+    : 30;
+  const view = searchParams?.view === "calendar" ? "calendar" : "list";
+
+  const [upcoming, categories] = await Promise.all([
+    getUpcomingTransactions(days),
+    getCategories(),
+  ]);
+
+  // Only accounts that recurring transactions actually touch
+  const touchedIds = new Set(upcoming.days.flatMap((day) => Object.keys(day.balances)));
+  const touchedAccounts = upcoming.accounts.filter((account) => touchedIds.has(account.id));
+
+  return (
+    <div className="max-w-5xl mx-auto px-5 space-y-8">
+      <div className="flex flex-col items-center gap-4 md:flex-row md:justify-between">
+        <h1 className="text-5xl gradient-title">Upcoming</h1>
+        <div className="flex flex-wrap gap-2">
+          {UPCOMING_RANGES.map((range) => (
+            <Link key={range} href={upcomingHref(range, view)}>
+              <Button variant={range === days ? "default" : "outline"} size="sm">
+                Next {range} days
+              </Button>
+            </Link>
+          ))}
+          <Link href={upcomingHref(days, view === "list" ? "calendar" : "list")}>
+            <Button variant="ghost" size="sm">
+              {view === "list" ? "Calendar view" : "List view"}
+            </Button>
+          </Link>
+        </div>
+      </div>
+
+      {/* Where each account's balance is heading */}
+      {touchedAccounts.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base font-normal">
+              Projected balances on {format(upcoming.to, "PP")}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Account</TableHead>
+                  <TableHead className="text-right">Today</TableHead>
+                  <TableHead className="text-right">Projected</TableHead>
+                  <TableHead className="text-right">Tightest point</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {touchedAccounts.map((account) => (
+                  <TableRow key={account.id}>
+                    <TableCell className="font-medium">
+                      <Link href={`/account/${account.id}`} className="hover:underline">
+                        {account.name}
+                      </Link>
+                      {isLiabilityAccount(account.type) && (
+                        <span className="ml-2 text-xs text-muted-foreground">(owed)</span>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {formatCurrency(account.current, account.currency)}
+                    </TableCell>
+                    <TableCell className="text-right font-medium">
+                      {formatCurrency(account.projected, account.currency)}
+                    </TableCell>
+                    {/* Lowest balance (highest amount owed for cards / loans) on the way */}
+                    <TableCell
+                      className={cn(
+                        "text-right",
+                        !isLiabilityAccount(account.type) && account.worst < 0 && "text-red-500"
+                      )}
+                    >
+                      {account.worstDate
+                        ? `${formatCurrency(account.worst, account.currency)} on ${format(
+                            parseISO(account.worstDate),
+                            "MMM d"
+                          )}`
+                        : "—"}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      )}
+
+      {view === "calendar" ? (
+        <UpcomingCalendar days={upcoming.days} to={upcoming.to} categories={categories} />
+      ) : (
+        <UpcomingList days={upcoming.days} accounts={upcoming.accounts} categories={categories} />
+      )}
+
+      <RecurringSeries series={upcoming.series} categories={categories} />
+
+      <p className="text-xs text-muted-foreground">
+        Projected from your recurring transactions. One-time transactions you haven&apos;t
+        entered yet aren&apos;t included.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import { readFile } from "fs/promises";
+import path from "path";
+import { revalidatePath } from "next/cache";
+import { importExchangeRates } from "@/lib/exchange-rates";
+
+// Loads data/exchange-rates.csv into the database (admin only).
+// The rates are shared by all users, so a signed-in user isn't enough: the request must send
+// the EXCHANGE_RATES_ADMIN_TOKEN from the server's environment.
+// Update the CSV (date,from,to,rate), then:
+//   curl -X POST -H "Authorization: Bearer $EXCHANGE_RATES_ADMIN_TOKEN" https://<your-app>/api/exchange-rates
+// POST only - a link, prefetch or crawler (GET) must never change data.
+export async function POST(request) {
+  const token = process.env.EXCHANGE_RATES_ADMIN_TOKEN;
+  if (!token || request.headers.get("authorization") !== `Bearer ${token}`) {
+    return Response.json({ success: false, error: "Unauthorized" }, { status: 401 });
+  }
+
+  try {
+    const csvText = await readFile(
+      path.join(process.cwd(), "data", "exchange-rates.csv"),
+      "utf8"
+    );
+    const count = await importExchangeRates(csvText);
+
+    // Totals on the dashboard depend on the rates
+    revalidatePath("/dashboard");
+
+    return Response.json({ success: true, message: `Loaded ${count} exchange rates` });
+  } catch (error) {
+    console.error("Error importing exchange rates:", error);
+    return Response.json({ success: false, error: error.message }, { status: 400 });
+  }
+}
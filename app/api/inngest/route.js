@@ -5,6 +5,8 @@ import {
   checkBudgetAlerts,
   generateMonthlyReports,
   processRecurringTransaction,
+  purgeDeletedTransactions,
+  snapshotAccountBalances,
   triggerRecurringTransactions,
 } from "@/lib/inngest/function";
 
@@ -15,5 +17,7 @@ export const { GET, POST, PUT } = serve({
     triggerRecurringTransactions,
     generateMonthlyReports,
     checkBudgetAlerts,
+    purgeDeletedTransactions,
+    snapshotAccountBalances,
   ],
 });
@@ -1,25 +1,168 @@
 import { z } from "zod";
+import { accountTypeIds } from "@/data/account-types";
+import { currencyCodes } from "@/data/currencies";
+import { categoryIcons } from "@/data/categories";
+import { splitsMatchTotal } from "@/lib/splits";
+import { RULE_FIELDS } from "@/lib/rules";
 
 export const accountSchema = z
   .object({
   name: z.string().min(1, "Name is required"),
-  type: z.enum(["CURRENT", "SAVINGS"]),
+  type: z.enum(accountTypeIds),
   balance: z.string().min(1, "Initial balance is required"),
+  currency: z.enum(currencyCodes).default("USD"),
   isDefault: z.boolean().default(false),
 });
 
+// A user's own category (Settings → Categories). Transfers keep the built-in "transfer" category.
+export const categorySchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(40, "Name is too long"),
+  type: z.enum(["INCOME", "EXPENSE"]),
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/, "Pick a color"),
+  icon: z.enum(categoryIcons),
+  parentId: z.string().optional(), // Parent category id for a sub-category ("" = top-level)
+});
+
+// Auto-categorization rule: all conditions must match, then the category, account and/or tags are set
+export const ruleSchema = z
+  .object({
+    name: z.string().trim().min(1, "Name is required"),
+    conditions: z
+      .array(
+        z.object({
+          field: z.enum(Object.keys(RULE_FIELDS)),
+          operator: z.string().min(1, "Operator is required"),
+          value: z.string().trim().min(1, "Value is required"),
+        })
+      )
+      .min(1, "Add at least one condition"),
+    category: z.string().optional(),  // "" = don't change the category
+    accountId: z.string().optional(), // "" = don't change the account
+    tags: z.array(z.string()).default([]), // Tags to add, e.g. ["reimbursable"]
+    isActive: z.boolean().default(true),
+  })
+  .superRefine((data, ctx) => {
+    data.conditions.forEach((condition, index) => {
+      if (!RULE_FIELDS[condition.field].operators.includes(condition.operator)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Invalid operator",
+          path: ["conditions", index, "operator"],
+        });
+      }
+      if (condition.field === "amount" && isNaN(Number(condition.value))) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Amount must be a number",
+          path: ["conditions", index, "value"],
+        });
+      }
+      if (condition.field === "type" && !["INCOME", "EXPENSE"].includes(condition.value)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Type must be income or expense",
+          path: ["conditions", index, "value"],
+        });
+      }
+    });
+
+    // A rule that changes nothing is useless
+    if (!data.category && !data.accountId && data.tags.length === 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Choose a category, an account or tags to set",
+        path: ["category"],
+      });
+    }
+  });
+
+// Bulk edit of the selected transactions - every field is optional, empty = keep as it is
+export const bulkEditSchema = z
+  .object({
+    category: z.string().optional(),  // "" = keep the category
+    accountId: z.string().optional(), // "" = keep the account
+    date: z.date().optional(),
+    // "keep" = leave as it is, "off" = no longer recurring, "MONTHLY" = recurring every month
+    recurring: z
+      .enum(["keep", "off", "DAILY", "WEEKLY", "MONTHLY", "YEARLY"])
+      .default("keep"),
+    addTags: z.array(z.string()).default([]),
+    removeTags: z.array(z.string()).default([]),
+  })
+  .refine(
+    (data) =>
+      data.category ||
+      data.accountId ||
+      data.date ||
+      data.recurring !== "keep" ||
+      data.addTags.length > 0 ||
+      data.removeTags.length > 0,
+    { message: "Choose at least one thing to change", path: ["category"] }
+  );
+
+// Start of a reconciliation: the end date and closing balance printed on the bank statement
+export const reconcileSchema = z.object({
+  statementDate: z.date({ required_error: "Statement date is required" }),
+  statementBalance: z
+    .string()
+    .min(1, "Statement balance is required")
+    .refine((value) => !isNaN(Number(value)), "Enter a valid amount"),
+});
+
+// Managing a recurring series from the Upcoming page: pause it, and change its future occurrences only
+export const recurringSeriesSchema = z.object({
+  pausedUntil: z.date().nullable().optional(), // null = not paused
+  amount: z // "" = same amount as the transaction
+    .string()
+    .refine((value) => value === "" || Number(value) > 0, "Enter a valid amount")
+    .default(""),
+  category: z.string().default(""), // "" = same category as the transaction
+});
+
 export const transactionSchema = z
   .object({
-    type: z.enum(["INCOME", "EXPENSE"]),
+    type: z.enum(["INCOME", "EXPENSE", "TRANSFER"]),
     amount: z.string().min(1, "Amount is required"),
     description: z.string().optional(),
     date: z.date({ required_error: "Date is required" }),
     accountId: z.string().min(1, "Account is required"),
-    category: z.string().min(1, "Category is required"),
+    destinationAccountId: z.string().optional(), // Only for TRANSFER - the account receiving the money
+    category: z.string().optional(), // Required unless the transaction is split (checked below)
+    // Optional category lines, e.g. groceries 40 + household 15 - must add up to the amount
+    splits: z
+      .array(
+        z.object({
+          category: z.string().min(1, "Category is required"),
+          amount: z.string().min(1, "Amount is required"),
+        })
+      )
+      .optional(),
+    tags: z.array(z.string()).default([]), // Free-form labels, e.g. ["vacation-2026", "reimbursable"]
     isRecurring: z.boolean().default(false),
     recurringInterval: z
       .enum(["DAILY", "WEEKLY", "MONTHLY", "YEARLY"])
       .optional(),
+    // Every N intervals, e.g. 2 + WEEKLY = bi-weekly (typed in an input, so it arrives as a string)
+    recurringEvery: z.coerce
+      .number()
+      .int("Enter a whole number")
+      .min(1, "Must be at least 1")
+      .max(366, "That's too far apart")
+      .default(1),
+    recurringWeekdays: z.array(z.number().int().min(0).max(6)).default([]), // WEEKLY: 0 = Sunday
+    recurringMonthDay: z
+      .enum(["SAME_DAY", "LAST_DAY", "LAST_BUSINESS_DAY"])
+      .default("SAME_DAY"),
+    // Optional end: a last date OR a number of occurrences (this transaction included)
+    recurringEndDate: z.date().nullable().optional(),
+    recurringMaxOccurrences: z.preprocess(
+      (value) => (value === "" || value === undefined ? null : value),
+      z.coerce
+        .number()
+        .int("Enter a whole number")
+        .min(2, "A series needs at least 2 occurrences")
+        .nullable()
+    ),
   })
   .superRefine((data, ctx) => { // to add checks (check multiple fields together)
   // validations -> using - data / ctx -> some function
@@ -32,6 +175,61 @@ export const transactionSchema = z
         path: ["recurringInterval"], // give error on the path (recurringInterval) - defined above!
       });
     }
+
+    // The series can't end before it starts
+    if (data.isRecurring && data.recurringEndDate && data.recurringEndDate < data.date) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "End date must be after the transaction date",
+        path: ["recurringEndDate"],
+      });
+    }
+
+    // A transfer needs a "to" account, and it can't be the same as the "from" account
+    if (data.type === "TRANSFER") {
+      if (!data.destinationAccountId) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Destination account is required for transfers",
+          path: ["destinationAccountId"],
+        });
+      } else if (data.destinationAccountId === data.accountId) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Cannot transfer to the same account",
+          path: ["destinationAccountId"],
+        });
+      }
+    }
+
+    // A split needs at least two lines and they must add up to the total
+    if (data.splits?.length > 0) {
+      if (data.type === "TRANSFER") {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Transfers cannot be split across categories",
+          path: ["splits"],
+        });
+      } else if (data.splits.length < 2) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "A split needs at least two categories",
+          path: ["splits"],
+        });
+      } else if (!splitsMatchTotal(data.amount, data.splits)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Split amounts must add up to the transaction amount",
+          path: ["splits"],
+        });
+      }
+    } else if (!data.category) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Category is required",
+        path: ["category"],
+      });
+    }
   });
   // But superRefine is used when you want to check multiple fields together or apply special rules.
 
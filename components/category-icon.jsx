@@ -0,0 +1,85 @@
+import {
+  ArrowLeftRight,
+  Baby,
+  BookOpen,
+  Briefcase,
+  Building,
+  Car,
+  Coffee,
+  CreditCard,
+  Dumbbell,
+  Film,
+  Fuel,
+  Gift,
+  GraduationCap,
+  HeartPulse,
+  Home,
+  Laptop,
+  MoreHorizontal,
+  Music,
+  PawPrint,
+  PiggyBank,
+  Plane,
+  Plus,
+  Receipt,
+  Shield,
+  Shirt,
+  ShoppingBag,
+  ShoppingCart,
+  Smartphone,
+  Smile,
+  Tag,
+  TrendingUp,
+  UtensilsCrossed,
+  Wallet,
+  Wifi,
+  Wrench,
+  Zap,
+} from "lucide-react";
+
+// Icon name (stored on the category) → lucide icon component.
+// Same names as categoryIcons in data/categories.js.
+const ICONS = {
+  ArrowLeftRight,
+  Baby,
+  BookOpen,
+  Briefcase,
+  Building,
+  Car,
+  Coffee,
+  CreditCard,
+  Dumbbell,
+  Film,
+  Fuel,
+  Gift,
+  GraduationCap,
+  HeartPulse,
+  Home,
+  Laptop,
+  MoreHorizontal,
+  Music,
+  PawPrint,
+  PiggyBank,
+  Plane,
+  Plus,
+  Receipt,
+  Shield,
+  Shirt,
+  ShoppingBag,
+  ShoppingCart,
+  Smartphone,
+  Smile,
+  Tag,
+  TrendingUp,
+  UtensilsCrossed,
+  Wallet,
+  Wifi,
+  Wrench,
+  Zap,
+};
+
+// <CategoryIcon name="ShoppingCart" className="h-4 w-4" /> (unknown names show a tag)
+export function CategoryIcon({ name, ...props }) {
+  const Icon = ICONS[name] ?? Tag;
+  return <Icon {...props} />;
+}
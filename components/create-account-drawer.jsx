@@ -31,6 +31,8 @@ import { Switch } from "@/components/ui/switch";
 // Actions and validation schema
 import { createAccount } from "@/actions/dashboard"; // Server action to create account
 import { accountSchema } from "@/app/lib/schema"; // Validation rules using Zod
+import { accountTypes, isLiabilityAccount } from "@/data/account-types"; // Current, savings, credit card, loan...
+import { currencies } from "@/data/currencies"; // USD, EUR, PKR...
 
 // Component to create new account using a drawer UI
 
@@ -75,6 +77,7 @@ export function CreateAccountDrawer({ children }) {
     defaultValues: {
       name: "",
       type: "CURRENT",
+      currency: "USD",
       balance: "",
       isDefault: false,
     },
@@ -157,8 +160,11 @@ export function CreateAccountDrawer({ children }) {
                   <SelectValue placeholder="Select type" />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="CURRENT">Current</SelectItem>
-                  <SelectItem value="SAVINGS">Savings</SelectItem>
+                  {accountTypes.map((accountType) => (
+                    <SelectItem key={accountType.id} value={accountType.id}>
+                      {accountType.name}
+                    </SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
               {/* Show error if type is invalid */}
@@ -167,13 +173,45 @@ export function CreateAccountDrawer({ children }) {
               )}
             </div>
 
+            {/* Currency selection - balance and transactions of this account are in this currency */}
+            <div className="space-y-2">
+              <label
+                htmlFor="currency"
+                className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
+              >
+                Currency
+              </label>
+              <Select
+                onValueChange={(value) => setValue("currency", value)}
+                defaultValue={watch("currency")}
+              >
+                <SelectTrigger id="currency">
+                  <SelectValue placeholder="Select currency" />
+                </SelectTrigger>
+                <SelectContent>
+                  {currencies.map((currency) => (
+                    <SelectItem key={currency.code} value={currency.code}>
+                      {currency.code} - {currency.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {/* Show error if currency is invalid */}
+              {errors.currency && (
+                <p className="text-sm text-red-500">{errors.currency.message}</p>
+              )}
+            </div>
+
             {/* Balance input field */}
             <div className="space-y-2">
               <label
                 htmlFor="balance"
                 className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
               >
-                Initial Balance
+                {/* For credit cards / loans the balance is what we owe */}
+                {isLiabilityAccount(watch("type"))
+                  ? "Amount Owed"
+                  : "Initial Balance"}
               </label>
               <Input
                 id="balance"
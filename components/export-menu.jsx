@@ -0,0 +1,63 @@
+"use client";
+
+import { useState } from "react";
+import { Download, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { EXPORT_FORMATS, downloadTransactions } from "@/lib/export";
+
+// Export button with a CSV / JSON / Excel menu.
+// getTransactions → returns (or resolves to) the transactions to export, so the caller decides
+// what is exported: the filtered table rows, or everything loaded from the server.
+// options = { filename, accountName, currency, categories } (see downloadTransactions)
+export function ExportMenu({ getTransactions, options, label = "Export" }) {
+  const [loading, setLoading] = useState(false);
+
+  const handleExport = async (exportFormat) => {
+    setLoading(true);
+    try {
+      const transactions = await getTransactions();
+      if (!transactions?.length) {
+        toast.error("No transactions to export");
+        return;
+      }
+      downloadTransactions(transactions, exportFormat, options);
+    } catch (error) {
+      toast.error(error.message || "Failed to export transactions");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" disabled={loading}>
+          {loading ? (
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          ) : (
+            <Download className="h-4 w-4 mr-2" />
+          )}
+          {label}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        {Object.entries(EXPORT_FORMATS).map(([exportFormat, { label }]) => (
+          <DropdownMenuItem
+            key={exportFormat}
+            onClick={() => handleExport(exportFormat)}
+          >
+            {label}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
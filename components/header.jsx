@@ -1,6 +1,6 @@
 import React from "react";
 import { Button } from "./ui/button";
-import { PenBox, LayoutDashboard } from "lucide-react";
+import { PenBox, LayoutDashboard, Tags, Hash, CalendarClock, Repeat } from "lucide-react";
 import Link from "next/link";
 import { SignedIn, SignedOut, SignInButton, UserButton } from "@clerk/nextjs";
 // import { checkUser } from "@/lib/checkUser";
@@ -49,6 +49,42 @@ const Header = async () => {
                 <span className="hidden md:inline">Dashboard</span>
               </Button>
             </Link>
+            <Link
+              href="/upcoming"
+              className="text-gray-600 hover:text-blue-600 flex items-center gap-2"
+            >
+              <Button variant="outline">
+                <CalendarClock size={18} />
+                <span className="hidden md:inline">Upcoming</span>
+              </Button>
+            </Link>
+            <Link
+              href="/subscriptions"
+              className="text-gray-600 hover:text-blue-600 flex items-center gap-2"
+            >
+              <Button variant="outline">
+                <Repeat size={18} />
+                <span className="hidden md:inline">Subscriptions</span>
+              </Button>
+            </Link>
+            <Link
+              href="/settings/categories"
+              className="text-gray-600 hover:text-blue-600 flex items-center gap-2"
+            >
+              <Button variant="outline">
+                <Tags size={18} />
+                <span className="hidden md:inline">Categories</span>
+              </Button>
+            </Link>
+            <Link
+              href="/tags"
+              className="text-gray-600 hover:text-blue-600 flex items-center gap-2"
+            >
+              <Button variant="outline">
+                <Hash size={18} />
+                <span className="hidden md:inline">Tags</span>
+              </Button>
+            </Link>
             <a href="/transaction/create">
               <Button className="flex items-center gap-2">
                 <PenBox size={18} />
@@ -0,0 +1,21 @@
+import { AlertTriangle } from "lucide-react";
+
+// "Some totals are approximate" box for the exchange rates that were missing or approximate
+// while converting into the base currency. warnings = getRateWarnings() messages, nothing shown if empty.
+export function RateWarnings({ warnings = [] }) {
+  if (warnings.length === 0) return null;
+
+  return (
+    <div className="flex gap-3 rounded-md border border-amber-300 bg-amber-50 p-4 text-sm text-amber-800">
+      <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+      <div>
+        <p className="font-medium">Some totals are approximate</p>
+        <ul className="mt-1 list-disc pl-4">
+          {warnings.map((warning) => (
+            <li key={warning}>{warning}</li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { format } from "date-fns";
+import { Loader2, Repeat } from "lucide-react";
+import { toast } from "sonner";
+
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { formatCurrency } from "@/lib/currency";
+import {
+  confirmSubscription,
+  dismissSubscription,
+  restoreSubscription,
+} from "@/actions/subscription";
+
+// "Looks like Netflix is monthly — make it recurring?" for every detected subscription.
+// suggestions = getSubscriptions().detected, limit = show only the first few (dashboard)
+// The actions are called directly (not with useFetch): the suggestion disappears from the page
+// once answered, so its toast is shown right here instead of after a re-render.
+export function SubscriptionSuggestions({ suggestions, limit = null }) {
+  const [busyKey, setBusyKey] = useState(null); // Suggestion being saved
+
+  if (suggestions.length === 0) return null;
+  const shown = limit ? suggestions.slice(0, limit) : suggestions;
+
+  const handleConfirm = async (suggestion) => {
+    setBusyKey(suggestion.key);
+    try {
+      const { data } = await confirmSubscription(suggestion.key);
+      const next = data.nextRecurringDate
+        ? ` - next on ${format(new Date(data.nextRecurringDate), "PP")}`
+        : "";
+      toast.success(`${suggestion.name} is now recurring${next}`);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleDismiss = async (suggestion) => {
+    setBusyKey(suggestion.key);
+    try {
+      await dismissSubscription(suggestion.key);
+      toast.success(`${suggestion.name} won't be suggested again`, {
+        action: { label: "Undo", onClick: () => restoreSubscription(suggestion.key) },
+        duration: 10000, // Give some time to notice a mistake
+      });
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="text-base font-normal flex items-center gap-2">
+          <Repeat className="h-4 w-4" />
+          Possible subscriptions
+        </CardTitle>
+        {limit && (
+          <Link href="/subscriptions" className="text-sm text-muted-foreground hover:underline">
+            {suggestions.length > limit ? `See all ${suggestions.length}` : "All subscriptions"}
+          </Link>
+        )}
+      </CardHeader>
+      <CardContent className="divide-y">
+        {shown.map((suggestion) => (
+          <div
+            key={suggestion.key}
+            className="flex flex-col gap-2 py-3 text-sm md:flex-row md:items-center md:justify-between"
+          >
+            <div className="min-w-0">
+              <p>
+                Looks like <span className="font-medium">{suggestion.name}</span> is{" "}
+                {suggestion.label.toLowerCase()} — make it recurring?
+              </p>
+              <p className="text-muted-foreground">
+                {formatCurrency(suggestion.amount, suggestion.account.currency)} ·{" "}
+                {suggestion.chargeCount} charges on {suggestion.account.name}
+                {suggestion.nextDate &&
+                  ` · next around ${format(new Date(suggestion.nextDate), "MMM d")}`}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <Button
+                size="sm"
+                onClick={() => handleConfirm(suggestion)}
+                disabled={busyKey !== null}
+              >
+                {busyKey === suggestion.key && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Make recurring
+              </Button>
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={() => handleDismiss(suggestion)}
+                disabled={busyKey !== null}
+              >
+                Not a subscription
+              </Button>
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
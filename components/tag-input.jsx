@@ -0,0 +1,67 @@
+"use client";
+
+import { useId, useState } from "react";
+import { X } from "lucide-react";
+
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { normalizeTag, normalizeTags } from "@/lib/tags";
+
+// Input for free-form tags: type a tag and press Enter (or ",") to add it,
+// Backspace in the empty input removes the last one, X removes a single tag.
+// value = ["vacation-2026"], onChange(newTags)
+// suggestions = tags the user already uses (offered while typing)
+export function TagInput({ value = [], onChange, suggestions = [], placeholder = "Add tags..." }) {
+  const [text, setText] = useState("");
+  const listId = useId(); // Links the input to its list of suggestions
+
+  const addTag = (tag) => {
+    if (normalizeTag(tag)) onChange(normalizeTags([...value, tag]));
+    setText("");
+  };
+
+  const removeTag = (tag) => onChange(value.filter((item) => item !== tag));
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault(); // Don't submit the form
+      addTag(text);
+    } else if (e.key === "Backspace" && !text && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 rounded-md border px-2 py-1">
+      {value.map((tag) => (
+        <Badge key={tag} variant="secondary" className="gap-1">
+          #{tag}
+          <button
+            type="button"
+            onClick={() => removeTag(tag)}
+            className="rounded-full hover:text-destructive"
+            aria-label={`Remove ${tag}`}
+          >
+            <X className="h-3 w-3" />
+          </button>
+        </Badge>
+      ))}
+      <Input
+        value={text}
+        list={listId}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => text && addTag(text)} // Typed but not confirmed → still added
+        placeholder={value.length === 0 ? placeholder : ""}
+        className="h-8 flex-1 min-w-[120px] border-0 px-1 shadow-none focus-visible:ring-0"
+      />
+      <datalist id={listId}>
+        {suggestions
+          .filter((tag) => !value.includes(tag))
+          .map((tag) => (
+            <option key={tag} value={tag} />
+          ))}
+      </datalist>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import { ArrowRightLeft } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { cn } from "@/lib/utils";
+import { formatCurrency } from "@/lib/currency";
+import { getCategoryLabel } from "@/lib/category-tree";
+
+// One projected occurrence of a recurring transaction, e.g. "Netflix · Current -15.99".
+// compact = smaller text (calendar cells, dashboard widget), actions = optional menu shown after the amount
+export function UpcomingItem({ item, categories, compact = false, actions = null }) {
+  const title = item.description || getCategoryLabel(categories, item.category);
+  const sign = item.type === "INCOME" ? "+" : item.type === "EXPENSE" ? "-" : "";
+
+  return (
+    <div className={cn("flex items-center justify-between gap-2", compact ? "text-xs" : "text-sm")}>
+      <div className="min-w-0">
+        <p className="font-medium truncate">{title}</p>
+        {!compact && (
+          <p className="text-muted-foreground flex items-center gap-1">
+            {item.account.name}
+            {item.type === "TRANSFER" && (
+              <>
+                <ArrowRightLeft className="h-3 w-3" />
+                {item.destinationAccount?.name}
+              </>
+            )}
+            {item.isOverdue && (
+              <Badge variant="outline" className="ml-1 text-amber-600 border-amber-300">
+                Due - processed tonight
+              </Badge>
+            )}
+          </p>
+        )}
+      </div>
+      <div className="flex items-center gap-1">
+        <span
+          className={cn(
+            "font-medium whitespace-nowrap",
+            item.type === "INCOME" && "text-green-500",
+            item.type === "EXPENSE" && "text-red-500",
+            item.type === "TRANSFER" && "text-blue-500"
+          )}
+        >
+          {sign}
+          {formatCurrency(item.amount, item.account.currency)}
+        </span>
+        {actions}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+// Every account type the app supports.
+// isLiability = true means the balance is money we OWE (credit card, loan),
+// not money we HAVE. For these accounts:
+//    an EXPENSE (a card purchase) makes the debt go UP
+//    an INCOME (a payment towards the card/loan) makes the debt go DOWN
+export const accountTypes = [
+  // Asset Accounts
+  {
+    id: "CURRENT",
+    name: "Current",
+    isLiability: false,
+  },
+  {
+    id: "SAVINGS",
+    name: "Savings",
+    isLiability: false,
+  },
+  {
+    id: "CASH",
+    name: "Cash",
+    isLiability: false,
+  },
+  {
+    id: "INVESTMENT",
+    name: "Investment",
+    isLiability: false,
+  },
+
+  // Liability Accounts
+  {
+    id: "CREDIT_CARD",
+    name: "Credit Card",
+    isLiability: true,
+  },
+  {
+    id: "LOAN",
+    name: "Loan",
+    isLiability: true,
+  },
+];
+
+// Just the ids, used by the zod enum in app/lib/schema.js
+export const accountTypeIds = accountTypes.map((type) => type.id);
+
+// { CURRENT: "Current", CREDIT_CARD: "Credit Card", ... } - for showing a nice label
+export const accountTypeLabels = accountTypes.reduce((acc, type) => {
+  acc[type.id] = type.name;
+  return acc;
+}, {});
+
+// true for CREDIT_CARD and LOAN
+export const isLiabilityAccount = (type) =>
+  accountTypes.some(
+    (accountType) => accountType.id === type && accountType.isLiability
+  );
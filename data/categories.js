@@ -65,7 +65,7 @@ export const defaultCategories = [
     name: "Groceries",
     type: "EXPENSE",
     color: "#84cc16", // lime-500
-    icon: "Shopping",
+    icon: "ShoppingCart",
   },
   {
     id: "utilities",
@@ -159,9 +159,88 @@ export const defaultCategories = [
     color: "#94a3b8", // slate-400
     icon: "MoreHorizontal",
   },
+
+  // Transfer Category (money moved between own accounts - not income, not expense)
+  {
+    id: "transfer",
+    name: "Transfer",
+    type: "TRANSFER",
+    color: "#3b82f6", // blue-500
+    icon: "ArrowLeftRight",
+  },
+];
+
+// [{ id: "groceries", color: "#ef4444" }, ...] → { groceries: "#ef4444", ... }
+// Works for the defaults and for a user's own categories (loaded from the database).
+export const getCategoryColors = (categories) =>
+  categories.reduce((acc, category) => {
+    acc[category.id] = category.color;
+    return acc;
+  }, {});
+
+export const categoryColors = getCategoryColors(defaultCategories);
+
+// "groceries" → "Groceries" (falls back to the id for unknown / deleted categories)
+export const getCategoryName = (categories, id) =>
+  categories.find((category) => category.id === id)?.name ?? id;
+
+// lucide icons a category can use (components/category-icon.jsx renders them by name)
+export const categoryIcons = [
+  "Wallet",
+  "Laptop",
+  "TrendingUp",
+  "Building",
+  "Home",
+  "Plus",
+  "Car",
+  "ShoppingCart",
+  "Zap",
+  "Film",
+  "UtensilsCrossed",
+  "ShoppingBag",
+  "HeartPulse",
+  "GraduationCap",
+  "Smile",
+  "Plane",
+  "Shield",
+  "Gift",
+  "Receipt",
+  "MoreHorizontal",
+  "ArrowLeftRight",
+  "Baby",
+  "PawPrint",
+  "Dumbbell",
+  "Coffee",
+  "Fuel",
+  "Smartphone",
+  "Wifi",
+  "Music",
+  "BookOpen",
+  "Briefcase",
+  "PiggyBank",
+  "CreditCard",
+  "Shirt",
+  "Wrench",
+  "Tag",
 ];
 
-export const categoryColors = defaultCategories.reduce((acc, category) => {
-  acc[category.id] = category.color;
-  return acc;
-}, {});
+// Words that usually show up in bank statement descriptions for each category.
+// Used to suggest a category for imported transactions (together with the category and subcategory names).
+export const categoryKeywords = {
+  salary: ["salary", "payroll", "wages"],
+  freelance: ["upwork", "fiverr", "invoice"],
+  investments: ["dividend", "interest", "brokerage"],
+  rental: ["rent received", "tenant"],
+  housing: ["rent", "mortgage", "landlord"],
+  transportation: ["uber", "lyft", "fuel", "petrol", "gas station", "parking", "metro", "shell"],
+  groceries: ["supermarket", "grocery", "walmart", "aldi", "lidl", "costco", "carrefour"],
+  utilities: ["electric", "water", "internet", "phone", "mobile"],
+  entertainment: ["netflix", "spotify", "cinema", "steam", "disney"],
+  food: ["restaurant", "cafe", "coffee", "starbucks", "mcdonald", "pizza", "doordash", "foodpanda"],
+  shopping: ["amazon", "daraz", "ikea", "zara", "store"],
+  healthcare: ["pharmacy", "hospital", "clinic", "doctor", "dental"],
+  education: ["tuition", "school", "university", "udemy", "coursera"],
+  travel: ["airline", "airways", "hotel", "airbnb", "booking.com"],
+  insurance: ["insurance"],
+  bills: ["bank fee", "service charge", "bill"],
+};
@@ -0,0 +1,18 @@
+// Currencies an account (or a user's base currency) can use.
+// code = ISO 4217 code, stored on Account.currency and User.baseCurrency
+export const currencies = [
+  { code: "USD", name: "US Dollar", symbol: "$" },
+  { code: "EUR", name: "Euro", symbol: "€" },
+  { code: "GBP", name: "British Pound", symbol: "£" },
+  { code: "PKR", name: "Pakistani Rupee", symbol: "Rs" },
+  { code: "INR", name: "Indian Rupee", symbol: "₹" },
+  { code: "AED", name: "UAE Dirham", symbol: "AED" },
+  { code: "SAR", name: "Saudi Riyal", symbol: "SAR" },
+  { code: "CAD", name: "Canadian Dollar", symbol: "CA$" },
+  { code: "AUD", name: "Australian Dollar", symbol: "A$" },
+];
+
+export const DEFAULT_CURRENCY = "USD";
+
+// Just the codes, used by the zod enum in app/lib/schema.js
+export const currencyCodes = currencies.map((currency) => currency.code);
@@ -242,6 +242,7 @@ import {
   Section,
   Text
 } from "@react-email/components";
+import { formatCurrency } from "@/lib/currency";
 
 // Dummy data for development preview
 const PREVIEW_DATA = {
@@ -254,12 +255,17 @@ const PREVIEW_DATA = {
         totalIncome: 5000,
         totalExpenses: 3500,
         byCategory: {
-          housing: 1500,
-          groceries: 600,
-          transportation: 400,
-          entertainment: 300,
-          utilities: 700,
+          Housing: 1500,
+          Food: 600,
+          Transportation: 400,
+          Entertainment: 300,
+          Utilities: 700,
         },
+        // Sub-categories of the categories above (shown indented under their parent)
+        bySubcategory: {
+          Food: { Groceries: 450, Dining: 120, Coffee: 30 },
+        },
+        currency: "USD",
       },
       insights: [
         "Your housing expenses are 43% of your total spending - consider reviewing your housing costs.",
@@ -275,6 +281,7 @@ const PREVIEW_DATA = {
       percentageUsed: 85,
       budgetAmount: 4000,
       totalExpenses: 3400,
+      currency: "USD",
     },
   },
 };
@@ -288,6 +295,8 @@ export default function EmailTemplate({
   const income = data?.stats?.totalIncome ?? 0;
   const expenses = data?.stats?.totalExpenses ?? 0;
   const net = income - expenses;
+  // 💱 All report amounts are in the user's base currency
+  const currency = data?.stats?.currency ?? "USD";
 
   // Monthly Report
   if (type === "monthly-report") {
@@ -307,15 +316,15 @@ export default function EmailTemplate({
             <Section style={styles.statsContainer}>
               <div style={styles.stat}>
                 <Text style={styles.text}>Total Income</Text>
-                <Text style={styles.heading}>${income}</Text>
+                <Text style={styles.heading}>{formatCurrency(income, currency)}</Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Total Expenses</Text>
-                <Text style={styles.heading}>${expenses}</Text>
+                <Text style={styles.heading}>{formatCurrency(expenses, currency)}</Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Net</Text>
-                <Text style={styles.heading}>${net}</Text>
+                <Text style={styles.heading}>{formatCurrency(net, currency)}</Text>
               </div>
             </Section>
 
@@ -324,15 +333,38 @@ export default function EmailTemplate({
                 <Heading style={styles.heading}>Expenses by Category</Heading>
                 {Object.entries(data.stats.byCategory).map(
                   ([category, amount]) => (
-                    <div key={category} style={styles.row}>
-                      <Text style={styles.text}>{category}</Text>
-                      <Text style={styles.text}>${amount}</Text>
+                    <div key={category}>
+                      <div style={styles.row}>
+                        <Text style={styles.text}>{category}</Text>
+                        <Text style={styles.text}>{formatCurrency(amount, currency)}</Text>
+                      </div>
+                      {/* Sub-categories rolled up into this category, e.g. Food → Groceries / Dining */}
+                      {Object.entries(data.stats.bySubcategory?.[category] ?? {}).map(
+                        ([subcategory, subAmount]) => (
+                          <div key={subcategory} style={{ ...styles.row, paddingLeft: "16px" }}>
+                            <Text style={styles.text}>{subcategory}</Text>
+                            <Text style={styles.text}>{formatCurrency(subAmount, currency)}</Text>
+                          </div>
+                        )
+                      )}
                     </div>
                   )
                 )}
               </Section>
             )}
 
+            {/* ⚠️ Exchange rates that were missing or approximate for this month */}
+            {data?.stats?.rateWarnings?.length > 0 && (
+              <Section style={styles.section}>
+                <Text style={styles.text}>Some totals are approximate:</Text>
+                {data.stats.rateWarnings.map((warning) => (
+                  <Text key={warning} style={styles.text}>
+                    • {warning}
+                  </Text>
+                ))}
+              </Section>
+            )}
+
             {data?.insights && (
               <Section style={styles.section}>
                 <Heading style={styles.heading}>Welth Insights</Heading>
@@ -360,6 +392,8 @@ export default function EmailTemplate({
     const budgetAmount = data?.budgetAmount ?? 0;
     const totalExpenses = data?.totalExpenses ?? 0;
     const remaining = budgetAmount - totalExpenses;
+    const budgetCurrency = data?.currency ?? "USD"; // user's base currency
+    const categoryName = data?.categoryName; // set for a category budget (e.g. "Groceries")
 
     return (
       <Html>
@@ -371,21 +405,28 @@ export default function EmailTemplate({
 
             <Text style={styles.text}>Hello {userName},</Text>
             <Text style={styles.text}>
-              You&rsquo;ve used {percentageUsed}% of your monthly budget.
+              You&rsquo;ve used {percentageUsed}% of your monthly{" "}
+              {categoryName ? `${categoryName} budget` : "budget"}.
             </Text>
 
             <Section style={styles.statsContainer}>
               <div style={styles.stat}>
                 <Text style={styles.text}>Budget Amount</Text>
-                <Text style={styles.heading}>${budgetAmount}</Text>
+                <Text style={styles.heading}>
+                  {formatCurrency(Number(budgetAmount), budgetCurrency)}
+                </Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Spent So Far</Text>
-                <Text style={styles.heading}>${totalExpenses}</Text>
+                <Text style={styles.heading}>
+                  {formatCurrency(Number(totalExpenses), budgetCurrency)}
+                </Text>
               </div>
               <div style={styles.stat}>
                 <Text style={styles.text}>Remaining</Text>
-                <Text style={styles.heading}>${remaining}</Text>
+                <Text style={styles.heading}>
+                  {formatCurrency(remaining, budgetCurrency)}
+                </Text>
               </div>
             </Section>
           </Container>
@@ -0,0 +1,35 @@
+import { startOfDay, subDays } from "date-fns";
+import { toDayKey } from "@/lib/balance-history";
+
+// Income / expense chart of the account page. The totals per day are worked out on the
+// server (getAccountChartData) for the picked range, so the browser never gets every transaction.
+
+// Date ranges of the chart (7 days, 1 month, 3 months, etc.)
+export const ACCOUNT_CHART_RANGES = {
+  "7D": { label: "Last 7 Days", days: 7 },
+  "1M": { label: "Last Month", days: 30 },
+  "3M": { label: "Last 3 Months", days: 90 },
+  "6M": { label: "Last 6 Months", days: 180 },
+  ALL: { label: "All Time", days: null },
+};
+
+// First day of a range - "ALL" starts at the beginning of time (01/01/1970)
+export function getChartStartDate(range, now = new Date()) {
+  const { days } = ACCOUNT_CHART_RANGES[range] ?? ACCOUNT_CHART_RANGES["1M"];
+  return days ? startOfDay(subDays(now, days)) : startOfDay(new Date(0));
+}
+
+// Sums per date + type (db.transaction.groupBy) → one bar group per day, oldest first
+// totals = [{ date, type: "EXPENSE", _sum: { amount } }] (amounts as numbers)
+// ✅ [{ date: "2025-05-31", income: 0, expense: 42.5 }]
+export function getChartDays(totals) {
+  const days = {};
+  for (const { date, type, _sum } of totals) {
+    const key = toDayKey(date);
+    days[key] ??= { date: key, income: 0, expense: 0 };
+    // Transfers between own accounts are neither income nor expense, so they are skipped
+    if (type === "INCOME") days[key].income += _sum.amount ?? 0;
+    else if (type === "EXPENSE") days[key].expense += _sum.amount ?? 0;
+  }
+  return Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+}
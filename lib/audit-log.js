@@ -0,0 +1,30 @@
+import { db } from "@/lib/prisma";
+
+// Writes entries to the append-only audit log (see the AuditLog model).
+// client = db, or the "tx" of a db.$transaction so the entry is saved together with the change
+// (and rolled back with it if the change fails).
+// entry = { userId, actorId, entityType, entityId, action, source, before, after }
+//   actorId null = change made by a background job
+//   before / after = snapshots from lib/audit.js (left out when there is nothing to store)
+export async function recordAudit(client, entries) {
+  const list = (Array.isArray(entries) ? entries : [entries]).filter(Boolean);
+  if (list.length === 0) return;
+
+  await client.auditLog.createMany({
+    data: list.map(({ before, after, actorId = null, ...entry }) => ({
+      ...entry,
+      actorId,
+      // Prisma doesn't accept a plain null for a Json column - leave the field out instead
+      ...(before && { before }),
+      ...(after && { after }),
+    })),
+  });
+}
+
+// History of one transaction / account / budget of a user, newest first
+export async function getAuditHistory(userId, entityType, entityId) {
+  return db.auditLog.findMany({
+    where: { userId, entityType, entityId },
+    orderBy: { createdAt: "desc" },
+  });
+}
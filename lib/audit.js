@@ -0,0 +1,127 @@
+import { describeRecurrence, getRecurrenceRule } from "@/lib/recurrence";
+
+// Audit log helpers shared by the server (writing entries) and the history panel (showing them).
+// An entry stores a small JSON snapshot of the row before and after the change,
+// so the history can show "Amount: 12.5 → 15" even after the row itself is gone.
+
+export const AUDIT_ACTION_LABELS = {
+  CREATE: "Created",
+  UPDATE: "Updated",
+  DELETE: "Deleted",
+  RESTORE: "Restored",
+  PURGE: "Permanently deleted",
+};
+
+export const AUDIT_SOURCE_LABELS = {
+  FORM: "Form",
+  RECEIPT_SCAN: "Receipt scan",
+  IMPORT: "Import",
+  RECURRING: "Recurring job",
+  TABLE: "Transactions table",
+  TRASH: "Trash",
+  RULES: "Rules",
+  CATEGORY_MERGE: "Category merge",
+  UPCOMING: "Upcoming page",
+  SUBSCRIPTIONS: "Subscriptions",
+  SYSTEM: "Automatic cleanup",
+};
+
+// Names of the snapshot fields in the history panel
+export const TRANSACTION_FIELD_LABELS = {
+  type: "Type",
+  amount: "Amount",
+  description: "Description",
+  date: "Date",
+  category: "Category",
+  accountId: "Account",
+  destinationAccountId: "To account",
+  destinationAmount: "Amount received",
+  isRecurring: "Recurring",
+  recurringInterval: "Interval",
+  recurrence: "Schedule",
+  pausedUntil: "Paused until",
+  skippedDays: "Skipped",
+  futureAmount: "Future amount",
+  futureCategory: "Future category",
+  tags: "Tags",
+  splits: "Split",
+};
+
+// Decimal → number, Date → ISO string (JSON can't store either as they are)
+const toPlain = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value?.toNumber === "function") return value.toNumber();
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+// Saved transaction (+ splits if loaded) → snapshot stored in the audit log
+// ✅ { type: "EXPENSE", amount: 12.5, category: "groceries", date: "2025-05-31T00:00:00.000Z", tags: [], splits: [], ... }
+export function getTransactionSnapshot(transaction) {
+  return {
+    type: transaction.type,
+    amount: toPlain(transaction.amount),
+    description: transaction.description ?? null,
+    date: toPlain(transaction.date),
+    category: transaction.category,
+    accountId: transaction.accountId,
+    destinationAccountId: transaction.destinationAccountId ?? null,
+    destinationAmount: toPlain(transaction.destinationAmount),
+    isRecurring: transaction.isRecurring ?? false,
+    recurringInterval: transaction.recurringInterval ?? null,
+    // Whole schedule as text, e.g. "Every 2 weeks on Mon, Thu · 12 times" (null when not recurring)
+    recurrence: transaction.isRecurring
+      ? describeRecurrence(getRecurrenceRule(transaction))
+      : null,
+    // Series changes from the Upcoming page (null = not paused / nothing skipped / same as above)
+    pausedUntil: toPlain(transaction.recurringPausedUntil),
+    skippedDays: transaction.recurringSkippedDays?.length ? transaction.recurringSkippedDays : null,
+    futureAmount: toPlain(transaction.recurringAmount),
+    futureCategory: transaction.recurringCategory ?? null,
+    tags: transaction.tags ?? [],
+    // Split lines, e.g. [{ category: "groceries", amount: 40 }] (left out when not loaded)
+    ...(transaction.splits && {
+      splits: transaction.splits.map((split) => ({
+        category: split.category,
+        amount: toPlain(split.amount),
+      })),
+    }),
+  };
+}
+
+// ✅ { name: "Main", type: "CURRENT", currency: "USD", balance: 1200, isDefault: true }
+export function getAccountSnapshot(account) {
+  return {
+    name: account.name,
+    type: account.type,
+    currency: account.currency,
+    balance: toPlain(account.balance),
+    isDefault: account.isDefault,
+  };
+}
+
+// ✅ { category: "groceries", amount: 300 } (category null = overall budget)
+export function getBudgetSnapshot(budget) {
+  return {
+    category: budget.category || null, // Saved as "" for the overall budget
+    amount: toPlain(budget.amount),
+  };
+}
+
+// Fields whose value differs between two snapshots (in the order of the "after" snapshot)
+// ✅ ({ amount: 10, tags: [] }, { amount: 12, tags: [] }) → [{ field: "amount", before: 10, after: 12 }]
+export function getAuditChanges(before, after) {
+  if (!before || !after) return [];
+
+  const fields = [...new Set([...Object.keys(after), ...Object.keys(before)])];
+  return fields
+    .filter(
+      (field) =>
+        JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)
+    )
+    .map((field) => ({
+      field,
+      before: before[field] ?? null,
+      after: after[field] ?? null,
+    }));
+}
@@ -0,0 +1,131 @@
+import {
+  addDays,
+  eachDayOfInterval,
+  endOfMonth,
+  format,
+  isAfter,
+  startOfDay,
+  subDays,
+  subMonths,
+  subYears,
+} from "date-fns";
+import { getAccountEffect } from "@/lib/balance";
+import { isLiabilityAccount } from "@/data/account-types";
+
+// Balance history = the balance of an account at the END of every day.
+// Only the current balance is stored on the account, so the history is worked out
+// backwards: yesterday's balance = today's balance - what today's transactions changed.
+// Days are "yyyy-MM-dd" keys so they can be compared as strings.
+
+export const toDayKey = (date) => format(date, "yyyy-MM-dd");
+
+// Balance at the end of every day from → to (oldest first).
+// transactions = every transaction touching the account (incl. incoming transfers),
+// each with account / destinationAccount so getAccountEffect can work out the sign.
+// ✅ getDailyBalances({ balance: 100, transactions: [{ expense 20 today }], from: yesterday, to: today })
+//    → [{ date: "2025-05-30", balance: 120 }, { date: "2025-05-31", balance: 100 }]
+export function getDailyBalances({ balance, transactions, accountId, from, to = new Date() }) {
+  // Total change per day, e.g. { "2025-05-31": -20 }
+  const changesByDay = {};
+  for (const transaction of transactions) {
+    const key = toDayKey(transaction.date);
+    changesByDay[key] = (changesByDay[key] || 0) + getAccountEffect(transaction, accountId);
+  }
+
+  // Undo everything that happened after the last day we want (e.g. future-dated transactions)
+  const lastKey = toDayKey(to);
+  let running = balance;
+  for (const [key, change] of Object.entries(changesByDay)) {
+    if (key > lastKey) running -= change;
+  }
+
+  if (isAfter(startOfDay(from), startOfDay(to))) return [];
+
+  // Walk back one day at a time: record the end-of-day balance, then undo that day
+  const days = eachDayOfInterval({ start: from, end: to }).reverse();
+  const balances = days.map((day) => {
+    const key = toDayKey(day);
+    const point = { date: key, balance: roundCents(running) };
+    running -= changesByDay[key] || 0;
+    return point;
+  });
+
+  return balances.reverse();
+}
+
+// Time ranges of the net worth chart and how far apart the points are
+export const NET_WORTH_PERIODS = [
+  { id: "3M", label: "Last 3 Months" }, // one point per day
+  { id: "1Y", label: "Last Year" }, // one point per week
+  { id: "ALL", label: "All Time" }, // one point per month (month ends)
+];
+
+// Days to plot for a period (oldest first, always ending today).
+// firstDay = the oldest snapshot of the user, so "ALL" starts when the history starts.
+// ✅ getHistoryDates("1Y", ...) → ["2024-06-02", "2024-06-09", ..., "2025-05-25", "2025-06-01"]
+export function getHistoryDates(period, firstDay, today = new Date()) {
+  today = startOfDay(today);
+
+  if (period === "3M") {
+    return eachDayOfInterval({ start: subMonths(today, 3), end: today }).map(toDayKey);
+  }
+
+  if (period === "1Y") {
+    const dates = [];
+    for (let day = today; !isAfter(subYears(today, 1), day); day = subDays(day, 7)) {
+      dates.unshift(toDayKey(day));
+    }
+    return dates;
+  }
+
+  // ALL: the end of every month since the history starts + today
+  const dates = [];
+  for (
+    let day = endOfMonth(firstDay ?? today);
+    isAfter(today, day);
+    day = endOfMonth(addDays(day, 1))
+  ) {
+    dates.push(toDayKey(day));
+  }
+  dates.push(toDayKey(today));
+  return dates;
+}
+
+// Assets, liabilities and net worth on each date, in one currency.
+// accounts = [{ type, currency, balances: [{ date: "yyyy-MM-dd", balance }] }] (balances oldest first)
+// On a date without a snapshot the last known balance is used (0 before the account's history starts).
+// convert(amount, currency) → amount in the chart's currency.
+// ✅ [{ date: "2025-05-31", assets: 5000, liabilities: 1200, netWorth: 3800 }, ...]
+export function getNetWorthSeries(dates, accounts, convert = (amount) => amount) {
+  const series = dates.map((date) => ({ date, assets: 0, liabilities: 0, netWorth: 0 }));
+
+  for (const account of accounts) {
+    let index = 0;
+    let balance = 0;
+
+    for (const point of series) {
+      // Move forward to the last snapshot on or before this date
+      while (index < account.balances.length && account.balances[index].date <= point.date) {
+        balance = account.balances[index].balance;
+        index++;
+      }
+
+      const value = convert(balance, account.currency);
+      if (isLiabilityAccount(account.type)) {
+        point.liabilities += value;
+      } else {
+        point.assets += value;
+      }
+    }
+  }
+
+  return series.map((point) => ({
+    date: point.date,
+    assets: roundCents(point.assets),
+    liabilities: roundCents(point.liabilities),
+    netWorth: roundCents(point.assets - point.liabilities),
+  }));
+}
+
+// 10.004999 → 10, 0.1 + 0.2 → 0.3
+const roundCents = (value) => Math.round(value * 100) / 100;
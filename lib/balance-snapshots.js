@@ -0,0 +1,120 @@
+import { db } from "@/lib/prisma";
+import { min } from "date-fns";
+import { getDailyBalances, toDayKey } from "@/lib/balance-history";
+
+// Daily balance snapshots (see the BalanceSnapshot model).
+// The history is worked out again from the transactions, so edits to old transactions
+// (or imports of old statements) are picked up by the next rebuild - but only the days
+// from the first changed one onwards are written again.
+
+// "2025-05-31" ↔ the Date stored in a @db.Date column (midnight UTC, no time zone shift)
+const toSnapshotDate = (key) => new Date(`${key}T00:00:00.000Z`);
+const fromSnapshotDate = (date) => date.toISOString().slice(0, 10);
+
+// Brings the snapshots of one account up to date, from its first transaction (or creation) to today.
+// Days before the first balance that changed are kept; that day and every later one are replaced
+// in one database transaction, so the chart never sees a half-written history.
+// ✅ { count: 2 } - number of days saved (usually yesterday's final balance + today)
+export async function rebuildBalanceSnapshots(accountId) {
+  const account = await db.account.findUnique({ where: { id: accountId } });
+  if (!account) return { count: 0 };
+
+  // Every transaction touching the account (incl. transfers INTO it), not the ones in the trash
+  const transactions = await db.transaction.findMany({
+    where: {
+      deletedAt: null,
+      OR: [{ accountId }, { destinationAccountId: accountId }],
+    },
+    include: { account: true, destinationAccount: true },
+  });
+
+  const balances = getDailyBalances({
+    balance: account.balance.toNumber(),
+    transactions: transactions.map((transaction) => ({
+      ...transaction,
+      amount: transaction.amount.toNumber(),
+      destinationAmount: transaction.destinationAmount?.toNumber() ?? null,
+    })),
+    accountId,
+    from: min([account.createdAt, ...transactions.map((t) => t.date)]),
+    to: new Date(),
+  });
+
+  // What is saved now, e.g. { "2025-05-30": 120 }
+  const saved = await db.balanceSnapshot.findMany({
+    where: { accountId },
+    select: { date: true, balance: true },
+  });
+  const savedBalances = Object.fromEntries(
+    saved.map((snapshot) => [fromSnapshotDate(snapshot.date), snapshot.balance.toNumber()])
+  );
+
+  // Snapshots from before the history starts now (e.g. the oldest transaction got a later date)
+  // are wrong too → rebuild everything. Otherwise start at the first day that changed.
+  const hasStaleStart = saved.some(
+    (snapshot) => fromSnapshotDate(snapshot.date) < (balances[0]?.date ?? "")
+  );
+  const firstChanged = hasStaleStart
+    ? 0
+    : balances.findIndex(({ date, balance }) => savedBalances[date] !== balance);
+  if (firstChanged === -1) return { count: 0 }; // Nothing changed
+
+  const changed = balances.slice(firstChanged);
+  await db.$transaction([
+    db.balanceSnapshot.deleteMany({
+      where: {
+        accountId,
+        ...(!hasStaleStart && { date: { gte: toSnapshotDate(changed[0].date) } }),
+      },
+    }),
+    db.balanceSnapshot.createMany({
+      data: changed.map(({ date, balance }) => ({
+        accountId,
+        date: toSnapshotDate(date),
+        balance,
+      })),
+    }),
+  ]);
+
+  return { count: changed.length };
+}
+
+// Snapshots of some accounts, oldest first, with today's point replaced by the live balance.
+// Accounts without any snapshot yet (e.g. created today) are backfilled first.
+// accounts = rows from db.account (balance as Decimal), from = only the days since then (optional)
+// ✅ { [accountId]: [{ date: "2025-05-30", balance: 120 }, { date: "2025-05-31", balance: 100 }] }
+export async function getBalanceSnapshots(accounts, from = null) {
+  const ids = accounts.map((account) => account.id);
+
+  const counts = await db.balanceSnapshot.groupBy({
+    by: ["accountId"],
+    where: { accountId: { in: ids } },
+    _count: true,
+  });
+  const withHistory = new Set(counts.map((count) => count.accountId));
+  for (const id of ids.filter((id) => !withHistory.has(id))) {
+    await rebuildBalanceSnapshots(id);
+  }
+
+  const snapshots = await db.balanceSnapshot.findMany({
+    where: {
+      accountId: { in: ids },
+      ...(from && { date: { gte: toSnapshotDate(toDayKey(from)) } }),
+    },
+    orderBy: { date: "asc" },
+  });
+
+  const today = toDayKey(new Date());
+  const history = Object.fromEntries(ids.map((id) => [id, []]));
+  for (const snapshot of snapshots) {
+    const date = fromSnapshotDate(snapshot.date);
+    if (date < today) {
+      history[snapshot.accountId].push({ date, balance: snapshot.balance.toNumber() });
+    }
+  }
+  for (const account of accounts) {
+    history[account.id].push({ date: today, balance: account.balance.toNumber() });
+  }
+
+  return history;
+}
@@ -0,0 +1,78 @@
+import { isLiabilityAccount } from "@/data/account-types";
+
+// How much an account's balance should move because of one transaction.
+// ✅ Example (amount = 100):
+//    CURRENT + EXPENSE      → -100 (money left the account)
+//    CURRENT + INCOME       → +100 (money came in)
+//    CREDIT_CARD + EXPENSE  → +100 (we owe 100 more)
+//    CREDIT_CARD + INCOME   → -100 (we paid 100 off the card)
+export function getBalanceChange(accountType, transactionType, amount) {
+  const value = typeof amount === "number" ? amount : Number(amount);
+  const change = transactionType === "EXPENSE" ? -value : value;
+
+  // For liabilities the balance is the debt, so the sign flips
+  return isLiabilityAccount(accountType) ? -change : change;
+}
+
+// Splits accounts into what we own (assets) and what we owe (liabilities).
+// Balances must already be plain numbers (serialized).
+export function getNetWorthTotals(accounts = []) {
+  return accounts.reduce(
+    (totals, account) => {
+      if (isLiabilityAccount(account.type)) {
+        totals.liabilities += account.balance;
+      } else {
+        totals.assets += account.balance;
+      }
+      totals.netWorth = totals.assets - totals.liabilities;
+      return totals;
+    },
+    { assets: 0, liabilities: 0, netWorth: 0 }
+  );
+}
+
+// How much EACH account touched by a transaction should move.
+// Returns an object like { [accountId]: change }.
+// ✅ Normal income/expense → only its own account changes.
+// ✅ TRANSFER → money leaves the source account (like an expense)
+//    and arrives in the destination account (like an income).
+//    Example: 200 from Current → Credit Card
+//    → { current: -200, creditCard: -200 } (card debt goes down by 200)
+// transaction needs: type, amount, account (with type) and destinationAccount for transfers.
+// If the two accounts use different currencies, destinationAmount is what arrived
+// (already converted into the destination account's currency).
+export function getBalanceChanges(transaction) {
+  const { type, amount, account, destinationAccount, destinationAmount } =
+    transaction;
+
+  if (type === "TRANSFER") {
+    const changes = {};
+    addBalanceChanges(changes, {
+      [account.id]: getBalanceChange(account.type, "EXPENSE", amount),
+    });
+    addBalanceChanges(changes, {
+      [destinationAccount.id]: getBalanceChange(
+        destinationAccount.type,
+        "INCOME",
+        destinationAmount ?? amount
+      ),
+    });
+    return changes;
+  }
+
+  return { [account.id]: getBalanceChange(account.type, type, amount) };
+}
+
+// How much one transaction moved ONE account's balance (0 if it didn't touch that account).
+// Incoming transfers count too. Used for reconciling and for the balance history.
+export const getAccountEffect = (transaction, accountId) =>
+  getBalanceChanges(transaction)[accountId] ?? 0;
+
+// Adds one { [accountId]: change } object into a running total.
+// Pass sign = -1 to REVERSE the changes (used when deleting or editing a transaction).
+export function addBalanceChanges(totals, changes, sign = 1) {
+  for (const [accountId, change] of Object.entries(changes)) {
+    totals[accountId] = (totals[accountId] || 0) + sign * change;
+  }
+  return totals;
+}
@@ -0,0 +1,108 @@
+import { db } from "@/lib/prisma";
+import { convertAmount, getRateWarnings } from "@/lib/currency";
+import { getRateMap } from "@/lib/exchange-rates";
+import { getCategoryAmounts } from "@/lib/splits";
+import { expandCategoryIds } from "@/lib/category-tree";
+
+// Adds up this month's expenses of one account, in the user's base currency.
+// ✅ Returns: { total: 850, byCategory: { groceries: 600, dining: 250 }, rateWarnings: [] }
+// Split transactions add each line to its own category.
+export async function getMonthlyExpenses({
+  userId,
+  accountId,
+  currency,
+  baseCurrency,
+  month = new Date(),
+}) {
+  const startOfMonth = new Date(month.getFullYear(), month.getMonth(), 1);
+  const endOfMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+
+  const transactions = await db.transaction.findMany({
+    where: {
+      userId,
+      accountId,
+      type: "EXPENSE",
+      deletedAt: null,
+      date: {
+        gte: startOfMonth,
+        lte: endOfMonth,
+      },
+    },
+    include: { splits: true },
+  });
+
+  // 💱 Budgets are in the base currency, the account may use another one
+  const rateMap = await getRateMap();
+
+  const expenses = transactions.reduce(
+    (expenses, transaction) => {
+      for (const line of getCategoryAmounts(transaction)) {
+        const amount = convertAmount(line.amount, currency, baseCurrency, rateMap);
+        expenses.total += amount;
+        expenses.byCategory[line.category] =
+          (expenses.byCategory[line.category] || 0) + amount;
+      }
+      return expenses;
+    },
+    { total: 0, byCategory: {} }
+  );
+
+  return { ...expenses, rateWarnings: getRateWarnings(rateMap) };
+}
+
+// Category of the overall monthly budget (not null, so the (userId, category) unique key covers it)
+export const OVERALL_BUDGET = "";
+
+// Spending of one budget category - a parent category includes its sub-categories
+// ("food" budget = groceries + dining + coffee)
+export function getCategorySpent(expenses, category, categories = []) {
+  return expandCategoryIds(categories, [category]).reduce(
+    (sum, id) => sum + (expenses.byCategory[id] || 0),
+    0
+  );
+}
+
+// Puts budgets and expenses side by side for the progress bars and alerts.
+// budgets = Budget rows with plain number amounts (category "" = overall budget)
+// userCategories = the user's categories (budgets on a parent category roll up its sub-categories)
+// ✅ Returns:
+//    overall    → { amount, spent, isCalculated } or null if nothing is set
+//                 (isCalculated = no overall budget saved, so it is the sum of the category budgets,
+//                  and spent only counts those categories - not the ones without a budget)
+//    categories → [{ id, category, amount, spent }]
+export function getBudgetSummary(budgets, expenses, userCategories = []) {
+  const overallBudget = budgets.find((budget) => !budget.category);
+  const categories = budgets
+    .filter((budget) => budget.category)
+    .map((budget) => ({
+      id: budget.id,
+      category: budget.category,
+      amount: budget.amount,
+      spent: getCategorySpent(expenses, budget.category, userCategories),
+    }));
+
+  let overall = null;
+  if (overallBudget) {
+    overall = {
+      id: overallBudget.id,
+      amount: overallBudget.amount,
+      spent: expenses.total,
+      isCalculated: false,
+    };
+  } else if (categories.length > 0) {
+    // Each budgeted category (with its sub-categories) counted once, even if a parent and
+    // one of its sub-categories both have a budget
+    const budgetedIds = expandCategoryIds(
+      userCategories,
+      categories.map((budget) => budget.category)
+    );
+    overall = {
+      id: null,
+      amount: categories.reduce((sum, budget) => sum + budget.amount, 0),
+      spent: budgetedIds.reduce((sum, id) => sum + (expenses.byCategory[id] || 0), 0),
+      isCalculated: true,
+    };
+  }
+
+  return { overall, categories };
+}
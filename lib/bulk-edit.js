@@ -0,0 +1,72 @@
+import { normalizeTags } from "@/lib/tags";
+
+// Works out what a bulk edit changes on ONE of the selected transactions.
+// changes = parsed bulkEditSchema data: { category, accountId, date, recurring, addTags, removeTags }
+// transaction = the saved transaction with its account (+ splits)
+// categories / accounts = the user's categories and accounts
+// ✅ Returns { data, skipped }
+//    data    = fields for prisma's update, e.g. { category: "dining", tags: ["wedding"] }
+//    skipped = changes that don't fit this transaction, e.g. ["category"]
+//      - category: not for transfers / split transactions, and only a category of the same type
+//      - account: only to an account in the same currency (the amount would mean something else),
+//                 and a transfer can't be moved into the account it goes to
+//      - account / date: not for reconciled transactions (transaction.isReconciled - they are locked)
+// Pure function - the server action loads the data and saves the result.
+export function getBulkEditChanges(transaction, changes, { categories, accounts }) {
+  const data = {};
+  const skipped = [];
+
+  if (changes.category && changes.category !== transaction.category) {
+    const category = categories.find((c) => c.id === changes.category);
+    if (
+      transaction.type === "TRANSFER" ||
+      transaction.splits?.length > 0 ||
+      category?.type !== transaction.type
+    ) {
+      skipped.push("category");
+    } else {
+      data.category = category.id;
+    }
+  }
+
+  if (changes.accountId && changes.accountId !== transaction.accountId) {
+    const account = accounts.find((a) => a.id === changes.accountId);
+    if (
+      transaction.isReconciled ||
+      !account ||
+      account.currency !== transaction.account.currency ||
+      account.id === transaction.destinationAccountId
+    ) {
+      skipped.push("account");
+    } else {
+      data.accountId = account.id;
+    }
+  }
+
+  if (changes.date) {
+    if (transaction.isReconciled) skipped.push("date");
+    else data.date = changes.date;
+  }
+
+  if (changes.recurring === "off") {
+    data.isRecurring = false;
+    data.recurringInterval = null;
+  } else if (changes.recurring && changes.recurring !== "keep") {
+    data.isRecurring = true;
+    data.recurringInterval = changes.recurring; // "MONTHLY"
+    // A plain "every month" - drops bi-weekly / weekday / last-day settings (the end stays)
+    data.recurringEvery = 1;
+    data.recurringWeekdays = [];
+    data.recurringMonthDay = "SAME_DAY";
+  }
+
+  if (changes.addTags?.length > 0 || changes.removeTags?.length > 0) {
+    const removeTags = normalizeTags(changes.removeTags);
+    const tags = normalizeTags([...transaction.tags, ...(changes.addTags ?? [])]).filter(
+      (tag) => !removeTags.includes(tag)
+    );
+    if (tags.join() !== transaction.tags.join()) data.tags = tags;
+  }
+
+  return { data, skipped };
+}
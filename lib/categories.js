@@ -0,0 +1,30 @@
+import { db } from "@/lib/prisma";
+import { defaultCategories } from "@/data/categories";
+
+// A user's categories, archived ones included (server only).
+// The first time, the default categories (data/categories.js) are copied to the user,
+// keeping their ids ("groceries", "salary"...) so existing transactions still match.
+export async function getUserCategories(userId) {
+  const findCategories = () =>
+    db.category.findMany({
+      where: { userId },
+      orderBy: [{ type: "asc" }, { name: "asc" }],
+    });
+
+  const categories = await findCategories();
+  if (categories.length > 0) return categories;
+
+  await db.category.createMany({
+    data: defaultCategories.map(({ id, name, type, color, icon }) => ({
+      id,
+      name,
+      type,
+      color,
+      icon,
+      userId,
+    })),
+    skipDuplicates: true, // Two requests seeding at the same time
+  });
+
+  return findCategories();
+}
@@ -0,0 +1,79 @@
+// Categories can have one level of sub-categories, e.g. Food → Groceries / Dining / Coffee.
+// Transactions are assigned to a leaf (a category without sub-categories);
+// reports can roll the amounts up to the parent.
+// categories = the user's categories ({ id, name, parentId, isArchived, ... })
+
+// Sub-categories of a category (archived ones too)
+export const getChildCategories = (categories, parentId) =>
+  categories.filter((category) => category.parentId === parentId);
+
+// Categories a transaction can be assigned to: no (active) sub-categories.
+// A parent whose sub-categories are all archived can be picked again.
+export const getLeafCategories = (categories) =>
+  categories.filter(
+    (category) =>
+      !categories.some(
+        (child) => child.parentId === category.id && !child.isArchived
+      )
+  );
+
+// "groceries" → "food" (its parent), "salary" → "salary" (top-level category)
+export const getRollupCategoryId = (categories, id) =>
+  categories.find((category) => category.id === id)?.parentId ?? id;
+
+// "groceries" → "Food › Groceries", "salary" → "Salary"
+export function getCategoryLabel(categories, id) {
+  const category = categories.find((c) => c.id === id);
+  if (!category) return id;
+
+  const parent = categories.find((c) => c.id === category.parentId);
+  return parent ? `${parent.name} › ${category.name}` : category.name;
+}
+
+// { groceries: 120, dining: 40, rent: 900 } → { food: 160, housing: 900 }
+export function rollUpAmounts(amounts, categories) {
+  return Object.entries(amounts).reduce((acc, [id, amount]) => {
+    const parentId = getRollupCategoryId(categories, id);
+    acc[parentId] = (acc[parentId] || 0) + amount;
+    return acc;
+  }, {});
+}
+
+// Only the amounts of one parent: its sub-categories (+ the parent itself,
+// for transactions booked on it before it got sub-categories)
+// { groceries: 120, dining: 40, rent: 900 }, "food" → { groceries: 120, dining: 40 }
+export function getChildAmounts(amounts, categories, parentId) {
+  return Object.fromEntries(
+    Object.entries(amounts).filter(
+      ([id]) =>
+        id === parentId ||
+        categories.find((category) => category.id === id)?.parentId === parentId
+    )
+  );
+}
+
+// Filtering by a parent also finds its sub-categories: ["food"] → ["food", "groceries", "dining"]
+export function expandCategoryIds(categories, ids) {
+  return [
+    ...new Set([
+      ...ids,
+      ...categories
+        .filter((category) => ids.includes(category.parentId))
+        .map((category) => category.id),
+    ]),
+  ];
+}
+
+// Parents followed by their sub-categories (for lists and pickers)
+// [groceries, food, salary] → [food, groceries, salary]
+export function sortCategoryTree(categories) {
+  const ids = new Set(categories.map((category) => category.id));
+  const topLevel = categories.filter(
+    (category) => !category.parentId || !ids.has(category.parentId)
+  );
+
+  return topLevel.flatMap((category) => [
+    category,
+    ...getChildCategories(categories, category.id),
+  ]);
+}
@@ -0,0 +1,144 @@
+import { format } from "date-fns";
+import { DEFAULT_CURRENCY } from "@/data/currencies";
+
+// Shows an amount with its currency sign, e.g. formatCurrency(12.5, "EUR") → "€12.50"
+export function formatCurrency(amount, currency = DEFAULT_CURRENCY) {
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency,
+  }).format(amount || 0);
+}
+
+// Turns exchange rate rows into a quick lookup:
+// [{ fromCurrency: "EUR", toCurrency: "USD", rate: 1.08, date }] → { rates: { "EUR:USD": 1.08 }, ... }
+// For every pair, the newest rate on or before "asOf" is used. A pair that only has
+// newer rates (e.g. a report for a month before the first loaded rate) uses the
+// nearest one after "asOf" instead, and is marked as approximate.
+// convertAmount() notes the approximate and missing rates it ran into → getRateWarnings().
+export function buildRateMap(rates = [], asOf = new Date()) {
+  const rateMap = { rates: {}, dates: {}, approximate: new Set(), missing: new Set(), used: new Set() };
+
+  for (const rate of rates) {
+    const key = `${rate.fromCurrency}:${rate.toCurrency}`;
+    const date = new Date(rate.date);
+    const current = rateMap.dates[key];
+
+    const isValid = date <= asOf;
+    const isBetter =
+      current === undefined ||
+      (isValid
+        ? current > asOf || date > current // Newest valid rate wins
+        : current > asOf && date < current); // No valid rate yet → nearest newer one
+
+    if (isBetter) {
+      rateMap.rates[key] = Number(rate.rate);
+      rateMap.dates[key] = date;
+      if (isValid) rateMap.approximate.delete(key);
+      else rateMap.approximate.add(key);
+    }
+  }
+
+  return rateMap;
+}
+
+// Finds how many "to" units one "from" unit is worth, and the rate pairs it used.
+// Tries the direct rate, then the reverse rate (1 / rate),
+// then goes through USD (e.g. PKR → USD → EUR) when only USD rates are loaded.
+// ✅ { rate: 1.08, pairs: ["EUR:USD"] } or null
+function findRate(from, to, rateMap) {
+  const { rates } = rateMap;
+  if (from === to) return { rate: 1, pairs: [] };
+  if (rates[`${from}:${to}`]) {
+    return { rate: rates[`${from}:${to}`], pairs: [`${from}:${to}`] };
+  }
+  if (rates[`${to}:${from}`]) {
+    return { rate: 1 / rates[`${to}:${from}`], pairs: [`${to}:${from}`] };
+  }
+
+  if (from !== "USD" && to !== "USD") {
+    const toUsd = findRate(from, "USD", rateMap);
+    const fromUsd = findRate("USD", to, rateMap);
+    if (toUsd && fromUsd) {
+      return { rate: toUsd.rate * fromUsd.rate, pairs: [...toUsd.pairs, ...fromUsd.pairs] };
+    }
+  }
+
+  return null;
+}
+
+// Converts an amount between currencies using a rate map from buildRateMap().
+// Without any rate for the pair the amount is counted 1:1, so one missing rate doesn't
+// break a whole page or report - the pair is noted and shown by getRateWarnings().
+export function convertAmount(amount, from, to, rateMap = buildRateMap()) {
+  const fromCurrency = from || DEFAULT_CURRENCY;
+  const toCurrency = to || DEFAULT_CURRENCY;
+  const found = findRate(fromCurrency, toCurrency, rateMap);
+
+  if (!found) {
+    rateMap.missing.add(`${fromCurrency}:${toCurrency}`);
+    return amount;
+  }
+
+  found.pairs.forEach((pair) => rateMap.used.add(pair));
+  return amount * found.rate;
+}
+
+// Whether a rate for the pair is loaded (directly, reversed or through USD)
+export const hasRate = (from, to, rateMap) =>
+  findRate(from || DEFAULT_CURRENCY, to || DEFAULT_CURRENCY, rateMap) !== null;
+
+// Messages for the rates convertAmount() had to guess, to show next to the totals
+// ✅ ["No exchange rate for PKR → USD - counted 1:1",
+//     "EUR → USD: no rate for this date yet, used the one of Oct 1, 2026"]
+export function getRateWarnings(rateMap) {
+  const missing = [...rateMap.missing].map((pair) => {
+    const [from, to] = pair.split(":");
+    return `No exchange rate for ${from} → ${to} - counted 1:1`;
+  });
+  const approximate = [...rateMap.used]
+    .filter((pair) => rateMap.approximate.has(pair))
+    .map((pair) => {
+      const [from, to] = pair.split(":");
+      return `${from} → ${to}: no rate for this date yet, used the one of ${format(rateMap.dates[pair], "PP")}`;
+    });
+
+  return [...missing, ...approximate];
+}
+
+// Reads exchange rates from CSV text.
+// Expected header: date,from,to,rate
+// Example row:     2026-10-01,EUR,USD,1.08   (1 EUR = 1.08 USD)
+export function parseExchangeRatesCsv(text) {
+  const [headerLine, ...lines] = text.trim().split(/\r?\n/);
+  const header = headerLine
+    .split(",")
+    .map((column) => column.trim().toLowerCase());
+
+  const dateIndex = header.indexOf("date");
+  const fromIndex = header.indexOf("from");
+  const toIndex = header.indexOf("to");
+  const rateIndex = header.indexOf("rate");
+
+  if ([dateIndex, fromIndex, toIndex, rateIndex].includes(-1)) {
+    throw new Error("CSV must have the columns: date, from, to, rate");
+  }
+
+  return lines
+    .filter((line) => line.trim() !== "") // skip empty lines
+    .map((line, index) => {
+      const columns = line.split(",").map((column) => column.trim());
+      const row = {
+        date: new Date(columns[dateIndex]),
+        fromCurrency: columns[fromIndex].toUpperCase(),
+        toCurrency: columns[toIndex].toUpperCase(),
+        rate: parseFloat(columns[rateIndex]),
+      };
+
+      // +2 because line 1 is the header and index starts from 0
+      if (isNaN(row.date.getTime()) || isNaN(row.rate) || row.rate <= 0) {
+        throw new Error(`Invalid exchange rate on line ${index + 2}`);
+      }
+
+      return row;
+    });
+}
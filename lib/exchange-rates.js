@@ -0,0 +1,40 @@
+import { db } from "@/lib/prisma";
+import { buildRateMap, parseExchangeRatesCsv } from "@/lib/currency";
+
+// Loads the exchange rates and returns the lookup for convertAmount().
+// For every currency pair, the newest rate on or before "asOf" (today by default) is used -
+// or the nearest newer one when there is none that old (shown as a warning, see getRateWarnings()).
+export async function getRateMap(asOf = new Date()) {
+  const rates = await db.exchangeRate.findMany({
+    orderBy: { date: "desc" },
+  });
+
+  return buildRateMap(rates, asOf);
+}
+
+// 📥 Loads exchange rates from CSV text (date,from,to,rate) into the exchange_rates table.
+// Running it again with the same rows just updates them (upsert), so it is safe to re-run.
+// ⚠️ The rates are shared by every user - only call this from the admin route (app/api/exchange-rates),
+// never from a server action.
+export async function importExchangeRates(csvText) {
+  const rates = parseExchangeRatesCsv(csvText);
+
+  // All rows are saved together - if one fails, none are saved
+  await db.$transaction(
+    rates.map((rate) =>
+      db.exchangeRate.upsert({
+        where: {
+          fromCurrency_toCurrency_date: {
+            fromCurrency: rate.fromCurrency,
+            toCurrency: rate.toCurrency,
+            date: rate.date,
+          },
+        },
+        update: { rate: rate.rate },
+        create: rate,
+      })
+    )
+  );
+
+  return rates.length;
+}
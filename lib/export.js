@@ -0,0 +1,96 @@
+import { format } from "date-fns";
+import { defaultCategories, getCategoryName } from "@/data/categories";
+import { createXlsx } from "@/lib/xlsx";
+import { describeRecurrence, getRecurrenceRule } from "@/lib/recurrence";
+
+// Exports transactions as CSV, JSON or Excel (runs in the browser - starts a download).
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv;charset=utf-8" },
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+  xlsx: {
+    label: "Excel",
+    extension: "xlsx",
+    mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+};
+
+// One flat row per transaction, with names instead of ids, for people working in a spreadsheet.
+// defaults = { accountName, currency } for transactions loaded without their account (account page)
+//            + { categories } = the user's categories, for the names of their own categories
+export function toExportRows(transactions, defaults = {}) {
+  const categories = defaults.categories ?? defaultCategories;
+  const categoryName = (id) => getCategoryName(categories, id); // "groceries" → "Groceries"
+
+  return transactions.map((transaction) => ({
+    Date: format(new Date(transaction.date), "yyyy-MM-dd"),
+    Description: transaction.description ?? "",
+    Type: transaction.type,
+    Amount: transaction.amount,
+    Currency: transaction.account?.currency ?? transaction.currency ?? defaults.currency ?? "",
+    Account: transaction.account?.name ?? defaults.accountName ?? "",
+    "To Account": transaction.destinationAccount?.name ?? "",
+    // Split transactions list every line, e.g. "Groceries: 40; Household: 20"
+    Category:
+      transaction.splits?.length > 0
+        ? transaction.splits
+            .map((split) => `${categoryName(split.category)}: ${split.amount}`)
+            .join("; ")
+        : categoryName(transaction.category),
+    Tags: (transaction.tags ?? []).join(", "),
+    Recurring: transaction.isRecurring
+      ? describeRecurrence(getRecurrenceRule(transaction)) // e.g. "Every 2 weeks on Mon, Thu"
+      : "No",
+    "Next Recurring Date": transaction.nextRecurringDate
+      ? format(new Date(transaction.nextRecurringDate), "yyyy-MM-dd")
+      : "",
+    Status: transaction.status ?? "",
+  }));
+}
+
+// "Coffee, milk" → "\"Coffee, milk\"" (quotes only when needed)
+// Text starting with = + - @ (or a tab / line break) would run as a formula in Excel or Sheets
+// ("=HYPERLINK(...)" in a description) → a leading ' keeps it plain text. Numbers stay as they are.
+const csvCell = (value) => {
+  let text = String(value ?? "");
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Builds the file content for a format from export rows
+function buildFile(rows, exportFormat) {
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+
+  switch (exportFormat) {
+    case "csv":
+      return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((cells) => cells.map(csvCell).join(","))
+        .join("\r\n");
+    case "json":
+      return JSON.stringify(rows, null, 2);
+    case "xlsx":
+      return createXlsx(
+        [columns, ...rows.map((row) => columns.map((column) => row[column]))],
+        "Transactions"
+      );
+    default:
+      throw new Error(`Unknown export format: ${exportFormat}`);
+  }
+}
+
+// Turns transactions into a file and downloads it, e.g. "transactions-2025-05-31.csv"
+export function downloadTransactions(transactions, exportFormat, options = {}) {
+  const { filename = "transactions", ...defaults } = options;
+  const { extension, mimeType } = EXPORT_FORMATS[exportFormat];
+
+  const content = buildFile(toExportRows(transactions, defaults), exportFormat);
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${filename}-${format(new Date(), "yyyy-MM-dd")}.${extension}`;
+  link.click();
+  // Revoking right away can cancel the download in some browsers → free the file a bit later
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
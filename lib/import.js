@@ -0,0 +1,155 @@
+import { format, parse, isValid } from "date-fns";
+import { categoryKeywords } from "@/data/categories";
+import { getLeafCategories } from "@/lib/category-tree";
+
+// Helpers for importing bank statements.
+// Used in the browser (preview) and on the server (saving), so nothing here touches the DB.
+
+// Date formats banks commonly use in their CSV exports
+export const DATE_FORMATS = {
+  "yyyy-MM-dd": "YYYY-MM-DD (2025-05-31)",
+  "MM/dd/yyyy": "MM/DD/YYYY (05/31/2025)",
+  "dd/MM/yyyy": "DD/MM/YYYY (31/05/2025)",
+  "dd.MM.yyyy": "DD.MM.YYYY (31.05.2025)",
+};
+
+// Splits CSV text into rows of cells.
+// Handles quoted cells with commas, "" (escaped quote) and line breaks inside quotes.
+// ✅ 'Date,Description\n2025-05-31,"Coffee, milk"' → [["Date", "Description"], ["2025-05-31", "Coffee, milk"]]
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'; // "" inside quotes = one quote character
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++; // \r\n line ending
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  // Last line (files often don't end with a line break)
+  if (cell !== "" || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  // Skip empty lines
+  return rows.filter((cells) => cells.some((value) => value !== ""));
+}
+
+// Guesses which column holds what, from the header names.
+// ✅ ["Posting Date", "Details", "Debit", "Credit"] → { date: 0, description: 1, amount: -1, debit: 2, credit: 3 }
+// -1 = not found, the user picks it in the mapping step
+export function guessColumnMapping(headers) {
+  const find = (words) =>
+    headers.findIndex((header) =>
+      words.some((word) => header.toLowerCase().includes(word))
+    );
+
+  return {
+    date: find(["date"]),
+    description: find(["description", "details", "narration", "memo", "payee"]),
+    amount: find(["amount"]),
+    debit: find(["debit", "withdrawal", "money out"]),
+    credit: find(["credit", "deposit", "money in"]),
+  };
+}
+
+// Turns a bank amount into a number.
+// ✅ "$1,234.50" → 1234.5 | "(12.00)" → -12 | "-8.99" → -8.99 | "" → null
+export function parseAmount(value) {
+  if (value === undefined || value === null || value.trim() === "") return null;
+
+  const isNegative = /^\(.*\)$/.test(value.trim()) || value.includes("-");
+  const number = parseFloat(value.replace(/[^0-9.]/g, ""));
+  if (isNaN(number)) return null;
+
+  return isNegative ? -number : number;
+}
+
+// Suggests a category for an imported transaction from its description.
+// Only the user's active leaf categories of that type can be suggested (the ones the
+// import accepts), matched on their keywords and name.
+// ✅ ("WALMART SUPERCENTER #123", "EXPENSE", categories) → "groceries"
+//    "" when nothing matches → the user picks one in the preview
+export function suggestCategory(description, type, categories = []) {
+  const text = (description ?? "").toLowerCase();
+  const candidates = getLeafCategories(categories).filter(
+    (category) => category.type === type && !category.isArchived
+  );
+
+  const match = candidates.find((category) =>
+    [...(categoryKeywords[category.id] ?? []), category.name].some((word) =>
+      text.includes(word.toLowerCase())
+    )
+  );
+
+  return match?.id ?? "";
+}
+
+// Turns CSV rows into transactions using the column mapping chosen by the user.
+// mapping = { date, description, amount, debit, credit, dateFormat } (column indexes, -1 = not used)
+// Either "amount" (negative = money out) or "debit"/"credit" columns are used.
+// ✅ Returns [{ row, date, description, amount, type, error }] (the category is suggested in the preview)
+//    error is set (and the row can't be imported) when the date or amount can't be read
+export function mapCsvRows(rows, mapping) {
+  return rows.map((cells, index) => {
+    const description = mapping.description >= 0 ? cells[mapping.description] : "";
+    const date = parse(cells[mapping.date] ?? "", mapping.dateFormat, new Date());
+
+    let amount = null;
+    if (mapping.amount >= 0) {
+      amount = parseAmount(cells[mapping.amount]);
+    } else {
+      const debit = parseAmount(cells[mapping.debit]);
+      const credit = parseAmount(cells[mapping.credit]);
+      // Debit = money out, credit = money in
+      if (debit) amount = -Math.abs(debit);
+      else if (credit) amount = Math.abs(credit);
+    }
+
+    const type = amount < 0 ? "EXPENSE" : "INCOME";
+    let error = null;
+    if (!isValid(date)) error = "Invalid date";
+    else if (!amount) error = "Invalid amount";
+
+    return {
+      row: index + 1,
+      date: isValid(date) ? date : null,
+      description,
+      amount: amount ? Math.abs(amount) : 0,
+      type,
+      error,
+    };
+  });
+}
+
+// Two transactions are likely the same if they happened on the same day
+// with the same type and amount (compared in cents).
+export function getDuplicateKey({ date, type, amount }) {
+  const day = format(new Date(date), "yyyy-MM-dd");
+  return `${day}:${type}:${Math.round(Number(amount) * 100)}`;
+}
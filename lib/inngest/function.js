@@ -4,6 +4,25 @@ import { db } from "@/lib/prisma";
 import EmailTemplate from "@/emails/template";
 import { sendEmail } from "@/actions/send-email";           // Function to send email
 import { GoogleGenerativeAI } from "@google/generative-ai"; // Google Generative AI SDK
+import { getBalanceChanges } from "@/lib/balance";          // +/- balance change per account (credit cards / loans, transfers)
+import { convertAmount, formatCurrency, getRateWarnings } from "@/lib/currency"; // Multi-currency totals
+import { getRateMap } from "@/lib/exchange-rates";          // Exchange rates from the DB
+import { getCategoryAmounts } from "@/lib/splits";          // Category lines of (split) transactions
+import { getCategorySpent, getMonthlyExpenses } from "@/lib/budget"; // This month's expenses per category (budgets)
+import { getPurgeCutoff } from "@/lib/trash";             // Transactions deleted before this date leave the trash
+import { getUserCategories } from "@/lib/categories";      // The user's own categories (names)
+import { getCategoryName } from "@/data/categories";
+import { getRollupCategoryId } from "@/lib/category-tree"; // Sub-category → parent (report roll-up)
+import { getTransactionSnapshot } from "@/lib/audit";     // Audit log snapshots
+import { recordAudit } from "@/lib/audit-log";           // Append-only audit log (actorId null = this job)
+import { rebuildBalanceSnapshots } from "@/lib/balance-snapshots"; // Daily balance history per account
+import {
+  getMissedOccurrences,
+  getOccurrenceValues,
+  getRecurrenceRule,
+  isSeriesFinished,
+} from "@/lib/recurrence";                                 // Recurring schedules (every N weeks, end date, count...)
+import { differenceInCalendarDays } from "date-fns";
 
 /* 
 ---------------------------------------------
@@ -38,10 +57,11 @@ What it does: Checks if the transaction is missing or already processed.
 Why: Prevents duplicate charges.
 
 6️⃣ Charge the User
-What it does: Actually charges the user's payment method.
+What it does: Creates one transaction for EVERY missed date (each with its own historical date).
+Why: If the cron didn't run for a week, a daily subscription still gets all 7 charges.
 
 7️⃣ Return Result
-What it does: Returns a success response with the charge result.
+What it does: Returns how many transactions were generated, e.g. { generated: 7 }.
 
 A recurring transaction is a transaction that happens again and again at regular intervals automatically, for example:
 💳 Netflix subscription every month
@@ -93,6 +113,9 @@ It ensures the function only runs a limited number of times (e.g., 10 times per
 preventing unnecessary processing and reducing load on the system. 🚀
 ---------------------------------------------
 */
+// Missed occurrences created per run (a long outage is caught up over several runs)
+const MAX_OCCURRENCES_PER_RUN = 100;
+
 export const processRecurringTransaction = inngest.createFunction(
   {
     id: "process-recurring-transaction",
@@ -120,65 +143,146 @@ export const processRecurringTransaction = inngest.createFunction(
     }
 
     // Step to process transaction
-    await step.run("process-transaction", async () => {
+    const result = await step.run("process-transaction", async () => {
         // Find the transaction and include account info
       const transaction = await db.transaction.findUnique({
         where: {
           id: event.data.transactionId,
           userId: event.data.userId,
+          deletedAt: null, // Deleted after the event was sent → nothing to do
         },
         include: {
           account: true,    //  🔍 Why use include?
         //   When you write include: { account: true }, it means:
         //   👉 "Also bring the related account details with this transaction."
+          destinationAccount: true, // Receiving account for recurring transfers (e.g. monthly savings)
+          splits: true, // Category lines to copy if the transaction is split
         },
       });
 
       // If transaction not found or not due, skip
-      if (!transaction || !isTransactionDue(transaction)) return;
+      if (!transaction || !isTransactionDue(transaction)) return { generated: 0, stillDue: false };
+
+      // 📅 Every occurrence that should exist by now, each with its own (historical) date.
+      // If the cron didn't run for a week, a daily subscription gets all 7 charges, not just one.
+      const rule = getRecurrenceRule(transaction);
+      const { dates, nextRecurringDate } = getMissedOccurrences(
+        rule,
+        transaction.nextRecurringDate,
+        new Date(),
+        MAX_OCCURRENCES_PER_RUN
+      );
+
+      // ✏️ Amount / category changed "for future occurrences only" (older ones stay as they were)
+      const values = getOccurrenceValues({
+        ...transaction,
+        amount: transaction.amount.toNumber(),
+        destinationAmount: transaction.destinationAmount?.toNumber() ?? null,
+        recurringAmount: transaction.recurringAmount?.toNumber() ?? null,
+      });
 
-      // Create new transaction and update account balance in a transaction
-      await db.$transaction(async (tx) => {
-        // Create new transaction - // Run DB transaction for atomicity
-        await tx.transaction.create({
+      // Create the new transactions and update account balances in a transaction
+      return await db.$transaction(async (tx) => {
+        // 🔐 Claim these occurrences: only works if nobody moved nextRecurringDate since we read it.
+        // A second run for the same series (duplicate event, retry) waits here and then finds 0 rows.
+        // Update last processed date and next recurring date (null = the series has ended)
+        const claimed = await tx.transaction.updateMany({
+          where: { id: transaction.id, nextRecurringDate: transaction.nextRecurringDate },
           data: {
+            lastProcessed: new Date(),
+            nextRecurringDate,
+          },
+        });
+        if (claimed.count === 0) return { generated: 0, stillDue: false };
+
+        // Create the new transactions - one per missed date.
+        // skipDuplicates: an occurrence that already exists (same series + date) is not created twice.
+        const created = await tx.transaction.createManyAndReturn({
+          data: dates.map((date) => ({
             type: transaction.type,
-            amount: transaction.amount,
+            amount: values.amount,
             description: `${transaction.description} (Recurring)`,
-            date: new Date(),
-            category: transaction.category,
+            date,
+            category: values.category,
+            tags: transaction.tags, // Same tags, e.g. a monthly "reimbursable" phone bill
             userId: transaction.userId,
             accountId: transaction.accountId,
+            destinationAccountId: transaction.destinationAccountId,
+            destinationAmount: values.destinationAmount,
             isRecurring: false,
-          },
-        });
-
-        // Update account balance - // Calculate balance change
-        const balanceChange =
-          transaction.type === "EXPENSE"
-            ? -transaction.amount.toNumber()
-            : transaction.amount.toNumber();
-
-            // Update the account balance
-        await tx.account.update({
-          where: { id: transaction.accountId },
-          data: { balance: { increment: balanceChange } },
+            recurringSourceId: transaction.id, // Which series created it
+          })),
+          skipDuplicates: true,
         });
 
-        // Update last processed date and next recurring date
-        // Update recurring transaction metadata
+        // Count only the occurrences really created (not the skipped duplicates),
+        // so a series with "stop after N times" doesn't end early
         await tx.transaction.update({
           where: { id: transaction.id },
-          data: {
-            lastProcessed: new Date(),
-            nextRecurringDate: calculateNextRecurringDate(
-              new Date(),
-              transaction.recurringInterval
-            ),
-          },
+          data: { recurringCount: { increment: created.length } },
+        });
+
+        // Same category split as the original (e.g. groceries + household)
+        const splits = created.flatMap((occurrence) =>
+          values.splits.map(({ category, amount }) => ({
+            transactionId: occurrence.id,
+            category,
+            amount,
+          }))
+        );
+        if (splits.length > 0) {
+          await tx.transactionSplit.createMany({ data: splits });
+        }
+
+        // 📜 Audit log entries - no actor, the recurring job made them
+        await recordAudit(
+          tx,
+          created.map((occurrence) => ({
+            userId: transaction.userId,
+            entityType: "TRANSACTION",
+            entityId: occurrence.id,
+            action: "CREATE",
+            source: "RECURRING",
+            after: getTransactionSnapshot({ ...occurrence, splits: values.splits }),
+          }))
+        );
+
+        // Update account balance - // Calculate balance change (once per created transaction)
+        // (a transfer changes two accounts: the sender and the receiver)
+        const balanceChanges = getBalanceChanges({
+          ...transaction,
+          amount: values.amount,
+          destinationAmount: values.destinationAmount,
         });
+
+            // Update the account balance(s)
+        for (const [accountId, balanceChange] of Object.entries(balanceChanges)) {
+          await tx.account.update({
+            where: { id: accountId },
+            data: { balance: { increment: balanceChange * created.length } },
+          });
+        }
+
+        return {
+          generated: created.length,
+          // More than MAX_OCCURRENCES_PER_RUN were missed → the rest are still due
+          stillDue: Boolean(
+            nextRecurringDate && differenceInCalendarDays(nextRecurringDate, new Date()) <= 0
+          ),
+        };
       });
     });
+
+    // Process the remaining missed occurrences in another run
+    if (result.stillDue) {
+      await step.sendEvent("process-remaining-occurrences", {
+        name: "transaction.recurring.process",
+        data: event.data,
+      });
+    }
+
+    // ✅ e.g. { generated: 7 } - how many transactions this run created
+    return { generated: result.generated };
   }
 );
 
@@ -251,22 +355,38 @@ export const triggerRecurringTransactions = inngest.createFunction(
           where: {
             isRecurring: true,
             status: "COMPLETED",
-            OR: [
-              { lastProcessed: null },  // Never processed
-              {
-                nextRecurringDate: {        // Due now or past
-                  lte: new Date(),
-                },
-              },
-            ],
+            deletedAt: null, // A deleted recurring transaction stops repeating
+            // Due now or past (null = the series has ended).
+            // Missed dates are caught up by processRecurringTransaction.
+            nextRecurringDate: { not: null, lte: new Date() },
+            // ⏸️ Paused series wait until their pause is over
+            OR: [{ recurringPausedUntil: null }, { recurringPausedUntil: { lte: new Date() } }],
           },
         });
       }
     );
 
+    // 🏁 Series that are over (past their end date / all occurrences created) are stopped, not processed
+    // (e.g. the user moved the end date back or lowered the number of occurrences)
+    const finished = recurringTransactions.filter((transaction) =>
+      isSeriesFinished(
+        getRecurrenceRule(transaction),
+        new Date(transaction.nextRecurringDate)
+      )
+    );
+    if (finished.length > 0) {
+      await step.run("stop-finished-series", async () => {
+        await db.transaction.updateMany({
+          where: { id: { in: finished.map((transaction) => transaction.id) } },
+          data: { nextRecurringDate: null },
+        });
+      });
+    }
+    const due = recurringTransactions.filter((transaction) => !finished.includes(transaction));
+
     // Send event for each recurring transaction in batches
-    if (recurringTransactions.length > 0) {
-      const events = recurringTransactions.map((transaction) => ({
+    if (due.length > 0) {
+      const events = due.map((transaction) => ({
         name: "transaction.recurring.process",
         data: {
           transactionId: transaction.id,
@@ -278,7 +398,7 @@ export const triggerRecurringTransactions = inngest.createFunction(
       await inngest.send(events);
     }
 
-    return { triggered: recurringTransactions.length };
+    return { triggered: due.length, finished: finished.length };
   }
 );
 
@@ -309,11 +429,19 @@ async function generateFinancialInsights(stats, month) {
     Keep it friendly and conversational.
 
     Financial Data for ${month}:
-    - Total Income: $${stats.totalIncome}
-    - Total Expenses: $${stats.totalExpenses}
-    - Net Income: $${stats.totalIncome - stats.totalExpenses}
+    - Total Income: ${formatCurrency(stats.totalIncome, stats.currency)}
+    - Total Expenses: ${formatCurrency(stats.totalExpenses, stats.currency)}
+    - Net Income: ${formatCurrency(stats.totalIncome - stats.totalExpenses, stats.currency)}
     - Expense Categories: ${Object.entries(stats.byCategory)
-      .map(([category, amount]) => `${category}: $${amount}`)
+      .map(([category, amount]) => {
+        // "Food: $160.00 (Groceries: $120.00, Dining: $40.00)"
+        const subcategories = Object.entries(stats.bySubcategory?.[category] ?? {})
+          .map(([name, subAmount]) => `${name}: ${formatCurrency(subAmount, stats.currency)}`)
+          .join(", ");
+        return `${category}: ${formatCurrency(amount, stats.currency)}${
+          subcategories ? ` (${subcategories})` : ""
+        }`;
+      })
       .join(", ")}
 
     Format the response as a JSON array of strings, like this:
@@ -394,7 +522,12 @@ export const generateMonthlyReports = inngest.createFunction(
         const lastMonth = new Date();
         lastMonth.setMonth(lastMonth.getMonth() - 1);
 
-        const stats = await getMonthlyStats(user.id, lastMonth);
+        // All amounts are converted into the user's base currency
+        const stats = await getMonthlyStats(
+          user.id,
+          lastMonth,
+          user.baseCurrency
+        );
         const monthName = lastMonth.toLocaleString("default", {
           month: "long",
         });
@@ -475,69 +608,152 @@ export const checkBudgetAlerts = inngest.createFunction(
       });
     });
 
-    // Loop over each budget to check if an alert should be sent
-    for (const budget of budgets) {
-      const defaultAccount = budget.user.accounts[0];   // Get the first account, which is marked as default
+    // Group the budgets per user → all budgets of a user are checked with one expense lookup
+    // ✅ { [userId]: [overallBudget, groceriesBudget, diningBudget, ...] }
+    const budgetsByUser = budgets.reduce((acc, budget) => {
+      (acc[budget.userId] ||= []).push(budget);
+      return acc;
+    }, {});
+
+    // Loop over each user to check if an alert should be sent for any of their budgets
+    for (const [userId, userBudgets] of Object.entries(budgetsByUser)) {
+      const user = userBudgets[0].user;
+      const defaultAccount = user.accounts[0];   // Get the first account, which is marked as default
       if (!defaultAccount) continue; // Skip if no default account
 
-      // Check the budget for each user (within their default account)
-      await step.run(`check-budget-${budget.id}`, async () => {
-        // Using startDate.setDate(1) is just a convenient way to set the date to the 1st of the current month
-        // without manually handling the year and month.
-        const startDate = new Date();
-        startDate.setDate(1); // Start of current month
+      // Check the budgets for each user (within their default account)
+      await step.run(`check-budgets-${userId}`, async () => {
+        // This month's expenses of the default account, per category (split transactions per line)
+        // 💱 Converted from the account's currency into the user's base currency (the budgets' currency)
+        // ✅ { total: 850, byCategory: { groceries: 600, dining: 250 } }
+        const expenses = await getMonthlyExpenses({
+          userId,
+          accountId: defaultAccount.id,
+          currency: defaultAccount.currency,
+          baseCurrency: user.baseCurrency,
+        });
 
-        // Calculate the total expenses for the default account from the beginning of the month
-        const expenses = await db.transaction.aggregate({
-          where: {
-            userId: budget.userId,              // Filter transactions by the user ID
-            accountId: defaultAccount.id,       // Filter by the default account ID
-            type: "EXPENSE",                    // Only consider expenses, not income or other transaction types
-            date: {
-              gte: startDate,                   // Filter transactions from the start of the current month
-            },
-          },
-          _sum: {   // Sum the amounts of these transactions
-            amount: true,
-          },
+        // The user's categories → names for the category budget alerts
+        const categories = await getUserCategories(userId);
+
+        for (const budget of userBudgets) {
+          // Overall budget → all expenses, category budget → only that category
+          // (a parent category budget includes its sub-categories)
+          const totalExpenses = budget.category
+            ? getCategorySpent(expenses, budget.category, categories)
+            : expenses.total;
+          const budgetAmount = Number(budget.amount); // The set budget amount
+          const percentageUsed = (totalExpenses / budgetAmount) * 100;    // Calculate percentage of the budget used
+
+          // Check if the user has exceeded the budget by 80% or more, and if an alert should be sent
+          if (
+            percentageUsed >= 80 &&       // Check if the usage exceeds the threshold (80% of budget)
+            // If no alert has been sent before, or if the last alert was sent in a previous month
+            (!budget.lastAlertSent ||
+              isNewMonth(new Date(budget.lastAlertSent), new Date()))
+          ) {
+            // e.g. "Groceries" for a category budget, null for the overall budget
+            const categoryName = budget.category
+              ? getCategoryName(categories, budget.category)
+              : null;
+
+            await sendEmail({
+              to: user.email,                                             // Send to the user's email
+              subject: categoryName                                       // Email subject line
+                ? `${categoryName} Budget Alert for ${defaultAccount.name}`
+                : `Budget Alert for ${defaultAccount.name}`,
+              react: EmailTemplate({
+                userName: user.name,                                      // User's name to personalize the email
+                type: "budget-alert",                                     // Type of the email template
+
+                data: {
+                  percentageUsed, // Display the percentage used in the budget
+                  budgetAmount: parseInt(budgetAmount).toFixed(1),    // Display budget amount formatted to 1 decimal
+                  totalExpenses: parseInt(totalExpenses).toFixed(1),  // Display total expenses formatted to 1 decimal
+                  accountName: defaultAccount.name,   // Display the default account name in the email
+                  categoryName,                       // Which category budget (null = overall budget)
+                  currency: user.baseCurrency,        // Currency of the budget and expenses
+                },
+              }),
+            });
+
+            // Update the budget to track when the last alert was sent
+            await db.budget.update({
+              where: { id: budget.id },                   // Identify the budget by its ID
+              data: { lastAlertSent: new Date() },        // Set the last alert sent date to the current date
+            });
+          }
+        }
+      });
+    }
+  }
+);
+
+// 🗑️ Deleted transactions stay in the trash for TRASH_RETENTION_DAYS (default 30), then they are removed for good.
+// Their balances were already reversed when they were deleted, so only the rows are removed.
+// Each purge is written to the audit log with a last snapshot of the transaction.
+export const purgeDeletedTransactions = inngest.createFunction(
+  {
+    id: "purge-deleted-transactions",
+    name: "Purge Deleted Transactions",
+  },
+  { cron: "0 3 * * *" }, // Daily at 3am
+  async ({ step }) => {
+    const purged = await step.run("purge-old-trash", async () => {
+      const transactions = await db.transaction.findMany({
+        where: { deletedAt: { lt: getPurgeCutoff() } },
+        include: { splits: true },
+      });
+
+      const { count } = await db.$transaction(async (tx) => {
+        const deleted = await tx.transaction.deleteMany({
+          where: { id: { in: transactions.map((t) => t.id) } },
         });
 
-         // Total expenses for the month; defaults to 0 if no expenses exist
-        const totalExpenses = expenses._sum.amount?.toNumber() || 0;
-        const budgetAmount = budget.amount; // The set budget amount
-        const percentageUsed = (totalExpenses / budgetAmount) * 100;    // Calculate percentage of the budget used
-
-        // Check if the user has exceeded the budget by 80% or more, and if an alert should be sent
-        if (
-          percentageUsed >= 80 &&       // Check if the usage exceeds the threshold (80% of budget)
-          // If no alert has been sent before, or if the last alert was sent in a previous month
-          (!budget.lastAlertSent ||
-            isNewMonth(new Date(budget.lastAlertSent), new Date()))
-        ) {
-          await sendEmail({
-            to: budget.user.email,                                      // Send to the user's email
-            subject: `Budget Alert for ${defaultAccount.name}`,         // Email subject line
-            react: EmailTemplate({
-              userName: budget.user.name,                               // User's name to personalize the email
-              type: "budget-alert",                                     // Type of the email template
-
-              data: {
-                percentageUsed, // Display the percentage used in the budget
-                budgetAmount: parseInt(budgetAmount).toFixed(1),    // Display budget amount formatted to 1 decimal
-                totalExpenses: parseInt(totalExpenses).toFixed(1),  // Display total expenses formatted to 1 decimal
-                accountName: defaultAccount.name,   // Display the default account name in the email
-              },
-            }),
-          });
+        await recordAudit(
+          tx,
+          transactions.map((transaction) => ({
+            userId: transaction.userId,
+            entityType: "TRANSACTION",
+            entityId: transaction.id,
+            action: "PURGE",
+            source: "SYSTEM",
+            before: getTransactionSnapshot(transaction),
+          }))
+        );
+
+        return deleted;
+      });
+      return count;
+    });
 
-          // Update the budget to track when the last alert was sent
-          await db.budget.update({
-            where: { id: budget.id },                   // Identify the budget by its ID
-            data: { lastAlertSent: new Date() },        // Set the last alert sent date to the current date
-          });
-        }
+    return { purged };
+  }
+);
+
+// 📈 Saves every account's balance for each day (balance history + net worth chart).
+// The history is worked out from the transactions, so the first run backfills it and later
+// runs pick up edits to old transactions - only the days from the first changed one are rewritten.
+export const snapshotAccountBalances = inngest.createFunction(
+  {
+    id: "snapshot-account-balances",
+    name: "Snapshot Account Balances",
+  },
+  { cron: "30 0 * * *" }, // Daily at 12:30am
+  async ({ step }) => {
+    const accounts = await step.run("fetch-accounts", async () => {
+      return await db.account.findMany({ select: { id: true } });
+    });
+
+    let days = 0;
+    for (const account of accounts) {
+      const { count } = await step.run(`snapshot-${account.id}`, async () => {
+        return await rebuildBalanceSnapshots(account.id);
       });
+      days += count;
     }
+
+    return { accounts: accounts.length, days };
   }
 );
 
@@ -565,13 +781,21 @@ function isNewMonth(lastAlertDate, currentDate) {
 // today: April 30, 2025
 // ➡️ It returns true — the transaction is due.
 function isTransactionDue(transaction) {
-  // If no lastProcessed date, transaction is due
-  // 📅 No Previous Processing:
-  if (!transaction.lastProcessed) return true;
+  // 🏁 The series has ended → never due again
+  if (
+    isSeriesFinished(
+      getRecurrenceRule(transaction),
+      transaction.nextRecurringDate && new Date(transaction.nextRecurringDate)
+    )
+  ) {
+    return false;
+  }
 
   // 📆 Get Today's Date:
   const today = new Date();
   // ⏳ Get the Next Scheduled Date:
+  // (The transaction itself is the first occurrence, so a never-processed series
+  // is only due once its next date has come - not straight away.)
   const nextDue = new Date(transaction.nextRecurringDate);
 
   // Compare with nextDue date
@@ -579,39 +803,12 @@ function isTransactionDue(transaction) {
   return nextDue <= today;
 }
 
-// To calculate the next due date for a recurring transaction (daily, weekly, monthly, or yearly).
-// 🧠 The function takes:
-// date: the current or last processed date
-// interval: the type of recurrence (e.g. "DAILY", "MONTHLY")
-// ✅ Example:
-// If today is 2025-04-30 and interval is "MONTHLY"
-// → This function will return 2025-05-30.
-function calculateNextRecurringDate(date, interval) {
-    // 📅 Make a copy of the given date (so the original doesn't get changed).
-  const next = new Date(date);
-  // 🔄 Check what type of recurrence it is. and move to next one!!!!
-  switch (interval) {
-    case "DAILY":
-      next.setDate(next.getDate() + 1);
-      break;
-    case "WEEKLY":
-      next.setDate(next.getDate() + 7);
-      break;
-    case "MONTHLY":
-      next.setMonth(next.getMonth() + 1);
-      break;
-    case "YEARLY":
-      next.setFullYear(next.getFullYear() + 1);
-      break;
-  }
-  return next;
-}
-
 // To get all transactions of a specific user for a specific month from the database.
 // 🔧 This is an async function that takes:
 // userId: the user whose data we need
 // month: a date object (e.g. April 2025) to know which month we want stats for
-async function getMonthlyStats(userId, month) {
+// baseCurrency: every amount is converted into this currency (e.g. EUR account → USD report)
+async function getMonthlyStats(userId, month, baseCurrency = "USD") {
   const startDate = new Date(month.getFullYear(), month.getMonth(), 1);     // 📅 This creates the first day of the given month.
   const endDate = new Date(month.getFullYear(), month.getMonth() + 1, 0);   // 📅 This gives the last day of that same month.
 
@@ -622,13 +819,25 @@ async function getMonthlyStats(userId, month) {
   const transactions = await db.transaction.findMany({
     where: {
       userId,
+      deletedAt: null,
+      type: { in: ["INCOME", "EXPENSE"] }, // transfers between own accounts are not income/expense
       date: {
         gte: startDate,
         lte: endDate,
       },
     },
+    include: {
+      account: { select: { currency: true } }, // 💱 Currency of each transaction
+      splits: true, // 🧩 Category lines of split transactions
+    },
   });
 
+  // 💱 Rates valid at the end of that month (the nearest one if none is that old - noted in rateWarnings)
+  const rateMap = await getRateMap(endDate);
+
+  // 🏷️ The user's categories → the report shows "Childcare", not the category id
+  const categories = await getUserCategories(userId);
+
   // To calculate total income, total expenses, and category-wise expense summary
   // from all transactions for the month.
   // 🔁 This uses .reduce() to go through each transaction t and build a stats object.
@@ -641,15 +850,41 @@ async function getMonthlyStats(userId, month) {
     //     It's passed back into the function on each loop, getting updated with each transaction.
 
     //  At the end, .reduce() returns the final stats object containing the monthly report.
-  return transactions.reduce(
+  const stats = transactions.reduce(
     (stats, t) => {
-      const amount = t.amount.toNumber();       // 💰 Converts the amount from a Decimal/BigInt to a plain number.
+      // 💰 Converts the amount from a Decimal/BigInt to a plain number (in the base currency).
+      const amount = convertAmount(
+        t.amount.toNumber(),
+        t.account.currency,
+        baseCurrency,
+        rateMap
+      );
       // 🧾 If it’s an expense, add to the totalExpenses.
       if (t.type === "EXPENSE") {
         stats.totalExpenses += amount;
         // 📊 It also adds the amount to its category (e.g. Food, Rent).
-        stats.byCategory[t.category] =
-          (stats.byCategory[t.category] || 0) + amount;
+        // A split transaction adds each line to its own category.
+        // 🌳 Sub-categories roll up into their parent (Groceries → Food),
+        //    and are also kept per sub-category: bySubcategory.Food.Groceries
+        for (const line of getCategoryAmounts(t)) {
+          const lineAmount = convertAmount(
+            line.amount,
+            t.account.currency,
+            baseCurrency,
+            rateMap
+          );
+          const parentId = getRollupCategoryId(categories, line.category);
+          const categoryName = getCategoryName(categories, parentId);
+          stats.byCategory[categoryName] =
+            (stats.byCategory[categoryName] || 0) + lineAmount;
+
+          if (parentId !== line.category) {
+            const subcategories = (stats.bySubcategory[categoryName] ||= {});
+            const subcategoryName = getCategoryName(categories, line.category);
+            subcategories[subcategoryName] =
+              (subcategories[subcategoryName] || 0) + lineAmount;
+          }
+        }
       } else {
         // 💵 If it’s not an expense, treat it as income and add to totalIncome.
         stats.totalIncome += amount;
@@ -660,8 +895,13 @@ async function getMonthlyStats(userId, month) {
     {
       totalExpenses: 0,
       totalIncome: 0,
-      byCategory: {},
+      byCategory: {},    // { Food: 160, Housing: 900 }
+      bySubcategory: {}, // { Food: { Groceries: 120, Dining: 40 } }
       transactionCount: transactions.length,
+      currency: baseCurrency,
     }
   );
+
+  // ⚠️ Rates that were missing or approximate → shown in the email instead of failing the report
+  return { ...stats, rateWarnings: getRateWarnings(rateMap) };
 }
@@ -0,0 +1,78 @@
+
+// OFX / QFX bank statement parser (QFX is OFX with a few extra Quicken tags).
+// Works for both OFX 1.x (SGML - tags are often not closed) and OFX 2.x (XML).
+// Only the parts we need are read: the transactions and the ledger balance.
+
+// Value of a tag inside a block of OFX text.
+// ✅ readTag("<TRNAMT>-45.10\n<FITID>123", "TRNAMT") → "-45.10"
+function readTag(text, tag) {
+  const match = text.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return match ? match[1].trim() : null;
+}
+
+// OFX dates look like YYYYMMDD, YYYYMMDDHHMMSS or YYYYMMDDHHMMSS.XXX[-5:EST]
+// Only the day is used, like dates picked in the transaction form.
+// ✅ "20250531120000.000[-5:EST]" → Date(2025, 4, 31)
+export function parseOfxDate(value) {
+  const match = value?.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  return new Date(Number(year), Number(month) - 1, Number(day));
+}
+
+// Turns OFX / QFX text into statement data.
+// ✅ Returns:
+//    {
+//      currency: "USD",
+//      ledgerBalance: { amount: 1520.35, date: Date } | null,
+//      transactions: [{ row, externalId, date, description, amount, type, error }]
+//    }
+// amount is always positive, type says which way the money went (like the CSV import rows).
+export function parseOfx(text) {
+  if (!/<OFX>/i.test(text)) {
+    throw new Error("This is not an OFX / QFX file");
+  }
+
+  // Every transaction is a <STMTTRN> block (closed with </STMTTRN> in both versions)
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) ?? [];
+
+  const transactions = blocks.map((block, index) => {
+    const signedAmount = parseFloat(readTag(block, "TRNAMT"));
+    const date = parseOfxDate(readTag(block, "DTPOSTED"));
+    const type = signedAmount < 0 ? "EXPENSE" : "INCOME";
+
+    // NAME is the payee, MEMO has extra details - use both when they differ
+    const name = readTag(block, "NAME");
+    const memo = readTag(block, "MEMO");
+    const description = [name, memo]
+      .filter((part, i, parts) => part && parts.indexOf(part) === i)
+      .join(" - ");
+
+    let error = null;
+    if (!date) error = "Invalid date";
+    else if (!signedAmount) error = "Invalid amount";
+
+    return {
+      row: index + 1,
+      externalId: readTag(block, "FITID"), // Bank's unique id → used to skip already imported rows
+      date,
+      description,
+      amount: signedAmount ? Math.abs(signedAmount) : 0,
+      type,
+      error,
+    };
+  });
+
+  // <LEDGERBAL><BALAMT>1520.35<DTASOF>20250531 - what the bank says the balance is
+  const ledgerBlock = text.match(/<LEDGERBAL>[\s\S]*?(<\/LEDGERBAL>|<AVAILBAL>|<\/STMTRS>|<\/CCSTMTRS>)/i)?.[0];
+  const ledgerAmount = ledgerBlock ? parseFloat(readTag(ledgerBlock, "BALAMT")) : NaN;
+
+  return {
+    currency: readTag(text, "CURDEF"),
+    ledgerBalance: isNaN(ledgerAmount)
+      ? null
+      : { amount: ledgerAmount, date: parseOfxDate(readTag(ledgerBlock, "DTASOF")) },
+    transactions,
+  };
+}
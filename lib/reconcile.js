@@ -0,0 +1,47 @@
+import { getAccountEffect } from "@/lib/balance";
+
+// Reconciliation = checking an account against a bank statement (see the Reconciliation model).
+// The user ticks off the transactions that appear on the statement ("cleared");
+// when the cleared balance equals the statement's closing balance, the account agrees with the bank.
+
+// Fields that change a balance - locked once a transaction is reconciled
+export const RECONCILED_LOCKED_FIELDS = [
+  "type",
+  "amount",
+  "date",
+  "accountId",
+  "destinationAccountId",
+];
+
+// Balance counting only the cleared transactions:
+// the current balance minus everything that hasn't been ticked off (or reconciled before).
+// ✅ getClearedBalance(1000, [{ expense 50 }, { income 20 }], id) → 1030
+export function getClearedBalance(balance, unclearedTransactions, accountId) {
+  const uncleared = unclearedTransactions.reduce(
+    (total, transaction) => total + getAccountEffect(transaction, accountId),
+    0
+  );
+  return roundCents(balance - uncleared);
+}
+
+// Statement balance - cleared balance (0 = the account agrees with the statement)
+export const getReconcileDifference = (statementBalance, clearedBalance) =>
+  roundCents(statementBalance - clearedBalance);
+
+// Which locked fields would an edit change? e.g. ["amount", "date"] (dates compared by day)
+export function getLockedChanges(original, data) {
+  return RECONCILED_LOCKED_FIELDS.filter((field) => {
+    if (!(field in data)) return false;
+    const before = original[field];
+    const after = data[field];
+
+    if (field === "amount") return Number(before) !== Number(after);
+    if (field === "date") {
+      return new Date(before).toDateString() !== new Date(after).toDateString();
+    }
+    return (before ?? null) !== (after || null);
+  });
+}
+
+// 10.004999 → 10, 0.1 + 0.2 → 0.3
+const roundCents = (value) => Math.round(value * 100) / 100;
@@ -0,0 +1,293 @@
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  addYears,
+  differenceInCalendarDays,
+  format,
+  getDay,
+  lastDayOfMonth,
+  startOfWeek,
+} from "date-fns";
+
+// Recurrence rules of recurring transactions, shared by the form, the actions and the Inngest jobs.
+// A rule is built from the transaction's recurring* fields (see getRecurrenceRule):
+//   { interval: "WEEKLY", every: 2, weekdays: [1, 4], monthDay: "SAME_DAY",
+//     start: <date of the first occurrence>, endDate: null, maxOccurrences: 12, count: 3,
+//     pausedUntil: null, skippedDays: ["2025-06-02"] }
+// Paused / skipped occurrences are left out everywhere (and don't count towards maxOccurrences).
+// Occurrences are always counted from the start date, so "monthly on the 31st"
+// lands on Feb 28 and then goes back to Mar 31 (it doesn't drift to the 28th).
+
+export const RECURRING_INTERVALS = {
+  DAILY: { label: "Daily", unit: "day" },
+  WEEKLY: { label: "Weekly", unit: "week" },
+  MONTHLY: { label: "Monthly", unit: "month" },
+  YEARLY: { label: "Yearly", unit: "year" },
+};
+
+// Which day of the month a MONTHLY rule falls on
+export const RECURRING_MONTH_DAYS = {
+  SAME_DAY: "Same day as the first one",
+  LAST_DAY: "Last day of the month",
+  LAST_BUSINESS_DAY: "Last business day of the month",
+};
+
+// getDay() numbers (0 = Sunday) for WEEKLY rules on specific days
+export const WEEKDAYS = [
+  { id: 1, label: "Mon" },
+  { id: 2, label: "Tue" },
+  { id: 3, label: "Wed" },
+  { id: 4, label: "Thu" },
+  { id: 5, label: "Fri" },
+  { id: 6, label: "Sat" },
+  { id: 0, label: "Sun" },
+];
+
+// Recurring fields of a transaction → rule
+export function getRecurrenceRule(transaction) {
+  return {
+    interval: transaction.recurringInterval,
+    every: transaction.recurringEvery || 1,
+    weekdays: transaction.recurringWeekdays ?? [],
+    monthDay: transaction.recurringMonthDay ?? "SAME_DAY",
+    start: new Date(transaction.date),
+    endDate: transaction.recurringEndDate ? new Date(transaction.recurringEndDate) : null,
+    maxOccurrences: transaction.recurringMaxOccurrences ?? null,
+    count: transaction.recurringCount ?? 1, // The first transaction counts as one
+    pausedUntil: transaction.recurringPausedUntil
+      ? new Date(transaction.recurringPausedUntil)
+      : null,
+    skippedDays: transaction.recurringSkippedDays ?? [],
+  };
+}
+
+// Is this occurrence left out (series paused, or the user skipped just this one)?
+export function isOccurrenceSkipped(rule, date) {
+  if (rule.pausedUntil && differenceInCalendarDays(date, rule.pausedUntil) < 0) return true;
+  return rule.skippedDays?.includes(format(date, "yyyy-MM-dd")) ?? false;
+}
+
+// The occurrence of a rule on one day (same time as the ones the job creates), or null if
+// the rule has none that day.
+// ✅ Monthly from Jan 31: "2025-02-28" → Feb 28, "2025-02-27" → null
+export function findOccurrence(rule, day) {
+  for (const date of getOccurrences(rule)) {
+    const occurrenceDay = format(date, "yyyy-MM-dd");
+    if (occurrenceDay === day) return date;
+    if (occurrenceDay > day) return null; // "yyyy-MM-dd" strings sort like dates
+  }
+  return null;
+}
+
+// What the next occurrences look like: the amount / category changed for the future
+// (recurringAmount / recurringCategory) or else the same as the original transaction.
+// A new future category replaces a split. A new amount on a transfer between currencies
+// keeps the original exchange rate for the amount received.
+// transaction = amounts as numbers
+// ✅ { amount: 17.99, category: "entertainment", destinationAmount: null, splits: [] }
+export function getOccurrenceValues(transaction) {
+  const amount = transaction.recurringAmount ?? transaction.amount;
+  const destinationAmount =
+    transaction.destinationAmount && transaction.recurringAmount
+      ? Math.round((transaction.destinationAmount * amount * 100) / transaction.amount) / 100
+      : transaction.destinationAmount ?? null;
+
+  return {
+    amount,
+    category: transaction.recurringCategory ?? transaction.category,
+    destinationAmount,
+    splits: transaction.recurringCategory ? [] : transaction.splits ?? [],
+  };
+}
+
+// Fields to save for the recurring settings of submitted form data (everything reset when not recurring).
+// after = last occurrence already created (editing a running series continues after it)
+// ✅ { recurringInterval: "MONTHLY", recurringEvery: 3, ..., nextRecurringDate: 2025-08-31 }
+export function getRecurrenceFields(data, after = null) {
+  if (!data.isRecurring || !data.recurringInterval) {
+    return {
+      isRecurring: false,
+      recurringInterval: null,
+      recurringEvery: 1,
+      recurringWeekdays: [],
+      recurringMonthDay: "SAME_DAY",
+      recurringEndDate: null,
+      recurringMaxOccurrences: null,
+      recurringPausedUntil: null,
+      recurringSkippedDays: [],
+      recurringAmount: null,
+      recurringCategory: null,
+      nextRecurringDate: null,
+    };
+  }
+
+  const fields = {
+    isRecurring: true,
+    recurringInterval: data.recurringInterval,
+    recurringEvery: data.recurringEvery || 1,
+    recurringWeekdays: data.recurringInterval === "WEEKLY" ? data.recurringWeekdays ?? [] : [],
+    recurringMonthDay:
+      data.recurringInterval === "MONTHLY" ? data.recurringMonthDay ?? "SAME_DAY" : "SAME_DAY",
+    recurringEndDate: data.recurringEndDate ?? null,
+    recurringMaxOccurrences: data.recurringMaxOccurrences ?? null,
+  };
+
+  return {
+    ...fields,
+    nextRecurringDate: calculateNextRecurringDate(
+      getRecurrenceRule({
+        ...fields,
+        date: data.date,
+        recurringCount: data.recurringCount,
+        recurringPausedUntil: data.recurringPausedUntil, // A paused series stays paused
+        recurringSkippedDays: data.recurringSkippedDays,
+      }),
+      after && after > data.date ? after : data.date
+    ),
+  };
+}
+
+// Every occurrence of a rule, in date order, starting with the start date
+// (for specific weekdays: the first of those days on or after the start date).
+export function* getOccurrences(rule) {
+  const { interval, every, weekdays, monthDay, start } = rule;
+
+  if (interval === "WEEKLY" && weekdays.length > 0) {
+    // e.g. Mon + Thu of every 2nd week (same time of day as the start date)
+    const days = [...weekdays].sort((a, b) => mondayIndex(a) - mondayIndex(b));
+    const startIndex = differenceInCalendarDays(start, startOfWeek(start, { weekStartsOn: 1 }));
+    for (let week = 0; ; week += every) {
+      for (const weekday of days) {
+        const date = addDays(start, week * 7 + mondayIndex(weekday) - startIndex);
+        if (date >= start) yield date;
+      }
+    }
+  }
+
+  for (let n = 0; ; n++) {
+    switch (interval) {
+      case "DAILY":
+        yield addDays(start, n * every);
+        break;
+      case "WEEKLY":
+        yield addWeeks(start, n * every);
+        break;
+      case "MONTHLY": {
+        const date = getMonthDay(addMonths(start, n * every), monthDay);
+        if (date >= start) yield date;
+        break;
+      }
+      case "YEARLY":
+        yield addYears(start, n * every);
+        break;
+      default:
+        return; // Unknown interval → no occurrences
+    }
+  }
+}
+
+// The next occurrence AFTER a day (the start date by default), or null when the series has ended
+// (it would fall after the end date, or all occurrences have been created).
+// ✅ Every 2 weeks from Fri 2025-05-02, after 2025-05-10 → Fri 2025-05-16
+// ✅ Monthly on the last business day, after 2025-05-31 → Mon 2025-06-30
+export function calculateNextRecurringDate(rule, after = rule.start) {
+  if (rule.maxOccurrences && rule.count >= rule.maxOccurrences) return null;
+
+  for (const date of getOccurrences(rule)) {
+    if (differenceInCalendarDays(date, after) <= 0) continue;
+    if (rule.endDate && differenceInCalendarDays(date, rule.endDate) > 0) return null;
+    if (isOccurrenceSkipped(rule, date)) continue;
+    return date;
+  }
+  return null;
+}
+
+// Occurrences that should already have been created: the due one (nextDate) and every
+// following one up to today, stopping at the end of the series. At most "limit" dates,
+// the rest stay due (nextRecurringDate is then still in the past).
+// ✅ Daily from May 1, nextDate May 3, today May 6 →
+//    { dates: [May 3, May 4, May 5, May 6], nextRecurringDate: May 7 }
+export function getMissedOccurrences(rule, nextDate, today = new Date(), limit = Infinity) {
+  const dates = [];
+  let count = rule.count;
+  let date = nextDate ? new Date(nextDate) : null;
+
+  while (date && differenceInCalendarDays(date, today) <= 0 && dates.length < limit) {
+    if (isSeriesFinished({ ...rule, count }, date)) {
+      date = null;
+      break;
+    }
+    // Paused / skipped → not created, the series goes on with the next one
+    if (!isOccurrenceSkipped(rule, date)) {
+      dates.push(date);
+      count++;
+    }
+    date = calculateNextRecurringDate({ ...rule, count }, date);
+  }
+
+  return { dates, nextRecurringDate: date };
+}
+
+// Has the series created all its occurrences / gone past its end date?
+// nextDate = the occurrence that is due (transaction.nextRecurringDate)
+export function isSeriesFinished(rule, nextDate) {
+  if (rule.maxOccurrences && rule.count >= rule.maxOccurrences) return true;
+  if (!nextDate) return true;
+  return Boolean(rule.endDate && differenceInCalendarDays(nextDate, rule.endDate) > 0);
+}
+
+// Human-readable rule
+// ✅ "Every 2 weeks on Mon, Thu", "Monthly on the last business day", "Every 3 months · until Dec 31, 2026"
+export function describeRecurrence(rule) {
+  const { interval, every, weekdays, monthDay, endDate, maxOccurrences } = rule;
+  const info = RECURRING_INTERVALS[interval];
+  if (!info) return "Recurring";
+
+  let text = every > 1 ? `Every ${every} ${info.unit}s` : info.label;
+
+  if (interval === "WEEKLY" && weekdays.length > 0) {
+    const names = WEEKDAYS.filter((day) => weekdays.includes(day.id)).map((day) => day.label);
+    text += ` on ${names.join(", ")}`;
+  }
+  if (interval === "MONTHLY" && monthDay === "LAST_DAY") text += " on the last day";
+  if (interval === "MONTHLY" && monthDay === "LAST_BUSINESS_DAY") {
+    text += " on the last business day";
+  }
+
+  if (endDate) text += ` · until ${format(endDate, "PP")}`;
+  if (maxOccurrences) text += ` · ${maxOccurrences} times`;
+  return text;
+}
+
+// Short badge text, e.g. "Bi-weekly", "Quarterly", "Every 3 days"
+export function getRecurrenceLabel(rule) {
+  const { interval, every } = rule;
+  if (every === 1) return RECURRING_INTERVALS[interval]?.label ?? "Recurring";
+  if (interval === "WEEKLY" && every === 2) return "Bi-weekly";
+  if (interval === "MONTHLY" && every === 3) return "Quarterly";
+  return `Every ${every} ${RECURRING_INTERVALS[interval]?.unit ?? "time"}s`;
+}
+
+// Position in a week starting on Monday (Monday = 0 ... Sunday = 6)
+const mondayIndex = (weekday) => (weekday + 6) % 7;
+
+// Same month, on the day the rule asks for
+function getMonthDay(date, monthDay) {
+  if (monthDay === "SAME_DAY") return date;
+
+  const lastDay = setDayOfMonth(date, lastDayOfMonth(date).getDate());
+  if (monthDay === "LAST_DAY") return lastDay;
+
+  // LAST_BUSINESS_DAY: step back over Saturday / Sunday
+  let day = lastDay;
+  while (getDay(day) === 0 || getDay(day) === 6) day = addDays(day, -1);
+  return day;
+}
+
+// Keeps the time of day (lastDayOfMonth would reset it to midnight)
+function setDayOfMonth(date, dayOfMonth) {
+  const copy = new Date(date);
+  copy.setDate(dayOfMonth);
+  return copy;
+}
@@ -0,0 +1,103 @@
+// Auto-categorization rules, e.g.
+//   description contains "UBER"            → category transportation
+//   amount > 1000 and type is INCOME        → category salary
+//   description starts with "AMZN"          → category shopping + account "Credit Card"
+//   description contains "CLIENT LUNCH"     → tag "reimbursable"
+// Rules run in order (position); the first active rule whose conditions ALL match wins.
+// Pure functions - used on the server (createTransaction, scanReceipt, dry run) and in the browser (import preview).
+
+import { normalizeTags } from "@/lib/tags";
+
+export const RULE_FIELDS = {
+  description: {
+    label: "Description",
+    operators: ["contains", "startsWith", "equals"],
+  },
+  amount: {
+    label: "Amount",
+    operators: ["gt", "gte", "lt", "lte", "eq"],
+  },
+  type: {
+    label: "Type",
+    operators: ["is"],
+  },
+};
+
+export const RULE_OPERATORS = {
+  contains: "contains",
+  startsWith: "starts with",
+  equals: "is",
+  gt: ">",
+  gte: "≥",
+  lt: "<",
+  lte: "≤",
+  eq: "=",
+  is: "is",
+};
+
+// "description contains UBER", "amount > 1000"
+export const describeCondition = ({ field, operator, value }) =>
+  `${RULE_FIELDS[field]?.label ?? field} ${RULE_OPERATORS[operator] ?? operator} ${value}`;
+
+// One condition against one transaction ({ description, amount, type })
+export function conditionMatches({ field, operator, value }, transaction) {
+  if (field === "description") {
+    const text = (transaction.description ?? "").toLowerCase();
+    const search = String(value).toLowerCase(); // "UBER" matches "Uber *Trip"
+    if (operator === "contains") return text.includes(search);
+    if (operator === "startsWith") return text.startsWith(search);
+    if (operator === "equals") return text.trim() === search.trim();
+  }
+
+  if (field === "amount") {
+    const amount = Math.abs(Number(transaction.amount));
+    const limit = Number(value);
+    if (isNaN(amount) || isNaN(limit)) return false;
+    if (operator === "gt") return amount > limit;
+    if (operator === "gte") return amount >= limit;
+    if (operator === "lt") return amount < limit;
+    if (operator === "lte") return amount <= limit;
+    if (operator === "eq") return Math.round(amount * 100) === Math.round(limit * 100);
+  }
+
+  if (field === "type") return transaction.type === value;
+
+  return false;
+}
+
+// First active rule (lowest position) whose conditions all match, or null
+export function findMatchingRule(rules, transaction) {
+  return (
+    [...rules]
+      .filter((rule) => rule.isActive && rule.conditions?.length > 0)
+      .sort((a, b) => a.position - b.position)
+      .find((rule) =>
+        rule.conditions.every((condition) => conditionMatches(condition, transaction))
+      ) ?? null
+  );
+}
+
+// Applies the first matching rule to a transaction.
+// ✅ Returns { category, accountId, tags, rule } with only the values the rule changes (rule = null if none matched)
+//    tags = the transaction's tags + the rule's tags
+// - Transfers and split transactions are left alone (their categories are set differently).
+// - A category is only set when it fits the transaction type (no "salary" on an expense).
+// categories = the user's categories
+export function getRuleChanges(rules, transaction, categories) {
+  if (transaction.type === "TRANSFER" || transaction.splits?.length > 0) {
+    return { rule: null };
+  }
+
+  const rule = findMatchingRule(rules, transaction);
+  if (!rule) return { rule: null };
+
+  const category = categories.find((c) => c.id === rule.category);
+  return {
+    rule,
+    ...(category && category.type === transaction.type && { category: category.id }),
+    ...(rule.accountId && { accountId: rule.accountId }),
+    ...(rule.tags?.length > 0 && {
+      tags: normalizeTags([...(transaction.tags ?? []), ...rule.tags]),
+    }),
+  };
+}
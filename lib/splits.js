@@ -0,0 +1,30 @@
+// A transaction can be split across several categories
+// (e.g. one supermarket receipt = groceries 40 + household 15 + pharmacy 5).
+// Everything that adds up money "per category" should go through getCategoryAmounts,
+// so split and normal transactions are counted the same way.
+
+// Returns one { category, amount } line per category of a transaction.
+// ✅ Example:
+//    no splits  → [{ category: "groceries", amount: 60 }]
+//    with splits → [{ category: "groceries", amount: 40 }, { category: "household", amount: 15 }, ...]
+// field = which amount to read ("amount", or "baseAmount" once converted to the base currency)
+export function getCategoryAmounts(transaction, field = "amount") {
+  if (transaction.splits?.length > 0) {
+    return transaction.splits.map((split) => ({
+      category: split.category,
+      amount: Number(split[field]),
+    }));
+  }
+
+  return [
+    { category: transaction.category, amount: Number(transaction[field]) },
+  ];
+}
+
+// Do the split lines add up to the transaction amount?
+// Compared in cents so 0.1 + 0.2 still equals 0.3
+export function splitsMatchTotal(amount, splits = []) {
+  const toCents = (value) => Math.round(Number(value) * 100);
+  const splitTotal = splits.reduce((sum, split) => sum + toCents(split.amount), 0);
+  return splitTotal === toCents(amount);
+}
@@ -0,0 +1,183 @@
+import { differenceInCalendarDays } from "date-fns";
+import {
+  calculateNextRecurringDate,
+  getOccurrenceValues,
+  getRecurrenceLabel,
+  getRecurrenceRule,
+} from "@/lib/recurrence";
+
+// Subscriptions: charges that repeat in the transaction history (same merchant, about the same
+// amount, at a regular interval) and the recurring expense series the user has already set up.
+// Pure functions - the subscriptions page and the dashboard suggestions use them via actions/subscription.js.
+
+// Intervals a subscription can repeat at: usual gap in days, how many days off a charge may be
+// (months have 28-31 days, banks post a day or two late) and charges needed to be sure.
+export const SUBSCRIPTION_INTERVALS = [
+  { interval: "WEEKLY", every: 1, days: 7, tolerance: 1, minCharges: 4 },
+  { interval: "WEEKLY", every: 2, days: 14, tolerance: 2, minCharges: 3 },
+  { interval: "MONTHLY", every: 1, days: 30.4, tolerance: 4, minCharges: 3 },
+  { interval: "MONTHLY", every: 3, days: 91.3, tolerance: 7, minCharges: 3 },
+  { interval: "YEARLY", every: 1, days: 365.25, tolerance: 10, minCharges: 2 },
+];
+
+// Consecutive charges may differ this much (price changes, taxes) and still be the same subscription
+const MAX_PRICE_CHANGE = 0.25;
+
+// Description → merchant, so "NETFLIX.COM 8472" and "Netflix.com (Recurring)" are the same
+// ✅ "SPOTIFY AB 0423" → "spotify ab", "Netflix (Recurring)" → "netflix"
+export const getMerchantKey = (description) =>
+  String(description ?? "")
+    .toLowerCase()
+    .replace(/\(recurring\)/g, "") // Added to the occurrences a recurring series creates
+    .replace(/\.(com|net|org|io)\b/g, "")
+    .replace(/[^a-z&]+/g, " ") // Card / reference numbers, dates, punctuation
+    .trim()
+    .split(" ")
+    .slice(0, 3)
+    .join(" ");
+
+// How many times a rule charges in a year, e.g. bi-weekly → 26, quarterly → 4
+export function getOccurrencesPerYear(rule) {
+  switch (rule.interval) {
+    case "DAILY":
+      return 365 / rule.every;
+    case "WEEKLY":
+      return (52 * Math.max(rule.weekdays.length, 1)) / rule.every;
+    case "MONTHLY":
+      return 12 / rule.every;
+    case "YEARLY":
+      return 1 / rule.every;
+    default:
+      return 0;
+  }
+}
+
+// Most recent price change of charges (oldest first), null if the price never changed
+// ✅ { date, from: 15.49, to: 17.99 }
+export function getLastPriceChange(charges) {
+  for (let i = charges.length - 1; i > 0; i--) {
+    if (Math.abs(charges[i].amount - charges[i - 1].amount) >= 0.01) {
+      return { date: charges[i].date, from: charges[i - 1].amount, to: charges[i].amount };
+    }
+  }
+  return null;
+}
+
+// The charges of one merchant (oldest first) → the subscription they look like, or null.
+// Looks at the latest charges only: the run of charges at the same interval with similar amounts,
+// going back from the newest one (older, irregular purchases at the same shop don't matter).
+// A subscription whose next charge is long overdue has probably been cancelled → null.
+// ✅ { interval: "MONTHLY", every: 1, charges: [...the run], nextDate }
+export function detectInterval(charges, today = new Date()) {
+  for (const candidate of SUBSCRIPTION_INTERVALS) {
+    const run = [charges.at(-1)];
+    for (let i = charges.length - 2; i >= 0; i--) {
+      const gap = differenceInCalendarDays(run[0].date, charges[i].date);
+      const change = Math.abs(run[0].amount - charges[i].amount) / charges[i].amount;
+      if (Math.abs(gap - candidate.days) > candidate.tolerance || change > MAX_PRICE_CHANGE) break;
+      run.unshift(charges[i]);
+    }
+    if (run.length < candidate.minCharges) continue;
+
+    const latest = run.at(-1);
+    if (differenceInCalendarDays(today, latest.date) > candidate.days * 1.5) return null;
+
+    const rule = getRecurrenceRule({
+      recurringInterval: candidate.interval,
+      recurringEvery: candidate.every,
+      date: latest.date,
+    });
+    return {
+      interval: candidate.interval,
+      every: candidate.every,
+      charges: run,
+      nextDate: calculateNextRecurringDate(rule),
+    };
+  }
+  return null;
+}
+
+// Subscriptions of a user: the recurring expense series (confirmed) and repeating charges
+// that aren't recurring yet (detected - the "make it recurring?" suggestions).
+// transactions = expenses of the last two years with account (amounts as numbers)
+// series = running recurring expense series with account (amounts as numbers)
+// dismissed = merchant keys the user said aren't subscriptions
+// ✅ {
+//   confirmed: [{ key, seriesId, name, label: "Monthly", amount, annualCost, lastPriceChange, nextDate, ... }],
+//   detected: [{ key, transactionId, name, label: "Monthly", interval, every, amount, annualCost, ... }]
+// } ← most expensive first
+export function findSubscriptions({ transactions, series, dismissed = [], today = new Date() }) {
+  // Charges per merchant, oldest first
+  const chargesByKey = {};
+  for (const transaction of [...transactions].sort((a, b) => a.date - b.date)) {
+    const key = getMerchantKey(transaction.description);
+    if (!key) continue; // Nothing to recognise the merchant by
+    (chargesByKey[key] ??= []).push({
+      ...transaction,
+      date: new Date(transaction.date),
+    });
+  }
+
+  const confirmed = series.map((transaction) => {
+    const key = getMerchantKey(transaction.description);
+    const rule = getRecurrenceRule(transaction);
+    const { amount, category } = getOccurrenceValues(transaction);
+    const charges = chargesByKey[key] ?? [];
+
+    return {
+      key,
+      seriesId: transaction.id,
+      name: transaction.description || category,
+      label: getRecurrenceLabel(rule),
+      amount,
+      category,
+      account: transaction.account,
+      annualCost: roundCents(amount * getOccurrencesPerYear(rule)),
+      lastDate: charges.at(-1)?.date ?? new Date(transaction.date),
+      nextDate: transaction.nextRecurringDate,
+      // A "future only" amount counts as the latest price change
+      lastPriceChange:
+        amount !== transaction.amount
+          ? { date: transaction.nextRecurringDate, from: transaction.amount, to: amount }
+          : getLastPriceChange(charges),
+    };
+  });
+  const confirmedKeys = new Set(confirmed.map((subscription) => subscription.key));
+
+  const detected = Object.entries(chargesByKey)
+    .filter(([key]) => !confirmedKeys.has(key) && !dismissed.includes(key))
+    .map(([key, charges]) => {
+      const found = detectInterval(charges, today);
+      if (!found) return null;
+
+      const latest = found.charges.at(-1);
+      const rule = getRecurrenceRule({
+        recurringInterval: found.interval,
+        recurringEvery: found.every,
+        date: latest.date,
+      });
+      return {
+        key,
+        transactionId: latest.id, // Becomes the recurring series when confirmed
+        name: latest.description,
+        label: getRecurrenceLabel(rule),
+        interval: found.interval,
+        every: found.every,
+        amount: latest.amount,
+        category: latest.category,
+        account: latest.account,
+        annualCost: roundCents(latest.amount * getOccurrencesPerYear(rule)),
+        chargeCount: found.charges.length,
+        lastDate: latest.date,
+        nextDate: found.nextDate,
+        lastPriceChange: getLastPriceChange(found.charges),
+      };
+    })
+    .filter(Boolean);
+
+  const byCost = (a, b) => b.annualCost - a.annualCost;
+  return { confirmed: confirmed.sort(byCost), detected: detected.sort(byCost) };
+}
+
+// 10.004999 → 10, 0.1 + 0.2 → 0.3
+const roundCents = (value) => Math.round(value * 100) / 100;
@@ -0,0 +1,47 @@
+// Free-form tags on transactions, e.g. "vacation-2026", "reimbursable", "wedding".
+// Categories say WHAT a purchase was, tags group purchases ACROSS categories
+// (a flight, a hotel and dinners can all be "vacation-2026").
+// Pure functions - used on the server (actions) and in the browser (tag input, table).
+
+export const MAX_TAG_LENGTH = 30;
+
+// "  #Vacation 2026 " → "vacation-2026" (lower case, no "#", spaces → "-")
+export const normalizeTag = (tag) =>
+  String(tag ?? "")
+    .trim()
+    .replace(/^#+/, "")
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .slice(0, MAX_TAG_LENGTH);
+
+// ["Wedding", "wedding ", ""] → ["wedding"] (cleaned, no duplicates, no empty tags)
+export const normalizeTags = (tags) => [
+  ...new Set((tags ?? []).map(normalizeTag).filter(Boolean)),
+];
+
+// Every tag used in these transactions, A → Z
+export const collectTags = (transactions) =>
+  normalizeTags(transactions.flatMap((transaction) => transaction.tags ?? [])).sort();
+
+// Spending and income per tag.
+// transactions = [{ type, amount, tags }] (amounts already in one currency)
+// ✅ [{ tag: "vacation-2026", expense: 1840, income: 0, count: 12 }, ...] - most spent first
+// A transaction with two tags counts for both; transfers are left out (they are not spending).
+export function getTagTotals(transactions) {
+  const totals = {};
+
+  for (const transaction of transactions) {
+    if (transaction.type === "TRANSFER") continue;
+
+    for (const tag of normalizeTags(transaction.tags)) {
+      totals[tag] ??= { tag, expense: 0, income: 0, count: 0 };
+      if (transaction.type === "EXPENSE") totals[tag].expense += transaction.amount;
+      else totals[tag].income += transaction.amount;
+      totals[tag].count += 1;
+    }
+  }
+
+  return Object.values(totals).sort(
+    (a, b) => b.expense - a.expense || a.tag.localeCompare(b.tag)
+  );
+}
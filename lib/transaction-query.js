@@ -0,0 +1,89 @@
+// Filters, sorting and paging of the account transactions table live in the URL,
+// e.g. /account/123?search=coffee&type=EXPENSE&from=2025-03-01&to=2025-03-31&min=500&categories=food,travel&tags=vacation-2026&sort=amount&order=asc&after=<transactionId>
+// (+ &reconcile=1 while ticking off transactions against a bank statement)
+// so a page can be reloaded, bookmarked or shared and shows the same rows.
+// Used by the account page (server), the actions (server) and TransactionTable (browser).
+
+export const PAGE_SIZE = 10; // Number of transactions per page
+
+export const SORT_FIELDS = ["date", "amount", "category"];
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // "2025-03-31"
+
+// "500" → "500", "abc" / "" → "" (amounts stay strings, like in the URL)
+const cleanAmount = (value) =>
+  value !== undefined && value !== null && value !== "" && !isNaN(Number(value))
+    ? String(value)
+    : "";
+
+// URL search params → clean query object (unknown / invalid values fall back to the defaults)
+// ✅ { type: "EXPENSE", sort: "amount" } → { search: "", type: "EXPENSE", recurring: "", from: "", to: "", min: "", max: "", categories: [], tags: [], sort: "amount", order: "desc", after: null, before: null, reconcile: false }
+export function parseTransactionQuery(searchParams = {}) {
+  const get = (key) => {
+    const value =
+      typeof searchParams.get === "function"
+        ? searchParams.get(key)
+        : searchParams[key];
+    return Array.isArray(value) ? value[0] : value;
+  };
+
+  return {
+    search: get("search") ?? "",
+    type: ["INCOME", "EXPENSE", "TRANSFER"].includes(get("type")) ? get("type") : "",
+    recurring: ["recurring", "non-recurring"].includes(get("recurring"))
+      ? get("recurring")
+      : "",
+    from: DAY_PATTERN.test(get("from") ?? "") ? get("from") : "", // First day (inclusive)
+    to: DAY_PATTERN.test(get("to") ?? "") ? get("to") : "",       // Last day (inclusive)
+    min: cleanAmount(get("min")), // Smallest amount
+    max: cleanAmount(get("max")), // Largest amount
+    // "food,travel" → ["food", "travel"] (a split transaction matches if any line has one of them)
+    categories: (get("categories") ?? "").split(",").filter(Boolean),
+    // "vacation-2026,wedding" → ["vacation-2026", "wedding"] (a transaction matches if it has any of them)
+    tags: (get("tags") ?? "").split(",").filter(Boolean),
+    sort: SORT_FIELDS.includes(get("sort")) ? get("sort") : "date",
+    order: get("order") === "asc" ? "asc" : "desc",
+    after: get("after") ?? null,   // Cursor: show the page after this transaction id
+    before: get("before") ?? null, // Cursor: show the page before this transaction id
+    reconcile: get("reconcile") === "1", // Reconcile mode of the account table
+  };
+}
+
+// Query object → "?search=coffee&type=EXPENSE" (default values are left out to keep URLs short)
+export function buildTransactionQueryString(query) {
+  const params = new URLSearchParams();
+
+  if (query.search) params.set("search", query.search);
+  if (query.type) params.set("type", query.type);
+  if (query.recurring) params.set("recurring", query.recurring);
+  if (query.from) params.set("from", query.from);
+  if (query.to) params.set("to", query.to);
+  if (query.min) params.set("min", query.min);
+  if (query.max) params.set("max", query.max);
+  if (query.categories?.length) params.set("categories", query.categories.join(","));
+  if (query.tags?.length) params.set("tags", query.tags.join(","));
+  if (query.sort && query.sort !== "date") params.set("sort", query.sort);
+  if (query.order && query.order !== "desc") params.set("order", query.order);
+  if (query.after) params.set("after", query.after);
+  if (query.before) params.set("before", query.before);
+  if (query.reconcile) params.set("reconcile", "1");
+
+  // Keep the commas of "categories" and "tags" readable in the URL
+  const queryString = params.toString().replace(/%2C/g, ",");
+  return queryString ? `?${queryString}` : "";
+}
+
+// Is any filter (not sorting / paging / reconcile mode) active?
+export function hasTransactionFilters(query) {
+  return Boolean(
+    query.search ||
+      query.type ||
+      query.recurring ||
+      query.from ||
+      query.to ||
+      query.min ||
+      query.max ||
+      query.categories?.length ||
+      query.tags?.length
+  );
+}
@@ -0,0 +1,32 @@
+import { db } from "@/lib/prisma";
+import { getUserCategories } from "@/lib/categories";
+import { getRuleChanges } from "@/lib/rules";
+
+// The user's rules in the order they run (server only)
+export async function getUserRules(userId) {
+  return db.transactionRule.findMany({
+    where: { userId },
+    orderBy: { position: "asc" },
+  });
+}
+
+// Runs the user's rules on a new transaction and returns it with the rule's category / account / tags.
+// The user's own choices win: the rule only fills a category / account that was left empty
+// (the rule's tags are always added).
+// ✅ { ...transaction, category: "transportation" } (unchanged if no rule matches)
+export async function applyUserRules(userId, transaction) {
+  const [rules, categories] = await Promise.all([
+    getUserRules(userId),
+    getUserCategories(userId),
+  ]);
+
+  const { rule, category, accountId, tags } = getRuleChanges(rules, transaction, categories);
+  if (!rule) return transaction;
+
+  return {
+    ...transaction,
+    ...(category && !transaction.category && { category }),
+    ...(accountId && !transaction.accountId && { accountId }),
+    ...(tags && { tags }),
+  };
+}
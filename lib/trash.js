@@ -0,0 +1,12 @@
+import { subDays } from "date-fns";
+
+// Deleted transactions go to the trash first (deletedAt is set) and can be restored from there.
+// After the retention period they are purged for good by the "purge-deleted-transactions" Inngest cron.
+// Change the period with TRASH_RETENTION_DAYS in .env (default 30 days).
+export const TRASH_RETENTION_DAYS =
+  parseInt(process.env.TRASH_RETENTION_DAYS, 10) > 0
+    ? parseInt(process.env.TRASH_RETENTION_DAYS, 10)
+    : 30;
+
+// Transactions deleted before this date are due to be purged
+export const getPurgeCutoff = (now = new Date()) => subDays(now, TRASH_RETENTION_DAYS);
@@ -0,0 +1,138 @@
+import { addBalanceChanges, getBalanceChanges } from "@/lib/balance";
+import { isLiabilityAccount } from "@/data/account-types";
+import { toDayKey } from "@/lib/balance-history";
+import {
+  describeRecurrence,
+  getMissedOccurrences,
+  getOccurrenceValues,
+  getRecurrenceRule,
+} from "@/lib/recurrence";
+
+// Upcoming bills: recurring series projected forward with the same rules the
+// recurring job uses (lib/recurrence.js), so what is shown here is what will be created.
+
+// How far ahead the Upcoming page can look (days)
+export const UPCOMING_RANGES = [30, 60, 90];
+
+// Every occurrence of the recurring series from their next date up to "to", oldest first.
+// Occurrences that are already due (the job hasn't run yet) are included, marked isOverdue.
+// Paused / skipped occurrences are left out and "future only" amounts / categories are used.
+// series = recurring transactions with account + destinationAccount (amounts as numbers)
+// ✅ [{ id: "<seriesId>:2025-06-01", seriesId, day: "2025-06-01", date, type, amount, description, category, account, ... }]
+export function getUpcomingOccurrences(series, to, today = new Date()) {
+  const todayKey = toDayKey(today);
+
+  return series
+    .filter((transaction) => transaction.nextRecurringDate)
+    .flatMap((transaction) => {
+      const { dates } = getMissedOccurrences(
+        getRecurrenceRule(transaction),
+        transaction.nextRecurringDate,
+        to
+      );
+
+      const { amount, category, destinationAmount } = getOccurrenceValues(transaction);
+
+      return dates.map((date) => ({
+        id: `${transaction.id}:${toDayKey(date)}`,
+        seriesId: transaction.id,
+        day: toDayKey(date), // The day to skip (skipOccurrence)
+        date,
+        isOverdue: toDayKey(date) < todayKey,
+        type: transaction.type,
+        amount,
+        description: transaction.description,
+        category,
+        account: transaction.account,
+        destinationAccount: transaction.destinationAccount,
+        destinationAmount,
+      }));
+    })
+    .sort((a, b) => a.date - b.date);
+}
+
+// Running recurring series for the "Recurring series" list, next one first.
+// ✅ [{ id, description, type, amount: 15.99, category, account, schedule: "Monthly", nextDate,
+//      pausedUntil: null, skippedDays: ["2025-06-01"], futureAmount: 17.99, futureCategory: null, hasSplits: false }]
+// pausedUntil / skippedDays only while they still matter (a resumed series keeps today as its pause end).
+export function getSeriesSummaries(series, today = new Date()) {
+  const todayKey = toDayKey(today);
+
+  return series
+    .map((transaction) => {
+      const rule = getRecurrenceRule(transaction);
+      return {
+        id: transaction.id,
+        description: transaction.description,
+        type: transaction.type,
+        amount: transaction.amount,
+        category: transaction.category,
+        account: transaction.account,
+        schedule: describeRecurrence(rule),
+        nextDate: transaction.nextRecurringDate,
+        pausedUntil:
+          rule.pausedUntil && toDayKey(rule.pausedUntil) > todayKey ? rule.pausedUntil : null,
+        skippedDays: rule.skippedDays.filter((day) => day >= todayKey),
+        futureAmount: transaction.recurringAmount,
+        futureCategory: transaction.recurringCategory,
+        hasSplits: transaction._count?.splits > 0,
+      };
+    })
+    .sort((a, b) => a.nextDate - b.nextDate);
+}
+
+// Groups occurrences by day and works out what each account's balance will be.
+// accounts = the user's accounts with balance as a number (amount owed for credit cards / loans)
+// ✅ {
+//   days: [{ date: "2025-06-01", items: [...], balances: { [accountId]: 1150 } }], ← after that day, touched accounts only
+//   accounts: [{ id, name, currency, type, current: 1200, projected: 950, worst: 900, worstDate: "2025-06-15" }]
+// }
+// worst = the tightest point: lowest balance, or the highest amount owed for credit cards / loans
+// (worstDate null = it never gets worse than today).
+export function projectUpcoming(occurrences, accounts) {
+  const balances = Object.fromEntries(accounts.map((account) => [account.id, account.balance]));
+  const worst = Object.fromEntries(
+    accounts.map((account) => [account.id, { balance: account.balance, date: null }])
+  );
+  const isWorse = (accountId, balance) => {
+    const account = accounts.find((a) => a.id === accountId);
+    if (!account) return false;
+    return isLiabilityAccount(account.type)
+      ? balance > worst[accountId].balance
+      : balance < worst[accountId].balance;
+  };
+
+  const days = [];
+  for (const occurrence of occurrences) {
+    const key = toDayKey(occurrence.date);
+    if (days.at(-1)?.date !== key) days.push({ date: key, items: [], balances: {} });
+    const day = days.at(-1);
+    day.items.push(occurrence);
+
+    const changes = getBalanceChanges(occurrence);
+    addBalanceChanges(balances, changes);
+    for (const accountId of Object.keys(changes)) {
+      day.balances[accountId] = roundCents(balances[accountId]);
+      if (isWorse(accountId, balances[accountId])) {
+        worst[accountId] = { balance: roundCents(balances[accountId]), date: key };
+      }
+    }
+  }
+
+  return {
+    days,
+    accounts: accounts.map((account) => ({
+      id: account.id,
+      name: account.name,
+      type: account.type,
+      currency: account.currency,
+      current: account.balance,
+      projected: roundCents(balances[account.id]),
+      worst: worst[account.id].balance,
+      worstDate: worst[account.id].date,
+    })),
+  };
+}
+
+// 10.004999 → 10, 0.1 + 0.2 → 0.3
+const roundCents = (value) => Math.round(value * 100) / 100;
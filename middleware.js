@@ -6,6 +6,10 @@ const isProtectedRoute = createRouteMatcher([
   "/dashboard(.*)",
   "/account(.*)",
   "/transaction(.*)",
+  "/settings(.*)",
+  "/tags(.*)",
+  "/upcoming(.*)",
+  "/subscriptions(.*)",
 ]);
 
 // Create Arcjet middleware
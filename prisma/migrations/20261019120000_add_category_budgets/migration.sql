@@ -0,0 +1,8 @@
+-- DropIndex
+DROP INDEX "budgets_userId_key";
+
+-- AlterTable
+ALTER TABLE "budgets" ADD COLUMN     "category" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "budgets_userId_category_key" ON "budgets"("userId", "category");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "categories" ADD COLUMN     "parentId" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "categories" ADD CONSTRAINT "categories_userId_parentId_fkey" FOREIGN KEY ("userId", "parentId") REFERENCES "categories"("userId", "id") ON DELETE NO ACTION ON UPDATE CASCADE;
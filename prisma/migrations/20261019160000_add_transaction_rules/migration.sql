@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "transaction_rules" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "conditions" JSONB NOT NULL,
+    "category" TEXT,
+    "accountId" TEXT,
+    "position" INTEGER NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "transaction_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "transaction_rules_userId_idx" ON "transaction_rules"("userId");
+
+-- AddForeignKey
+ALTER TABLE "transaction_rules" ADD CONSTRAINT "transaction_rules_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "transaction_rules" ADD CONSTRAINT "transaction_rules_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
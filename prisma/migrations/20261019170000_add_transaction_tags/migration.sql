@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "tags" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "transaction_rules" ADD COLUMN     "tags" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateIndex
+CREATE INDEX "transactions_tags_idx" ON "transactions" USING GIN ("tags");
@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "AuditEntity" AS ENUM ('TRANSACTION', 'ACCOUNT', 'BUDGET');
+
+-- CreateEnum
+CREATE TYPE "AuditAction" AS ENUM ('CREATE', 'UPDATE', 'DELETE', 'RESTORE', 'PURGE');
+
+-- CreateEnum
+CREATE TYPE "AuditSource" AS ENUM ('FORM', 'RECEIPT_SCAN', 'IMPORT', 'RECURRING', 'TABLE', 'TRASH', 'RULES', 'CATEGORY_MERGE', 'SYSTEM');
+
+-- CreateTable
+CREATE TABLE "audit_logs" (
+    "id" TEXT NOT NULL,
+    "entityType" "AuditEntity" NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "action" "AuditAction" NOT NULL,
+    "source" "AuditSource" NOT NULL,
+    "before" JSONB,
+    "after" JSONB,
+    "actorId" TEXT,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_logs_entityType_entityId_idx" ON "audit_logs"("entityType", "entityId");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_userId_idx" ON "audit_logs"("userId");
+
+-- AddForeignKey
+ALTER TABLE "audit_logs" ADD CONSTRAINT "audit_logs_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
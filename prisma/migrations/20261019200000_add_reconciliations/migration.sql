@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "ReconciliationStatus" AS ENUM ('IN_PROGRESS', 'COMPLETED');
+
+-- CreateTable
+CREATE TABLE "reconciliations" (
+    "id" TEXT NOT NULL,
+    "statementDate" TIMESTAMP(3) NOT NULL,
+    "statementBalance" DECIMAL(65,30) NOT NULL,
+    "status" "ReconciliationStatus" NOT NULL DEFAULT 'IN_PROGRESS',
+    "completedAt" TIMESTAMP(3),
+    "accountId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "reconciliations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "_ReconciliationToTransaction" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_ReconciliationToTransaction_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE INDEX "reconciliations_accountId_idx" ON "reconciliations"("accountId");
+
+-- CreateIndex
+CREATE INDEX "_ReconciliationToTransaction_B_index" ON "_ReconciliationToTransaction"("B");
+
+-- AddForeignKey
+ALTER TABLE "reconciliations" ADD CONSTRAINT "reconciliations_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reconciliations" ADD CONSTRAINT "reconciliations_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_ReconciliationToTransaction" ADD CONSTRAINT "_ReconciliationToTransaction_A_fkey" FOREIGN KEY ("A") REFERENCES "reconciliations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_ReconciliationToTransaction" ADD CONSTRAINT "_ReconciliationToTransaction_B_fkey" FOREIGN KEY ("B") REFERENCES "transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "balance_snapshots" (
+    "id" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "balance" DECIMAL(65,30) NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "balance_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "balance_snapshots_accountId_date_key" ON "balance_snapshots"("accountId", "date");
+
+-- AddForeignKey
+ALTER TABLE "balance_snapshots" ADD CONSTRAINT "balance_snapshots_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
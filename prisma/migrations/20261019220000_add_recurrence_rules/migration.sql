@@ -0,0 +1,10 @@
+-- CreateEnum
+CREATE TYPE "RecurringMonthDay" AS ENUM ('SAME_DAY', 'LAST_DAY', 'LAST_BUSINESS_DAY');
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "recurringCount" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "recurringEndDate" TIMESTAMP(3),
+ADD COLUMN     "recurringEvery" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "recurringMaxOccurrences" INTEGER,
+ADD COLUMN     "recurringMonthDay" "RecurringMonthDay" NOT NULL DEFAULT 'SAME_DAY',
+ADD COLUMN     "recurringWeekdays" INTEGER[] DEFAULT ARRAY[]::INTEGER[];
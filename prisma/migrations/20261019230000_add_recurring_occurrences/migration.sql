@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "recurringSourceId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transactions_recurringSourceId_date_key" ON "transactions"("recurringSourceId", "date");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_recurringSourceId_fkey" FOREIGN KEY ("recurringSourceId") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "recurringAmount" DECIMAL(65,30),
+ADD COLUMN     "recurringCategory" TEXT,
+ADD COLUMN     "recurringPausedUntil" TIMESTAMP(3),
+ADD COLUMN     "recurringSkippedDays" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterEnum
+ALTER TYPE "AuditSource" ADD VALUE 'UPCOMING';
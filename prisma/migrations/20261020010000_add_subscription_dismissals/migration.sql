@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "AuditSource" ADD VALUE 'SUBSCRIPTIONS';
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "dismissedSubscriptions" TEXT[] DEFAULT ARRAY[]::TEXT[];
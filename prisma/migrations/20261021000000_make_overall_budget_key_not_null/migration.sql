@@ -0,0 +1,16 @@
+-- Postgres treats NULLs as distinct, so the unique (userId, category) key never stopped
+-- duplicate overall budgets (category NULL). Keep the most recently updated one per user.
+DELETE FROM "budgets" AS "older"
+USING "budgets" AS "newer"
+WHERE "older"."category" IS NULL
+  AND "newer"."category" IS NULL
+  AND "older"."userId" = "newer"."userId"
+  AND ("newer"."updatedAt" > "older"."updatedAt"
+    OR ("newer"."updatedAt" = "older"."updatedAt" AND "newer"."id" > "older"."id"));
+
+-- The overall budget is now saved with category '' instead of NULL
+UPDATE "budgets" SET "category" = '' WHERE "category" IS NULL;
+
+-- AlterTable
+ALTER TABLE "budgets" ALTER COLUMN "category" SET NOT NULL,
+ALTER COLUMN "category" SET DEFAULT '';